@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/*
+ * Bulk edits for src/data/aircraft.json (and, for migrations, the model manifest).
+ *
+ *   npm run data:patch -- apply <patch.json|patch.yaml>... [--dry-run]
+ *   npm run data:patch -- add-field <field> <json-value> [--ids a,b] [--overwrite] [--dry-run]
+ *   npm run data:patch -- remove-field <field> [--ids a,b] [--dry-run]
+ *   npm run data:patch -- migrate [--dry-run]
+ *   npm run data:patch -- status
+ *
+ * Every write is diffed and re-validated first; a change that introduces new
+ * validate:data violations is refused unless --force is passed.
+ */
+import { parseArgs } from 'node:util'
+import { readJson, writeJson } from './lib/dataFiles.js'
+import { listMigrations, pendingMigrations, readLedger, runMigration, writeLedger } from './lib/migrations.js'
+import { addField, applyPatch, diffRecords, formatDiff, loadPatchFile, removeField } from './lib/patches.js'
+import { AIRCRAFT_FILE, MANIFEST_FILE, relativeToRoot } from './lib/paths.js'
+import { validateData } from './lib/validateData.js'
+
+const USAGE = `usage: data-patch <apply|add-field|remove-field|migrate|status> [...args] [--dry-run] [--force]`
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    'dry-run': { type: 'boolean', default: false },
+    force: { type: 'boolean', default: false },
+    overwrite: { type: 'boolean', default: false },
+    ids: { type: 'string' }
+  }
+})
+
+const [command, ...args] = positionals
+const ids = options.ids ? options.ids.split(',').map((id) => id.trim()).filter(Boolean) : null
+
+function parseValue(raw) {
+  try {
+    return JSON.parse(raw)
+  } catch {
+    return raw
+  }
+}
+
+function violationKey(violation) {
+  return `${violation.file}|${violation.recordId}|${violation.field}|${violation.message}`
+}
+
+/* Prints the diff, then writes unless it's a dry run or the change breaks validation. */
+function commit(before, after) {
+  const aircraftChanges = diffRecords(before.aircraft, after.aircraft)
+  const manifestChanges = diffRecords(before.manifest, after.manifest)
+  console.log(formatDiff(relativeToRoot(AIRCRAFT_FILE), aircraftChanges))
+  console.log(formatDiff(relativeToRoot(MANIFEST_FILE), manifestChanges))
+
+  const existing = new Set(validateData(before).map(violationKey))
+  const introduced = validateData(after).filter((violation) => !existing.has(violationKey(violation)))
+  if (introduced.length > 0) {
+    console.log(`\nThis change introduces ${introduced.length} validation violation(s):`)
+    introduced.forEach((violation) => {
+      console.log(`  ${violation.file}  ${violation.recordId}  ${violation.field}  ${violation.message}`)
+    })
+  }
+
+  if (options['dry-run']) {
+    console.log('\nDry run: nothing written.')
+    return false
+  }
+  if (introduced.length > 0 && !options.force) {
+    console.log('\nRefusing to write. Fix the patch (or the schema) or pass --force.')
+    process.exitCode = 1
+    return false
+  }
+
+  if (aircraftChanges.length > 0) writeJson(AIRCRAFT_FILE, after.aircraft)
+  if (manifestChanges.length > 0) writeJson(MANIFEST_FILE, after.manifest)
+  return true
+}
+
+function requireArgs(count, hint) {
+  if (args.length < count) {
+    console.error(`${command}: ${hint}\n${USAGE}`)
+    process.exit(2)
+  }
+}
+
+async function main() {
+  const before = { aircraft: readJson(AIRCRAFT_FILE), manifest: readJson(MANIFEST_FILE) }
+
+  switch (command) {
+    case 'apply': {
+      requireArgs(1, 'expected at least one patch file')
+      const aircraft = args.reduce((records, file) => applyPatch(records, loadPatchFile(file)), before.aircraft)
+      commit(before, { ...before, aircraft })
+      return
+    }
+
+    case 'add-field': {
+      requireArgs(2, 'expected <field> <json-value>')
+      const [field, raw] = args
+      const aircraft = addField(before.aircraft, field, parseValue(raw), { ids, overwrite: options.overwrite })
+      commit(before, { ...before, aircraft })
+      return
+    }
+
+    case 'remove-field': {
+      requireArgs(1, 'expected <field>')
+      commit(before, { ...before, aircraft: removeField(before.aircraft, args[0], { ids }) })
+      return
+    }
+
+    case 'migrate': {
+      const ledger = readLedger()
+      const pending = pendingMigrations(ledger)
+      if (pending.length === 0) {
+        console.log('No pending migrations.')
+        return
+      }
+
+      let data = before
+      for (const migration of pending) {
+        const result = await runMigration(migration, data)
+        console.log(`> ${migration.id}${result.description ? `: ${result.description}` : ''}`)
+        data = { aircraft: result.aircraft, manifest: result.manifest }
+      }
+
+      if (commit(before, data)) {
+        const appliedAt = new Date().toISOString()
+        writeLedger([...ledger, ...pending.map((migration) => ({ id: migration.id, appliedAt }))])
+        console.log(`\nApplied ${pending.length} migration(s).`)
+      }
+      return
+    }
+
+    case 'status': {
+      const applied = new Map(readLedger().map((entry) => [entry.id, entry.appliedAt]))
+      const migrations = listMigrations()
+      if (migrations.length === 0) console.log('No migrations found.')
+      migrations.forEach((migration) => {
+        const appliedAt = applied.get(migration.id)
+        console.log(`${appliedAt ? '[x]' : '[ ]'} ${migration.id}${appliedAt ? `  (${appliedAt})` : ''}`)
+      })
+      return
+    }
+
+    default:
+      console.error(USAGE)
+      process.exitCode = 2
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message)
+  process.exitCode = 1
+})
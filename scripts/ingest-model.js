@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+/*
+ * Validates, optimizes and registers a GLB for the site.
+ *
+ *   npm run model:ingest -- <input.glb> --aircraft <id> [--id <modelId>]
+ *       [--compression meshopt|draco|none] [--max-texture 2048]
+ *       [--lods 0.25,0.05|none] [--max-bytes 3145728] [--max-triangles 250000]
+ *       [--license <id>] [--author <name>] [--source <url>] [--reviewer <name>]
+ *       [--dry-run]
+ *
+ * The input is checked against the glTF spec (Khronos glTF validator),
+ * deduplicated, pruned, welded, texture-resized and compressed, then written
+ * to public/models/verified/<modelId>.glb, with simplified LOD proxies next
+ * to it as <modelId>.lod<N>.glb. The manifest entry is added or updated and
+ * the aircraft record gets `modelId` when it has none. Its `provenance`
+ * (title, author, source, license) comes from the file's asset metadata, which
+ * Sketchfab downloads include, or from the flags; it stays "unverified" unless
+ * --reviewer signs it off. Nothing is written when the input is invalid, has
+ * no license, is over budget, or would introduce validate:data violations.
+ */
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs'
+import path from 'node:path'
+import { parseArgs } from 'node:util'
+import { readJson, writeJson } from './lib/dataFiles.js'
+import {
+  COMPRESSION_MODES,
+  DEFAULT_BUDGETS,
+  DEFAULT_LOD_RATIOS,
+  DEFAULT_MAX_TEXTURE,
+  budgetViolations,
+  createIO,
+  documentStats,
+  formatBytes,
+  lodPath,
+  modelProvenance,
+  optimizeDocument,
+  registerModel,
+  validateGlb
+} from './lib/modelIngest.js'
+import { AIRCRAFT_FILE, MANIFEST_FILE, PUBLIC_DIR, relativeToRoot } from './lib/paths.js'
+import { validateData } from './lib/validateData.js'
+
+const USAGE = `usage: ingest-model <input.glb> --aircraft <id> [--id <modelId>] [--compression ${COMPRESSION_MODES.join('|')}] [--max-texture px] [--lods r1,r2|none] [--max-bytes n] [--max-triangles n] [--license id] [--author name] [--source url] [--reviewer name] [--dry-run]`
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    aircraft: { type: 'string' },
+    id: { type: 'string' },
+    compression: { type: 'string', default: 'meshopt' },
+    'max-texture': { type: 'string', default: String(DEFAULT_MAX_TEXTURE) },
+    lods: { type: 'string', default: DEFAULT_LOD_RATIOS.join(',') },
+    'max-bytes': { type: 'string', default: String(DEFAULT_BUDGETS.maxBytes) },
+    'max-triangles': { type: 'string', default: String(DEFAULT_BUDGETS.maxTriangles) },
+    license: { type: 'string' },
+    author: { type: 'string' },
+    source: { type: 'string' },
+    reviewer: { type: 'string' },
+    'dry-run': { type: 'boolean', default: false }
+  }
+})
+
+function positiveInteger(name) {
+  const value = Number(options[name])
+  if (!Number.isInteger(value) || value <= 0) {
+    console.error(`--${name} must be a positive integer\n${USAGE}`)
+    process.exit(2)
+  }
+  return value
+}
+
+/* "0.25,0.05" -> [0.25, 0.05]; "none" -> []. Ratios must shrink from one level to the next. */
+function lodRatios() {
+  if (options.lods === 'none') return []
+  const ratios = options.lods.split(',').map(Number)
+  if (ratios.some((ratio, index) => !(ratio > 0 && ratio < 1) || (index > 0 && ratio >= ratios[index - 1]))) {
+    console.error(`--lods takes decreasing ratios between 0 and 1, or "none"\n${USAGE}`)
+    process.exit(2)
+  }
+  return ratios
+}
+
+function violationKey(violation) {
+  return `${violation.file}|${violation.recordId}|${violation.field}|${violation.message}`
+}
+
+function printStats(label, stats, byteLength) {
+  console.log(
+    `${label.padEnd(7)} ${formatBytes(byteLength).padStart(10)}  ` +
+      `${stats.triangles.toLocaleString('en-US')} tris, ${stats.vertices.toLocaleString('en-US')} verts, ` +
+      `${stats.meshes} meshes (${stats.primitives} primitives), ${stats.materials} materials, ` +
+      `${stats.textures} textures (${formatBytes(stats.textureBytes)}, largest ${stats.largestTexture.join('x')})`
+  )
+}
+
+async function main() {
+  const [input] = positionals
+  if (!input || !options.aircraft) {
+    console.error(USAGE)
+    process.exitCode = 2
+    return
+  }
+
+  // Manifest ids follow the aircraft id without dashes: f-15c -> f15c.
+  const id = options.id ?? options.aircraft.replace(/-/g, '')
+  const budgets = { maxBytes: positiveInteger('max-bytes'), maxTriangles: positiveInteger('max-triangles') }
+  const maxTexture = positiveInteger('max-texture')
+  const ratios = lodRatios()
+  const modelPath = `/models/verified/${id}.glb`
+  const outputFile = path.join(PUBLIC_DIR, modelPath)
+
+  const bytes = readFileSync(input)
+  const validation = await validateGlb(bytes, path.basename(input))
+  validation.messages.forEach((message) => console.log(`  ${message}`))
+  console.log(`glTF validator: ${validation.errors} error(s), ${validation.warnings} warning(s)`)
+  if (validation.errors > 0) {
+    console.log('\nRefusing to ingest an invalid GLB.')
+    process.exitCode = 1
+    return
+  }
+
+  const io = await createIO()
+  const document = await io.readBinary(new Uint8Array(bytes))
+  printStats('input', documentStats(document), bytes.byteLength)
+
+  const provenance = modelProvenance(document.getRoot().getAsset().extras, {
+    author: options.author,
+    license: options.license,
+    source: options.source,
+    reviewer: options.reviewer,
+    date: new Date().toISOString().slice(0, 10)
+  })
+  console.log(
+    `source  ${provenance.title ?? 'untitled'} by ${provenance.author ?? 'unknown author'}, ${provenance.license ?? 'no license'}, ${provenance.verification.status}`
+  )
+  // validate:data only checks licenses once the GLB is deployed, so a new model is checked here.
+  if (!provenance.license) {
+    console.log('\nRefusing to ingest a model with no license. Pass --license (for example CC-BY-4.0) once you have checked its terms.')
+    process.exitCode = 1
+    return
+  }
+
+  const proxies = await optimizeDocument(document, { compression: options.compression, maxTexture, lodRatios: ratios })
+  const output = await io.writeBinary(document)
+  const outputStats = documentStats(document)
+  printStats('output', outputStats, output.byteLength)
+
+  const lods = []
+  for (const [index, proxy] of proxies.entries()) {
+    const bytes = await io.writeBinary(proxy)
+    const stats = documentStats(proxy)
+    printStats(`lod${index + 1}`, stats, bytes.byteLength)
+    lods.push({ path: lodPath(id, index + 1), triangles: stats.triangles, bytes })
+  }
+
+  // Every optimized file must still be valid glTF, or the pipeline itself has a bug.
+  for (const [name, bytes] of [[`${id}.glb`, output], ...lods.map((lod) => [path.basename(lod.path), lod.bytes])]) {
+    const outputValidation = await validateGlb(bytes, name)
+    if (outputValidation.errors > 0) {
+      outputValidation.messages.forEach((message) => console.log(`  ${message}`))
+      console.log(`\nThe optimized ${name} failed validation; nothing written.`)
+      process.exitCode = 1
+      return
+    }
+  }
+
+  const overBudget = budgetViolations(outputStats, output.byteLength, budgets)
+  if (overBudget.length > 0) {
+    overBudget.forEach((line) => console.log(`  over budget: ${line}`))
+    console.log('\nRefusing to write. Simplify the model, lower --max-texture, or raise the budget.')
+    process.exitCode = 1
+    return
+  }
+
+  const before = { aircraft: readJson(AIRCRAFT_FILE), manifest: readJson(MANIFEST_FILE) }
+  const after = registerModel(before, {
+    id,
+    aircraftId: options.aircraft,
+    path: modelPath,
+    provenance,
+    lods: lods.map((lod) => ({ path: lod.path, triangles: lod.triangles }))
+  })
+  const existing = new Set(validateData(before).map(violationKey))
+  const introduced = validateData(after)
+    .filter((violation) => !existing.has(violationKey(violation)))
+    // The GLBs themselves are only written below.
+    .filter((violation) => !(violation.recordId === id && /^(lods\[\d+\]\.)?path$/.test(violation.field)))
+  if (introduced.length > 0) {
+    introduced.forEach((violation) => console.log(`  ${violation.file}  ${violation.recordId}  ${violation.field}  ${violation.message}`))
+    console.log('\nRefusing to register: the manifest change introduces validation violations.')
+    process.exitCode = 1
+    return
+  }
+
+  const registered = before.manifest.some((model) => model.id === id) ? 'update' : 'add'
+  const linked = after.aircraft.find((item) => item.id === options.aircraft).modelId === id
+  if (options['dry-run']) {
+    console.log(`\nDry run: would write ${relativeToRoot(outputFile)}${lods.length ? ` plus ${lods.length} LOD(s)` : ''} and ${registered} manifest entry "${id}".`)
+    return
+  }
+
+  mkdirSync(path.dirname(outputFile), { recursive: true })
+  writeFileSync(outputFile, output)
+  lods.forEach((lod) => writeFileSync(path.join(PUBLIC_DIR, lod.path), lod.bytes))
+  writeJson(MANIFEST_FILE, after.manifest)
+  if (JSON.stringify(after.aircraft) !== JSON.stringify(before.aircraft)) writeJson(AIRCRAFT_FILE, after.aircraft)
+
+  const change = Math.round((output.byteLength / bytes.byteLength - 1) * 100)
+  console.log(`\nWrote ${relativeToRoot(outputFile)} (${formatBytes(output.byteLength)}, ${Math.abs(change)}% ${change > 0 ? 'larger' : 'smaller'} than the input).`)
+  lods.forEach((lod) => console.log(`Wrote public${lod.path} (${formatBytes(lod.bytes.byteLength)}).`))
+  console.log(`Manifest: ${registered === 'add' ? 'added' : 'updated'} "${id}" for ${options.aircraft}.`)
+  if (!linked) console.log(`Note: ${options.aircraft} already points at a different modelId; left unchanged.`)
+  console.log(`Run \`npm run model:thumbnails -- ${id}\` for its catalog thumbnails (\`npm run build\` also renders missing ones).`)
+  // The viewers load Draco decoders from /draco/ (see useGLTF.setDecoderPath); meshopt needs no extra files.
+  if (options.compression === 'draco' && !existsSync(path.join(PUBLIC_DIR, 'draco'))) {
+    console.log('Warning: public/draco/ is missing, so the site cannot decode this file. Add the Draco decoders or use --compression meshopt.')
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message)
+  process.exitCode = 1
+})
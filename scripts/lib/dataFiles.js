@@ -0,0 +1,19 @@
+import { existsSync, readFileSync, writeFileSync } from 'node:fs'
+
+export function readJson(file) {
+  return JSON.parse(readFileSync(file, 'utf8'))
+}
+
+/* Matches the hand-written style of the data files: 2-space indent, numeric vectors on one line. */
+export function formatJson(value) {
+  return JSON.stringify(value, null, 2).replace(
+    /\[\n\s*(-?[\d.eE+-]+(?:,\n\s*-?[\d.eE+-]+)*)\n\s*\]/g,
+    (_, items) => `[${items.split(/,\n\s*/).join(', ')}]`
+  )
+}
+
+/* Keeps whatever trailing-newline convention the file already had. */
+export function writeJson(file, value) {
+  const trailingNewline = existsSync(file) ? readFileSync(file, 'utf8').endsWith('\n') : true
+  writeFileSync(file, formatJson(value) + (trailingNewline ? '\n' : ''))
+}
@@ -0,0 +1,49 @@
+import { existsSync, readdirSync } from 'node:fs'
+import path from 'node:path'
+import { pathToFileURL } from 'node:url'
+import { readJson, writeJson } from './dataFiles.js'
+import { MIGRATIONS_DIR, MIGRATIONS_LEDGER_FILE } from './paths.js'
+
+const MIGRATION_FILE = /^(\d{4})-[a-z0-9-]+\.js$/
+
+export function readLedger() {
+  return existsSync(MIGRATIONS_LEDGER_FILE) ? readJson(MIGRATIONS_LEDGER_FILE) : []
+}
+
+export function writeLedger(ledger) {
+  writeJson(MIGRATIONS_LEDGER_FILE, ledger)
+}
+
+/* Migrations are scripts/migrations/NNNN-name.js, run in filename order. */
+export function listMigrations() {
+  if (!existsSync(MIGRATIONS_DIR)) return []
+  return readdirSync(MIGRATIONS_DIR)
+    .filter((file) => MIGRATION_FILE.test(file))
+    .sort()
+    .map((file) => ({ id: path.basename(file, '.js'), file: path.join(MIGRATIONS_DIR, file) }))
+}
+
+export function pendingMigrations(ledger = readLedger(), migrations = listMigrations()) {
+  const applied = new Set(ledger.map((entry) => entry.id))
+  return migrations.filter((migration) => !applied.has(migration.id))
+}
+
+/*
+ * A migration module default-exports `({ aircraft, manifest }) => ({ aircraft?, manifest? })`
+ * and may export a `description` string. It receives deep copies, so mutating
+ * in place and returning them is fine; omitted keys keep their input value.
+ */
+export async function runMigration(migration, data) {
+  const module = await import(pathToFileURL(migration.file).href)
+  if (typeof module.default !== 'function') {
+    throw new Error(`${migration.id}: default export must be a function`)
+  }
+
+  const input = structuredClone(data)
+  const output = (await module.default(input)) || {}
+  return {
+    description: module.description || '',
+    aircraft: output.aircraft || input.aircraft,
+    manifest: output.manifest || input.manifest
+  }
+}
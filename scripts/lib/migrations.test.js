@@ -0,0 +1,18 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { pendingMigrations } from './migrations.js'
+
+const migrations = [
+  { id: '0001-add-notes', file: '0001-add-notes.js' },
+  { id: '0002-rename-role', file: '0002-rename-role.js' }
+]
+
+test('an applied migration is not pending again', () => {
+  assert.deepEqual(pendingMigrations([], migrations), migrations)
+
+  const ledger = [{ id: '0001-add-notes', appliedAt: '2026-10-01T00:00:00.000Z' }]
+  assert.deepEqual(pendingMigrations(ledger, migrations), [migrations[1]])
+
+  const rerun = [...ledger, { id: '0002-rename-role', appliedAt: '2026-10-02T00:00:00.000Z' }]
+  assert.deepEqual(pendingMigrations(rerun, migrations), [])
+})
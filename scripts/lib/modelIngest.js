@@ -0,0 +1,258 @@
+import { Logger, NodeIO } from '@gltf-transform/core'
+import { ALL_EXTENSIONS } from '@gltf-transform/extensions'
+import {
+  cloneDocument,
+  compactPrimitive,
+  compressTexture,
+  convertPrimitiveToTriangles,
+  dedup,
+  dequantize,
+  draco,
+  meshopt,
+  prune,
+  weld
+} from '@gltf-transform/functions'
+import draco3d from 'draco3dgltf'
+import { validateBytes } from 'gltf-validator'
+import { MeshoptDecoder, MeshoptEncoder, MeshoptSimplifier } from 'meshoptimizer'
+import sharp from 'sharp'
+
+export const COMPRESSION_MODES = ['meshopt', 'draco', 'none']
+
+// Budgets apply to the optimized output. The checked-in fighters went through this pipeline and top out at
+// 2.22 MB (f15ex) and 57,806 triangles (fa18e).
+export const DEFAULT_BUDGETS = { maxBytes: 3 * 1024 * 1024, maxTriangles: 250000 }
+export const DEFAULT_MAX_TEXTURE = 2048
+// Triangle ratios for the LOD proxies, heaviest first; the last one is what previews load.
+export const DEFAULT_LOD_RATIOS = [0.25, 0.05]
+const MIN_LOD_TEXTURE = 128
+// Simplification error limit as a fraction of each mesh's extent: loose enough for the ratios to apply.
+const LOD_MAX_ERROR = 0.1
+
+const SEVERITY = ['error', 'warning', 'info', 'hint']
+const TRIANGLES = 4
+const TRIANGLE_STRIP = 5
+const TRIANGLE_FAN = 6
+
+/* NodeIO that reads and writes every extension the pipeline can produce, compressed or not. */
+export async function createIO() {
+  await MeshoptDecoder.ready
+  await MeshoptEncoder.ready
+  return new NodeIO()
+    .setLogger(new Logger(Logger.Verbosity.WARN))
+    .registerExtensions(ALL_EXTENSIONS)
+    .registerDependencies({
+      'draco3d.decoder': await draco3d.createDecoderModule(),
+      'draco3d.encoder': await draco3d.createEncoderModule(),
+      'meshopt.decoder': MeshoptDecoder,
+      'meshopt.encoder': MeshoptEncoder
+    })
+}
+
+/*
+ * Runs the Khronos glTF validator over GLB bytes. Resolves to
+ * { errors, warnings, messages } where `messages` holds the errors and
+ * warnings as "severity CODE pointer: message" lines.
+ */
+export async function validateGlb(bytes, name = 'model.glb') {
+  const report = await validateBytes(new Uint8Array(bytes), {
+    uri: name,
+    format: 'glb',
+    maxIssues: 100,
+    // A GLB for the site must be self-contained.
+    externalResourceFunction: (uri) => Promise.reject(new Error(`external resource "${uri}" is not allowed`))
+  })
+  const messages = report.issues.messages
+    .filter((issue) => issue.severity <= 1)
+    .map((issue) => `${SEVERITY[issue.severity]} ${issue.code}${issue.pointer ? ` ${issue.pointer}` : ''}: ${issue.message}`)
+  return { errors: report.issues.numErrors, warnings: report.issues.numWarnings, messages }
+}
+
+function primitiveTriangles(primitive) {
+  const count = primitive.getIndices()?.getCount() ?? primitive.getAttribute('POSITION')?.getCount() ?? 0
+  const mode = primitive.getMode()
+  if (mode === TRIANGLES) return Math.floor(count / 3)
+  if (mode === TRIANGLE_STRIP || mode === TRIANGLE_FAN) return Math.max(count - 2, 0)
+  return 0
+}
+
+/* Mesh, primitive, triangle, vertex, material and texture counts for a glTF-Transform document. */
+export function documentStats(document) {
+  const root = document.getRoot()
+  const primitives = root.listMeshes().flatMap((mesh) => mesh.listPrimitives())
+  const textures = root.listTextures()
+
+  return {
+    meshes: root.listMeshes().length,
+    primitives: primitives.length,
+    triangles: primitives.reduce((sum, primitive) => sum + primitiveTriangles(primitive), 0),
+    vertices: primitives.reduce((sum, primitive) => sum + (primitive.getAttribute('POSITION')?.getCount() ?? 0), 0),
+    materials: root.listMaterials().length,
+    textures: textures.length,
+    textureBytes: textures.reduce((sum, texture) => sum + (texture.getImage()?.byteLength ?? 0), 0),
+    largestTexture: textures.reduce((largest, texture) => {
+      const size = texture.getSize()
+      return size && size[0] * size[1] > largest[0] * largest[1] ? size : largest
+    }, [0, 0])
+  }
+}
+
+async function resizeTextures(document, maxTexture) {
+  // Re-encoding a texture that already fits usually makes it larger, so only oversized ones are touched.
+  const oversized = document
+    .getRoot()
+    .listTextures()
+    .filter((texture) => texture.getSize()?.some((side) => side > maxTexture))
+  for (const texture of oversized) {
+    await compressTexture(texture, { encoder: sharp, resize: [maxTexture, maxTexture] })
+  }
+}
+
+/*
+ * Cuts every triangle primitive to `ratio` of its triangles. Unlike
+ * glTF-Transform's simplify() this lets meshoptimizer collapse edges across
+ * UV and normal seams: with them locked, an airframe made of many textured
+ * panels stops near half its triangles whatever the ratio.
+ */
+function simplifyProxy(ratio) {
+  return (document) => {
+    for (const mesh of document.getRoot().listMeshes()) {
+      for (const primitive of mesh.listPrimitives()) {
+        const mode = primitive.getMode()
+        if (mode === TRIANGLE_STRIP || mode === TRIANGLE_FAN) convertPrimitiveToTriangles(primitive)
+        const indices = primitive.getIndices()
+        if (primitive.getMode() !== TRIANGLES || !indices) continue
+
+        const target = Math.floor((ratio * indices.getCount()) / 3) * 3
+        const positions = primitive.getAttribute('POSITION').getArray()
+        const [simplified] = MeshoptSimplifier.simplify(new Uint32Array(indices.getArray()), positions, 3, target, LOD_MAX_ERROR, ['Permissive'])
+        if (simplified.length === 0) {
+          primitive.dispose()
+          continue
+        }
+        primitive.setIndices(document.createAccessor().setType('SCALAR').setArray(simplified).setBuffer(indices.getBuffer()))
+        compactPrimitive(primitive)
+      }
+      // A mesh with every part simplified away would be invalid glTF.
+      if (mesh.listPrimitives().length === 0) mesh.dispose()
+    }
+  }
+}
+
+async function compressGeometry(document, compression) {
+  if (compression === 'meshopt') await document.transform(meshopt({ encoder: MeshoptEncoder }))
+  if (compression === 'draco') await document.transform(draco())
+}
+
+/*
+ * Dedupes, prunes and welds the document and resizes textures to fit
+ * `maxTexture`, in place. Then builds one simplified proxy per `lodRatios`
+ * entry (textures halved per level, down to 128 px) and applies the chosen
+ * geometry compression to every level. Resolves to the proxies, heaviest first.
+ */
+export async function optimizeDocument(
+  document,
+  { compression = 'meshopt', maxTexture = DEFAULT_MAX_TEXTURE, lodRatios = DEFAULT_LOD_RATIOS } = {}
+) {
+  if (!COMPRESSION_MODES.includes(compression)) {
+    throw new Error(`unknown compression "${compression}" (expected ${COMPRESSION_MODES.join(', ')})`)
+  }
+
+  await resizeTextures(document, maxTexture)
+  await document.transform(dedup(), prune(), weld())
+
+  await MeshoptSimplifier.ready
+  const largestTexture = Math.max(0, ...document.getRoot().listTextures().flatMap((texture) => texture.getSize() ?? []))
+  const lods = []
+  for (const [index, ratio] of lodRatios.entries()) {
+    const lod = cloneDocument(document)
+    // A proxy is only ever seen small or briefly, so the texture stretching of seam collapses doesn't show.
+    await lod.transform(dequantize(), simplifyProxy(ratio), prune())
+    await resizeTextures(lod, Math.max(largestTexture >> (index + 1), MIN_LOD_TEXTURE))
+    await compressGeometry(lod, compression)
+    lods.push(lod)
+  }
+
+  await compressGeometry(document, compression)
+  return lods
+}
+
+/* Budget failures for one stats/size pair, as human readable lines; empty when within budget. */
+export function budgetViolations(stats, byteLength, { maxBytes, maxTriangles }) {
+  const violations = []
+  if (byteLength > maxBytes) violations.push(`size ${formatBytes(byteLength)} exceeds the ${formatBytes(maxBytes)} budget`)
+  if (stats.triangles > maxTriangles) {
+    violations.push(`${stats.triangles.toLocaleString('en-US')} triangles exceed the ${maxTriangles.toLocaleString('en-US')} budget`)
+  }
+  return violations
+}
+
+export function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(2)} MB`
+  return `${(bytes / 1024).toFixed(1)} KB`
+}
+
+/* Public path for a model's LOD proxy; level 0 is the full model at `/models/verified/<id>.glb`. */
+export function lodPath(id, level) {
+  return `/models/verified/${id}.lod${level}.glb`
+}
+
+// Sketchfab writes "name (url)" strings into asset.extras: "CC-BY-4.0 (http://creativecommons.org/licenses/by/4.0/)".
+function splitLabelUrl(value) {
+  if (typeof value !== 'string' || !value.trim()) return [null, null]
+  const match = /^(.*?)\s*\((https?:\/\/[^\s)]+)\)$/.exec(value.trim())
+  return match ? [match[1] || null, match[2]] : [value.trim(), null]
+}
+
+/*
+ * Manifest `provenance` from a GLB's asset.extras, where Sketchfab downloads
+ * carry title, author, license and source, with the CLI's `overrides` on top.
+ * The model is "verified" only when a reviewer signs it off, dated `date`
+ * (YYYY-MM-DD). Fields with no value are left out.
+ */
+export function modelProvenance(extras, { author, license, source, reviewer, date } = {}) {
+  const [extrasAuthor, authorUrl] = splitLabelUrl(extras?.author)
+  const [extrasLicense, licenseUrl] = splitLabelUrl(extras?.license)
+  const entries = {
+    title: typeof extras?.title === 'string' && extras.title.trim() ? extras.title.trim() : null,
+    author: author ?? extrasAuthor,
+    authorUrl: author ? null : authorUrl,
+    source: source ?? (typeof extras?.source === 'string' ? extras.source : null),
+    license: license ?? extrasLicense,
+    licenseUrl: license ? null : licenseUrl,
+    verification: reviewer ? { status: 'verified', reviewer, date } : { status: 'unverified' }
+  }
+  return Object.fromEntries(Object.entries(entries).filter(([, value]) => value))
+}
+
+/*
+ * Manifest and aircraft records with the model registered: a new manifest
+ * entry gets identity transforms, an existing one keeps its transforms and
+ * hotspots and only has its path, aircraft, provenance and LODs updated. Its
+ * thumbnails are dropped, since they show the previous GLB, and so is a
+ * `deployed: false` marker, since the GLB is about to be written. The aircraft
+ * record gets `modelId` when it has none.
+ */
+export function registerModel({ aircraft, manifest }, { id, aircraftId, path, provenance, lods = [] }) {
+  if (!aircraft.some((item) => item.id === aircraftId)) throw new Error(`no aircraft "${aircraftId}" in the catalog`)
+
+  const existing = manifest.find((model) => model.id === id)
+  const update = (model) => {
+    const { provenance: _previousProvenance, lods: _previous, thumbnails: _stale, deployed: _placeholder, hotspots, ...rest } = model
+    // Keeps `hotspots` last, where the hotspot authoring endpoint puts them.
+    return {
+      ...rest,
+      aircraftId,
+      path,
+      ...(provenance ? { provenance } : {}),
+      ...(lods.length > 0 ? { lods } : {}),
+      ...(hotspots ? { hotspots } : {})
+    }
+  }
+  const nextManifest = existing
+    ? manifest.map((model) => (model.id === id ? update(model) : model))
+    : [...manifest, update({ id, aircraftId, path, scale: 1, position: [0, 0, 0], rotation: [0, 0, 0] })]
+  const nextAircraft = aircraft.map((item) => (item.id === aircraftId && !item.modelId ? { ...item, modelId: id } : item))
+
+  return { aircraft: nextAircraft, manifest: nextManifest }
+}
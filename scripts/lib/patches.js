@@ -0,0 +1,134 @@
+import { readFileSync } from 'node:fs'
+import path from 'node:path'
+import { parse as parseYaml } from 'yaml'
+
+export const ALL_RECORDS = '*'
+const UNSET_KEY = '$unset'
+
+export function loadPatchFile(file) {
+  const source = readFileSync(file, 'utf8')
+  const extension = path.extname(file).toLowerCase()
+  const patch = extension === '.yaml' || extension === '.yml' ? parseYaml(source) : JSON.parse(source)
+
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new Error(`${file}: a patch must be an object keyed by aircraft id`)
+  }
+
+  Object.entries(patch).forEach(([id, changes]) => {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw new Error(`${file}: "${id}" must map to an object of field changes`)
+    }
+    if (UNSET_KEY in changes && !Array.isArray(changes[UNSET_KEY])) {
+      throw new Error(`${file}: "${id}.${UNSET_KEY}" must be a list of field names`)
+    }
+  })
+
+  return patch
+}
+
+function applyChanges(record, changes) {
+  const next = { ...record }
+  Object.entries(changes).forEach(([field, value]) => {
+    if (field === UNSET_KEY) return
+    next[field] = value
+  })
+  ;(changes[UNSET_KEY] || []).forEach((field) => {
+    delete next[field]
+  })
+  return next
+}
+
+/*
+ * Applies a patch object ({ [aircraftId | "*"]: { field: value, $unset: [field] } })
+ * to a list of records. "*" runs first so per-id entries can override it.
+ * Unknown ids are an error rather than a silent no-op.
+ */
+export function applyPatch(records, patch) {
+  const known = new Set(records.map((record) => record.id))
+  const unknown = Object.keys(patch).filter((id) => id !== ALL_RECORDS && !known.has(id))
+  if (unknown.length > 0) {
+    throw new Error(`patch targets unknown aircraft id(s): ${unknown.join(', ')}`)
+  }
+
+  return records.map((record) => {
+    let next = record
+    if (patch[ALL_RECORDS]) next = applyChanges(next, patch[ALL_RECORDS])
+    if (patch[record.id]) next = applyChanges(next, patch[record.id])
+    return next
+  })
+}
+
+export function addField(records, field, value, { ids = null, overwrite = false } = {}) {
+  return records.map((record) => {
+    if (ids && !ids.includes(record.id)) return record
+    // Variants inherit the new field from their parent unless explicitly targeted.
+    if (!ids && record.variantOf) return record
+    if (Object.hasOwn(record, field) && !overwrite) return record
+    return { ...record, [field]: value }
+  })
+}
+
+export function removeField(records, field, { ids = null } = {}) {
+  return records.map((record) => {
+    if (ids && !ids.includes(record.id)) return record
+    if (!Object.hasOwn(record, field)) return record
+    const next = { ...record }
+    delete next[field]
+    return next
+  })
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
+/* Field-level diff of two record lists matched by id. */
+export function diffRecords(before, after) {
+  const beforeById = new Map(before.map((record) => [record.id, record]))
+  const afterIds = new Set(after.map((record) => record.id))
+  const changes = []
+
+  after.forEach((record) => {
+    const previous = beforeById.get(record.id)
+    if (!previous) {
+      changes.push({ type: 'record-added', id: record.id })
+      return
+    }
+
+    const fields = new Set([...Object.keys(previous), ...Object.keys(record)])
+    fields.forEach((field) => {
+      const hadField = Object.hasOwn(previous, field)
+      const hasField = Object.hasOwn(record, field)
+      if (hadField && !hasField) {
+        changes.push({ type: 'removed', id: record.id, field, before: previous[field] })
+      } else if (!hadField && hasField) {
+        changes.push({ type: 'added', id: record.id, field, after: record[field] })
+      } else if (!sameValue(previous[field], record[field])) {
+        changes.push({ type: 'changed', id: record.id, field, before: previous[field], after: record[field] })
+      }
+    })
+  })
+
+  before.forEach((record) => {
+    if (!afterIds.has(record.id)) changes.push({ type: 'record-removed', id: record.id })
+  })
+
+  return changes
+}
+
+export function formatDiff(label, changes) {
+  if (changes.length === 0) return `${label}: no changes`
+
+  const lines = [`${label}: ${changes.length} change${changes.length === 1 ? '' : 's'}`]
+  changes.forEach((change) => {
+    const target = change.field ? `${change.id}.${change.field}` : change.id
+    if (change.type === 'record-added') lines.push(`  + ${target} (new record)`)
+    if (change.type === 'record-removed') lines.push(`  - ${target} (record removed)`)
+    if (change.type === 'added') lines.push(`  + ${target} = ${JSON.stringify(change.after)}`)
+    if (change.type === 'removed') lines.push(`  - ${target} (was ${JSON.stringify(change.before)})`)
+    if (change.type === 'changed') {
+      lines.push(`  ~ ${target}`, `      - ${JSON.stringify(change.before)}`, `      + ${JSON.stringify(change.after)}`)
+    }
+  })
+  return lines.join('\n')
+}
@@ -0,0 +1,47 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { addField, applyPatch } from './patches.js'
+
+const records = [
+  { id: 'f-15c', name: 'F-15C', role: 'Air superiority', notes: 'old' },
+  { id: 'f-15ex', name: 'F-15EX', role: 'Multirole', variantOf: 'f-15c' },
+  { id: 'j-20', name: 'J-20', role: 'Air superiority' }
+]
+
+test('"*" applies to every record before per-id entries override it', () => {
+  const patched = applyPatch(records, { '*': { reviewed: true, role: 'Fighter' }, 'j-20': { role: 'Stealth fighter' } })
+
+  assert.deepEqual(
+    patched.map((record) => [record.id, record.reviewed, record.role]),
+    [
+      ['f-15c', true, 'Fighter'],
+      ['f-15ex', true, 'Fighter'],
+      ['j-20', true, 'Stealth fighter']
+    ]
+  )
+  assert.equal(records[0].role, 'Air superiority')
+})
+
+test('$unset removes fields after the other changes', () => {
+  const [eagle] = applyPatch(records, { 'f-15c': { notes: 'new', $unset: ['notes', 'role'] } })
+
+  assert.deepEqual(eagle, { id: 'f-15c', name: 'F-15C' })
+})
+
+test('an unknown id is an error, not a no-op', () => {
+  assert.throws(() => applyPatch(records, { 'f-99': { role: 'x' } }), /unknown aircraft id\(s\): f-99/)
+})
+
+test('add-field keeps existing values unless told to overwrite', () => {
+  const added = addField(records, 'notes', 'added')
+  assert.deepEqual(
+    added.map((record) => record.notes),
+    ['old', undefined, 'added']
+  )
+
+  const overwritten = addField(records, 'notes', 'added', { overwrite: true })
+  assert.equal(overwritten[0].notes, 'added')
+
+  const targeted = addField(records, 'notes', 'added', { ids: ['f-15ex'] })
+  assert.equal(targeted[1].notes, 'added')
+})
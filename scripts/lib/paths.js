@@ -0,0 +1,19 @@
+import { fileURLToPath } from 'node:url'
+import path from 'node:path'
+
+export const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..')
+export const DATA_DIR = path.join(ROOT_DIR, 'src', 'data')
+export const PUBLIC_DIR = path.join(ROOT_DIR, 'public')
+
+export const AIRCRAFT_FILE = path.join(DATA_DIR, 'aircraft.json')
+export const MANIFEST_FILE = path.join(DATA_DIR, 'models.manifest.json')
+export const FAMILIES_FILE = path.join(DATA_DIR, 'families.json')
+export const WIKI_SNAPSHOT_FILE = path.join(DATA_DIR, 'wiki.snapshot.json')
+export const WIKI_IMAGE_DIR = path.join(PUBLIC_DIR, 'wiki')
+export const THUMBNAIL_DIR = path.join(PUBLIC_DIR, 'thumbnails')
+export const MIGRATIONS_LEDGER_FILE = path.join(DATA_DIR, 'migrations.json')
+export const MIGRATIONS_DIR = path.join(ROOT_DIR, 'scripts', 'migrations')
+
+export function relativeToRoot(file) {
+  return path.relative(ROOT_DIR, file).split(path.sep).join('/')
+}
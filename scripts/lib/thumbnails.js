@@ -0,0 +1,517 @@
+/*
+ * Software renderer for catalog thumbnails. A manifest model is drawn on the
+ * CPU (no browser or GPU needed) from one fixed camera angle: a studio-lit
+ * colour pass, and optionally a green-on-black wireframe of a simplified copy.
+ *
+ * three.js only draws through WebGL, which Node lacks; headless-gl and headless
+ * browsers fetch native binaries from outside the npm registry. Rasterizing
+ * here keeps `model:thumbnails` installable from npm alone, and three still
+ * does the maths.
+ */
+import { cloneDocument, simplify, weld } from '@gltf-transform/functions'
+import { MeshoptSimplifier } from 'meshoptimizer'
+import sharp from 'sharp'
+import { Box3, Euler, Matrix3, Matrix4, Quaternion, Vector3 } from 'three'
+import { calibrateModel } from '../../src/lib/modelScale.js'
+import { documentStats } from './modelIngest.js'
+
+export const THUMBNAIL_FORMATS = ['webp', 'png']
+export const DEFAULT_THUMBNAIL_WIDTH = 640
+
+const ASPECT = 16 / 9
+// Rendered at twice the size and scaled down, which antialiases the edges.
+const SUPERSAMPLE = 2
+const FIT_MARGIN = 0.06
+// The model viewer's default camera direction ([3.1, 1.7, 4]), taken after the fuselage is turned onto Z.
+const VIEW_DIRECTION = new Vector3(3.1, 1.7, 4).normalize()
+const CAMERA_DISTANCE_RADII = 3
+// Textures only need to resolve at thumbnail size.
+const MAX_TEXTURE = 1024
+// Wireframes are drawn from a copy simplified to about this many triangles, so the edges stay legible.
+const WIREFRAME_TRIANGLES = 6000
+const TRIANGLES = 4
+
+// Studio rig in camera space (x right, y up, z away from the camera): key top left, fill right, rim behind.
+const LIGHTS = [
+  { direction: [-0.55, 0.65, -0.5], intensity: 1.15, specular: 0.25 },
+  { direction: [0.8, 0.1, -0.45], intensity: 0.35, specular: 0 },
+  { direction: [0.25, 0.55, 0.8], intensity: 0.6, specular: 0 }
+]
+const AMBIENT_SKY = 0.22
+const AMBIENT_GROUND = 0.08
+const EXPOSURE = 0.8
+const BACKDROP_CENTER = [0.032, 0.036, 0.032]
+const BACKDROP_EDGE = [0.002, 0.003, 0.002]
+const WIRE_FILL = [0, 0.012, 0]
+const WIRE_EDGE = [0, 1, 0]
+
+const SRGB_TO_LINEAR = Float32Array.from({ length: 256 }, (_, value) => {
+  const channel = value / 255
+  return channel <= 0.04045 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4
+})
+
+// Filmic curve (ACES fit) so white, untextured airframes keep their shading instead of clipping.
+function toneMap(channel) {
+  const exposed = channel * EXPOSURE
+  return (exposed * (2.51 * exposed + 0.03)) / (exposed * (2.43 * exposed + 0.59) + 0.14)
+}
+
+function linearToSrgb(channel) {
+  const clamped = Math.min(Math.max(channel, 0), 1)
+  const encoded = clamped <= 0.0031308 ? clamped * 12.92 : 1.055 * clamped ** (1 / 2.4) - 0.055
+  return Math.round(encoded * 255)
+}
+
+/* Public paths for a model's thumbnails, served from public/thumbnails/. */
+export function thumbnailPaths(id, format = 'webp') {
+  return { studio: `/thumbnails/${id}.${format}`, wireframe: `/thumbnails/${id}.wire.${format}` }
+}
+
+/*
+ * The manifest entry with `thumbnails` set, or removed when null. It goes
+ * after the transforms, ahead of `lods` and `hotspots`.
+ */
+export function withThumbnails(model, thumbnails) {
+  const { thumbnails: _previous, lods, hotspots, ...rest } = model
+  return { ...rest, ...(thumbnails ? { thumbnails } : {}), ...(lods ? { lods } : {}), ...(hotspots ? { hotspots } : {}) }
+}
+
+async function decodeTexture(texture) {
+  const image = texture.getImage()
+  if (!image) return null
+  try {
+    const { data, info } = await sharp(image)
+      .resize(MAX_TEXTURE, MAX_TEXTURE, { fit: 'inside', withoutEnlargement: true })
+      .ensureAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true })
+    return { data, width: info.width, height: info.height }
+  } catch {
+    // GPU formats such as KTX2 don't decode here; the base colour factor stands in.
+    return null
+  }
+}
+
+/*
+ * Base colour factor and texture. Older exports keep them in the
+ * KHR_materials_pbrSpecularGlossiness diffuse, which three.js no longer
+ * reads, so the thumbnail can show the paint the viewer draws white.
+ */
+function baseColor(material) {
+  const specularGlossiness = material?.getExtension('KHR_materials_pbrSpecularGlossiness')
+  if (specularGlossiness) {
+    return {
+      color: specularGlossiness.getDiffuseFactor(),
+      texture: specularGlossiness.getDiffuseTexture(),
+      textureInfo: specularGlossiness.getDiffuseTextureInfo()
+    }
+  }
+  return {
+    color: material?.getBaseColorFactor() ?? [1, 1, 1, 1],
+    texture: material?.getBaseColorTexture() ?? null,
+    textureInfo: material?.getBaseColorTextureInfo() ?? null
+  }
+}
+
+/*
+ * Every triangle primitive of the default scene in world space, with the
+ * manifest transform applied on top of the node transforms.
+ */
+async function collectMeshes(document, rootMatrix, { textures = true } = {}) {
+  const root = document.getRoot()
+  const scene = root.getDefaultScene() ?? root.listScenes()[0]
+  const nodes = []
+  scene?.traverse((node) => {
+    if (node.getMesh()) nodes.push(node)
+  })
+
+  const decoded = new Map()
+  const meshes = []
+  const element = []
+  const vector = new Vector3()
+  for (const node of nodes) {
+    const matrix = new Matrix4().fromArray(node.getWorldMatrix()).premultiply(rootMatrix)
+    const normalMatrix = new Matrix3().getNormalMatrix(matrix)
+
+    for (const primitive of node.getMesh().listPrimitives()) {
+      const position = primitive.getAttribute('POSITION')
+      if (!position || primitive.getMode() !== TRIANGLES) continue
+      const count = position.getCount()
+
+      const positions = new Float32Array(count * 3)
+      for (let index = 0; index < count; index += 1) {
+        vector.fromArray(position.getElement(index, element)).applyMatrix4(matrix).toArray(positions, index * 3)
+      }
+
+      const normal = primitive.getAttribute('NORMAL')
+      let normals = null
+      if (normal) {
+        normals = new Float32Array(count * 3)
+        for (let index = 0; index < count; index += 1) {
+          vector.fromArray(normal.getElement(index, element)).applyMatrix3(normalMatrix).normalize().toArray(normals, index * 3)
+        }
+      }
+
+      const material = primitive.getMaterial()
+      const { color, texture, textureInfo } = baseColor(material)
+      if (textures && texture && !decoded.has(texture)) decoded.set(texture, await decodeTexture(texture))
+      const image = textures && texture ? decoded.get(texture) : null
+      const uv = image ? primitive.getAttribute(`TEXCOORD_${textureInfo?.getTexCoord() ?? 0}`) : null
+      let uvs = null
+      if (uv) {
+        uvs = new Float32Array(count * 2)
+        const pair = []
+        for (let index = 0; index < count; index += 1) uvs.set(uv.getElement(index, pair), index * 2)
+      }
+
+      const indices = primitive.getIndices()?.getArray() ?? Uint32Array.from({ length: count }, (_, index) => index)
+      meshes.push({
+        positions,
+        normals,
+        uvs,
+        indices,
+        image: uvs ? image : null,
+        color,
+        alphaMode: material?.getAlphaMode() ?? 'OPAQUE',
+        alphaCutoff: material?.getAlphaCutoff() ?? 0.5,
+        doubleSided: material?.getDoubleSided() ?? false,
+        // A mirroring transform flips the winding, and with it which side faces front.
+        mirrored: matrix.determinant() < 0
+      })
+    }
+  }
+  return meshes
+}
+
+
+function manifestMatrix(model) {
+  const scale = Array.isArray(model.scale) ? new Vector3().fromArray(model.scale) : new Vector3().setScalar(model.scale ?? 1)
+  const rotation = new Quaternion().setFromEuler(new Euler().fromArray(model.rotation ?? [0, 0, 0]))
+  return new Matrix4().compose(new Vector3().fromArray(model.position ?? [0, 0, 0]), rotation, scale)
+}
+
+/*
+ * The standard camera: VIEW_DIRECTION relative to the airframe with its
+ * fuselage on Z (see calibrateModel), then zoomed and shifted until the
+ * projected model fills the frame.
+ */
+function createCamera(meshes, aircraft, width, height) {
+  const box = new Box3()
+  const point = new Vector3()
+  meshes.forEach((mesh) => {
+    for (let offset = 0; offset < mesh.positions.length; offset += 3) box.expandByPoint(point.fromArray(mesh.positions, offset))
+  })
+  if (box.isEmpty()) throw new Error('the model has no triangles to draw')
+
+  const size = box.getSize(new Vector3())
+  const center = box.getCenter(new Vector3())
+  const direction = VIEW_DIRECTION.clone()
+  // Turning the camera the other way is the same as turning the fuselage from X onto Z.
+  if (calibrateModel(size, aircraft ?? {}).lengthAxis === 'x') direction.applyAxisAngle(new Vector3(0, 1, 0), -Math.PI / 2)
+
+  const eye = center.clone().addScaledVector(direction, (size.length() / 2) * CAMERA_DISTANCE_RADII)
+  const forward = center.clone().sub(eye).normalize()
+  const right = new Vector3().crossVectors(forward, new Vector3(0, 1, 0)).normalize()
+  const up = new Vector3().crossVectors(right, forward)
+
+  const bounds = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity }
+  meshes.forEach((mesh) => {
+    for (let offset = 0; offset < mesh.positions.length; offset += 3) {
+      point.fromArray(mesh.positions, offset).sub(eye)
+      const depth = point.dot(forward)
+      const x = point.dot(right) / depth
+      const y = point.dot(up) / depth
+      bounds.minX = Math.min(bounds.minX, x)
+      bounds.maxX = Math.max(bounds.maxX, x)
+      bounds.minY = Math.min(bounds.minY, y)
+      bounds.maxY = Math.max(bounds.maxY, y)
+    }
+  })
+  const zoom = Math.min(
+    (width * (1 - 2 * FIT_MARGIN)) / (bounds.maxX - bounds.minX || 1),
+    (height * (1 - 2 * FIT_MARGIN)) / (bounds.maxY - bounds.minY || 1)
+  )
+
+  return { eye, forward, right, up, zoom, centerX: (bounds.minX + bounds.maxX) / 2, centerY: (bounds.minY + bounds.maxY) / 2, width, height }
+}
+
+/* Screen x, y (pixels, y down) and 1/depth for every vertex of a mesh. */
+function project(mesh, camera) {
+  const { eye, forward, right, up, zoom, centerX, centerY, width, height } = camera
+  const { positions } = mesh
+  const screen = new Float32Array(positions.length)
+  for (let offset = 0; offset < positions.length; offset += 3) {
+    const x = positions[offset] - eye.x
+    const y = positions[offset + 1] - eye.y
+    const z = positions[offset + 2] - eye.z
+    const depth = x * forward.x + y * forward.y + z * forward.z
+    screen[offset] = width / 2 + ((x * right.x + y * right.y + z * right.z) / depth - centerX) * zoom
+    screen[offset + 1] = height / 2 - ((x * up.x + y * up.y + z * up.z) / depth - centerY) * zoom
+    screen[offset + 2] = 1 / depth
+  }
+  return screen
+}
+
+function createFrame(width, height) {
+  // depth holds 1/depth, so 0 is empty and larger is nearer.
+  return { width, height, depth: new Float32Array(width * height), color: new Float32Array(width * height * 3) }
+}
+
+/*
+ * Rasterizes one triangle (vertex indices into `screen`). `fragment(pixel, wa,
+ * wb, wc)` gets perspective-correct weights and returns false to discard the
+ * pixel. `cull` is 1 to drop back faces, -1 when the mesh is mirrored, 0 for
+ * double-sided materials.
+ */
+function fillTriangle(frame, screen, a, b, c, cull, fragment, writeDepth = true) {
+  const ax = screen[a * 3]
+  const ay = screen[a * 3 + 1]
+  const az = screen[a * 3 + 2]
+  const bx = screen[b * 3]
+  const by = screen[b * 3 + 1]
+  const bz = screen[b * 3 + 2]
+  const cx = screen[c * 3]
+  const cy = screen[c * 3 + 1]
+  const cz = screen[c * 3 + 2]
+
+  const area = (bx - ax) * (cy - ay) - (by - ay) * (cx - ax)
+  // Front faces wind counter-clockwise in glTF, which is a negative area once y points down.
+  if (area === 0 || area * cull > 0) return
+
+  const { width, height, depth } = frame
+  const minX = Math.max(0, Math.floor(Math.min(ax, bx, cx)))
+  const maxX = Math.min(width - 1, Math.ceil(Math.max(ax, bx, cx)))
+  const minY = Math.max(0, Math.floor(Math.min(ay, by, cy)))
+  const maxY = Math.min(height - 1, Math.ceil(Math.max(ay, by, cy)))
+
+  for (let y = minY; y <= maxY; y += 1) {
+    const py = y + 0.5
+    for (let x = minX; x <= maxX; x += 1) {
+      const px = x + 0.5
+      const wa = ((bx - px) * (cy - py) - (by - py) * (cx - px)) / area
+      const wb = ((cx - px) * (ay - py) - (cy - py) * (ax - px)) / area
+      const wc = 1 - wa - wb
+      if (wa < 0 || wb < 0 || wc < 0) continue
+
+      const inverseDepth = wa * az + wb * bz + wc * cz
+      const pixel = y * width + x
+      if (inverseDepth <= depth[pixel]) continue
+      if (fragment(pixel, (wa * az) / inverseDepth, (wb * bz) / inverseDepth, (wc * cz) / inverseDepth) === false) continue
+      if (writeDepth) depth[pixel] = inverseDepth
+    }
+  }
+}
+
+function sampleTexture(image, u, v, out) {
+  const x = Math.min(image.width - 1, Math.floor((u - Math.floor(u)) * image.width))
+  const y = Math.min(image.height - 1, Math.floor((v - Math.floor(v)) * image.height))
+  const offset = (y * image.width + x) * 4
+  out[0] = SRGB_TO_LINEAR[image.data[offset]]
+  out[1] = SRGB_TO_LINEAR[image.data[offset + 1]]
+  out[2] = SRGB_TO_LINEAR[image.data[offset + 2]]
+  out[3] = image.data[offset + 3] / 255
+}
+
+function paintBackdrop(frame) {
+  const { width, height, color } = frame
+  const halfDiagonal = Math.hypot(width, height) / 2
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const t = Math.min(1, Math.hypot(x - width / 2, y - height / 2) / halfDiagonal)
+      const offset = (y * width + x) * 3
+      for (let channel = 0; channel < 3; channel += 1) {
+        color[offset + channel] = BACKDROP_CENTER[channel] + (BACKDROP_EDGE[channel] - BACKDROP_CENTER[channel]) * t
+      }
+    }
+  }
+}
+
+function cameraLights(camera) {
+  return LIGHTS.map((light) => {
+    const [x, y, z] = light.direction
+    const direction = new Vector3().addScaledVector(camera.right, x).addScaledVector(camera.up, y).addScaledVector(camera.forward, z).normalize()
+    return { ...light, direction, half: direction.clone().sub(camera.forward).normalize() }
+  })
+}
+
+/* Base colour, textures, alpha modes and Lambert + Blinn shading from the studio rig. */
+function drawStudio(frame, meshes, camera) {
+  paintBackdrop(frame)
+  const lights = cameraLights(camera)
+  const { forward } = camera
+  const texel = new Float32Array(4)
+  const normal = new Vector3()
+  const edgeA = new Vector3()
+  const edgeB = new Vector3()
+
+  // Opaque and masked surfaces first; blended ones (canopies) go over them without writing depth.
+  const passes = [meshes.filter((mesh) => mesh.alphaMode !== 'BLEND'), meshes.filter((mesh) => mesh.alphaMode === 'BLEND')]
+  passes.forEach((pass, passIndex) => {
+    pass.forEach((mesh) => {
+      const { positions, normals, uvs, indices, image, color: factor } = mesh
+      const screen = project(mesh, camera)
+      const cull = mesh.doubleSided ? 0 : mesh.mirrored ? -1 : 1
+      const blend = passIndex === 1
+
+      for (let corner = 0; corner + 2 < indices.length; corner += 3) {
+        const a = indices[corner]
+        const b = indices[corner + 1]
+        const c = indices[corner + 2]
+        if (!normals) {
+          edgeA.fromArray(positions, b * 3).sub(normal.fromArray(positions, a * 3))
+          edgeB.fromArray(positions, c * 3).sub(normal)
+          normal.crossVectors(edgeA, edgeB).normalize()
+        }
+
+        fillTriangle(
+          frame,
+          screen,
+          a,
+          b,
+          c,
+          cull,
+          (pixel, wa, wb, wc) => {
+            let red = factor[0]
+            let green = factor[1]
+            let blue = factor[2]
+            let alpha = factor[3]
+            if (image) {
+              sampleTexture(image, wa * uvs[a * 2] + wb * uvs[b * 2] + wc * uvs[c * 2], wa * uvs[a * 2 + 1] + wb * uvs[b * 2 + 1] + wc * uvs[c * 2 + 1], texel)
+              red *= texel[0]
+              green *= texel[1]
+              blue *= texel[2]
+              alpha *= texel[3]
+            }
+            if (mesh.alphaMode === 'MASK' && alpha < mesh.alphaCutoff) return false
+
+            if (normals) {
+              normal.set(
+                wa * normals[a * 3] + wb * normals[b * 3] + wc * normals[c * 3],
+                wa * normals[a * 3 + 1] + wb * normals[b * 3 + 1] + wc * normals[c * 3 + 1],
+                wa * normals[a * 3 + 2] + wb * normals[b * 3 + 2] + wc * normals[c * 3 + 2]
+              ).normalize()
+            }
+            // Shade whichever side faces the camera.
+            const facing = normal.dot(forward) > 0 ? -1 : 1
+            let diffuse = AMBIENT_GROUND + (AMBIENT_SKY - AMBIENT_GROUND) * (normal.y * facing * 0.5 + 0.5)
+            let specular = 0
+            for (const light of lights) {
+              const lambert = normal.dot(light.direction) * facing
+              if (lambert <= 0) continue
+              diffuse += light.intensity * lambert
+              if (light.specular) specular += light.specular * Math.max(0, normal.dot(light.half) * facing) ** 32
+            }
+
+            const offset = pixel * 3
+            const coverage = blend ? alpha : 1
+            frame.color[offset] += (red * diffuse + specular - frame.color[offset]) * coverage
+            frame.color[offset + 1] += (green * diffuse + specular - frame.color[offset + 1]) * coverage
+            frame.color[offset + 2] += (blue * diffuse + specular - frame.color[offset + 2]) * coverage
+            return true
+          },
+          !blend
+        )
+      }
+    })
+  })
+}
+
+/* A copy with only positions, welded across UV seams and simplified to about WIREFRAME_TRIANGLES. */
+async function wireframeDocument(document) {
+  const copy = cloneDocument(document)
+  copy
+    .getRoot()
+    .listMeshes()
+    .flatMap((mesh) => mesh.listPrimitives())
+    .forEach((primitive) => primitive.listSemantics().forEach((semantic) => semantic !== 'POSITION' && primitive.setAttribute(semantic, null)))
+  await copy.transform(weld())
+
+  const ratio = WIREFRAME_TRIANGLES / Math.max(documentStats(copy).triangles, 1)
+  if (ratio < 1) {
+    await MeshoptSimplifier.ready
+    await copy.transform(simplify({ simplifier: MeshoptSimplifier, ratio, error: 0.01 }))
+  }
+  return copy
+}
+
+// Relative 1/depth slack that lets an edge show on the surface it bounds.
+const EDGE_DEPTH_TOLERANCE = 0.004
+
+/* Dim silhouette fill, then every triangle edge that isn't hidden behind a surface. */
+function drawWireframe(frame, meshes, camera) {
+  const { width, height, depth, color } = frame
+  meshes.forEach((mesh) => {
+    const screen = project(mesh, camera)
+    const { indices } = mesh
+    for (let corner = 0; corner + 2 < indices.length; corner += 3) {
+      fillTriangle(frame, screen, indices[corner], indices[corner + 1], indices[corner + 2], 0, (pixel) => {
+        color.set(WIRE_FILL, pixel * 3)
+        return true
+      })
+    }
+  })
+
+  meshes.forEach((mesh) => {
+    const screen = project(mesh, camera)
+    const { indices } = mesh
+    const vertexCount = mesh.positions.length / 3
+    const drawn = new Set()
+    for (let corner = 0; corner + 2 < indices.length; corner += 3) {
+      for (const [from, to] of [
+        [indices[corner], indices[corner + 1]],
+        [indices[corner + 1], indices[corner + 2]],
+        [indices[corner + 2], indices[corner]]
+      ]) {
+        const key = Math.min(from, to) * vertexCount + Math.max(from, to)
+        if (drawn.has(key)) continue
+        drawn.add(key)
+
+        const [ax, ay, az] = screen.subarray(from * 3, from * 3 + 3)
+        const [bx, by, bz] = screen.subarray(to * 3, to * 3 + 3)
+        const steps = Math.max(1, Math.ceil(Math.max(Math.abs(bx - ax), Math.abs(by - ay))))
+        for (let step = 0; step <= steps; step += 1) {
+          const t = step / steps
+          const x = Math.floor(ax + (bx - ax) * t)
+          const y = Math.floor(ay + (by - ay) * t)
+          if (x < 0 || y < 0 || x >= width || y >= height) continue
+          const pixel = y * width + x
+          if (az + (bz - az) * t >= depth[pixel] * (1 - EDGE_DEPTH_TOLERANCE)) color.set(WIRE_EDGE, pixel * 3)
+        }
+      }
+    }
+  })
+}
+
+function encodeFrame(frame, width, height, format, { filmic = false } = {}) {
+  const pixels = Buffer.alloc(frame.width * frame.height * 3)
+  frame.color.forEach((channel, index) => {
+    pixels[index] = linearToSrgb(filmic ? toneMap(channel) : channel)
+  })
+  const image = sharp(pixels, { raw: { width: frame.width, height: frame.height, channels: 3 } }).resize(width, height)
+  return (format === 'png' ? image.png({ compressionLevel: 9 }) : image.webp({ quality: 80 })).toBuffer()
+}
+
+/*
+ * Renders a manifest model from its glTF-Transform document. `model` is the
+ * manifest entry (for its transform) and `aircraft` its record (for the
+ * fuselage axis). Resolves to { studio, wireframe } image buffers in
+ * `format`, `width` wide at 16:9; `wireframe` is null unless asked for.
+ */
+export async function renderThumbnails(document, { model, aircraft, width = DEFAULT_THUMBNAIL_WIDTH, format = 'webp', wireframe = true }) {
+  if (!THUMBNAIL_FORMATS.includes(format)) throw new Error(`unknown format "${format}" (expected ${THUMBNAIL_FORMATS.join(', ')})`)
+  const height = Math.round(width / ASPECT)
+  const rootMatrix = manifestMatrix(model)
+
+  const meshes = await collectMeshes(document, rootMatrix)
+  const camera = createCamera(meshes, aircraft, width * SUPERSAMPLE, height * SUPERSAMPLE)
+  const studioFrame = createFrame(camera.width, camera.height)
+  drawStudio(studioFrame, meshes, camera)
+  const studio = await encodeFrame(studioFrame, width, height, format, { filmic: true })
+  if (!wireframe) return { studio, wireframe: null }
+
+  // Same camera as the studio pass, so the two line up.
+  const wireMeshes = await collectMeshes(await wireframeDocument(document), rootMatrix, { textures: false })
+  const wireFrame = createFrame(camera.width, camera.height)
+  drawWireframe(wireFrame, wireMeshes, camera)
+  return { studio, wireframe: await encodeFrame(wireFrame, width, height, format) }
+}
@@ -0,0 +1,412 @@
+import { existsSync } from 'node:fs'
+import path from 'node:path'
+import Ajv from 'ajv'
+import addFormats from 'ajv-formats'
+import { readJson } from './dataFiles.js'
+import { ancestryOf } from '../../src/lib/families.js'
+import { REVISION_FIELDS, revisionYear, sortedRevisions } from '../../src/lib/history.js'
+import { isFallbackPath, modelPathCandidates } from '../../src/lib/models.js'
+import { AIRCRAFT_FILE, DATA_DIR, FAMILIES_FILE, MANIFEST_FILE, PUBLIC_DIR, relativeToRoot } from './paths.js'
+
+const SCHEMA_DIR = path.join(DATA_DIR, 'schema')
+
+function createValidators() {
+  // strictRequired would reject the variant if/then/else in aircraft.schema.json (required lists outside "properties").
+  const ajv = new Ajv({ allErrors: true, strict: true, strictRequired: false, verbose: true })
+  addFormats(ajv)
+  return {
+    aircraft: ajv.compile(readJson(path.join(SCHEMA_DIR, 'aircraft.schema.json'))),
+    manifest: ajv.compile(readJson(path.join(SCHEMA_DIR, 'models.manifest.schema.json'))),
+    families: ajv.compile(readJson(path.join(SCHEMA_DIR, 'families.schema.json')))
+  }
+}
+
+/* "/3/references/1/url" -> { index: 3, field: "references[1].url" } */
+function splitInstancePath(instancePath) {
+  const [index, ...rest] = instancePath.split('/').filter(Boolean)
+  const field = rest.reduce((label, part) => {
+    if (/^\d+$/.test(part)) return `${label}[${part}]`
+    return label ? `${label}.${part}` : part
+  }, '')
+  return { index: index === undefined ? null : Number(index), field }
+}
+
+function recordLabel(records, index) {
+  if (index === null) return '-'
+  const id = records[index]?.id
+  return typeof id === 'string' && id ? id : `#${index}`
+}
+
+function describeSchemaError(error) {
+  const { keyword, params, message } = error
+  if (keyword === 'additionalProperties') return `unknown field "${params.additionalProperty}"`
+  if (keyword === 'required') return `missing required field "${params.missingProperty}"`
+  if (keyword === 'type') return `expected ${params.type}, got ${JSON.stringify(error.data)}`
+  if (keyword === 'oneOf') return `invalid value ${JSON.stringify(error.data)}`
+  return `${message}${error.data === undefined ? '' : ` (got ${JSON.stringify(error.data)})`}`
+}
+
+function schemaViolations(validate, records, file) {
+  if (validate(records)) return []
+
+  // oneOf branches each report their own failure; keep only the summary line.
+  const oneOfPaths = new Set(validate.errors.filter((error) => error.keyword === 'oneOf').map((error) => error.instancePath))
+  const seen = new Set()
+  return validate.errors
+    .filter((error) => {
+      // "must match then/else schema" and "property name must be valid" only repeat the errors they wrap.
+      if (error.keyword === 'if' || error.keyword === 'propertyNames') return false
+      if (error.keyword !== 'oneOf' && oneOfPaths.has(error.instancePath)) return false
+      const key = `${error.instancePath}|${error.keyword}|${error.params?.missingProperty || error.params?.additionalProperty || ''}`
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+    .map((error) => {
+      const { index, field } = splitInstancePath(error.instancePath)
+      const missing = error.params?.missingProperty || error.params?.additionalProperty
+      return {
+        file,
+        recordId: recordLabel(records, index),
+        field: missing ? [field, missing].filter(Boolean).join('.') : field || '-',
+        message: describeSchemaError(error)
+      }
+    })
+}
+
+function duplicateViolations(records, file) {
+  const seen = new Map()
+  const violations = []
+
+  records.forEach((record, index) => {
+    if (typeof record?.id !== 'string') return
+    if (seen.has(record.id)) {
+      violations.push({
+        file,
+        recordId: record.id,
+        field: 'id',
+        message: `duplicate id (records #${seen.get(record.id)} and #${index})`
+      })
+      return
+    }
+    seen.set(record.id, index)
+  })
+
+  return violations
+}
+
+function crossFileViolations(aircraft, manifest, files, publicDir) {
+  const violations = []
+  const aircraftById = new Map(aircraft.map((item) => [item?.id, item]))
+  const modelsById = new Map(manifest.map((item) => [item?.id, item]))
+
+  aircraft.forEach((item) => {
+    if (typeof item?.modelId !== 'string') return
+    const model = modelsById.get(item.modelId)
+    if (!model) {
+      violations.push({
+        file: files.aircraft,
+        recordId: item.id,
+        field: 'modelId',
+        message: `"${item.modelId}" has no entry in ${files.manifest}`
+      })
+    } else if (model.aircraftId !== item.id) {
+      violations.push({
+        file: files.aircraft,
+        recordId: item.id,
+        field: 'modelId',
+        message: `"${item.modelId}" is registered to aircraft "${model.aircraftId}"`
+      })
+    }
+  })
+
+  manifest.forEach((model) => {
+    if (typeof model?.aircraftId === 'string' && !aircraftById.has(model.aircraftId)) {
+      violations.push({
+        file: files.manifest,
+        recordId: model.id,
+        field: 'aircraftId',
+        message: `"${model.aircraftId}" has no record in ${files.aircraft}`
+      })
+    }
+
+    // The viewer falls back to the archived placeholder, so either file deploys the model.
+    const found = modelPathCandidates(model?.path).find((candidate) => existsSync(path.join(publicDir, candidate)))
+    if (model?.deployed === false && found) {
+      violations.push({
+        file: files.manifest,
+        recordId: model.id,
+        field: 'deployed',
+        message: `marked not deployed, but public${found} exists`
+      })
+    } else if (typeof model?.path === 'string' && model.deployed !== false && !found) {
+      violations.push({
+        file: files.manifest,
+        recordId: model.id,
+        field: 'path',
+        message: `no GLB at public${model.path} or its /models/unverified/ fallback (set "deployed": false until there is one)`
+      })
+    }
+
+    Object.entries(model?.thumbnails ?? {}).forEach(([variant, image]) => {
+      if (typeof image === 'string' && !existsSync(path.join(publicDir, image))) {
+        violations.push({ file: files.manifest, recordId: model.id, field: `thumbnails.${variant}`, message: `no image at public${image}` })
+      }
+    })
+
+    if (Array.isArray(model?.lods)) {
+      model.lods.forEach((lod, index) => {
+        if (typeof lod?.path !== 'string') return
+        if (lod.path === model.path) {
+          violations.push({ file: files.manifest, recordId: model.id, field: `lods[${index}].path`, message: 'a LOD cannot reuse the full model path' })
+        } else if (!existsSync(path.join(publicDir, lod.path))) {
+          violations.push({ file: files.manifest, recordId: model.id, field: `lods[${index}].path`, message: `no GLB at public${lod.path}` })
+        }
+      })
+    }
+  })
+
+  return violations
+}
+
+/*
+ * Every deployed model (its GLB, or the archived fallback the viewer would
+ * load instead, is in public/) needs a license on record. An archived
+ * placeholder path cannot be marked verified.
+ */
+function modelLicenseViolations(manifest, files, publicDir) {
+  const violations = []
+
+  manifest.forEach((model) => {
+    const deployed = modelPathCandidates(model?.path).some((candidate) => existsSync(path.join(publicDir, candidate)))
+    if (deployed && typeof model.provenance?.license !== 'string') {
+      violations.push({ file: files.manifest, recordId: model.id, field: 'provenance.license', message: 'a deployed model needs a license on record' })
+    }
+
+    if (isFallbackPath(model?.path) && model.provenance?.verification?.status === 'verified') {
+      violations.push({
+        file: files.manifest,
+        recordId: model.id,
+        field: 'provenance.verification.status',
+        message: 'a model under /models/unverified/ cannot be marked verified'
+      })
+    }
+  })
+
+  return violations
+}
+
+/* Hotspot ids only need to be unique within their model. */
+function hotspotViolations(manifest, files) {
+  const violations = []
+
+  manifest.forEach((model) => {
+    if (!Array.isArray(model?.hotspots)) return
+    const seen = new Set()
+    model.hotspots.forEach((hotspot, index) => {
+      if (typeof hotspot?.id !== 'string') return
+      if (seen.has(hotspot.id)) {
+        violations.push({
+          file: files.manifest,
+          recordId: model.id,
+          field: `hotspots[${index}].id`,
+          message: `duplicate hotspot id "${hotspot.id}"`
+        })
+      }
+      seen.add(hotspot.id)
+    })
+  })
+
+  return violations
+}
+
+function familyViolations(aircraft, families, files) {
+  const violations = []
+  const aircraftById = new Map(aircraft.map((item) => [item?.id, item]))
+  const familyIds = new Set(families.map((family) => family?.id))
+  const usedFamilies = new Set()
+
+  aircraft.forEach((item) => {
+    if (typeof item?.family === 'string') {
+      usedFamilies.add(item.family)
+      if (!familyIds.has(item.family)) {
+        violations.push({
+          file: files.aircraft,
+          recordId: item.id,
+          field: 'family',
+          message: `"${item.family}" has no entry in ${files.families}`
+        })
+      }
+    }
+
+    if (typeof item?.variantOf !== 'string') return
+    if (item.variantOf === item.id) {
+      violations.push({ file: files.aircraft, recordId: item.id, field: 'variantOf', message: 'a record cannot be a variant of itself' })
+      return
+    }
+    try {
+      const chain = ancestryOf(aircraftById, item.id)
+      // Inherited families are fine; only an explicit mismatch with the parent's family is suspicious.
+      const parentFamily = chain.slice(1).map((id) => aircraftById.get(id).family).find(Boolean)
+      if (item.family && parentFamily && item.family !== parentFamily) {
+        violations.push({
+          file: files.aircraft,
+          recordId: item.id,
+          field: 'family',
+          message: `"${item.family}" differs from parent family "${parentFamily}"`
+        })
+      }
+    } catch (error) {
+      violations.push({ file: files.aircraft, recordId: item.id, field: 'variantOf', message: error.message })
+    }
+  })
+
+  families.forEach((family) => {
+    if (typeof family?.id === 'string' && !usedFamilies.has(family.id)) {
+      violations.push({
+        file: files.families,
+        recordId: family.id,
+        field: 'id',
+        message: `no aircraft in ${files.aircraft} belongs to this family`
+      })
+    }
+  })
+
+  return violations
+}
+
+function safeAncestry(aircraftById, id) {
+  try {
+    return ancestryOf(aircraftById, id)
+  } catch {
+    // Broken variant chains are reported by familyViolations; fall back to the record alone.
+    return [id]
+  }
+}
+
+function referenceUrls(aircraftById, chain) {
+  const urls = new Set()
+  chain.forEach((id) => {
+    const references = aircraftById.get(id)?.references
+    if (Array.isArray(references)) references.forEach((reference) => urls.add(reference?.url))
+  })
+  return urls
+}
+
+/* Every provenance `source` must be one of the record's (or an ancestor's) reference URLs. */
+function provenanceViolations(aircraft, files) {
+  const violations = []
+  const aircraftById = new Map(aircraft.map((item) => [item?.id, item]))
+
+  aircraft.forEach((item) => {
+    if (!item?.provenance || typeof item.provenance !== 'object') return
+
+    const urls = referenceUrls(aircraftById, safeAncestry(aircraftById, item.id))
+
+    Object.entries(item.provenance).forEach(([field, entry]) => {
+      if (typeof entry?.source === 'string' && !urls.has(entry.source)) {
+        violations.push({
+          file: files.aircraft,
+          recordId: item.id,
+          field: `provenance.${field}.source`,
+          message: `"${entry.source}" is not one of the record's references`
+        })
+      }
+    })
+  })
+
+  return violations
+}
+
+/*
+ * Revisions must cite the record's references, not predate its first flight,
+ * and end on the record's current value for every field they change.
+ */
+function revisionViolations(aircraft, files) {
+  const violations = []
+  const aircraftById = new Map(aircraft.map((item) => [item?.id, item]))
+
+  aircraft.forEach((item) => {
+    if (!Array.isArray(item?.revisions)) return
+
+    const chain = safeAncestry(aircraftById, item.id)
+    const urls = referenceUrls(aircraftById, chain)
+    const ownerOf = (key) => chain.map((id) => aircraftById.get(id)).find((record) => record && Object.hasOwn(record, key))
+    const firstFlight = ownerOf('firstFlight')?.firstFlight
+
+    item.revisions.forEach((revision, index) => {
+      const field = `revisions[${index}]`
+      if (typeof revision?.source === 'string' && !urls.has(revision.source)) {
+        violations.push({
+          file: files.aircraft,
+          recordId: item.id,
+          field: `${field}.source`,
+          message: `"${revision.source}" is not one of the record's references`
+        })
+      }
+      if (typeof revision?.date === 'string' && Number.isInteger(firstFlight) && revisionYear(revision) < firstFlight) {
+        violations.push({
+          file: files.aircraft,
+          recordId: item.id,
+          field: `${field}.date`,
+          message: `${revision.date} is before the first flight (${firstFlight})`
+        })
+      }
+    })
+
+    const valid = item.revisions.filter((revision) => typeof revision?.date === 'string' && revision.changes && typeof revision.changes === 'object')
+    const latest = {}
+    sortedRevisions({ revisions: valid }).forEach((revision) => Object.assign(latest, revision.changes))
+    Object.entries(latest).forEach(([key, value]) => {
+      if (!REVISION_FIELDS.includes(key)) return
+      const current = ownerOf(key)?.[key]
+      if (JSON.stringify(current) !== JSON.stringify(value)) {
+        violations.push({
+          file: files.aircraft,
+          recordId: item.id,
+          field: 'revisions',
+          message: `latest revision sets ${key} to ${JSON.stringify(value)} but the record holds ${JSON.stringify(current)}`
+        })
+      }
+    })
+  })
+
+  return violations
+}
+
+export function validateData({
+  aircraft = readJson(AIRCRAFT_FILE),
+  manifest = readJson(MANIFEST_FILE),
+  families = readJson(FAMILIES_FILE),
+  publicDir = PUBLIC_DIR
+} = {}) {
+  const validators = createValidators()
+  const files = {
+    aircraft: relativeToRoot(AIRCRAFT_FILE),
+    manifest: relativeToRoot(MANIFEST_FILE),
+    families: relativeToRoot(FAMILIES_FILE)
+  }
+
+  const violations = [
+    ...schemaViolations(validators.aircraft, aircraft, files.aircraft),
+    ...schemaViolations(validators.manifest, manifest, files.manifest),
+    ...schemaViolations(validators.families, families, files.families)
+  ]
+
+  // Cross-record checks assume arrays; the schema errors above already cover anything else.
+  if (Array.isArray(aircraft) && Array.isArray(manifest) && Array.isArray(families)) {
+    violations.push(
+      ...duplicateViolations(aircraft, files.aircraft),
+      ...duplicateViolations(manifest, files.manifest),
+      ...duplicateViolations(families, files.families),
+      ...crossFileViolations(aircraft, manifest, files, publicDir),
+      ...hotspotViolations(manifest, files),
+      ...modelLicenseViolations(manifest, files, publicDir),
+      ...familyViolations(aircraft, families, files),
+      ...provenanceViolations(aircraft, files),
+      ...revisionViolations(aircraft, files)
+    )
+  }
+
+  return violations
+}
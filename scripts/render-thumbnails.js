@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/*
+ * Renders catalog thumbnails for manifest models into public/thumbnails/ and
+ * records them as the entries' `thumbnails`, so cards have an image even
+ * when Wikipedia has none or the network is down.
+ *
+ *   npm run model:thumbnails                   every model with a GLB
+ *   npm run model:thumbnails -- f15c j20       only these manifest ids
+ *   npm run model:thumbnails -- --missing      only models without thumbnails
+ *   npm run model:thumbnails -- --check        list models without thumbnails and fail (runs before `npm run build`)
+ *   npm run model:thumbnails -- --format png --width 800 --no-wireframe
+ *
+ * Every image is drawn from the same camera angle and studio lighting; the
+ * wireframe variant shares the camera. Models whose GLB is missing are skipped.
+ * `--check` renders nothing and writes nothing, so a build never edits the
+ * tracked manifest.
+ */
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs'
+import path from 'node:path'
+import { parseArgs } from 'node:util'
+import { readJson, writeJson } from './lib/dataFiles.js'
+import { createIO, formatBytes } from './lib/modelIngest.js'
+import { AIRCRAFT_FILE, MANIFEST_FILE, PUBLIC_DIR, THUMBNAIL_DIR, relativeToRoot } from './lib/paths.js'
+import { DEFAULT_THUMBNAIL_WIDTH, THUMBNAIL_FORMATS, renderThumbnails, thumbnailPaths, withThumbnails } from './lib/thumbnails.js'
+
+const USAGE = `usage: render-thumbnails [modelId ...] [--format ${THUMBNAIL_FORMATS.join('|')}] [--width px] [--no-wireframe] [--missing] [--check]`
+
+const { values: options, positionals: ids } = parseArgs({
+  allowPositionals: true,
+  options: {
+    format: { type: 'string', default: 'webp' },
+    width: { type: 'string', default: String(DEFAULT_THUMBNAIL_WIDTH) },
+    'no-wireframe': { type: 'boolean', default: false },
+    missing: { type: 'boolean', default: false },
+    check: { type: 'boolean', default: false }
+  }
+})
+
+function hasThumbnails(model) {
+  const images = Object.values(model.thumbnails ?? {})
+  return images.length > 0 && images.every((image) => existsSync(path.join(PUBLIC_DIR, image)))
+}
+
+async function main() {
+  const width = Number(options.width)
+  if (!THUMBNAIL_FORMATS.includes(options.format) || !Number.isInteger(width) || width < 64) {
+    console.error(USAGE)
+    process.exitCode = 2
+    return
+  }
+
+  const manifest = readJson(MANIFEST_FILE)
+  const unknown = ids.filter((id) => !manifest.some((model) => model.id === id))
+  if (unknown.length > 0) {
+    console.error(`No manifest entry for ${unknown.join(', ')}\n${USAGE}`)
+    process.exitCode = 2
+    return
+  }
+
+  if (options.check) {
+    const missing = manifest.filter(
+      (model) => (ids.length === 0 || ids.includes(model.id)) && existsSync(path.join(PUBLIC_DIR, model.path)) && !hasThumbnails(model)
+    )
+    missing.forEach((model) => console.error(`missing ${model.id}: no thumbnails for public${model.path}`))
+    if (missing.length > 0) {
+      console.error(`\n${missing.length} model(s) without thumbnails; run \`npm run model:thumbnails -- --missing\` and commit the result.`)
+      process.exitCode = 1
+    }
+    return
+  }
+
+  const aircraftById = new Map(readJson(AIRCRAFT_FILE).map((item) => [item.id, item]))
+  const selected = manifest.filter((model) => (ids.length === 0 || ids.includes(model.id)) && !(options.missing && hasThumbnails(model)))
+  const rendered = new Map()
+  let io = null
+
+  for (const model of selected) {
+    const file = path.join(PUBLIC_DIR, model.path)
+    if (!existsSync(file)) {
+      console.log(`skip    ${model.id}: no GLB at public${model.path}`)
+      continue
+    }
+
+    io ??= await createIO()
+    try {
+      const document = await io.readBinary(new Uint8Array(readFileSync(file)))
+      const images = await renderThumbnails(document, {
+        model,
+        aircraft: aircraftById.get(model.aircraftId),
+        width,
+        format: options.format,
+        wireframe: !options['no-wireframe']
+      })
+      const paths = thumbnailPaths(model.id, options.format)
+      const thumbnails = { studio: paths.studio, ...(images.wireframe ? { wireframe: paths.wireframe } : {}) }
+
+      mkdirSync(THUMBNAIL_DIR, { recursive: true })
+      Object.entries(thumbnails).forEach(([variant, image]) => writeFileSync(path.join(PUBLIC_DIR, image), images[variant]))
+      rendered.set(model.id, thumbnails)
+      console.log(
+        `render  ${model.id}: ${Object.entries(thumbnails)
+          .map(([variant, image]) => `public${image} (${formatBytes(images[variant].byteLength)})`)
+          .join(', ')}`
+      )
+    } catch (error) {
+      console.log(`failed  ${model.id}: ${error.message}`)
+      process.exitCode = 1
+    }
+  }
+
+  if (rendered.size > 0) {
+    writeJson(
+      MANIFEST_FILE,
+      manifest.map((model) => (rendered.has(model.id) ? withThumbnails(model, rendered.get(model.id)) : model))
+    )
+  }
+  console.log(`\n${rendered.size} model(s) rendered into ${relativeToRoot(THUMBNAIL_DIR)}/${rendered.size > 0 ? `; updated ${relativeToRoot(MANIFEST_FILE)}` : ''}.`)
+}
+
+main().catch((error) => {
+  console.error(error.message)
+  process.exitCode = 1
+})
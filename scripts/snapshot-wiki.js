@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/*
+ * Writes Wikipedia summaries for every aircraft wikiTitle into
+ * src/data/wiki.snapshot.json, and their thumbnails into public/wiki/, so the
+ * app has text and images with no network at all.
+ *
+ *   npm run snapshot:wiki
+ *   npm run snapshot:wiki -- --api-root http://localhost:4100/page/summary/ --no-images
+ *
+ * Titles that fail to fetch keep their previous snapshot entry.
+ */
+import { mkdirSync, writeFileSync } from 'node:fs'
+import path from 'node:path'
+import { parseArgs } from 'node:util'
+import { readJson, writeJson } from './lib/dataFiles.js'
+import { AIRCRAFT_FILE, WIKI_IMAGE_DIR, WIKI_SNAPSHOT_FILE, relativeToRoot } from './lib/paths.js'
+import { resolveAircraft } from '../src/lib/families.js'
+import { DEFAULT_WIKI_API_ROOT, fetchSummary } from '../src/lib/wikiApi.js'
+
+const { values: options } = parseArgs({
+  options: {
+    'api-root': { type: 'string', default: process.env.WIKI_API_ROOT || DEFAULT_WIKI_API_ROOT },
+    'no-images': { type: 'boolean', default: false }
+  }
+})
+
+const IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.webp', '.gif', '.svg'])
+
+function imageFileName(title, url) {
+  const extension = path.extname(new URL(url).pathname).toLowerCase()
+  const safeTitle = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+  return `${safeTitle}${IMAGE_EXTENSIONS.has(extension) ? extension : '.jpg'}`
+}
+
+async function downloadImage(title, url) {
+  const response = await fetch(url)
+  if (!response.ok) throw new Error(`image ${url} failed with ${response.status}`)
+  const fileName = imageFileName(title, url)
+  mkdirSync(WIKI_IMAGE_DIR, { recursive: true })
+  writeFileSync(path.join(WIKI_IMAGE_DIR, fileName), Buffer.from(await response.arrayBuffer()))
+  return `/wiki/${fileName}`
+}
+
+async function main() {
+  // Variants may inherit wikiTitle from their parent.
+  const aircraft = resolveAircraft(readJson(AIRCRAFT_FILE))
+  const previous = readJson(WIKI_SNAPSHOT_FILE)
+  const titles = [...new Set(aircraft.map((item) => item.wikiTitle).filter(Boolean))]
+  const summaries = {}
+  let failures = 0
+
+  // Sequential on purpose: this is a one-off job and Wikipedia asks clients not to burst.
+  for (const title of titles) {
+    try {
+      const summary = await fetchSummary(title, { apiRoot: options['api-root'] })
+      if (!summary) {
+        console.log(`- ${title}: no page`)
+        continue
+      }
+
+      const remoteImage = summary.thumbnail || summary.image
+      const image = remoteImage && !options['no-images'] ? await downloadImage(title, remoteImage) : summary.image
+      summaries[title] = { extract: summary.extract, image, pageUrl: summary.pageUrl }
+      console.log(`+ ${title}`)
+    } catch (error) {
+      failures += 1
+      if (previous.summaries?.[title]) summaries[title] = previous.summaries[title]
+      console.log(`! ${title}: ${error.message}${summaries[title] ? ' (kept previous entry)' : ''}`)
+    }
+  }
+
+  writeJson(WIKI_SNAPSHOT_FILE, {
+    generatedAt: new Date().toISOString(),
+    apiRoot: options['api-root'],
+    summaries
+  })
+
+  console.log(`\nWrote ${Object.keys(summaries).length}/${titles.length} summaries to ${relativeToRoot(WIKI_SNAPSHOT_FILE)}.`)
+  if (failures > 0) process.exitCode = 1
+}
+
+main().catch((error) => {
+  console.error(error.message)
+  process.exitCode = 1
+})
@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+/*
+ * Lints src/data/aircraft.json, src/data/models.manifest.json and
+ * src/data/families.json against src/data/schema/ plus the cross-file rules
+ * (modelId <-> manifest <-> GLB, family ids, variantOf parents and cycles).
+ *
+ *   npm run validate:data            human readable, one line per violation
+ *   npm run validate:data -- --json  machine readable
+ *
+ * Exits 1 when any violation is found.
+ */
+import { validateData } from './lib/validateData.js'
+
+const asJson = process.argv.includes('--json')
+const violations = validateData()
+
+if (asJson) {
+  console.log(JSON.stringify(violations, null, 2))
+} else if (violations.length === 0) {
+  console.log('Data OK: no violations found.')
+} else {
+  violations.forEach((violation) => {
+    console.log(`${violation.file}  ${violation.recordId}  ${violation.field}  ${violation.message}`)
+  })
+  console.log(`\n${violations.length} violation${violations.length === 1 ? '' : 's'} found.`)
+}
+
+process.exitCode = violations.length > 0 ? 1 : 0
@@ -0,0 +1,95 @@
+import { readJson, writeJson } from './lib/dataFiles.js'
+import { MANIFEST_FILE, relativeToRoot } from './lib/paths.js'
+import { validateData } from './lib/validateData.js'
+import { HOTSPOT_ENDPOINT } from '../src/lib/hotspots.js'
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = ''
+    request.setEncoding('utf8')
+    request.on('data', (chunk) => {
+      body += chunk
+    })
+    request.on('end', () => resolve(body))
+    request.on('error', reject)
+  })
+}
+
+// Another site's page can POST to a dev server on localhost; only the app's own pages may write.
+function sameOrigin(request) {
+  try {
+    return new URL(request.headers.origin).host === request.headers.host
+  } catch {
+    return false
+  }
+}
+
+function send(response, status, payload) {
+  response.statusCode = status
+  response.setHeader('Content-Type', 'application/json')
+  response.end(JSON.stringify(payload))
+}
+
+/*
+ * Dev-server endpoint behind the model viewer's hotspot authoring mode:
+ * POST { modelId, hotspots } replaces that model's hotspots in
+ * src/data/models.manifest.json. The result is validated like
+ * `npm run validate:data` before anything is written. Requests must come from
+ * the dev server's own origin with a JSON content type, which a cross-site
+ * form post can't send without a preflight.
+ */
+export default function hotspotAuthoring() {
+  return {
+    name: 'jetatlas-hotspot-authoring',
+    apply: 'serve',
+    configureServer(server) {
+      server.middlewares.use(HOTSPOT_ENDPOINT, async (request, response) => {
+        if (request.method !== 'POST') {
+          send(response, 405, { error: 'POST only' })
+          return
+        }
+        if (!sameOrigin(request)) {
+          send(response, 403, { error: 'Cross-origin requests are not allowed' })
+          return
+        }
+        if (request.headers['content-type']?.split(';')[0].trim().toLowerCase() !== 'application/json') {
+          send(response, 415, { error: 'Content-Type must be application/json' })
+          return
+        }
+
+        let input
+        try {
+          input = JSON.parse(await readBody(request))
+        } catch {
+          send(response, 400, { error: 'Body is not valid JSON' })
+          return
+        }
+
+        const manifest = readJson(MANIFEST_FILE)
+        const index = manifest.findIndex((model) => model.id === input?.modelId)
+        if (index === -1) {
+          send(response, 404, { error: `No model "${input?.modelId}" in ${relativeToRoot(MANIFEST_FILE)}` })
+          return
+        }
+
+        const next = manifest.map((model, position) => {
+          if (position !== index) return model
+          const { hotspots: _previous, ...rest } = model
+          return Array.isArray(input.hotspots) && input.hotspots.length > 0 ? { ...rest, hotspots: input.hotspots } : rest
+        })
+
+        const problems = validateData({ manifest: next })
+        if (problems.length > 0) {
+          send(response, 400, {
+            error: problems.map((violation) => `${violation.file} ${violation.recordId} ${violation.field}: ${violation.message}`).join('; ')
+          })
+          return
+        }
+
+        writeJson(MANIFEST_FILE, next)
+        server.config.logger.info(`hotspots: wrote ${next[index].hotspots?.length ?? 0} for ${input.modelId}`, { timestamp: true })
+        send(response, 200, { hotspots: next[index].hotspots ?? [] })
+      })
+    }
+  }
+}
@@ -0,0 +1,53 @@
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync, statSync } from 'node:fs'
+import path from 'node:path'
+import { ROOT_DIR } from './lib/paths.js'
+
+const SERVICE_WORKER_SOURCE = path.join(ROOT_DIR, 'src', 'sw.js')
+
+// Public files that are fetched on demand (or too large) are not part of the app shell.
+const PUBLIC_EXCLUDES = [/^models\//, /^draco\//]
+
+function listFiles(dir, base = dir) {
+  return readdirSync(dir).flatMap((name) => {
+    const file = path.join(dir, name)
+    if (statSync(file).isDirectory()) return listFiles(file, base)
+    return [path.relative(base, file).split(path.sep).join('/')]
+  })
+}
+
+/*
+ * Emits /sw.js from src/sw.js with the build's precache list baked in. The
+ * list changes with every content-hashed bundle, so browsers see a new worker
+ * (and a new shell cache) after each deploy.
+ */
+export default function serviceWorker() {
+  let publicDir = null
+
+  return {
+    name: 'jetatlas-service-worker',
+    apply: 'build',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    generateBundle(_, bundle) {
+      const bundled = Object.keys(bundle).filter((fileName) => !fileName.endsWith('.map'))
+      const publicFiles = publicDir
+        ? listFiles(publicDir).filter((file) => !file.startsWith('.') && !PUBLIC_EXCLUDES.some((rule) => rule.test(file)))
+        : []
+
+      const urls = [...new Set(['/', '/index.html', ...[...bundled, ...publicFiles].map((file) => `/${file}`)])].sort()
+      const buildId = createHash('sha256').update(urls.join('\n')).digest('hex').slice(0, 12)
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: [
+          `const BUILD_ID = ${JSON.stringify(buildId)}`,
+          `const PRECACHE_URLS = ${JSON.stringify(urls)}`,
+          readFileSync(SERVICE_WORKER_SOURCE, 'utf8')
+        ].join('\n')
+      })
+    }
+  }
+}
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/*
+ * Local stand-in for the Wikipedia summary API, for testing offline:
+ *
+ *   npm run wiki:stub                       # listens on http://localhost:4100
+ *   VITE_WIKI_API_ROOT=http://localhost:4100/page/summary/ npm run dev
+ *
+ * Serves GET /page/summary/{title} from src/data/wiki.snapshot.json, falling
+ * back to the aircraft description for titles the snapshot does not have.
+ * Unknown titles get a 404, like the real API.
+ */
+import { createServer } from 'node:http'
+import { parseArgs } from 'node:util'
+import { readJson } from './lib/dataFiles.js'
+import { AIRCRAFT_FILE, WIKI_SNAPSHOT_FILE } from './lib/paths.js'
+import { resolveAircraft } from '../src/lib/families.js'
+
+const { values: options } = parseArgs({
+  options: {
+    port: { type: 'string', default: process.env.PORT || '4100' }
+  }
+})
+
+const ROUTE = /^\/page\/summary\/([^/?]+)/
+
+function payloadFor(title) {
+  const snapshot = readJson(WIKI_SNAPSHOT_FILE).summaries?.[title]
+  const aircraft = resolveAircraft(readJson(AIRCRAFT_FILE)).find((item) => item.wikiTitle === title)
+  if (!snapshot && !aircraft) return null
+
+  const image = snapshot?.image || null
+  return {
+    title,
+    extract: snapshot?.extract || aircraft.description,
+    thumbnail: image ? { source: image } : undefined,
+    originalimage: image ? { source: image } : undefined,
+    content_urls: { desktop: { page: snapshot?.pageUrl || `https://en.wikipedia.org/wiki/${title}` } }
+  }
+}
+
+const server = createServer((request, response) => {
+  const headers = {
+    'access-control-allow-origin': '*',
+    'access-control-allow-headers': 'api-user-agent',
+    'content-type': 'application/json'
+  }
+
+  if (request.method === 'OPTIONS') {
+    response.writeHead(204, headers).end()
+    return
+  }
+
+  const match = ROUTE.exec(request.url || '')
+  const payload = match && request.method === 'GET' ? payloadFor(decodeURIComponent(match[1])) : null
+  if (!payload) {
+    response.writeHead(404, headers).end(JSON.stringify({ type: 'not_found' }))
+    return
+  }
+
+  response.writeHead(200, headers).end(JSON.stringify(payload))
+})
+
+server.listen(Number(options.port), () => {
+  console.log(`Wikipedia stand-in listening on http://localhost:${options.port}/page/summary/`)
+})
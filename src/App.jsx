@@ -1,104 +1,168 @@
-import { useCallback, useEffect, useMemo, useState } from 'react'
+import { Suspense, lazy, useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import { useGLTF } from '@react-three/drei'
-import { BrowserRouter, Link, Navigate, Route, Routes, useLocation, useParams } from 'react-router-dom'
+import {
+  BrowserRouter,
+  Link,
+  Navigate,
+  Route,
+  Routes,
+  useLocation,
+  useNavigate,
+  useParams,
+  useSearchParams
+} from 'react-router-dom'
 import AircraftProfile from './components/AircraftProfile'
-import aircraftData from './data/aircraft.json'
+import AnalyzeBrief from './components/AnalyzeBrief'
+import AnalyzeMatrix from './components/AnalyzeMatrix'
+import AnalyzeScatter from './components/AnalyzeScatter'
+import AnalyzeTimeline from './components/AnalyzeTimeline'
+import FamilyPage from './components/FamilyPage'
+import ParallelCoordinates from './components/ParallelCoordinates'
+import ProvenanceBadge from './components/ProvenanceBadge'
+import CatalogImage from './components/CatalogImage'
+import Highlight from './components/Highlight'
+import ScoringWeightsEditor from './components/ScoringWeightsEditor'
+import SpecRangeFilters from './components/SpecRangeFilters'
+import rawAircraftData from './data/aircraft.json'
+import familiesData from './data/families.json'
 import modelsManifest from './data/models.manifest.json'
+import { useOfflineAvailability } from './hooks/useOfflineAvailability'
+import { useScoringProfiles } from './hooks/useScoringProfiles'
+import { useUnitPreference } from './hooks/useUnitPreference'
 import { useWikiSummaries } from './hooks/useWikiSummaries'
-
-const ANALYZE_LIMIT = 6
-
-const ANALYZE_COLORS = ['#00ff00', '#00ffff', '#ff003c', '#ffd400', '#ff8800', '#7dff7d']
-
-const ANALYZE_METRICS = [
-  { key: 'topSpeedKmh', label: 'TOP_SPEED', unit: 'km/h', color: '#00ff00', higherBetter: true, weight: 1.2 },
-  { key: 'rangeKm', label: 'FERRY_RANGE', unit: 'km', color: '#00ffff', higherBetter: true, weight: 1.1 },
-  { key: 'combatRadiusKm', label: 'COMBAT_RADIUS', unit: 'km', color: '#66ffcc', higherBetter: true, weight: 1.1 },
-  { key: 'serviceCeilingM', label: 'SERVICE_CEILING', unit: 'm', color: '#ff003c', higherBetter: true, weight: 0.9 },
-  { key: 'thrustKn', label: 'TOTAL_THRUST', unit: 'kN', color: '#33ffaa', higherBetter: true, weight: 1.1 },
-  { key: 'climbRateMs', label: 'CLIMB_RATE', unit: 'm/s', color: '#aaff00', higherBetter: true, weight: 1 },
-  { key: 'payloadKg', label: 'PAYLOAD', unit: 'kg', color: '#00ff88', higherBetter: true, weight: 1 },
-  { key: 'hardpoints', label: 'HARDPOINTS', unit: '', color: '#44ffaa', higherBetter: true, weight: 0.6 },
-  { key: 'radarRangeKm', label: 'RADAR_RANGE', unit: 'km', color: '#00ccff', higherBetter: true, weight: 1 },
-  { key: 'stealthScore', label: 'STEALTH_SCORE', unit: '/10', color: '#88ff88', higherBetter: true, weight: 1.2 },
-  { key: 'maxTakeoffWeightKg', label: 'MTOW', unit: 'kg', color: '#ffaa00', higherBetter: true, weight: 0.7 },
-  { key: 'unitCostMUsd', label: 'UNIT_COST', unit: 'M USD', color: '#ff6680', higherBetter: false, weight: 0.9 }
+import {
+  ANALYZE_METRICS,
+  COHORT_FIELDS,
+  METRIC_BY_KEY,
+  RADAR_NORMALIZATIONS,
+  UNKNOWN_MODES,
+  analyzeColor,
+  buildMetricStats,
+  cohortMembers,
+  cohortOptions,
+  hasKnownValue,
+  imputeUnknownMetrics,
+  leaderLabel,
+  median,
+  metricLeader,
+  normalizedMetric,
+  radarNormalizer,
+  scoreboardFor
+} from './lib/analyze'
+import {
+  analyzeJson,
+  downloadBlob,
+  downloadText,
+  exportFileName,
+  scoreboardCsv,
+  specsCsv,
+  svgMarkup,
+  svgToPngBlob
+} from './lib/analyzeExport'
+import { familyMembers, groupByFamily, resolveAircraft } from './lib/families'
+import { revisionYears, specsAsOf } from './lib/history'
+import { CATALOG_IMAGE_MODES, previewModelPath } from './lib/models'
+import { fieldProvenance, isLowConfidence, withoutLowConfidence } from './lib/provenance'
+import { NUMERIC_SPEC_KEYS, matchesSpecClauses, matchesSpecRanges, multiKeyComparator, parseSpecQuery, specBounds } from './lib/specQuery'
+import { SEARCH_FIELD_LABELS, buildSearchIndex, searchIndex, textMatchesTokens } from './lib/search'
+import { SPEED_UNIT_OPTIONS, UNIT_SYSTEMS, formatSpec, specUnitLabel } from './lib/units'
+import {
+  COMPARE_PARAM,
+  parseIdList,
+  parseKeyList,
+  parseRangeList,
+  parseSortList,
+  parseYearMap,
+  pickOption,
+  serializeIdList,
+  serializeRangeList,
+  serializeSortList,
+  serializeYearMap,
+  toSearch,
+  withCompareIds,
+  withParam
+} from './lib/urlState'
+
+const ModelCompare = lazy(() => import('./components/ModelCompare'))
+
+// Variants in aircraft.json only store what differs from their parent.
+const aircraftData = resolveAircraft(rawAircraftData)
+
+const familiesById = new Map(familiesData.map((family) => [family.id, family]))
+
+/* Hand-picked compare set (?ids=). Larger comparisons use a cohort (?cohort=) on Analyze. */
+const ANALYZE_LIMIT = 12
+
+/*
+ * Past this many aircraft (the old compare cap) Analyze switches to its scalable
+ * layout: a sortable matrix instead of the ranking board, a summarized radar
+ * and deep-dive lists trimmed to this many rows.
+ */
+const SCALABLE_THRESHOLD = 6
+const RADAR_DEFAULT_HIGHLIGHTS = 3
+
+/* `field` is the aircraft.json key (also used for the unit label); `dir` is the default direction. */
+const CATALOG_SORT_FIELDS = [
+  { key: 'relevance', label: 'RELEVANCE', dir: 'desc' },
+  { key: 'name', label: 'ALPHANUMERIC', field: 'name', dir: 'asc' },
+  { key: 'speed', label: 'TOP_SPEED', field: 'topSpeedKmh', dir: 'desc' },
+  { key: 'range', label: 'FERRY_RANGE', field: 'rangeKm', dir: 'desc' },
+  { key: 'combatRadius', label: 'COMBAT_RADIUS', field: 'combatRadiusKm', dir: 'desc' },
+  { key: 'ceiling', label: 'SERVICE_CEILING', field: 'serviceCeilingM', dir: 'desc' },
+  { key: 'thrust', label: 'TOTAL_THRUST', field: 'thrustKn', dir: 'desc' },
+  { key: 'climb', label: 'CLIMB_RATE', field: 'climbRateMs', dir: 'desc' },
+  { key: 'payload', label: 'PAYLOAD', field: 'payloadKg', dir: 'desc' },
+  { key: 'hardpoints', label: 'HARDPOINTS', field: 'hardpoints', dir: 'desc' },
+  { key: 'radar', label: 'RADAR_RANGE', field: 'radarRangeKm', dir: 'desc' },
+  { key: 'stealth', label: 'STEALTH_SCORE', field: 'stealthScore', dir: 'desc' },
+  { key: 'mtow', label: 'MTOW', field: 'maxTakeoffWeightKg', dir: 'desc' },
+  { key: 'cost', label: 'UNIT_COST', field: 'unitCostMUsd', dir: 'asc' },
+  { key: 'firstFlight', label: 'FIRST_FLIGHT', field: 'firstFlight', dir: 'desc' },
+  { key: 'introduced', label: 'INTRODUCED', field: 'introduced', dir: 'desc' }
 ]
 
-const METRIC_BY_KEY = ANALYZE_METRICS.reduce((table, metric) => {
-  table[metric.key] = metric
-  return table
-}, {})
+const CATALOG_SORT_BY_KEY = new Map(CATALOG_SORT_FIELDS.map((field) => [field.key, field]))
 
-const RADAR_AXES = ['topSpeedKmh', 'combatRadiusKm', 'serviceCeilingM', 'radarRangeKm', 'stealthScore', 'payloadKg'].map(
-  (key) => METRIC_BY_KEY[key]
-)
+const CATALOG_SORT_DIRS = Object.fromEntries(CATALOG_SORT_FIELDS.map((field) => [field.key, field.dir]))
 
-function valueOrZero(value) {
-  return typeof value === 'number' && Number.isFinite(value) ? value : 0
-}
+const MAX_SORT_KEYS = 4
 
-function formatMetric(value, unit) {
-  if (typeof value !== 'number' || !Number.isFinite(value)) return 'NaN'
-  const formatter = new Intl.NumberFormat('en-US', {
-    minimumFractionDigits: Number.isInteger(value) ? 0 : 1,
-    maximumFractionDigits: Number.isInteger(value) ? 0 : 1
-  })
-  return unit ? `${formatter.format(value)} ${unit}` : formatter.format(value)
-}
-
-function buildMetricStats(aircraftList) {
-  return ANALYZE_METRICS.reduce((stats, metric) => {
-    const values = aircraftList.map((aircraft) => valueOrZero(aircraft[metric.key]))
-    const min = values.length ? Math.min(...values) : 0
-    const max = values.length ? Math.max(...values) : 1
-    stats[metric.key] = {
-      min,
-      max,
-      span: Math.max(max - min, 1)
-    }
-    return stats
-  }, {})
-}
+const METRIC_KEYS = ANALYZE_METRICS.map((metric) => metric.key)
 
-function normalizedMetric(aircraft, metric, metricStats) {
-  const stats = metricStats[metric.key]
-  if (!stats) return 0
+const CURRENT_YEAR = new Date().getFullYear()
 
-  const value = valueOrZero(aircraft[metric.key])
-  if (stats.max === stats.min) {
-    return 1
-  }
-
-  const baseline = (value - stats.min) / stats.span
-  const normalized = metric.higherBetter ? baseline : 1 - baseline
-  return Math.max(0, Math.min(1, normalized))
-}
-
-function computeAnalyzeScore(aircraft, metricStats) {
-  const totalWeight = ANALYZE_METRICS.reduce((sum, metric) => sum + metric.weight, 0)
-  if (totalWeight <= 0) return 0
+/* How Analyze treats estimated or disputed values (?conf=). */
+const CONFIDENCE_MODES = [
+  { id: 'show', label: 'SHOW' },
+  { id: 'flag', label: 'FLAG' },
+  { id: 'exclude', label: 'EXCLUDE' }
+]
 
-  const weighted = ANALYZE_METRICS.reduce((sum, metric) => {
-    return sum + normalizedMetric(aircraft, metric, metricStats) * metric.weight
-  }, 0)
+/* Radar axes (?axes=) are any MIN_RADAR_AXES or more metrics, drawn in ANALYZE_METRICS order. */
+const DEFAULT_RADAR_AXES = ['topSpeedKmh', 'combatRadiusKm', 'serviceCeilingM', 'payloadKg', 'radarRangeKm', 'stealthScore']
+const MIN_RADAR_AXES = 3
 
-  return Math.round((weighted / totalWeight) * 100)
-}
+/* Extra Analyze charts (?viz=); the scatter's X, Y and size metrics live in ?scatter=x,y,size. */
+const ANALYZE_VIEWS = [
+  { id: 'scatter', label: 'SCATTER' },
+  { id: 'parallel', label: 'PARALLEL_COORDS' },
+  { id: 'timeline', label: 'TIMELINE' }
+]
+const DEFAULT_SCATTER_KEYS = ['unitCostMUsd', 'combatRadiusKm', 'payloadKg']
 
-function metricLeader(aircraftList, metric, metricStats) {
-  if (!metric || aircraftList.length === 0) return null
-  return [...aircraftList].sort((a, b) => {
-    const delta = normalizedMetric(b, metric, metricStats) - normalizedMetric(a, metric, metricStats)
-    if (delta !== 0) return delta
-    return a.name.localeCompare(b.name)
-  })[0]
-}
+/* Side-by-side 3D layouts (?m3d=) for two to MAX_MODEL_COMPARE models from the hand-picked set. */
+const MODEL_COMPARE_MODES = [
+  { id: 'split', label: 'LINKED_VIEWPORTS' },
+  { id: 'shared', label: 'SHARED_SCENE' },
+  { id: 'silhouette', label: 'SILHOUETTE' }
+]
+const MAX_MODEL_COMPARE = 4
 
-function scoreboardFor(aircraftList, metricStats) {
-  return aircraftList
-    .map((aircraft) => ({ ...aircraft, score: computeAnalyzeScore(aircraft, metricStats) }))
-    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+/* Spec matrix columns (?msort=key:dir) and their default directions. */
+const MATRIX_SORT_DIRS = {
+  name: 'asc',
+  score: 'desc',
+  ...Object.fromEntries(ANALYZE_METRICS.map((metric) => [metric.key, metric.higherBetter ? 'desc' : 'asc']))
 }
 
 function PageTransition({ children }) {
@@ -173,20 +237,30 @@ function PageTransition({ children }) {
   return <div className="animate-in fade-in duration-300 h-full">{children}</div>
 }
 
-function AnalyzeRadar({ compareAircraft, metricStats }) {
+/*
+ * With `summarize` set (large comparisons) the radar draws the set as a min–max
+ * band and a median outline, every aircraft as a faint trace, and only the
+ * `highlightIds` aircraft in colour with hoverable vertices.
+ */
+function AnalyzeRadar({ compareAircraft, axes, normalize, units, svgRef, summarize = false, highlightIds, onToggleHighlight }) {
+  const [hovered, setHovered] = useState(null)
   const size = 420
   const center = size / 2
   const radius = 155
-  const angleStep = (Math.PI * 2) / RADAR_AXES.length
+  const angleStep = (Math.PI * 2) / axes.length
+  const labelSize = axes.length > 8 ? 9 : 10
 
-  const axisPoints = RADAR_AXES.map((axis, index) => {
+  const axisPoints = axes.map((axis, index) => {
     const angle = -Math.PI / 2 + index * angleStep
+    const lx = center + Math.cos(angle) * (radius + 18)
     return {
       axis,
       x: center + Math.cos(angle) * radius,
       y: center + Math.sin(angle) * radius,
-      lx: center + Math.cos(angle) * (radius + 18),
-      ly: center + Math.sin(angle) * (radius + 18)
+      lx,
+      ly: center + Math.sin(angle) * (radius + 18),
+      // Side labels grow away from the chart so long names don't run into it.
+      anchor: Math.abs(lx - center) < 20 ? 'middle' : lx > center ? 'start' : 'end'
     }
   })
 
@@ -198,22 +272,68 @@ function AnalyzeRadar({ compareAircraft, metricStats }) {
       .join(' ')
   }
 
-  const buildPolygon = (aircraft) => {
-    return axisPoints
-      .map((point) => {
-        const normalized = normalizedMetric(aircraft, point.axis, metricStats)
-        const scaled = 0.08 + normalized * 0.92
-        const x = center + (point.x - center) * scaled
-        const y = center + (point.y - center) * scaled
-        return `${x},${y}`
+  // Unknown values sit on the inner baseline and get a marker so they don't read as a real minimum.
+  const vertices = (aircraft) =>
+    axisPoints.map((point) => {
+      const normalized = normalize(aircraft, point.axis)
+      const scaled = 0.08 + (normalized ?? 0) * 0.92
+      return {
+        key: point.axis.key,
+        label: point.axis.label,
+        x: center + (point.x - center) * scaled,
+        y: center + (point.y - center) * scaled,
+        normalized,
+        unknown: normalized === null,
+        imputed: Boolean(aircraft.imputedFields?.[point.axis.key])
+      }
+    })
+
+  const buildPolygon = (aircraft) =>
+    vertices(aircraft)
+      .map((vertex) => `${vertex.x},${vertex.y}`)
+      .join(' ')
+
+  const highlighted = summarize ? compareAircraft.filter((aircraft) => highlightIds.includes(aircraft.id)) : compareAircraft
+  const flagged = highlighted.some((aircraft) => vertices(aircraft).some((vertex) => vertex.unknown || vertex.imputed))
+
+  const outline = (levels) =>
+    axisPoints
+      .map((point, index) => {
+        const scaled = 0.08 + levels[index] * 0.92
+        return `${center + (point.x - center) * scaled},${center + (point.y - center) * scaled}`
       })
       .join(' ')
-  }
+
+  const spread = summarize
+    ? axisPoints.map((point) => {
+        const values = compareAircraft.map((aircraft) => normalize(aircraft, point.axis)).filter((value) => value !== null)
+        return values.length ? { min: Math.min(...values), max: Math.max(...values), median: median(values) } : { min: 0, max: 0, median: 0 }
+      })
+    : null
+
+  const tooltip = (() => {
+    if (!hovered) return null
+    const aircraft = compareAircraft.find((item) => item.id === hovered.aircraftId)
+    const vertex = aircraft && vertices(aircraft).find((item) => item.key === hovered.key)
+    if (!vertex) return null
+
+    const value = formatSpec(vertex.key, aircraft[vertex.key], units)
+    const lines = [
+      aircraft.name,
+      `${vertex.label}: ${vertex.imputed ? `≈${value} (IMPUTED)` : value}`,
+      vertex.unknown ? 'NOT PLOTTED' : `SCALE: ${Math.round(vertex.normalized * 100)}%`
+    ]
+    const width = Math.max(...lines.map((line) => line.length)) * 6.2 + 12
+    const height = lines.length * 13 + 8
+    const x = Math.min(Math.max(vertex.x + 8, 4), size - width - 4)
+    const y = Math.min(Math.max(vertex.y - height - 8, 4), size - height - 4)
+    return { lines, width, height, x, y }
+  })()
 
   return (
     <div className="w-full border border-[#0f0] bg-[#001100] p-4">
       <div className="aspect-square w-full max-w-[420px] mx-auto">
-        <svg viewBox={`0 0 ${size} ${size}`} className="w-full h-full" role="img" aria-label="Analyze radar chart">
+        <svg ref={svgRef} viewBox={`0 0 ${size} ${size}`} className="w-full h-full" role="img" aria-label="Analyze radar chart">
           {ringPoints.map((level) => (
             <polygon key={level} points={buildRing(level)} fill="none" stroke="rgba(0,255,0,0.25)" strokeWidth="1" />
           ))}
@@ -221,77 +341,485 @@ function AnalyzeRadar({ compareAircraft, metricStats }) {
           {axisPoints.map((point) => (
             <g key={point.axis.key}>
               <line x1={center} y1={center} x2={point.x} y2={point.y} stroke="rgba(0,255,0,0.35)" strokeWidth="1" />
-              <text x={point.lx} y={point.ly} fill="#00ff00" fontSize="10" textAnchor="middle" dominantBaseline="middle">
+              <text x={point.lx} y={point.ly} fill="#00ff00" fontSize={labelSize} textAnchor={point.anchor} dominantBaseline="middle">
                 {point.axis.label.replace('SERVICE_', '').replace('_', ' ')}
               </text>
             </g>
           ))}
 
-          {compareAircraft.map((aircraft, index) => (
-            <polygon
-              key={aircraft.id}
-              points={buildPolygon(aircraft)}
-              fill={`${ANALYZE_COLORS[index % ANALYZE_COLORS.length]}25`}
-              stroke={ANALYZE_COLORS[index % ANALYZE_COLORS.length]}
-              strokeWidth="2"
-            />
-          ))}
+          {spread && (
+            <g pointerEvents="none">
+              <path
+                d={`M${outline(spread.map((entry) => entry.max))}Z M${outline(spread.map((entry) => entry.min))}Z`}
+                fill="rgba(0,255,255,0.12)"
+                fillRule="evenodd"
+              />
+              {compareAircraft
+                .filter((aircraft) => !highlightIds.includes(aircraft.id))
+                .map((aircraft) => (
+                  <polygon key={aircraft.id} points={buildPolygon(aircraft)} fill="none" stroke="rgba(0,255,0,0.2)" strokeWidth="1" />
+                ))}
+              <polygon points={outline(spread.map((entry) => entry.median))} fill="none" stroke="#00ffff" strokeWidth="1.5" strokeDasharray="5 3" />
+            </g>
+          )}
+
+          {compareAircraft.map((aircraft, index) =>
+            highlighted.includes(aircraft) ? (
+              <polygon
+                key={aircraft.id}
+                points={buildPolygon(aircraft)}
+                fill={`${analyzeColor(index)}25`}
+                stroke={analyzeColor(index)}
+                strokeWidth="2"
+              />
+            ) : null
+          )}
+
+          {compareAircraft.map((aircraft, index) => {
+            if (!highlighted.includes(aircraft)) return null
+            const color = analyzeColor(index)
+            return vertices(aircraft).map((vertex) => {
+              const flaggedVertex = vertex.unknown || vertex.imputed
+              const show = () => setHovered({ aircraftId: aircraft.id, key: vertex.key })
+              return (
+                <circle
+                  key={`${aircraft.id}-${vertex.key}`}
+                  cx={vertex.x}
+                  cy={vertex.y}
+                  r={flaggedVertex ? 4 : 3}
+                  fill={flaggedVertex ? '#000' : color}
+                  stroke={vertex.unknown ? '#ff003c' : color}
+                  strokeWidth="1.5"
+                  strokeDasharray={vertex.imputed ? '2 1.5' : undefined}
+                  tabIndex={0}
+                  aria-label={`${aircraft.name} ${vertex.label}`}
+                  onMouseEnter={show}
+                  onFocus={show}
+                  onMouseLeave={() => setHovered(null)}
+                  onBlur={() => setHovered(null)}
+                  className="outline-none"
+                />
+              )
+            })
+          })}
+
+          {tooltip && (
+            <g pointerEvents="none">
+              <rect x={tooltip.x} y={tooltip.y} width={tooltip.width} height={tooltip.height} fill="#000" stroke="#00ff00" />
+              {tooltip.lines.map((line, index) => (
+                <text key={index} x={tooltip.x + 6} y={tooltip.y + 15 + index * 13} fill="#00ff00" fontSize="10">
+                  {line}
+                </text>
+              ))}
+            </g>
+          )}
         </svg>
       </div>
 
-      <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2 text-xs">
-        {compareAircraft.map((aircraft, index) => (
-          <div key={aircraft.id} className="flex items-center gap-2 border border-[#0f0]/30 px-2 py-1 bg-black/40">
-            <span
-              className="w-3 h-3 shrink-0"
-              style={{ backgroundColor: ANALYZE_COLORS[index % ANALYZE_COLORS.length] }}
-              aria-hidden="true"
-            />
-            <span className="truncate">{aircraft.name}</span>
-          </div>
-        ))}
+      {flagged && (
+        <p className="mt-2 text-[10px] text-[#0f0]/60 text-center">
+          <span className="text-[#ff003c]">○</span> UNKNOWN (DRAWN AT BASELINE) <span className="ml-2">◌</span> IMPUTED MEDIAN
+        </p>
+      )}
+
+      {summarize && (
+        <p className="mt-2 text-[10px] text-[#0f0]/60 text-center">
+          <span className="text-[#00ffff]">▒</span> MIN–MAX OF {compareAircraft.length} AIRCRAFT{' '}
+          <span className="ml-2 text-[#00ffff]">- -</span> MEDIAN
+          {onToggleHighlight && <span className="ml-2">· SELECT NAMES TO HIGHLIGHT (DEFAULT: TOP 3 BY SCORE)</span>}
+        </p>
+      )}
+
+      <div
+        className={`mt-4 grid gap-2 ${
+          summarize ? 'grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 text-[10px]' : 'grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 text-xs'
+        }`}
+      >
+        {compareAircraft.map((aircraft, index) => {
+          const active = highlighted.includes(aircraft)
+          const swatch = (
+            <>
+              <span
+                className="w-3 h-3 shrink-0 border"
+                style={{ backgroundColor: active ? analyzeColor(index) : 'transparent', borderColor: analyzeColor(index) }}
+                aria-hidden="true"
+              />
+              <span className="truncate">{aircraft.name}</span>
+            </>
+          )
+          return summarize && onToggleHighlight ? (
+            <button
+              key={aircraft.id}
+              type="button"
+              onClick={() => onToggleHighlight(aircraft.id)}
+              aria-pressed={active}
+              className={`flex items-center gap-2 border px-2 py-1 text-left ${
+                active ? 'border-[#0f0] bg-[#002200]' : 'border-[#0f0]/30 bg-black/40 text-[#0f0]/60 glitch-hover'
+              }`}
+            >
+              {swatch}
+            </button>
+          ) : (
+            <div
+              key={aircraft.id}
+              className={`flex items-center gap-2 border border-[#0f0]/30 px-2 py-1 bg-black/40 ${active ? '' : 'text-[#0f0]/60'}`}
+            >
+              {swatch}
+            </div>
+          )
+        })}
       </div>
     </div>
   )
 }
 
-function AnalyzePage({ compareAircraft, allAircraft, compareIds, metricStats, toggleCompare, clearCompare }) {
+/*
+ * Year box for a ranking row. Keystrokes stay in a local draft and only a
+ * full year between first flight and now reaches ?asof= (as soon as it is
+ * typed, or on blur/Enter); anything else reverts on blur, and a blank box
+ * goes back to current values.
+ */
+function AsOfYearInput({ aircraft, year, onCommit }) {
+  const [draft, setDraft] = useState(null)
+  const validYear = (text) => {
+    const value = /^\d{4}$/.test(text) ? Number(text) : null
+    return value && value >= aircraft.firstFlight && value <= CURRENT_YEAR ? value : null
+  }
+  const commit = () => {
+    if (draft === null) return
+    if (draft.trim() === '') onCommit(null)
+    else if (validYear(draft.trim())) onCommit(validYear(draft.trim()))
+    setDraft(null)
+  }
+
+  return (
+    <input
+      type="number"
+      min={aircraft.firstFlight}
+      max={CURRENT_YEAR}
+      step="1"
+      list={`asof-${aircraft.id}`}
+      value={draft ?? year ?? ''}
+      onChange={(event) => {
+        const text = event.target.value
+        if (validYear(text)) {
+          onCommit(validYear(text))
+          setDraft(null)
+        } else {
+          setDraft(text)
+        }
+      }}
+      onBlur={commit}
+      onKeyDown={(event) => {
+        if (event.key === 'Enter') commit()
+      }}
+      placeholder="NOW"
+      aria-label={`${aircraft.name} as of year`}
+      className="w-20 bg-black border border-[#0f0] px-1 py-0.5 text-[#0f0] outline-none placeholder:text-[#0f0]/40 focus:bg-[#002200]"
+    />
+  )
+}
+
+function AnalyzePage({
+  compareAircraft,
+  allAircraft,
+  compareIds,
+  metricStats,
+  toggleCompare,
+  clearCompare,
+  resolveModel,
+  units,
+  scoring
+}) {
+  const [searchParams, setSearchParams] = useSearchParams()
   const [selectionQuery, setSelectionQuery] = useState('')
-  const activeMetricStats = useMemo(() => metricStats || buildMetricStats(compareAircraft), [compareAircraft, metricStats])
-  const scoreboard = useMemo(() => scoreboardFor(compareAircraft, activeMetricStats), [compareAircraft, activeMetricStats])
+  const [radarPins, setRadarPins] = useState([])
+  const [modelsOpen, setModelsOpen] = useState(false)
+  const [modelPicks, setModelPicks] = useState(null)
+  const cohorts = useMemo(() => cohortOptions(allAircraft || []), [allAircraft])
+  const cohort = cohorts.find((option) => option.id === searchParams.get('cohort')) ?? null
+  const setCohort = (id) => setSearchParams((current) => withParam(current, 'cohort', id, ''))
+  const subjectAircraft = useMemo(
+    () => (cohort ? cohortMembers(allAircraft || [], cohort) : compareAircraft),
+    [allAircraft, cohort, compareAircraft]
+  )
+  const confidenceMode = pickOption(
+    searchParams.get('conf'),
+    CONFIDENCE_MODES.map((mode) => mode.id),
+    'flag'
+  )
+  const setConfidenceMode = (value) => setSearchParams((current) => withParam(current, 'conf', value, 'flag'))
+  const unknownMode = pickOption(
+    searchParams.get('unknown'),
+    UNKNOWN_MODES.map((mode) => mode.id),
+    'exclude'
+  )
+  const setUnknownMode = (value) => setSearchParams((current) => withParam(current, 'unknown', value, 'exclude'))
+  const radarAxesParam = searchParams.get('axes')
+  const radarAxes = useMemo(() => {
+    const keys = parseKeyList(radarAxesParam, METRIC_KEYS)
+    return (keys.length >= MIN_RADAR_AXES ? keys : DEFAULT_RADAR_AXES).map((key) => METRIC_BY_KEY[key])
+  }, [radarAxesParam])
+  const toggleRadarAxis = (key) => {
+    const selected = radarAxes.map((axis) => axis.key)
+    const next = selected.includes(key) ? selected.filter((item) => item !== key) : [...selected, key]
+    if (next.length < MIN_RADAR_AXES) return
+    const ordered = METRIC_KEYS.filter((item) => next.includes(item))
+    setSearchParams((current) => withParam(current, 'axes', ordered.join(','), DEFAULT_RADAR_AXES.join(',')))
+  }
+  const radarNormalization = pickOption(
+    searchParams.get('norm'),
+    RADAR_NORMALIZATIONS.map((mode) => mode.id),
+    'dataset'
+  )
+  const setRadarNormalization = (value) => setSearchParams((current) => withParam(current, 'norm', value, 'dataset'))
+  const analyzeView = pickOption(
+    searchParams.get('viz'),
+    ANALYZE_VIEWS.map((view) => view.id),
+    'scatter'
+  )
+  const setAnalyzeView = (value) => setSearchParams((current) => withParam(current, 'viz', value, 'scatter'))
+  const scatterParam = searchParams.get('scatter')
+  const scatterAxes = useMemo(() => {
+    // An empty size slot ("x,y,") means no size metric.
+    const [x, y, size] = (scatterParam ?? DEFAULT_SCATTER_KEYS.join(',')).split(',')
+    return {
+      x: METRIC_KEYS.includes(x) ? x : DEFAULT_SCATTER_KEYS[0],
+      y: METRIC_KEYS.includes(y) ? y : DEFAULT_SCATTER_KEYS[1],
+      size: METRIC_KEYS.includes(size) ? size : null
+    }
+  }, [scatterParam])
+  const setScatterAxes = ({ x, y, size }) =>
+    setSearchParams((current) => withParam(current, 'scatter', [x, y, size ?? ''].join(','), DEFAULT_SCATTER_KEYS.join(',')))
+  const asOfParam = searchParams.get('asof')
+  const asOfYears = useMemo(
+    () => parseYearMap(asOfParam, subjectAircraft.map((aircraft) => aircraft.id)),
+    [asOfParam, subjectAircraft]
+  )
+  const setAsOfYear = (id, year) => {
+    const next = { ...asOfYears }
+    if (year) next[id] = year
+    else delete next[id]
+    setSearchParams((current) => withParam(current, 'asof', serializeYearMap(next), ''), { replace: true })
+  }
+
+  // Dated records are rolled back first (?asof=id:year). In exclude mode low-confidence values are
+  // then blanked before anything is scored or ranked, and imputation treats them like any other unknown.
+  const analyzedAircraft = useMemo(() => {
+    const dated = subjectAircraft.map((aircraft) =>
+      asOfYears[aircraft.id]
+        ? { ...specsAsOf(aircraft, asOfYears[aircraft.id]), name: `${aircraft.name} (${asOfYears[aircraft.id]})` }
+        : aircraft
+    )
+    const blank = (list) =>
+      confidenceMode === 'exclude' ? list.map((aircraft) => withoutLowConfidence(aircraft, METRIC_KEYS)) : list
+    const blanked = blank(dated)
+    return unknownMode === 'impute' ? imputeUnknownMetrics(blanked, blank(allAircraft || subjectAircraft), METRIC_KEYS) : blanked
+  }, [allAircraft, asOfYears, confidenceMode, subjectAircraft, unknownMode])
+
+  const normalizeRadar = useMemo(
+    () => radarNormalizer(radarNormalization, allAircraft || analyzedAircraft, analyzedAircraft),
+    [allAircraft, analyzedAircraft, radarNormalization]
+  )
+
+  const scoringMetrics = scoring.metrics
+  const metricsByKey = useMemo(() => new Map(scoringMetrics.map((metric) => [metric.key, metric])), [scoringMetrics])
+  const activeMetricStats = useMemo(() => metricStats || buildMetricStats(analyzedAircraft), [analyzedAircraft, metricStats])
+  const scoreboard = useMemo(
+    () => scoreboardFor(analyzedAircraft, activeMetricStats, scoringMetrics, unknownMode),
+    [analyzedAircraft, activeMetricStats, scoringMetrics, unknownMode]
+  )
+
+  const scalable = analyzedAircraft.length > SCALABLE_THRESHOLD
+  const seriesColors = useMemo(
+    () => new Map(analyzedAircraft.map((aircraft, index) => [aircraft.id, analyzeColor(index)])),
+    [analyzedAircraft]
+  )
+  // Pinned radar highlights that left the set are ignored; with none left the top scorers stand in.
+  const radarHighlights = useMemo(() => {
+    const pinned = radarPins.filter((id) => seriesColors.has(id))
+    return pinned.length > 0 ? pinned : scoreboard.slice(0, RADAR_DEFAULT_HIGHLIGHTS).map((aircraft) => aircraft.id)
+  }, [radarPins, scoreboard, seriesColors])
+  const toggleRadarPin = (id) => {
+    const pinned = radarPins.filter((item) => seriesColors.has(item))
+    setRadarPins(pinned.includes(id) ? pinned.filter((item) => item !== id) : [...pinned, id])
+  }
+
+  const modelCompareMode = pickOption(
+    searchParams.get('m3d'),
+    MODEL_COMPARE_MODES.map((mode) => mode.id),
+    'split'
+  )
+  const setModelCompareMode = (value) => setSearchParams((current) => withParam(current, 'm3d', value, 'split'))
+  // Only the hand-picked set gets a 3D compare; aircraft without a manifest model are skipped.
+  const modelCandidates = useMemo(
+    () =>
+      cohort
+        ? []
+        : analyzedAircraft
+            .map((aircraft) => ({ aircraft, model: resolveModel?.(aircraft), color: seriesColors.get(aircraft.id) }))
+            .filter((entry) => entry.model),
+    [analyzedAircraft, cohort, resolveModel, seriesColors]
+  )
+  // Until the user picks, the first MAX_MODEL_COMPARE candidates are shown.
+  const pickedModelIds = (modelPicks ?? modelCandidates.slice(0, MAX_MODEL_COMPARE).map((entry) => entry.aircraft.id)).filter(
+    (id) => modelCandidates.some((entry) => entry.aircraft.id === id)
+  )
+  const modelEntries = modelCandidates.filter((entry) => pickedModelIds.includes(entry.aircraft.id))
+  const toggleModelPick = (id) => {
+    if (pickedModelIds.includes(id)) {
+      if (pickedModelIds.length > 2) setModelPicks(pickedModelIds.filter((item) => item !== id))
+    } else if (pickedModelIds.length < MAX_MODEL_COMPARE) {
+      setModelPicks([...pickedModelIds, id])
+    }
+  }
+
+  const matrixSort = parseSortList(searchParams.get('msort'), MATRIX_SORT_DIRS)[0] ?? { key: 'score', dir: 'desc' }
+  const setMatrixSort = (key, dir) => setSearchParams((current) => withParam(current, 'msort', `${key}:${dir}`, 'score:desc'))
+  const toggleMatrixSort = (key) =>
+    setMatrixSort(key, matrixSort.key === key ? (matrixSort.dir === 'asc' ? 'desc' : 'asc') : MATRIX_SORT_DIRS[key])
+  const showInMatrix = (key) => {
+    setMatrixSort(key, MATRIX_SORT_DIRS[key])
+    document.getElementById('spec-matrix')?.scrollIntoView({ behavior: 'smooth' })
+  }
+
+  const metricValue = (aircraft, key) => {
+    const imputed = aircraft.imputedFields?.[key]
+    if (imputed) {
+      return (
+        <>
+          ≈{formatSpec(key, aircraft[key], units)}
+          <span
+            className="ml-1 text-[10px] text-[#ffd400]"
+            title={`Imputed: ${imputed.basis} median of ${imputed.sampleSize} record${imputed.sampleSize === 1 ? '' : 's'}`}
+          >
+            [IMP]
+          </span>
+        </>
+      )
+    }
+
+    return (
+      <>
+        {aircraft.excludedFields?.includes(key) ? 'EXCLUDED' : formatSpec(key, aircraft[key], units)}
+        {confidenceMode === 'exclude' && aircraft.excludedFields?.includes(key) && (
+          <ProvenanceBadge entry={fieldProvenance(aircraft, key)} excluded />
+        )}
+        {confidenceMode === 'flag' && isLowConfidence(aircraft, key) && <ProvenanceBadge entry={fieldProvenance(aircraft, key)} />}
+      </>
+    )
+  }
 
   const leaders = useMemo(() => {
-    if (compareAircraft.length === 0) return []
+    if (analyzedAircraft.length === 0) return []
     return [
-      { label: 'FASTEST', metric: METRIC_BY_KEY.topSpeedKmh },
-      { label: 'LONGEST_REACH', metric: METRIC_BY_KEY.rangeKm },
-      { label: 'BEST_RADAR', metric: METRIC_BY_KEY.radarRangeKm },
-      { label: 'LOW_OBSERVABLE', metric: METRIC_BY_KEY.stealthScore },
-      { label: 'COST_EFFICIENT', metric: METRIC_BY_KEY.unitCostMUsd }
-    ].map((entry) => {
-      const leader = metricLeader(compareAircraft, entry.metric, activeMetricStats)
-      return {
-        ...entry,
-        leader,
-        value: leader ? formatMetric(leader[entry.metric.key], entry.metric.unit) : 'NaN'
-      }
-    })
-  }, [activeMetricStats, compareAircraft])
-
-  const bestEfficiency = useMemo(() => {
-    if (scoreboard.length === 0) return null
-    return [...scoreboard]
-      .map((item) => {
-        const cost = valueOrZero(item.unitCostMUsd) || 1
+      { labels: ['FASTEST', 'SLOWEST'], metric: metricsByKey.get('topSpeedKmh') },
+      { labels: ['LONGEST_REACH', 'SHORTEST_REACH'], metric: metricsByKey.get('rangeKm') },
+      { labels: ['BEST_RADAR', 'SHORTEST_RADAR'], metric: metricsByKey.get('radarRangeKm') },
+      { labels: ['LOW_OBSERVABLE', 'MOST_OBSERVABLE'], metric: metricsByKey.get('stealthScore') },
+      { labels: ['COST_EFFICIENT', 'MOST_EXPENSIVE'], metric: metricsByKey.get('unitCostMUsd') }
+    ]
+      // Metrics switched off in the weight editor no longer crown a leader.
+      .filter((entry) => entry.metric.weight > 0)
+      .map(({ labels, metric }) => {
+        const leader = metricLeader(analyzedAircraft, metric, activeMetricStats)
         return {
-          ...item,
-          efficiency: item.score / cost
+          label: leaderLabel(metric, labels),
+          metric,
+          leader,
+          value: leader ? formatSpec(metric.key, leader[metric.key], units) : 'UNKNOWN'
         }
       })
+  }, [activeMetricStats, analyzedAircraft, metricsByKey, units])
+
+  const radarRef = useRef(null)
+  const [exportError, setExportError] = useState(null)
+  const exportSettings = useMemo(
+    () => ({
+      units: [
+        UNIT_SYSTEMS.find((option) => option.id === units.system)?.label,
+        SPEED_UNIT_OPTIONS.find((option) => option.id === units.speed)?.label
+      ].join(' / '),
+      scoringProfile: scoring.profiles.find((profile) => profile.id === scoring.profileId)?.name ?? 'CUSTOM',
+      lowConfidence: confidenceMode,
+      unknownValues: unknownMode,
+      scope: cohort ? cohort.id : 'hand-picked',
+      asOf: asOfYears
+    }),
+    [asOfYears, cohort, confidenceMode, scoring.profileId, scoring.profiles, unknownMode, units]
+  )
+
+  const exportData = (format) => {
+    if (format === 'scoreboard') {
+      downloadText(scoreboardCsv(scoreboard, scoringMetrics, units), exportFileName('csv', 'scoreboard'), 'text/csv')
+    } else if (format === 'specs') {
+      downloadText(specsCsv(analyzedAircraft), exportFileName('csv', 'specs'), 'text/csv')
+    } else {
+      const payload = analyzeJson({ scoreboard, leaders, metrics: scoringMetrics, units, settings: exportSettings })
+      downloadText(JSON.stringify(payload, null, 2), exportFileName('json'), 'application/json')
+    }
+  }
+
+  const exportRadar = async (format) => {
+    if (!radarRef.current) return
+    const legend = analyzedAircraft
+      .filter((aircraft) => !scalable || radarHighlights.includes(aircraft.id))
+      .map((aircraft) => ({ label: aircraft.name, color: seriesColors.get(aircraft.id) }))
+    if (scalable) legend.push({ label: `Median of ${analyzedAircraft.length} (dashed)`, color: '#00ffff' })
+    const markup = svgMarkup(radarRef.current, { legend })
+    if (format === 'svg') {
+      downloadText(markup, exportFileName('svg', 'radar'), 'image/svg+xml')
+      return
+    }
+    try {
+      setExportError(null)
+      downloadBlob(await svgToPngBlob(markup), exportFileName('png', 'radar'))
+    } catch (error) {
+      setExportError(error.message)
+    }
+  }
+
+  const bestEfficiency = useMemo(() => {
+    if (scoreboard.length === 0) return null
+    return scoreboard
+      .filter((item) => hasKnownValue(item, 'unitCostMUsd') && item.unitCostMUsd > 0)
+      .map((item) => ({
+        ...item,
+        efficiency: item.score / item.unitCostMUsd
+      }))
       .sort((a, b) => b.efficiency - a.efficiency)[0]
   }, [scoreboard])
 
-  if (compareAircraft.length === 0) {
+  const scopePicker = (
+    <label className="flex flex-wrap items-center gap-2 text-xs">
+      <span className="text-[#0f0]/60" title="Compare the hand-picked set, or a whole slice of the catalog">
+        SCOPE:
+      </span>
+      <select
+        value={cohort?.id ?? ''}
+        onChange={(event) => setCohort(event.target.value)}
+        className="bg-black border border-[#0f0] px-2 py-1 text-[#0f0] outline-none uppercase focus:bg-[#002200]"
+      >
+        <option value="">
+          HAND-PICKED ({compareAircraft.length}/{ANALYZE_LIMIT})
+        </option>
+        <option value="all">ALL_AIRCRAFT ({cohorts[0].size})</option>
+        {COHORT_FIELDS.map((field) => (
+          <optgroup key={field.key} label={field.label}>
+            {cohorts
+              .filter((option) => option.field === field)
+              .map((option) => (
+                <option key={option.id} value={option.id}>
+                  {option.label} ({option.size})
+                </option>
+              ))}
+          </optgroup>
+        ))}
+      </select>
+    </label>
+  )
+
+  if (subjectAircraft.length === 0) {
     const filteredAll = allAircraft
       ? allAircraft.filter((item) => item.name.toLowerCase().includes(selectionQuery.toLowerCase()))
       : []
@@ -301,8 +829,10 @@ function AnalyzePage({ compareAircraft, allAircraft, compareIds, metricStats, to
         <div className="terminal-panel border-2 border-[#0f0] p-6 mb-6">
           <h1 className="font-pixel text-2xl md:text-4xl text-[#0f0] mb-2">Analyze</h1>
           <p className="text-[#0f0]/70 text-sm mb-4">
-            Select up to {ANALYZE_LIMIT} aircraft to compare. Pick from the list below to get started.
+            Hand-pick up to {ANALYZE_LIMIT} aircraft from the list below, or set a scope to compare a whole generation, role,
+            origin or operator fleet.
           </p>
+          <div className="mb-4">{scopePicker}</div>
           <div className="relative mb-4">
             <span className="absolute left-2 top-2.5 text-[#0f0] font-bold">&gt;</span>
             <input
@@ -324,8 +854,9 @@ function AnalyzePage({ compareAircraft, allAircraft, compareIds, metricStats, to
               <button
                 key={item.id}
                 type="button"
-                onClick={() => !compareLocked && toggleCompare(item.id)}
-                disabled={compareLocked}
+                onClick={() => toggleCompare(item.id)}
+                aria-disabled={compareLocked}
+                title={compareLocked ? `The hand-picked set holds ${ANALYZE_LIMIT} aircraft; use a scope for more` : undefined}
                 className={`text-left border-2 p-4 transition-all ${
                   inCompare
                     ? 'border-[#0f0] bg-[#002200] shadow-[0_0_10px_rgba(0,255,0,0.3)]'
@@ -337,8 +868,8 @@ function AnalyzePage({ compareAircraft, allAircraft, compareIds, metricStats, to
                 <h3 className="font-pixel text-sm text-[#0f0] mb-1">{item.name}</h3>
                 <p className="text-[10px] text-[#0f0]/60 uppercase">{item.country} | {item.role} | Gen {item.generation}</p>
                 <div className="mt-2 text-[10px] text-[#0f0]/50 space-y-0.5">
-                  <div>Speed: {item.topSpeedKmh ? `${item.topSpeedKmh} km/h` : 'N/A'}</div>
-                  <div>Range: {item.rangeKm ? `${item.rangeKm} km` : 'N/A'}</div>
+                  <div>Speed: {formatSpec('topSpeedKmh', item.topSpeedKmh, units)}</div>
+                  <div>Range: {formatSpec('rangeKm', item.rangeKm, units)}</div>
                 </div>
                 {inCompare && (
                   <div className="mt-2 text-[10px] text-[#0f0] font-bold">SELECTED</div>
@@ -351,168 +882,502 @@ function AnalyzePage({ compareAircraft, allAircraft, compareIds, metricStats, to
     )
   }
 
-  return (
-    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 pb-16 font-mono">
-      <header className="terminal-panel border-2 border-[#0f0] p-6 mb-6 shadow-[0_0_15px_#0f0]">
-        <div className="flex flex-wrap items-start justify-between gap-4">
-          <div>
-            <h1 className="font-pixel text-2xl md:text-4xl text-[#0f0] glitch-text" data-text="TACTICAL_ANALYZE_SUITE_V3">
-              TACTICAL_ANALYZE_SUITE_V3
-            </h1>
-            <p className="text-sm text-[#0f0]/70 mt-3">
-              Active profiles: {compareAircraft.length}/{ANALYZE_LIMIT} | Composite scoring across {ANALYZE_METRICS.length}{' '}
-              performance dimensions.
-            </p>
-          </div>
-
-          <div className="flex flex-wrap gap-2">
-            <Link to="/" className="text-xs border border-[#0f0] px-3 py-2 uppercase glitch-hover">
-              [ BACK_TO_DB ]
-            </Link>
-            <button
-              type="button"
-              onClick={clearCompare}
-              className="text-xs border border-[#ff003c] text-[#ff003c] px-3 py-2 uppercase glitch-hover hover:bg-[#ff003c] hover:text-black"
-            >
-              [ PURGE_ALL ]
-            </button>
-          </div>
-        </div>
-      </header>
+  const exportButton = 'border border-[#0f0] px-2 py-1 uppercase glitch-hover disabled:opacity-40 disabled:cursor-not-allowed'
 
-      <section className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4 mb-6">
-        <article className="border border-[#0f0] bg-[#001100] p-4">
-          <h2 className="text-xs text-[#0f0]/70 uppercase mb-2">Top Composite</h2>
-          <p className="font-pixel text-lg text-[#0f0]">{scoreboard[0]?.name || 'N/A'}</p>
-          <p className="text-xs mt-1">SCORE: {scoreboard[0]?.score ?? 0}/100</p>
-        </article>
-
-        <article className="border border-[#0f0] bg-[#001100] p-4">
-          <h2 className="text-xs text-[#0f0]/70 uppercase mb-2">Best Score / Cost</h2>
-          <p className="font-pixel text-lg text-[#0f0]">{bestEfficiency?.name || 'N/A'}</p>
-          <p className="text-xs mt-1">EFF: {bestEfficiency ? bestEfficiency.efficiency.toFixed(2) : '0.00'}</p>
-        </article>
-
-        <article className="border border-[#0f0] bg-[#001100] p-4 md:col-span-2 xl:col-span-1">
-          <h2 className="text-xs text-[#0f0]/70 uppercase mb-2">Quick Winner Matrix</h2>
-          <div className="space-y-2 text-xs">
-            {leaders.map((entry) => (
-              <div key={entry.label} className="flex items-center justify-between gap-3 border border-[#0f0]/30 px-2 py-1 bg-black/30">
-                <span className="text-[#0f0]/70">{entry.label}</span>
-                <span className="truncate text-right">
-                  {entry.leader?.name || 'N/A'} ({entry.value})
+  return (
+    <>
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 pb-16 font-mono print:hidden">
+        <header className="terminal-panel border-2 border-[#0f0] p-6 mb-6 shadow-[0_0_15px_#0f0]">
+          <div className="flex flex-wrap items-start justify-between gap-4">
+            <div>
+              <h1 className="font-pixel text-2xl md:text-4xl text-[#0f0] glitch-text" data-text="TACTICAL_ANALYZE_SUITE_V3">
+                TACTICAL_ANALYZE_SUITE_V3
+              </h1>
+              <p className="text-sm text-[#0f0]/70 mt-3">
+                {cohort
+                  ? `Cohort: ${cohort.field ? `${cohort.field.label} = ${cohort.label}` : 'all aircraft'} (${analyzedAircraft.length})`
+                  : `Active profiles: ${compareAircraft.length}/${ANALYZE_LIMIT}`}{' '}
+                | Composite scoring across {scoringMetrics.filter((metric) => metric.weight > 0).length} performance dimensions.
+              </p>
+              <div className="mt-3">{scopePicker}</div>
+              <div className="flex flex-wrap items-center gap-2 mt-3 text-xs" role="group" aria-label="Low-confidence values">
+                <span className="text-[#0f0]/60" title="Values marked estimated or disputed in their provenance">
+                  LOW_CONFIDENCE:
                 </span>
+                {CONFIDENCE_MODES.map((mode) => (
+                  <button
+                    key={mode.id}
+                    type="button"
+                    onClick={() => setConfidenceMode(mode.id)}
+                    aria-pressed={confidenceMode === mode.id}
+                    className={`border px-2 py-1 uppercase ${
+                      confidenceMode === mode.id ? 'bg-[#0f0] text-black border-[#0f0]' : 'border-[#0f0] text-[#0f0] glitch-hover'
+                    }`}
+                  >
+                    [{mode.label}]
+                  </button>
+                ))}
+                {confidenceMode === 'flag' && (
+                  <span className="text-[#0f0]/50">
+                    <span className="text-[#ffd400]">~</span> ESTIMATED <span className="text-[#ff003c]">?</span> DISPUTED
+                  </span>
+                )}
               </div>
-            ))}
-          </div>
-        </article>
-      </section>
+              <div className="flex flex-wrap items-center gap-2 mt-2 text-xs" role="group" aria-label="Unknown values">
+                <span
+                  className="text-[#0f0]/60"
+                  title="Exclude drops the metric from that score, impute fills a family or generation median, penalty scores it as the worst value"
+                >
+                  UNKNOWN_VALUES:
+                </span>
+                {UNKNOWN_MODES.map((mode) => (
+                  <button
+                    key={mode.id}
+                    type="button"
+                    onClick={() => setUnknownMode(mode.id)}
+                    aria-pressed={unknownMode === mode.id}
+                    className={`border px-2 py-1 uppercase ${
+                      unknownMode === mode.id ? 'bg-[#0f0] text-black border-[#0f0]' : 'border-[#0f0] text-[#0f0] glitch-hover'
+                    }`}
+                  >
+                    [{mode.label}]
+                  </button>
+                ))}
+                {unknownMode === 'impute' && (
+                  <span className="text-[#0f0]/50">
+                    <span className="text-[#ffd400]">[IMP]</span> MEDIAN_ESTIMATE
+                  </span>
+                )}
+              </div>
+            </div>
 
-      {compareAircraft.length >= 2 ? (
-        <section className="mb-6">
-          <h2 className="font-pixel text-base text-[#0f0] mb-3">SIGNATURE_RADAR</h2>
-          <AnalyzeRadar compareAircraft={compareAircraft} metricStats={activeMetricStats} />
+            <div className="flex flex-wrap gap-2">
+              <Link to={withCompareIds('/', compareIds)} className="text-xs border border-[#0f0] px-3 py-2 uppercase glitch-hover">
+                [ BACK_TO_DB ]
+              </Link>
+              {cohort ? (
+                <button type="button" onClick={() => setCohort('')} className="text-xs border border-[#0f0] px-3 py-2 uppercase glitch-hover">
+                  [ EXIT_COHORT ]
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  onClick={clearCompare}
+                  className="text-xs border border-[#ff003c] text-[#ff003c] px-3 py-2 uppercase glitch-hover hover:bg-[#ff003c] hover:text-black"
+                >
+                  [ PURGE_ALL ]
+                </button>
+              )}
+            </div>
+          </div>
+        </header>
+
+        <section className="flex flex-wrap items-center gap-2 mb-6 text-xs" aria-label="Export">
+          <span className="text-[#0f0]/60">EXPORT:</span>
+          <button type="button" onClick={() => exportData('scoreboard')} className={exportButton}>
+            [ CSV: SCOREBOARD ]
+          </button>
+          <button type="button" onClick={() => exportData('specs')} className={exportButton}>
+            [ CSV: RAW_SPECS ]
+          </button>
+          <button type="button" onClick={() => exportData('json')} className={exportButton}>
+            [ JSON ]
+          </button>
+          <button type="button" onClick={() => exportRadar('svg')} disabled={analyzedAircraft.length < 2} className={exportButton}>
+            [ SVG: RADAR ]
+          </button>
+          <button type="button" onClick={() => exportRadar('png')} disabled={analyzedAircraft.length < 2} className={exportButton}>
+            [ PNG: RADAR ]
+          </button>
+          <button
+            type="button"
+            onClick={() => window.print()}
+            className={exportButton}
+            title="Opens the print dialog with the comparison brief; choose Save as PDF for a file"
+          >
+            [ PRINT_BRIEF / PDF ]
+          </button>
+          {exportError && <span className="text-[#ff003c]">EXPORT_FAILED: {exportError}</span>}
         </section>
-      ) : (
-        <section className="mb-6 border border-[#ff003c] text-[#ff003c] bg-[#110000] p-4 text-sm">
-          Queue at least two aircraft for differential radar overlays.
+
+        <section className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4 mb-6">
+          <article className="border border-[#0f0] bg-[#001100] p-4">
+            <h2 className="text-xs text-[#0f0]/70 uppercase mb-2">Top Composite</h2>
+            <p className="font-pixel text-lg text-[#0f0]">{scoreboard[0]?.name || 'N/A'}</p>
+            <p className="text-xs mt-1">SCORE: {scoreboard[0]?.score ?? 0}/100</p>
+          </article>
+
+          <article className="border border-[#0f0] bg-[#001100] p-4">
+            <h2 className="text-xs text-[#0f0]/70 uppercase mb-2">Best Score / Cost</h2>
+            <p className="font-pixel text-lg text-[#0f0]">{bestEfficiency?.name || 'N/A'}</p>
+            <p className="text-xs mt-1">EFF: {bestEfficiency ? bestEfficiency.efficiency.toFixed(2) : '0.00'}</p>
+          </article>
+
+          <article className="border border-[#0f0] bg-[#001100] p-4 md:col-span-2 xl:col-span-1">
+            <h2 className="text-xs text-[#0f0]/70 uppercase mb-2">Quick Winner Matrix</h2>
+            <div className="space-y-2 text-xs">
+              {leaders.map((entry) => (
+                <div key={entry.label} className="flex items-center justify-between gap-3 border border-[#0f0]/30 px-2 py-1 bg-black/30">
+                  <span className="text-[#0f0]/70">{entry.label}</span>
+                  <span className="truncate text-right">
+                    {entry.leader?.name || 'N/A'} ({entry.value})
+                    {confidenceMode === 'flag' && entry.leader && isLowConfidence(entry.leader, entry.metric.key) && (
+                      <ProvenanceBadge entry={fieldProvenance(entry.leader, entry.metric.key)} />
+                    )}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </article>
         </section>
-      )}
 
-      <section className="mb-6 border border-[#0f0] terminal-panel p-4 overflow-x-auto">
-        <h2 className="font-pixel text-base text-[#0f0] mb-3">RANKING_BOARD</h2>
-        <table className="w-full min-w-[860px] text-xs">
-          <thead className="text-[#0f0]/70 border-b border-[#0f0]">
-            <tr>
-              <th className="text-left py-2">#</th>
-              <th className="text-left py-2">AIRCRAFT</th>
-              <th className="text-left py-2">SCORE</th>
-              <th className="text-left py-2">SPEED</th>
-              <th className="text-left py-2">RANGE</th>
-              <th className="text-left py-2">RADAR</th>
-              <th className="text-left py-2">STEALTH</th>
-              <th className="text-left py-2">COST</th>
-              <th className="text-left py-2">REMOVE</th>
-            </tr>
-          </thead>
-          <tbody>
-            {scoreboard.map((aircraft, index) => (
-              <tr key={aircraft.id} className="border-b border-dashed border-[#0f0]/30 last:border-0">
-                <td className="py-2">#{index + 1}</td>
-                <td className="py-2 pr-4">{aircraft.name}</td>
-                <td className="py-2 text-[#0f0] font-bold">{aircraft.score}</td>
-                <td className="py-2">{formatMetric(aircraft.topSpeedKmh, 'km/h')}</td>
-                <td className="py-2">{formatMetric(aircraft.rangeKm, 'km')}</td>
-                <td className="py-2">{formatMetric(aircraft.radarRangeKm, 'km')}</td>
-                <td className="py-2">{formatMetric(aircraft.stealthScore, '/10')}</td>
-                <td className="py-2">{formatMetric(aircraft.unitCostMUsd, 'M USD')}</td>
-                <td className="py-2">
+        <ScoringWeightsEditor scoring={scoring} />
+
+        {analyzedAircraft.length >= 2 ? (
+          <section className="mb-6">
+            <h2 className="font-pixel text-base text-[#0f0] mb-3">SIGNATURE_RADAR</h2>
+            <div className="flex flex-wrap items-center gap-2 mb-2 text-xs" role="group" aria-label="Radar normalization">
+              <span className="text-[#0f0]/60">NORMALIZE:</span>
+              {RADAR_NORMALIZATIONS.map((mode) => (
+                <button
+                  key={mode.id}
+                  type="button"
+                  onClick={() => setRadarNormalization(mode.id)}
+                  aria-pressed={radarNormalization === mode.id}
+                  title={mode.description}
+                  className={`border px-2 py-1 uppercase ${
+                    radarNormalization === mode.id ? 'bg-[#0f0] text-black border-[#0f0]' : 'border-[#0f0] text-[#0f0] glitch-hover'
+                  }`}
+                >
+                  [{mode.label}]
+                </button>
+              ))}
+            </div>
+            <div className="flex flex-wrap items-center gap-1 mb-3 text-[10px]" role="group" aria-label="Radar axes">
+              <span className="text-[#0f0]/60 mr-1">
+                AXES ({radarAxes.length}/{ANALYZE_METRICS.length}):
+              </span>
+              {ANALYZE_METRICS.map((metric) => {
+                const active = radarAxes.some((axis) => axis.key === metric.key)
+                const locked = active && radarAxes.length <= MIN_RADAR_AXES
+                return (
                   <button
+                    key={metric.key}
                     type="button"
-                    onClick={() => toggleCompare(aircraft.id)}
-                    className="border border-[#ff003c] text-[#ff003c] px-2 py-1 hover:bg-[#ff003c] hover:text-black transition-all hover:shadow-[0_0_8px_#ff003c]"
+                    onClick={() => toggleRadarAxis(metric.key)}
+                    disabled={locked}
+                    aria-pressed={active}
+                    title={locked ? `At least ${MIN_RADAR_AXES} axes are needed` : undefined}
+                    className={`border px-1.5 py-0.5 uppercase disabled:cursor-not-allowed ${
+                      active ? 'bg-[#0f0] text-black border-[#0f0]' : 'border-[#0f0]/50 text-[#0f0]/70 glitch-hover'
+                    }`}
                   >
-                    X
+                    {metric.label}
                   </button>
-                </td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
-      </section>
-
-      <section>
-        <h2 className="font-pixel text-base text-[#0f0] mb-3">METRIC_DEEP_DIVE</h2>
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
-          {ANALYZE_METRICS.map((metric) => {
-            const ordered = [...compareAircraft].sort(
-              (a, b) => normalizedMetric(b, metric, activeMetricStats) - normalizedMetric(a, metric, activeMetricStats)
-            )
-            const lead = ordered[0]
-
-            return (
-              <article key={metric.key} className="border border-[#0f0] bg-[#001100] p-4">
-                <header className="flex items-start justify-between gap-2 mb-3">
-                  <div>
-                    <h3 className="font-pixel text-sm text-[#0f0]">{metric.label}</h3>
-                    <p className="text-xs text-[#0f0]/60">LEAD: {lead?.name || 'N/A'}</p>
-                  </div>
-                  <span className="text-xs text-[#0f0]/70">{lead ? formatMetric(lead[metric.key], metric.unit) : 'NaN'}</span>
-                </header>
+                )
+              })}
+            </div>
+            <AnalyzeRadar
+              compareAircraft={analyzedAircraft}
+              axes={radarAxes}
+              normalize={normalizeRadar}
+              units={units}
+              svgRef={radarRef}
+              summarize={scalable}
+              highlightIds={radarHighlights}
+              onToggleHighlight={toggleRadarPin}
+            />
+          </section>
+        ) : (
+          <section className="mb-6 border border-[#ff003c] text-[#ff003c] bg-[#110000] p-4 text-sm">
+            Queue at least two aircraft for differential radar overlays.
+          </section>
+        )}
+
+        {modelCandidates.length >= 2 && (
+          <section className="mb-6 border border-[#0f0] bg-[#001100] p-4">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+              <h2 className="font-pixel text-base text-[#0f0]">MODEL_COMPARE</h2>
+              {modelsOpen && (
+                <div className="flex flex-wrap gap-2 text-xs" role="group" aria-label="3D layout">
+                  {MODEL_COMPARE_MODES.map((mode) => (
+                    <button
+                      key={mode.id}
+                      type="button"
+                      onClick={() => setModelCompareMode(mode.id)}
+                      aria-pressed={modelCompareMode === mode.id}
+                      className={`border px-2 py-1 uppercase ${
+                        modelCompareMode === mode.id ? 'bg-[#0f0] text-black border-[#0f0]' : 'border-[#0f0] text-[#0f0] glitch-hover'
+                      }`}
+                    >
+                      [{mode.label}]
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+            <div className="flex flex-wrap items-center gap-1 mb-3 text-[10px]" role="group" aria-label="Models to compare">
+              <span className="text-[#0f0]/60 mr-1">
+                MODELS ({pickedModelIds.length}/{MAX_MODEL_COMPARE}):
+              </span>
+              {modelCandidates.map((entry) => {
+                const active = pickedModelIds.includes(entry.aircraft.id)
+                const locked = active ? pickedModelIds.length <= 2 : pickedModelIds.length >= MAX_MODEL_COMPARE
+                return (
+                  <button
+                    key={entry.aircraft.id}
+                    type="button"
+                    onClick={() => toggleModelPick(entry.aircraft.id)}
+                    disabled={locked}
+                    aria-pressed={active}
+                    title={locked ? (active ? 'At least two models are compared' : `Up to ${MAX_MODEL_COMPARE} models at once`) : undefined}
+                    className={`border px-1.5 py-0.5 uppercase disabled:cursor-not-allowed ${
+                      active ? 'bg-[#0f0] text-black border-[#0f0]' : 'border-[#0f0]/50 text-[#0f0]/70 glitch-hover disabled:opacity-40'
+                    }`}
+                  >
+                    {entry.aircraft.name}
+                  </button>
+                )
+              })}
+            </div>
+            {modelsOpen ? (
+              <Suspense fallback={<p className="text-xs animate-pulse">&gt; UPLOADING_MATRIX_GEOMETRY...</p>}>
+                <ModelCompare entries={modelEntries} mode={modelCompareMode} units={units} />
+              </Suspense>
+            ) : (
+              <button type="button" onClick={() => setModelsOpen(true)} className="border border-[#0f0] px-3 py-2 text-xs uppercase glitch-hover">
+                [ LOAD_3D_COMPARE ] — fetches {modelEntries.length} GLB models
+              </button>
+            )}
+          </section>
+        )}
+
+        <section className="mb-6 border border-[#0f0] bg-[#001100] p-4">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+            <h2 className="font-pixel text-base text-[#0f0]">SPEC_VISUALIZER</h2>
+            <div className="flex flex-wrap gap-2 text-xs" role="tablist" aria-label="Visualization">
+              {ANALYZE_VIEWS.map((view) => (
+                <button
+                  key={view.id}
+                  type="button"
+                  role="tab"
+                  aria-selected={analyzeView === view.id}
+                  onClick={() => setAnalyzeView(view.id)}
+                  className={`border px-2 py-1 uppercase ${
+                    analyzeView === view.id ? 'bg-[#0f0] text-black border-[#0f0]' : 'border-[#0f0] text-[#0f0] glitch-hover'
+                  }`}
+                >
+                  [{view.label}]
+                </button>
+              ))}
+            </div>
+          </div>
+          <div role="tabpanel">
+            {analyzeView === 'scatter' && (
+              <AnalyzeScatter
+                aircraft={analyzedAircraft}
+                xKey={scatterAxes.x}
+                yKey={scatterAxes.y}
+                sizeKey={scatterAxes.size}
+                onChange={setScatterAxes}
+                units={units}
+              />
+            )}
+            {analyzeView === 'parallel' && (
+              <ParallelCoordinates aircraft={analyzedAircraft} dataset={allAircraft || analyzedAircraft} units={units} />
+            )}
+            {analyzeView === 'timeline' && <AnalyzeTimeline aircraft={analyzedAircraft} />}
+          </div>
+        </section>
 
-                <div className="space-y-2">
-                  {ordered.map((aircraft, index) => {
-                    const normalized = normalizedMetric(aircraft, metric, activeMetricStats)
-                    return (
-                      <div key={aircraft.id}>
-                        <div className="flex items-center justify-between text-[11px]">
-                          <span>
-                            {index + 1}. {aircraft.name}
-                          </span>
-                          <span>{formatMetric(aircraft[metric.key], metric.unit)}</span>
-                        </div>
-                        <div className="h-2 border border-[#0f0] bg-black mt-1">
-                          <div
-                            className="h-full"
-                            style={{
-                              width: `${Math.max(6, normalized * 100)}%`,
-                              backgroundColor: metric.color
-                            }}
-                          />
+        {scalable ? (
+          <section id="spec-matrix" className="mb-6 border border-[#0f0] terminal-panel p-4">
+            <h2 className="font-pixel text-base text-[#0f0] mb-1">SPEC_MATRIX</h2>
+            <p className="text-[10px] text-[#0f0]/60 mb-3">
+              {analyzedAircraft.length} AIRCRAFT · SELECT A COLUMN TO SORT · SHADING FOLLOWS EACH METRIC&apos;S NORMALIZED SCORE
+            </p>
+            <div className="max-h-[70vh] overflow-auto">
+              <AnalyzeMatrix
+                scoreboard={scoreboard}
+                metrics={scoringMetrics}
+                metricStats={activeMetricStats}
+                colors={seriesColors}
+                sort={matrixSort}
+                onSort={toggleMatrixSort}
+                renderValue={metricValue}
+                onRemove={cohort ? null : toggleCompare}
+                units={units}
+              />
+            </div>
+          </section>
+        ) : (
+          <section className="mb-6 border border-[#0f0] terminal-panel p-4 overflow-x-auto">
+            <h2 className="font-pixel text-base text-[#0f0] mb-3">RANKING_BOARD</h2>
+            <table className="w-full min-w-[960px] text-xs">
+              <thead className="text-[#0f0]/70 border-b border-[#0f0]">
+                <tr>
+                  <th className="text-left py-2">#</th>
+                  <th className="text-left py-2">AIRCRAFT</th>
+                  <th className="text-left py-2" title="Compare a record as it stood in a given year; blank means current values">
+                    AS_OF
+                  </th>
+                  <th className="text-left py-2">SCORE</th>
+                  <th className="text-left py-2">SPEED</th>
+                  <th className="text-left py-2">RANGE</th>
+                  <th className="text-left py-2">RADAR</th>
+                  <th className="text-left py-2">STEALTH</th>
+                  <th className="text-left py-2">COST</th>
+                  {!cohort && <th className="text-left py-2">REMOVE</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {scoreboard.map((aircraft, index) => (
+                  <tr key={aircraft.id} className="border-b border-dashed border-[#0f0]/30 last:border-0">
+                    <td className="py-2">#{index + 1}</td>
+                    <td className="py-2 pr-4">
+                      {aircraft.name}
+                      {aircraft.notYetFlown && (
+                        <span className="ml-1 text-[10px] text-[#ff003c]" title={`First flight ${aircraft.firstFlight}`}>
+                          [PRE_FLIGHT]
+                        </span>
+                      )}
+                    </td>
+                    <td className="py-2 pr-4">
+                      <AsOfYearInput
+                        aircraft={aircraft}
+                        year={asOfYears[aircraft.id] ?? null}
+                        onCommit={(year) => setAsOfYear(aircraft.id, year)}
+                      />
+                      <datalist id={`asof-${aircraft.id}`}>
+                        {revisionYears(aircraft).map((year) => (
+                          <option key={year} value={year} />
+                        ))}
+                      </datalist>
+                    </td>
+                    <td className="py-2 text-[#0f0] font-bold">{aircraft.score}</td>
+                    <td className="py-2">{metricValue(aircraft, 'topSpeedKmh')}</td>
+                    <td className="py-2">{metricValue(aircraft, 'rangeKm')}</td>
+                    <td className="py-2">{metricValue(aircraft, 'radarRangeKm')}</td>
+                    <td className="py-2">{metricValue(aircraft, 'stealthScore')}</td>
+                    <td className="py-2">{metricValue(aircraft, 'unitCostMUsd')}</td>
+                    {!cohort && (
+                      <td className="py-2">
+                        <button
+                          type="button"
+                          onClick={() => toggleCompare(aircraft.id)}
+                          className="border border-[#ff003c] text-[#ff003c] px-2 py-1 hover:bg-[#ff003c] hover:text-black transition-all hover:shadow-[0_0_8px_#ff003c]"
+                        >
+                          X
+                        </button>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+        )}
+
+        <section>
+          <h2 className="font-pixel text-base text-[#0f0] mb-3">METRIC_DEEP_DIVE</h2>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            {scoringMetrics.map((metric) => {
+              // Unknown values sort last whatever the metric direction.
+              const ordered = [...analyzedAircraft].sort(
+                (a, b) => (normalizedMetric(b, metric, activeMetricStats) ?? -1) - (normalizedMetric(a, metric, activeMetricStats) ?? -1)
+              )
+              const lead = metricLeader(analyzedAircraft, metric, activeMetricStats)
+
+              return (
+                <article key={metric.key} className="border border-[#0f0] bg-[#001100] p-4">
+                  <header className="flex items-start justify-between gap-2 mb-3">
+                    <div>
+                      <h3 className="font-pixel text-sm text-[#0f0]">
+                        {metric.label}
+                        {specUnitLabel(metric.key, units) && (
+                          <span className="ml-2 font-mono text-xs text-[#0f0]/60">[{specUnitLabel(metric.key, units)}]</span>
+                        )}
+                      </h3>
+                      <p className="text-xs text-[#0f0]/60">LEAD: {lead?.name || 'N/A'}</p>
+                    </div>
+                    <span className="text-xs text-[#0f0]/70">{lead ? metricValue(lead, metric.key) : 'UNKNOWN'}</span>
+                  </header>
+
+                  <div className="space-y-2">
+                    {(scalable ? ordered.slice(0, SCALABLE_THRESHOLD) : ordered).map((aircraft, index) => {
+                      const normalized = normalizedMetric(aircraft, metric, activeMetricStats)
+                      return (
+                        <div key={aircraft.id}>
+                          <div className="flex items-center justify-between text-[11px]">
+                            <span>
+                              {index + 1}. {aircraft.name}
+                            </span>
+                            <span>{metricValue(aircraft, metric.key)}</span>
+                          </div>
+                          <div className={`h-2 border bg-black mt-1 ${normalized === null ? 'border-dashed border-[#ff003c]' : 'border-[#0f0]'}`}>
+                            {normalized !== null && (
+                              <div
+                                className={`h-full ${aircraft.imputedFields?.[metric.key] ? 'opacity-40' : ''}`}
+                                style={{
+                                  width: `${Math.max(6, normalized * 100)}%`,
+                                  backgroundColor: metric.color
+                                }}
+                              />
+                            )}
+                          </div>
                         </div>
-                      </div>
-                    )
-                  })}
-                </div>
-              </article>
-            )
-          })}
-        </div>
-      </section>
-    </div>
+                      )
+                    })}
+                    {scalable && ordered.length > SCALABLE_THRESHOLD && (
+                      <button
+                        type="button"
+                        onClick={() => showInMatrix(metric.key)}
+                        className="text-[10px] text-[#0f0]/60 uppercase underline hover:text-[#00ffff]"
+                      >
+                        +{ordered.length - SCALABLE_THRESHOLD} more — rank all in SPEC_MATRIX
+                      </button>
+                    )}
+                  </div>
+                </article>
+              )
+            })}
+          </div>
+        </section>
+      </div>
+      <AnalyzeBrief
+        scoreboard={scoreboard}
+        leaders={leaders}
+        metrics={scoringMetrics}
+        units={units}
+        settings={exportSettings}
+        radar={
+          analyzedAircraft.length >= 2 && (
+            <AnalyzeRadar
+              compareAircraft={analyzedAircraft}
+              axes={radarAxes}
+              normalize={normalizeRadar}
+              units={units}
+              summarize={scalable}
+              highlightIds={radarHighlights}
+            />
+          )
+        }
+      />
+    </>
   )
 }
 
+/* First matched field that isn't already visible on the card, narrowed to the matching list entry. */
+function matchSnippet(item, matches) {
+  const field = Object.keys(matches).find((key) => !['name', 'id', 'description', 'role', 'generation', 'country'].includes(key))
+  if (!field) return null
+
+  const value = item[field]
+  if (!Array.isArray(value)) return { field, text: String(value) }
+  const entry = value.find((text) => textMatchesTokens(text, matches[field]))
+  return { field, text: String(entry ?? value[0]) }
+}
+
 function CatalogPage({
   aircraft,
   summaries,
@@ -521,57 +1386,120 @@ function CatalogPage({
   toggleCompare,
   compareAircraft,
   clearCompare,
-  metricStats
+  metricStats,
+  units,
+  scoringMetrics,
+  families
 }) {
-  const [query, setQuery] = useState('')
-  const [roleFilter, setRoleFilter] = useState('All')
-  const [countryFilter, setCountryFilter] = useState('All')
-  const [generationFilter, setGenerationFilter] = useState('All')
-  const [sortBy, setSortBy] = useState('name')
+  const [searchParams, setSearchParams] = useSearchParams()
   const [comparePanelMinimized, setComparePanelMinimized] = useState(false)
+  const [rangesOpen, setRangesOpen] = useState(() => searchParams.has('range'))
 
   const roleOptions = useMemo(() => ['All', ...new Set(aircraft.map((item) => item.role))], [aircraft])
   const countryOptions = useMemo(() => ['All', ...new Set(aircraft.map((item) => item.country))], [aircraft])
   const generationOptions = useMemo(() => ['All', ...new Set(aircraft.map((item) => item.generation))], [aircraft])
+  const familyById = useMemo(() => new Map(families.map((family) => [family.id, family])), [families])
+
+  // Filter state lives in the query string (?q=&role=&country=&gen=&where=&range=&sort=&group=&img=) so it can be shared and restored.
+  const query = searchParams.get('q') || ''
+  const roleFilter = pickOption(searchParams.get('role'), roleOptions, 'All')
+  const countryFilter = pickOption(searchParams.get('country'), countryOptions, 'All')
+  const generationFilter = pickOption(searchParams.get('gen'), generationOptions, 'All')
+  const groupBy = pickOption(searchParams.get('group'), ['none', 'family'], 'none')
+  const imageMode = pickOption(
+    searchParams.get('img'),
+    CATALOG_IMAGE_MODES.map((mode) => mode.id),
+    'photo'
+  )
+  const specExpression = searchParams.get('where') || ''
+  const rangeParam = searchParams.get('range')
+  const specRanges = useMemo(() => parseRangeList(rangeParam, NUMERIC_SPEC_KEYS), [rangeParam])
+  const rangeBounds = useMemo(() => specBounds(aircraft, METRIC_KEYS), [aircraft])
+  const parsedSpecQuery = useMemo(() => parseSpecQuery(specExpression), [specExpression])
+
+  // With a search query the default order is relevance; without one it falls back to name.
+  const hasQuery = Boolean(query.trim())
+  const sortOptions = hasQuery ? CATALOG_SORT_FIELDS : CATALOG_SORT_FIELDS.filter((field) => field.key !== 'relevance')
+  const defaultSorts = useMemo(() => [hasQuery ? { key: 'relevance', dir: 'desc' } : { key: 'name', dir: 'asc' }], [hasQuery])
+  const sortParam = searchParams.get('sort')
+  const sorts = useMemo(() => {
+    const parsed = parseSortList(sortParam, CATALOG_SORT_DIRS).filter((sort) => hasQuery || sort.key !== 'relevance')
+    return parsed.length > 0 ? parsed : defaultSorts
+  }, [defaultSorts, hasQuery, sortParam])
+
+  const updateParam = useCallback(
+    (key, value, defaultValue, options) => {
+      setSearchParams((current) => withParam(current, key, value, defaultValue), options)
+    },
+    [setSearchParams]
+  )
+
+  // Typing replaces the history entry instead of pushing one per keystroke.
+  const setQuery = (value) => updateParam('q', value, '', { replace: true })
+  const setRoleFilter = (value) => updateParam('role', value, 'All')
+  const setCountryFilter = (value) => updateParam('country', value, 'All')
+  const setGenerationFilter = (value) => updateParam('gen', value, 'All')
+  const setGroupBy = (value) => updateParam('group', value, 'none')
+  const setImageMode = (value) => updateParam('img', value, 'photo')
+  const setSpecExpression = (value) => updateParam('where', value, '', { replace: true })
+  const setSpecRanges = (value) => updateParam('range', serializeRangeList(value), '', { replace: true })
+  const setSorts = (value) => updateParam('sort', serializeSortList(value), serializeSortList(defaultSorts))
+
+  const setSortKey = (index, key) =>
+    setSorts(sorts.map((sort, position) => (position === index ? { key, dir: CATALOG_SORT_DIRS[key] } : sort)))
+  const toggleSortDir = (index) =>
+    setSorts(sorts.map((sort, position) => (position === index ? { ...sort, dir: sort.dir === 'asc' ? 'desc' : 'asc' } : sort)))
+  const removeSortKey = (index) => setSorts(sorts.filter((_, position) => position !== index))
+  const addSortKey = () => {
+    const next = sortOptions.find((field) => !sorts.some((sort) => sort.key === field.key))
+    if (next) setSorts([...sorts, { key: next.key, dir: next.dir }])
+  }
+  const activeRangeCount = Object.keys(specRanges).length
+
+  const searchIndexData = useMemo(() => buildSearchIndex(aircraft), [aircraft])
+  const searchResults = useMemo(() => searchIndex(searchIndexData, query), [query, searchIndexData])
 
   const filtered = useMemo(() => {
     const list = aircraft
-      .filter((item) => {
-        if (!query.trim()) return true
-        const text = `${item.name} ${item.country} ${item.role} ${item.generation} ${item.manufacturer}`.toLowerCase()
-        return text.includes(query.trim().toLowerCase())
-      })
+      .filter((item) => (searchResults ? searchResults.has(item.id) : true))
       .filter((item) => (roleFilter === 'All' ? true : item.role === roleFilter))
       .filter((item) => (countryFilter === 'All' ? true : item.country === countryFilter))
       .filter((item) => (generationFilter === 'All' ? true : item.generation === generationFilter))
+      .filter((item) => matchesSpecClauses(item, parsedSpecQuery.clauses))
+      .filter((item) => matchesSpecRanges(item, specRanges))
 
-    if (sortBy === 'speed') {
-      list.sort((a, b) => b.topSpeedKmh - a.topSpeedKmh)
-    } else if (sortBy === 'range') {
-      list.sort((a, b) => b.rangeKm - a.rangeKm)
-    } else if (sortBy === 'combatRadius') {
-      list.sort((a, b) => b.combatRadiusKm - a.combatRadiusKm)
-    } else if (sortBy === 'ceiling') {
-      list.sort((a, b) => b.serviceCeilingM - a.serviceCeilingM)
-    } else if (sortBy === 'stealth') {
-      list.sort((a, b) => b.stealthScore - a.stealthScore)
-    } else if (sortBy === 'cost') {
-      list.sort((a, b) => a.unitCostMUsd - b.unitCostMUsd)
-    } else if (sortBy === 'firstFlight') {
-      list.sort((a, b) => b.firstFlight - a.firstFlight)
-    } else if (sortBy === 'introduced') {
-      list.sort((a, b) => b.introduced - a.introduced)
-    } else {
-      list.sort((a, b) => a.name.localeCompare(b.name))
+    const valueFor = (item, key) => {
+      if (key === 'relevance') return searchResults?.get(item.id)?.score
+      const value = item[CATALOG_SORT_BY_KEY.get(key).field]
+      return typeof value === 'number' && !Number.isFinite(value) ? null : value
     }
+    // Name is always the final tie-breaker so equal rows keep a stable order.
+    list.sort(multiKeyComparator([...sorts, { key: 'name', dir: 'asc' }], valueFor))
 
     return list
-  }, [aircraft, countryFilter, generationFilter, query, roleFilter, sortBy])
+  }, [aircraft, countryFilter, generationFilter, parsedSpecQuery, roleFilter, searchResults, sorts, specRanges])
+
+  const cardGroups = useMemo(
+    () => (groupBy === 'family' ? groupByFamily(filtered, families) : [{ family: null, items: filtered }]),
+    [families, filtered, groupBy]
+  )
+
+  const offlineEntries = useMemo(
+    () =>
+      aircraft.map((item) => ({
+        id: item.id,
+        modelPath: resolveModel(item)?.path,
+        imageUrl: summaries[item.wikiTitle]?.image
+      })),
+    [aircraft, resolveModel, summaries]
+  )
+  const offlineById = useOfflineAvailability(offlineEntries)
+  const offlineCount = Object.values(offlineById).filter((status) => status.complete).length
 
   const activeMetricStats = useMemo(() => metricStats || buildMetricStats(aircraft), [aircraft, metricStats])
   const compareScoreboard = useMemo(
-    () => scoreboardFor(compareAircraft, activeMetricStats),
-    [activeMetricStats, compareAircraft]
+    () => scoreboardFor(compareAircraft, activeMetricStats, scoringMetrics),
+    [activeMetricStats, compareAircraft, scoringMetrics]
   )
 
   const compareScoreById = useMemo(() => {
@@ -585,20 +1513,144 @@ function CatalogPage({
   const quickLeads = useMemo(() => {
     if (compareAircraft.length === 0) return []
 
+    const metricsByKey = new Map(scoringMetrics.map((metric) => [metric.key, metric]))
     return [
-      { label: 'FASTEST', metric: METRIC_BY_KEY.topSpeedKmh },
-      { label: 'RANGE_KING', metric: METRIC_BY_KEY.rangeKm },
-      { label: 'STEALTH_LEAD', metric: METRIC_BY_KEY.stealthScore },
-      { label: 'CHEAPEST', metric: METRIC_BY_KEY.unitCostMUsd }
-    ].map((entry) => {
-      const lead = metricLeader(compareAircraft, entry.metric, activeMetricStats)
-      return {
-        ...entry,
-        lead,
-        value: lead ? formatMetric(lead[entry.metric.key], entry.metric.unit) : 'NaN'
-      }
-    })
-  }, [activeMetricStats, compareAircraft])
+      { labels: ['FASTEST', 'SLOWEST'], metric: metricsByKey.get('topSpeedKmh') },
+      { labels: ['RANGE_KING', 'SHORTEST_RANGE'], metric: metricsByKey.get('rangeKm') },
+      { labels: ['STEALTH_LEAD', 'LEAST_STEALTHY'], metric: metricsByKey.get('stealthScore') },
+      { labels: ['CHEAPEST', 'PRICIEST'], metric: metricsByKey.get('unitCostMUsd') }
+    ]
+      .filter((entry) => entry.metric.weight > 0)
+      .map(({ labels, metric }) => {
+        const lead = metricLeader(compareAircraft, metric, activeMetricStats)
+        return {
+          label: leaderLabel(metric, labels),
+          metric,
+          lead,
+          value: lead ? formatSpec(metric.key, lead[metric.key], units) : 'UNKNOWN'
+        }
+      })
+  }, [activeMetricStats, compareAircraft, scoringMetrics, units])
+
+  const renderCard = (item) => {
+    const model = resolveModel(item)
+    const summary = summaries[item.wikiTitle]
+    const inCompare = compareIds.includes(item.id)
+    const compareLocked = compareIds.length >= ANALYZE_LIMIT && !inCompare
+    const matches = searchResults?.get(item.id)?.matches || {}
+    const snippet = matchSnippet(item, matches)
+
+    return (
+      <article
+        key={item.id}
+        className="group bg-black border-2 border-[#0f0] hover:shadow-[0_0_20px_#0f0] flex flex-col h-full transition-shadow duration-75 relative"
+      >
+        <div className="absolute top-0 left-0 w-2 h-2 border-t-2 border-l-2 border-[#0f0] -translate-x-[2px] -translate-y-[2px]" />
+        <div className="absolute top-0 right-0 w-2 h-2 border-t-2 border-r-2 border-[#0f0] translate-x-[2px] -translate-y-[2px]" />
+        <div className="absolute bottom-0 left-0 w-2 h-2 border-b-2 border-l-2 border-[#0f0] -translate-x-[2px] translate-y-[2px]" />
+        <div className="absolute bottom-0 right-0 w-2 h-2 border-b-2 border-r-2 border-[#0f0] translate-x-[2px] translate-y-[2px]" />
+
+        <Link to={withCompareIds(`/aircraft/${item.id}`, compareIds)} className="block relative h-40 overflow-hidden bg-[#001100] border-b-2 border-[#0f0] cursor-crosshair">
+          <CatalogImage key={`${imageMode}|${summary?.image ?? ''}`} photo={summary?.image} model={model} mode={imageMode} alt={item.name} />
+
+          <div className="absolute inset-0 bg-[linear-gradient(rgba(0,255,0,0.1)_1px,transparent_1px),linear-gradient(90deg,rgba(0,255,0,0.1)_1px,transparent_1px)] bg-[size:4px_4px] pointer-events-none" />
+
+          <div className="absolute top-2 left-2 flex gap-1">
+            <span className="bg-black text-[#0f0] text-[10px] px-1.5 py-0.5 border border-[#0f0] font-bold">[{item.country}]</span>
+          </div>
+
+          {model && (
+            <div className="absolute top-2 right-2">
+              <span className="bg-[#0f0] text-black text-[10px] px-1.5 py-0.5 font-bold animate-pulse">3D_GEO</span>
+            </div>
+          )}
+
+          {offlineById[item.id]?.complete && (
+            <div className="absolute bottom-2 left-2">
+              <span
+                className="bg-black text-[#00ffff] text-[10px] px-1.5 py-0.5 border border-[#00ffff] font-bold"
+                title="Record, model and image are stored for offline use"
+              >
+                OFFLINE_OK
+              </span>
+            </div>
+          )}
+        </Link>
+
+        <div className="p-4 flex flex-col flex-grow relative">
+          <div className="mb-3 border-b border-dashed border-[#0f0] pb-2">
+            <h2 className="font-pixel text-base sm:text-[15px] leading-snug font-bold text-[#0f0] group-hover:bg-[#0f0] group-hover:text-black transition-colors inline-block">
+              <Highlight text={item.name} tokens={matches.name} />
+            </h2>
+            <p className="text-[10px] sm:text-xs text-[#0f0]/80 tracking-wide uppercase mt-1">
+              {item.role} // {item.generation}
+            </p>
+            {familyById.has(item.family) && (
+              <p className="text-[10px] text-[#0f0]/60 uppercase mt-1">
+                FAMILY:{' '}
+                <Link to={withCompareIds(`/family/${item.family}`, compareIds)} className="underline hover:text-[#00ffff]">
+                  {familyById.get(item.family).name}
+                </Link>
+                {item.variantOf && ' // VARIANT'}
+              </p>
+            )}
+            {snippet && (
+              <p className="text-[10px] text-[#00ffff] mt-1 line-clamp-2" title={snippet.text}>
+                MATCH_{SEARCH_FIELD_LABELS[snippet.field]}: <Highlight text={snippet.text} tokens={matches[snippet.field]} />
+              </p>
+            )}
+          </div>
+
+          <div className="mb-4 text-xs font-mono bg-[#002200] p-2 border border-[#0f0]/30">
+            <div className="flex justify-between py-0.5">
+              <span className="text-[#0f0]/60">V_MAX</span>
+              <span className="text-[#0f0] font-bold">{formatSpec('topSpeedKmh', item.topSpeedKmh, units)}</span>
+            </div>
+            <div className="flex justify-between py-0.5">
+              <span className="text-[#0f0]/60">R_MAX</span>
+              <span className="text-[#0f0] font-bold">{formatSpec('rangeKm', item.rangeKm, units)}</span>
+            </div>
+            <div className="flex justify-between py-0.5">
+              <span className="text-[#0f0]/60">RDR</span>
+              <span className="text-[#0f0] font-bold">{formatSpec('radarRangeKm', item.radarRangeKm, units)}</span>
+            </div>
+            <div className="flex justify-between py-0.5">
+              <span className="text-[#0f0]/60">STLH</span>
+              <span className="text-[#0f0] font-bold">{formatSpec('stealthScore', item.stealthScore, units)}</span>
+            </div>
+          </div>
+
+          <p className="text-xs text-[#0f0]/70 line-clamp-3 mb-6 flex-grow overflow-hidden">
+            &gt; <Highlight text={item.description} tokens={matches.description} />
+          </p>
+
+          <div className="flex gap-2 mt-auto pt-4 border-t-2 border-double border-[#0f0]">
+            <Link
+              to={withCompareIds(`/aircraft/${item.id}`, compareIds)}
+              className="flex-1 text-center bg-black text-[#0f0] border border-[#0f0] py-2 text-xs font-bold uppercase glitch-hover cursor-crosshair"
+            >
+              [ ACCESS_RECORD ]
+            </Link>
+            <button
+              type="button"
+              aria-disabled={compareLocked}
+              title={compareLocked ? `The hand-picked set holds ${ANALYZE_LIMIT} aircraft; use a scope on Analyze for more` : undefined}
+              onClick={() => toggleCompare(item.id)}
+              className={`px-3 py-2 text-xs font-bold uppercase border cursor-crosshair transition-all duration-100 ${
+                inCompare
+                  ? 'bg-[#220000] text-[#ff003c] border-[#ff003c] hover:bg-[#ff003c] hover:text-black hover:shadow-[0_0_10px_#ff003c] hover:-translate-y-0.5'
+                  : compareLocked
+                    ? 'bg-black text-[#0f0] border-[#0f0] opacity-30 cursor-not-allowed'
+                    : 'bg-black text-[#0f0] border-[#0f0] glitch-hover'
+              }`}
+            >
+              {inCompare ? '[ - REMOVE ]' : '[ + ANALYZE ]'}
+            </button>
+          </div>
+        </div>
+      </article>
+    )
+  }
 
   const compareDockPadding =
     compareAircraft.length === 0 ? '3rem' : comparePanelMinimized ? '6.5rem' : 'min(30rem, 60vh)'
@@ -610,7 +1662,8 @@ function CatalogPage({
           AIRCRAFT DATABASE
         </h1>
         <p className="text-[#0f0]/70 max-w-3xl mb-8 text-sm">
-          Browse and compare fighter aircraft from around the world. Select up to {ANALYZE_LIMIT} aircraft to run a detailed comparison.
+          Browse and compare fighter aircraft from around the world. Hand-pick up to {ANALYZE_LIMIT} aircraft for a detailed
+          comparison, or open Analyze with a scope to rank a whole generation, role or operator fleet.
         </p>
 
         <div className="grid grid-cols-1 md:grid-cols-5 gap-4 p-4 border border-dashed border-[#0f0] bg-[#001100]">
@@ -620,7 +1673,7 @@ function CatalogPage({
               type="text"
               value={query}
               onChange={(event) => setQuery(event.target.value)}
-              placeholder="SEARCH_QUERY_"
+              placeholder='SEARCH_QUERY_ (radar:aesa operator:"us navy")'
               className="w-full bg-black border border-[#0f0] pl-8 pr-4 py-2 text-[#0f0] outline-none transition-all placeholder:text-[#0f0]/40 uppercase focus:bg-[#002200]"
             />
           </div>
@@ -662,131 +1715,150 @@ function CatalogPage({
           </select>
         </div>
 
+        <div className="mt-4 relative">
+          <span className="absolute left-2 top-2.5 text-[#0f0] font-bold">$</span>
+          <input
+            type="text"
+            value={specExpression}
+            onChange={(event) => setSpecExpression(event.target.value)}
+            placeholder="FILTER_EXPR_ (stealthScore>=8 AND combatRadiusKm>1000)"
+            spellCheck={false}
+            className={`w-full bg-black border pl-8 pr-4 py-2 text-[#0f0] outline-none transition-all placeholder:text-[#0f0]/40 focus:bg-[#002200] ${
+              parsedSpecQuery.error ? 'border-[#ff003c]' : 'border-[#0f0]'
+            }`}
+          />
+          {parsedSpecQuery.error ? (
+            <p className="mt-1 text-xs text-[#ff003c]" role="alert">
+              &gt; PARSE_ERROR: {parsedSpecQuery.error}
+            </p>
+          ) : (
+            <p className="mt-1 text-[10px] text-[#0f0]/50">
+              &gt; Values use data units (km/h, km, m, kg, kN, M USD). Operators: &gt; &gt;= &lt; &lt;= = != and `key BETWEEN a AND b`.
+            </p>
+          )}
+        </div>
+
         <div className="mt-4">
+          <button
+            type="button"
+            onClick={() => setRangesOpen((open) => !open)}
+            className="bg-black text-[#0f0] border border-[#0f0] px-3 py-1 text-xs uppercase glitch-hover cursor-pointer"
+          >
+            {rangesOpen ? '[ - SPEC_RANGES ]' : '[ + SPEC_RANGES ]'}
+            {activeRangeCount > 0 && ` (${activeRangeCount} ACTIVE)`}
+          </button>
+          {activeRangeCount > 0 && (
+            <button
+              type="button"
+              onClick={() => setSpecRanges({})}
+              className="ml-2 bg-black text-[#ff003c] border border-[#ff003c] px-3 py-1 text-xs uppercase cursor-pointer"
+            >
+              [ RESET_RANGES ]
+            </button>
+          )}
+          {rangesOpen && <SpecRangeFilters bounds={rangeBounds} ranges={specRanges} onChange={setSpecRanges} units={units} />}
+        </div>
+
+        <div className="mt-4 flex flex-col gap-2">
+          {sorts.map((sort, index) => (
+            <div key={`${sort.key}-${index}`} className="flex gap-2">
+              <span className="w-14 shrink-0 self-center text-xs text-[#0f0]/60">{index === 0 ? 'SORT:' : 'THEN:'}</span>
+              <select
+                value={sort.key}
+                onChange={(event) => setSortKey(index, event.target.value)}
+                className="flex-1 min-w-0 bg-black border border-[#0f0] px-4 py-2 text-[#0f0] outline-none appearance-none uppercase focus:bg-[#002200]"
+              >
+                {sortOptions
+                  .filter((field) => field.key === sort.key || !sorts.some((other) => other.key === field.key))
+                  .map((field) => (
+                    <option key={field.key} value={field.key}>
+                      {field.label}
+                      {field.field && specUnitLabel(field.field, units) ? ` [${specUnitLabel(field.field, units)}]` : ''}
+                    </option>
+                  ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => toggleSortDir(index)}
+                className="shrink-0 bg-black text-[#0f0] border border-[#0f0] px-3 py-2 text-xs uppercase glitch-hover cursor-pointer"
+                title="Toggle ascending / descending"
+              >
+                {sort.dir === 'asc' ? '[ ASC ▲ ]' : '[ DESC ▼ ]'}
+              </button>
+              {sorts.length > 1 && (
+                <button
+                  type="button"
+                  onClick={() => removeSortKey(index)}
+                  className="shrink-0 bg-black text-[#ff003c] border border-[#ff003c] px-3 py-2 text-xs cursor-pointer"
+                  aria-label="Remove sort key"
+                >
+                  [ X ]
+                </button>
+              )}
+            </div>
+          ))}
+          {sorts.length < Math.min(MAX_SORT_KEYS, sortOptions.length) && (
+            <button
+              type="button"
+              onClick={addSortKey}
+              className="self-start bg-black text-[#0f0] border border-dashed border-[#0f0] px-3 py-1 text-xs uppercase glitch-hover cursor-pointer"
+            >
+              [ + THEN_BY ]
+            </button>
+          )}
+        </div>
+
+        <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-2">
           <select
-            value={sortBy}
-            onChange={(event) => setSortBy(event.target.value)}
+            value={groupBy}
+            onChange={(event) => setGroupBy(event.target.value)}
             className="w-full bg-black border border-[#0f0] px-4 py-2 text-[#0f0] outline-none appearance-none uppercase focus:bg-[#002200]"
+            aria-label="Group results"
           >
-            <option value="name">SORT: ALPHANUMERIC</option>
-            <option value="speed">SORT: TOP_SPEED</option>
-            <option value="range">SORT: FERRY_RANGE</option>
-            <option value="combatRadius">SORT: COMBAT_RADIUS</option>
-            <option value="ceiling">SORT: SERVICE_CEILING</option>
-            <option value="stealth">SORT: STEALTH_SCORE</option>
-            <option value="cost">SORT: COST_ASC</option>
-            <option value="firstFlight">SORT: FIRST_FLIGHT_DESC</option>
-            <option value="introduced">SORT: INTRODUCED_DESC</option>
+            <option value="none">GROUP: NONE</option>
+            <option value="family">GROUP: FAMILY / VARIANTS</option>
+          </select>
+          <select
+            value={imageMode}
+            onChange={(event) => setImageMode(event.target.value)}
+            className="w-full bg-black border border-[#0f0] px-4 py-2 text-[#0f0] outline-none appearance-none uppercase focus:bg-[#002200]"
+            aria-label="Card images"
+          >
+            {CATALOG_IMAGE_MODES.map((mode) => (
+              <option key={mode.id} value={mode.id}>
+                IMAGES: {mode.label}
+              </option>
+            ))}
           </select>
         </div>
 
         <div className="mt-2 text-xs text-[#0f0]/60">
-          {filtered.length} aircraft found
+          {filtered.length} aircraft found{offlineCount > 0 && ` | ${offlineCount} available offline`}
         </div>
       </header>
 
-      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
-        {filtered.map((item) => {
-          const model = resolveModel(item)
-          const summary = summaries[item.wikiTitle]
-          const inCompare = compareIds.includes(item.id)
-          const compareLocked = compareIds.length >= ANALYZE_LIMIT && !inCompare
-
-          return (
-            <article
-              key={item.id}
-              className="group bg-black border-2 border-[#0f0] hover:shadow-[0_0_20px_#0f0] flex flex-col h-full transition-shadow duration-75 relative"
-            >
-              <div className="absolute top-0 left-0 w-2 h-2 border-t-2 border-l-2 border-[#0f0] -translate-x-[2px] -translate-y-[2px]" />
-              <div className="absolute top-0 right-0 w-2 h-2 border-t-2 border-r-2 border-[#0f0] translate-x-[2px] -translate-y-[2px]" />
-              <div className="absolute bottom-0 left-0 w-2 h-2 border-b-2 border-l-2 border-[#0f0] -translate-x-[2px] translate-y-[2px]" />
-              <div className="absolute bottom-0 right-0 w-2 h-2 border-b-2 border-r-2 border-[#0f0] translate-x-[2px] translate-y-[2px]" />
-
-              <Link to={`/aircraft/${item.id}`} className="block relative h-40 overflow-hidden bg-[#001100] border-b-2 border-[#0f0] cursor-crosshair">
-                {summary?.image ? (
-                  <img
-                    src={summary.image}
-                    alt={item.name}
-                    loading="lazy"
-                    className="w-full h-full object-cover opacity-60 grayscale contrast-150 mix-blend-screen group-hover:scale-110 transition-transform duration-200"
-                  />
-                ) : (
-                  <div className="w-full h-full flex items-center justify-center text-[#ff003c] font-pixel text-sm uppercase glitch-text" data-text="IMG_NULL">
-                    IMG_NULL
-                  </div>
-                )}
-
-                <div className="absolute inset-0 bg-[linear-gradient(rgba(0,255,0,0.1)_1px,transparent_1px),linear-gradient(90deg,rgba(0,255,0,0.1)_1px,transparent_1px)] bg-[size:4px_4px] pointer-events-none" />
-
-                <div className="absolute top-2 left-2 flex gap-1">
-                  <span className="bg-black text-[#0f0] text-[10px] px-1.5 py-0.5 border border-[#0f0] font-bold">[{item.country}]</span>
-                </div>
-
-                {model && (
-                  <div className="absolute top-2 right-2">
-                    <span className="bg-[#0f0] text-black text-[10px] px-1.5 py-0.5 font-bold animate-pulse">3D_GEO</span>
-                  </div>
-                )}
-              </Link>
-
-              <div className="p-4 flex flex-col flex-grow relative">
-                <div className="mb-3 border-b border-dashed border-[#0f0] pb-2">
-                  <h2 className="font-pixel text-base sm:text-[15px] leading-snug font-bold text-[#0f0] group-hover:bg-[#0f0] group-hover:text-black transition-colors inline-block">
-                    {item.name}
-                  </h2>
-                  <p className="text-[10px] sm:text-xs text-[#0f0]/80 tracking-wide uppercase mt-1">
-                    {item.role} // {item.generation}
-                  </p>
-                </div>
-
-                <div className="mb-4 text-xs font-mono bg-[#002200] p-2 border border-[#0f0]/30">
-                  <div className="flex justify-between py-0.5">
-                    <span className="text-[#0f0]/60">V_MAX</span>
-                    <span className="text-[#0f0] font-bold">{formatMetric(item.topSpeedKmh, 'km/h')}</span>
-                  </div>
-                  <div className="flex justify-between py-0.5">
-                    <span className="text-[#0f0]/60">R_MAX</span>
-                    <span className="text-[#0f0] font-bold">{formatMetric(item.rangeKm, 'km')}</span>
-                  </div>
-                  <div className="flex justify-between py-0.5">
-                    <span className="text-[#0f0]/60">RDR</span>
-                    <span className="text-[#0f0] font-bold">{formatMetric(item.radarRangeKm, 'km')}</span>
-                  </div>
-                  <div className="flex justify-between py-0.5">
-                    <span className="text-[#0f0]/60">STLH</span>
-                    <span className="text-[#0f0] font-bold">{formatMetric(item.stealthScore, '/10')}</span>
-                  </div>
-                </div>
-
-                <p className="text-xs text-[#0f0]/70 line-clamp-3 mb-6 flex-grow overflow-hidden">
-                  &gt; {item.description}
-                </p>
-
-                <div className="flex gap-2 mt-auto pt-4 border-t-2 border-double border-[#0f0]">
-                  <Link
-                    to={`/aircraft/${item.id}`}
-                    className="flex-1 text-center bg-black text-[#0f0] border border-[#0f0] py-2 text-xs font-bold uppercase glitch-hover cursor-crosshair"
-                  >
-                    [ ACCESS_RECORD ]
-                  </Link>
-                  <button
-                    type="button"
-                    disabled={compareLocked}
-                    onClick={() => toggleCompare(item.id)}
-                    className={`px-3 py-2 text-xs font-bold uppercase border cursor-crosshair transition-all duration-100 ${
-                      inCompare
-                        ? 'bg-[#220000] text-[#ff003c] border-[#ff003c] hover:bg-[#ff003c] hover:text-black hover:shadow-[0_0_10px_#ff003c] hover:-translate-y-0.5'
-                        : 'bg-black text-[#0f0] border-[#0f0] glitch-hover disabled:opacity-30 disabled:cursor-not-allowed disabled:bg-black disabled:text-[#0f0]'
-                    }`}
-                  >
-                    {inCompare ? '[ - REMOVE ]' : '[ + ANALYZE ]'}
-                  </button>
-                </div>
-              </div>
-            </article>
-          )
-        })}
-      </div>
+      {cardGroups.map((group) => (
+        <section key={group.family?.id ?? 'all'} className={groupBy === 'family' ? 'mb-10' : undefined}>
+          {groupBy === 'family' && (
+            <header className="mb-4 flex flex-wrap items-baseline justify-between gap-2 border-b-2 border-dashed border-[#0f0] pb-2">
+              {group.family ? (
+                <Link
+                  to={withCompareIds(`/family/${group.family.id}`, compareIds)}
+                  className="font-pixel text-lg text-[#0f0] uppercase glitch-hover px-1"
+                >
+                  &gt;&gt; {group.family.name}
+                </Link>
+              ) : (
+                <h2 className="font-pixel text-lg text-[#0f0]/70 uppercase">&gt;&gt; STANDALONE_AIRFRAMES</h2>
+              )}
+              <span className="text-xs text-[#0f0]/60">
+                {group.items.length} RECORD{group.items.length === 1 ? '' : 'S'}
+              </span>
+            </header>
+          )}
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">{group.items.map(renderCard)}</div>
+        </section>
+      ))}
 
       <div
         className={`fixed bottom-0 left-0 w-full z-40 transition-transform duration-200 ${
@@ -809,7 +1881,10 @@ function CatalogPage({
                 >
                   {comparePanelMinimized ? '[ RAISE_PANEL ]' : '[ LOWER_PANEL ]'}
                 </button>
-                <Link to="/analyze" className="text-xs text-[#0f0] border border-[#0f0] px-2 py-1 uppercase glitch-hover">
+                <Link
+                  to={withCompareIds('/analyze', compareIds)}
+                  className="text-xs text-[#0f0] border border-[#0f0] px-2 py-1 uppercase glitch-hover"
+                >
                   [ OPEN_SUITE ]
                 </Link>
                 <button
@@ -868,10 +1943,10 @@ function CatalogPage({
 
                         <div className="space-y-2">
                           {[
-                            { label: 'SPD', value: formatMetric(item.topSpeedKmh, 'km/h'), width: speedNorm, color: '#00ff00' },
-                            { label: 'RNG', value: formatMetric(item.rangeKm, 'km'), width: rangeNorm, color: '#00ffff' },
-                            { label: 'STLH', value: formatMetric(item.stealthScore, '/10'), width: stealthNorm, color: '#88ff88' },
-                            { label: 'COST_EFF', value: formatMetric(item.unitCostMUsd, 'M USD'), width: costNorm, color: '#ff6680' }
+                            { label: 'SPD', value: formatSpec('topSpeedKmh', item.topSpeedKmh, units), width: speedNorm, color: '#00ff00' },
+                            { label: 'RNG', value: formatSpec('rangeKm', item.rangeKm, units), width: rangeNorm, color: '#00ffff' },
+                            { label: 'STLH', value: formatSpec('stealthScore', item.stealthScore, units), width: stealthNorm, color: '#88ff88' },
+                            { label: 'COST_EFF', value: formatSpec('unitCostMUsd', item.unitCostMUsd, units), width: costNorm, color: '#ff6680' }
                           ].map((metric) => (
                             <div key={metric.label}>
                               <div className="flex justify-between text-[10px] mb-1">
@@ -881,7 +1956,7 @@ function CatalogPage({
                               <div className="h-2 w-full bg-black border border-[#0f0]">
                                 <div
                                   className="h-full"
-                                  style={{ width: `${Math.max(8, metric.width * 100)}%`, backgroundColor: metric.color }}
+                                  style={{ width: `${Math.max(8, (metric.width ?? 0) * 100)}%`, backgroundColor: metric.color }}
                                 />
                               </div>
                             </div>
@@ -891,7 +1966,8 @@ function CatalogPage({
                     )
                   })}
 
-                  {Array.from({ length: ANALYZE_LIMIT - compareAircraft.length }).map((_, index) => (
+                  {/* Pad the last row of the three-column grid. */}
+                  {Array.from({ length: (3 - (compareAircraft.length % 3)) % 3 }).map((_, index) => (
                     <div
                       key={`empty-${index}`}
                       className="hidden xl:flex border-2 border-dashed border-[#0f0]/30 bg-[#000500] items-center justify-center text-[#0f0]/30 text-xs font-mono h-full min-h-[170px]"
@@ -909,22 +1985,87 @@ function CatalogPage({
   )
 }
 
-function AircraftProfileRoute({ aircraftById, summaries, resolveModel }) {
+function AircraftProfileRoute({ aircraftById, summaries, refreshSummaries, resolveModel, units, compareIds }) {
   const { aircraftId } = useParams()
   const aircraft = aircraftById.get(aircraftId)
 
   if (!aircraft) {
-    return <Navigate to="/" replace />
+    return <Navigate to={withCompareIds('/', compareIds)} replace />
+  }
+
+  const family = familiesById.get(aircraft.family) || null
+
+  return (
+    <AircraftProfile
+      aircraft={aircraft}
+      model={resolveModel(aircraft)}
+      summary={summaries[aircraft.wikiTitle]}
+      onRefreshSummary={() => refreshSummaries(aircraft.wikiTitle)}
+      units={units}
+      returnTo={withCompareIds('/', compareIds)}
+      parent={aircraft.variantOf ? aircraftById.get(aircraft.variantOf) : null}
+      family={family}
+      familyMembers={family ? familyMembers(aircraftData, family.id) : []}
+      linkTo={(path) => withCompareIds(path, compareIds)}
+    />
+  )
+}
+
+function FamilyRoute({ summaries, units, compareIds }) {
+  const { familyId } = useParams()
+  const family = familiesById.get(familyId)
+
+  if (!family) {
+    return <Navigate to={withCompareIds('/', compareIds)} replace />
   }
 
-  return <AircraftProfile aircraft={aircraft} model={resolveModel(aircraft)} summary={summaries[aircraft.wikiTitle]} />
+  return (
+    <FamilyPage
+      family={family}
+      members={familyMembers(aircraftData, family.id)}
+      summaries={summaries}
+      units={units}
+      linkTo={(path) => withCompareIds(path, compareIds)}
+    />
+  )
 }
 
 function AppContent() {
-  const [compareIds, setCompareIds] = useState([])
+  const [searchParams] = useSearchParams()
+  const navigate = useNavigate()
+  const location = useLocation()
+  const [units, setUnits] = useUnitPreference()
+  const scoring = useScoringProfiles()
 
   const metricStats = useMemo(() => buildMetricStats(aircraftData), [])
   const aircraftById = useMemo(() => new Map(aircraftData.map((item) => [item.id, item])), [])
+
+  // The compare set is the ?ids= param, shared by every route. Unknown, duplicate
+  // and excess ids are dropped here and the URL is rewritten to the clean list.
+  const rawCompareIds = searchParams.get(COMPARE_PARAM)
+  const compareIds = useMemo(
+    () => parseIdList(rawCompareIds, aircraftById, ANALYZE_LIMIT),
+    [aircraftById, rawCompareIds]
+  )
+
+  const setCompareIds = useCallback(
+    (ids, options) => {
+      const params = withParam(searchParams, COMPARE_PARAM, serializeIdList(ids))
+      navigate({ search: toSearch(params) }, options)
+    },
+    [navigate, searchParams]
+  )
+
+  // Ids cut off by the limit are reported through the history state, which the
+  // next navigation clears, so the notice doesn't linger on later pages.
+  useEffect(() => {
+    if (rawCompareIds !== null && rawCompareIds !== serializeIdList(compareIds)) {
+      const dropped = parseIdList(rawCompareIds, aircraftById).length - compareIds.length
+      setCompareIds(compareIds, { replace: true, state: dropped > 0 ? { compareOverflow: dropped } : null })
+    }
+  }, [aircraftById, compareIds, rawCompareIds, setCompareIds])
+  const compareOverflow = location.state?.compareOverflow ?? 0
+  const dismissCompareNotice = () => navigate({ search: location.search }, { replace: true, state: null })
   const modelsById = useMemo(() => new Map(modelsManifest.map((item) => [item.id, item])), [])
   const modelsByAircraftId = useMemo(() => new Map(modelsManifest.map((item) => [item.aircraftId, item])), [])
 
@@ -939,10 +2080,11 @@ function AppContent() {
     [modelsByAircraftId, modelsById]
   )
 
+  // Only the lightest LOD is warmed up; the full model waits until its profile is opened.
   const featuredModelPaths = useMemo(() => {
     return aircraftData
       .filter((item) => item.featured)
-      .map((item) => resolveModel(item)?.path)
+      .map((item) => previewModelPath(resolveModel(item)))
       .filter(Boolean)
   }, [resolveModel])
 
@@ -951,23 +2093,26 @@ function AppContent() {
   }, [featuredModelPaths])
 
   const wikiTitles = useMemo(() => aircraftData.map((item) => item.wikiTitle), [])
-  const summaries = useWikiSummaries(wikiTitles)
+  const { summaries, refresh: refreshSummaries } = useWikiSummaries(wikiTitles)
 
-  const toggleCompare = useCallback((id) => {
-    setCompareIds((current) => {
-      if (current.includes(id)) {
-        return current.filter((item) => item !== id)
+  const toggleCompare = useCallback(
+    (id) => {
+      if (compareIds.includes(id)) {
+        setCompareIds(compareIds.filter((item) => item !== id))
+        return
       }
-      if (current.length >= ANALYZE_LIMIT) {
-        return current
+      if (compareIds.length >= ANALYZE_LIMIT) {
+        navigate({ search: toSearch(searchParams) }, { replace: true, state: { compareOverflow: 1 } })
+        return
       }
-      return [...current, id]
-    })
-  }, [])
+      setCompareIds([...compareIds, id])
+    },
+    [compareIds, navigate, searchParams, setCompareIds]
+  )
 
   const clearCompare = useCallback(() => {
     setCompareIds([])
-  }, [])
+  }, [setCompareIds])
 
   const compareAircraft = useMemo(() => {
     return compareIds.map((id) => aircraftById.get(id)).filter(Boolean)
@@ -975,22 +2120,66 @@ function AppContent() {
 
   return (
     <div className="flex flex-col min-h-screen crt">
-      <header className="sticky top-0 z-50 bg-black/90 border-b-2 border-[#0f0] shadow-[0_0_15px_rgba(0,255,0,0.3)]">
+      <header className="sticky top-0 z-50 bg-black/90 border-b-2 border-[#0f0] shadow-[0_0_15px_rgba(0,255,0,0.3)] print:hidden">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 h-16 flex items-center justify-between font-mono">
-          <Link to="/" className="flex items-center gap-3 group glitch-hover px-2 py-1">
+          <Link to={withCompareIds('/', compareIds)} className="flex items-center gap-3 group glitch-hover px-2 py-1">
             <span className="font-pixel font-bold text-lg tracking-wider text-[#0f0] group-hover:text-black">
               sys.JETATLAS<span className="animate-pulse">_</span>
             </span>
           </Link>
 
           <nav className="flex gap-4 items-center text-xs">
-            <Link to="/analyze" className="text-[#0f0] border border-[#0f0] px-2 py-1 glitch-hover uppercase">
+            <div className="flex items-center gap-1" aria-label="Display units">
+              <select
+                value={units.system}
+                onChange={(event) => setUnits({ system: event.target.value })}
+                aria-label="Unit system"
+                className="bg-black border border-[#0f0] px-2 py-1 text-[#0f0] outline-none appearance-none uppercase focus:bg-[#002200]"
+              >
+                {UNIT_SYSTEMS.map((option) => (
+                  <option key={option.id} value={option.id}>
+                    UNITS: {option.label}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={units.speed}
+                onChange={(event) => setUnits({ speed: event.target.value })}
+                aria-label="Speed unit"
+                className="bg-black border border-[#0f0] px-2 py-1 text-[#0f0] outline-none appearance-none uppercase focus:bg-[#002200]"
+              >
+                {SPEED_UNIT_OPTIONS.map((option) => (
+                  <option key={option.id} value={option.id}>
+                    SPD: {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <Link to={withCompareIds('/analyze', compareIds)} className="text-[#0f0] border border-[#0f0] px-2 py-1 glitch-hover uppercase">
               Analyze ({compareIds.length}/{ANALYZE_LIMIT})
             </Link>
           </nav>
         </div>
       </header>
 
+      {compareOverflow > 0 && (
+        <div role="status" className="sticky top-16 z-40 border-b-2 border-[#ff003c] bg-[#110000] font-mono text-xs text-[#ff003c] print:hidden">
+          <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex flex-wrap items-center gap-3">
+            <span>
+              COMPARE_SET_FULL: a hand-picked comparison holds {ANALYZE_LIMIT} aircraft
+              {compareOverflow > 1 && `; ${compareOverflow} more from the link were left out`}. Remove one first, or analyze a
+              whole cohort instead.
+            </span>
+            <Link to={withCompareIds('/analyze', compareIds, { cohort: 'all' })} className="border border-[#ff003c] px-2 py-0.5 uppercase glitch-hover">
+              [ OPEN_COHORT_MODE ]
+            </Link>
+            <button type="button" onClick={dismissCompareNotice} className="ml-auto border border-[#ff003c] px-2 py-0.5 uppercase glitch-hover">
+              [ DISMISS ]
+            </button>
+          </div>
+        </div>
+      )}
+
       <main className="flex-grow flex flex-col relative z-20">
         <PageTransition>
           <Routes>
@@ -1006,12 +2195,28 @@ function AppContent() {
                   compareAircraft={compareAircraft}
                   clearCompare={clearCompare}
                   metricStats={metricStats}
+                  units={units}
+                  scoringMetrics={scoring.metrics}
+                  families={familiesData}
                 />
               }
             />
             <Route
               path="/aircraft/:aircraftId"
-              element={<AircraftProfileRoute aircraftById={aircraftById} summaries={summaries} resolveModel={resolveModel} />}
+              element={
+                <AircraftProfileRoute
+                  aircraftById={aircraftById}
+                  summaries={summaries}
+                  refreshSummaries={refreshSummaries}
+                  resolveModel={resolveModel}
+                  units={units}
+                  compareIds={compareIds}
+                />
+              }
+            />
+            <Route
+              path="/family/:familyId"
+              element={<FamilyRoute summaries={summaries} units={units} compareIds={compareIds} />}
             />
             <Route
               path="/analyze"
@@ -1023,6 +2228,9 @@ function AppContent() {
                   metricStats={metricStats}
                   toggleCompare={toggleCompare}
                   clearCompare={clearCompare}
+                  resolveModel={resolveModel}
+                  units={units}
+                  scoring={scoring}
                 />
               }
             />
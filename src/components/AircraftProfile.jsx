@@ -1,12 +1,83 @@
-import { Suspense, lazy, useMemo, useState } from 'react'
+import { Suspense, lazy, useEffect, useMemo, useState } from 'react'
 import { Link } from 'react-router-dom'
+import { useOfflineAvailability } from '../hooks/useOfflineAvailability'
+import { variantDiff } from '../lib/families'
+import { revisionLog } from '../lib/history'
+import { removeFromOffline, saveForOffline } from '../lib/offline'
+import { CONFIDENCE_BY_ID, fieldProvenance, provenanceDate } from '../lib/provenance'
+import { formatSpec } from '../lib/units'
 
 const ModelViewer = lazy(() => import('./ModelViewer'))
 
-function formatValue(value, unit) {
-  if (typeof value !== 'number') return 'NULL'
-  const amount = new Intl.NumberFormat('en-US').format(value)
-  return `${amount} ${unit}`
+function formatValue(aircraft, key, units) {
+  return formatSpec(key, aircraft[key], units, { exact: true })
+}
+
+const DIFF_LABELS = {
+  manufacturer: 'MANUFAC',
+  country: 'ORIGIN',
+  role: 'FUNC_ROLE',
+  generation: 'TECH_GEN',
+  firstFlight: 'INIT_FLIGHT',
+  introduced: 'INTRODUCED',
+  topSpeedKmh: 'VELOCITY_MAX',
+  rangeKm: 'RANGE_FERRY',
+  combatRadiusKm: 'RANGE_COMBAT',
+  serviceCeilingM: 'ALT_CEIL',
+  crew: 'CREW_CNT',
+  engines: 'THRUSTERS',
+  thrustKn: 'THRUST_TOTAL',
+  radar: 'RADAR_SYS',
+  radarRangeKm: 'RADAR_RANGE',
+  avionics: 'AVIONICS',
+  lengthM: 'LENGTH',
+  wingspanM: 'WINGSPAN',
+  emptyWeightKg: 'EMPTY_WEIGHT',
+  maxTakeoffWeightKg: 'MTOW',
+  payloadKg: 'PAYLOAD_MAX',
+  hardpoints: 'HARDPOINTS',
+  climbRateMs: 'CLIMB_RATE',
+  gLimit: 'G_LIMIT',
+  unitCostMUsd: 'UNIT_COST',
+  stealthScore: 'STEALTH_IDX',
+  operators: 'OPERATORS'
+}
+
+// Years and counts read better without unit formatting or digit grouping.
+const PLAIN_NUMBER_FIELDS = ['firstFlight', 'introduced', 'crew', 'hardpoints']
+
+function formatDiffValue(key, value, units) {
+  if (Array.isArray(value)) return value.join(', ')
+  if (typeof value !== 'number' || PLAIN_NUMBER_FIELDS.includes(key)) return value ?? 'UNKNOWN'
+  return formatSpec(key, value, units, { exact: true })
+}
+
+/* Hover / focus card with the citation behind one spec value. */
+function ProvenanceCard({ entry }) {
+  const level = entry ? CONFIDENCE_BY_ID[entry.confidence] : null
+
+  return (
+    <div className="hidden group-hover:block group-focus-within:block absolute z-20 left-0 top-full mt-1 w-72 max-w-[80vw] bg-black border border-[#0f0] p-3 text-[11px] font-normal shadow-[0_0_10px_#0f0]">
+      {entry ? (
+        <>
+          <p className="font-bold" style={{ color: level?.color }}>
+            {level?.symbol} {level?.label ?? entry.confidence}
+          </p>
+          <p className="mt-1 text-[#0f0]/80">
+            SOURCE:{' '}
+            <a href={entry.source} target="_blank" rel="noreferrer" className="underline">
+              {entry.reference?.label ?? entry.source}
+            </a>
+          </p>
+          <p className="text-[#0f0]/80">{provenanceDate(entry)}</p>
+          {entry.note && <p className="mt-1 text-[#0f0]/60">&gt; {entry.note}</p>}
+          {entry.caveat && <p className="mt-1 text-[#0f0]/60">&gt; {entry.caveat}</p>}
+        </>
+      ) : (
+        <p className="text-[#0f0]/60">UNSOURCED: no per-field citation. See [SRC.BIN] for record-level references.</p>
+      )}
+    </div>
+  )
 }
 
 function videoEmbed(query) {
@@ -17,15 +88,67 @@ function videoSearch(query) {
   return `https://www.youtube.com/results?search_query=${encodeURIComponent(query)}`
 }
 
-export default function AircraftProfile({ aircraft, model, summary }) {
+export default function AircraftProfile({
+  aircraft,
+  model,
+  summary,
+  onRefreshSummary,
+  units,
+  returnTo = '/',
+  parent = null,
+  family = null,
+  familyMembers = [],
+  linkTo = (path) => path
+}) {
   const [tab, setTab] = useState('systems')
+  // `token` re-flies the viewer camera when the same hotspot is picked again.
+  const [hotspotFocus, setHotspotFocus] = useState(null)
+  const hotspots = model?.hotspots ?? []
+  const focusedSystem = hotspots.find((hotspot) => hotspot.id === hotspotFocus?.id)?.system ?? null
+
+  const focusHotspot = (id) => {
+    setHotspotFocus((current) => (id ? { id, token: (current?.token ?? 0) + 1 } : null))
+    if (id) setTab('systems')
+  }
+
+  useEffect(() => {
+    if (!focusedSystem) return
+    document.getElementById(`system-${focusedSystem}`)?.scrollIntoView({ block: 'nearest', behavior: 'smooth' })
+  }, [focusedSystem, hotspotFocus])
+  const diff = useMemo(() => (parent ? variantDiff(parent, aircraft) : []), [aircraft, parent])
+  const history = useMemo(() => revisionLog(aircraft), [aircraft])
+  const inheritedFields = aircraft.inheritedFields || []
 
   const summaryText = summary?.extract || aircraft.description
 
+  const [offlineAction, setOfflineAction] = useState('idle')
+  const offlineEntry = useMemo(
+    () => ({ id: aircraft.id, modelPath: model?.path, imageUrl: summary?.image }),
+    [aircraft.id, model?.path, summary?.image]
+  )
+  const offlineEntries = useMemo(() => [offlineEntry], [offlineEntry])
+  const offline = useOfflineAvailability(offlineEntries)[aircraft.id]
+  const savedOffline = offline ? offline.model !== false && offline.image !== false : false
+
+  const toggleOffline = async () => {
+    setOfflineAction('working')
+    try {
+      if (savedOffline) {
+        await removeFromOffline(offlineEntry)
+      } else {
+        await saveForOffline(offlineEntry)
+      }
+      setOfflineAction('idle')
+    } catch {
+      setOfflineAction('error')
+    }
+  }
+
   const tabs = useMemo(
     () => [
       { id: 'systems', label: '[SYS.DAT]' },
       { id: 'timeline', label: '[LOG.TXT]' },
+      { id: 'history', label: '[REV.LOG]' },
       { id: 'operators', label: '[USR.LST]' },
       { id: 'sources', label: '[SRC.BIN]' },
       { id: 'video', label: '[VID.MP4]' }
@@ -43,7 +166,7 @@ export default function AircraftProfile({ aircraft, model, summary }) {
         <div className="absolute top-0 left-0 w-full p-6 z-30 pointer-events-none flex flex-col gap-4">
           <div className="pointer-events-auto">
             <Link 
-              to="/" 
+              to={returnTo} 
               className="inline-flex items-center gap-2 text-sm font-bold bg-black text-[#0f0] border border-[#0f0] px-4 py-2 glitch-hover uppercase shadow-[0_0_10px_#0f0]"
             >
               &lt; RETURN_TO_DB
@@ -64,6 +187,35 @@ export default function AircraftProfile({ aircraft, model, summary }) {
               <span className="border border-dashed border-[#ff003c] text-[#ff003c] px-2 py-1 uppercase shadow-[0_0_5px_#ff003c]">
                 GEN: {aircraft.generation}
               </span>
+              {family && (
+                <Link to={linkTo(`/family/${family.id}`)} className="border border-[#0f0] bg-black px-2 py-1 uppercase glitch-hover">
+                  FAMILY: {family.name}
+                </Link>
+              )}
+              {parent && (
+                <Link to={linkTo(`/aircraft/${parent.id}`)} className="border border-dashed border-[#0f0] bg-black px-2 py-1 uppercase glitch-hover">
+                  VARIANT_OF: {parent.name}
+                </Link>
+              )}
+              {(offlineEntry.modelPath || offlineEntry.imageUrl) && (
+                <button
+                  type="button"
+                  onClick={toggleOffline}
+                  disabled={offlineAction === 'working'}
+                  title={savedOffline ? 'Remove the cached model' : 'Download the model and image for offline use'}
+                  className={`border px-2 py-1 uppercase bg-black disabled:opacity-50 ${
+                    offlineAction === 'error' ? 'border-[#ff003c] text-[#ff003c]' : 'border-[#00ffff] text-[#00ffff]'
+                  }`}
+                >
+                  {offlineAction === 'working'
+                    ? 'CACHING...'
+                    : offlineAction === 'error'
+                      ? '[ CACHE_FAILED: RETRY ]'
+                      : savedOffline
+                        ? '[ OFFLINE_OK: DROP ]'
+                        : '[ SAVE_OFFLINE ]'}
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -77,7 +229,13 @@ export default function AircraftProfile({ aircraft, model, summary }) {
               </div>
             }
           >
-            <ModelViewer model={model} />
+            <ModelViewer
+              model={model}
+              aircraft={aircraft}
+              units={units}
+              hotspotFocus={hotspotFocus}
+              onHotspotSelect={focusHotspot}
+            />
           </Suspense>
         </div>
       </section>
@@ -94,39 +252,141 @@ export default function AircraftProfile({ aircraft, model, summary }) {
             
             <dl className="grid grid-cols-1 sm:grid-cols-2 gap-4 font-mono text-sm">
               {[
-                { label: 'VELOCITY_MAX', value: formatValue(aircraft.topSpeedKmh, 'km/h') },
-                { label: 'RANGE_FERRY', value: formatValue(aircraft.rangeKm, 'km') },
-                { label: 'RANGE_COMBAT', value: formatValue(aircraft.combatRadiusKm, 'km') },
-                { label: 'ALT_CEIL', value: formatValue(aircraft.serviceCeilingM, 'm') },
-                { label: 'THRUST_TOTAL', value: formatValue(aircraft.thrustKn, 'kN') },
-                { label: 'CLIMB_RATE', value: formatValue(aircraft.climbRateMs, 'm/s') },
-                { label: 'PAYLOAD_MAX', value: formatValue(aircraft.payloadKg, 'kg') },
-                { label: 'HARDPOINTS', value: aircraft.hardpoints ?? 'NULL' },
-                { label: 'RADAR_RANGE', value: formatValue(aircraft.radarRangeKm, 'km') },
-                { label: 'STEALTH_IDX', value: formatValue(aircraft.stealthScore, '/10') },
-                { label: 'G_LIMIT', value: formatValue(aircraft.gLimit, 'g') },
-                { label: 'UNIT_COST', value: formatValue(aircraft.unitCostMUsd, 'M USD') },
-                { label: 'MTOW', value: formatValue(aircraft.maxTakeoffWeightKg, 'kg') },
-                { label: 'EMPTY_WEIGHT', value: formatValue(aircraft.emptyWeightKg, 'kg') },
-                { label: 'LENGTH', value: formatValue(aircraft.lengthM, 'm') },
-                { label: 'WINGSPAN', value: formatValue(aircraft.wingspanM, 'm') },
-                { label: 'INIT_FLIGHT', value: aircraft.firstFlight },
-                { label: 'INTRODUCED', value: aircraft.introduced },
-                { label: 'MANUFAC', value: aircraft.manufacturer },
-                { label: 'FUNC_ROLE', value: aircraft.role },
-                { label: 'TECH_GEN', value: aircraft.generation }
-              ].map((spec, i) => (
-                <div key={i} className="flex flex-col border border-dashed border-[#0f0] p-3 hover:bg-[#002200] transition-colors cursor-crosshair">
-                  <dt className="text-xs text-[#0f0]/60 uppercase tracking-wider mb-1">{spec.label}:</dt>
-                  <dd className="font-bold text-[#0f0]">{spec.value}</dd>
-                </div>
-              ))}
+                { key: 'topSpeedKmh', label: 'VELOCITY_MAX', value: formatValue(aircraft, 'topSpeedKmh', units) },
+                { key: 'rangeKm', label: 'RANGE_FERRY', value: formatValue(aircraft, 'rangeKm', units) },
+                { key: 'combatRadiusKm', label: 'RANGE_COMBAT', value: formatValue(aircraft, 'combatRadiusKm', units) },
+                { key: 'serviceCeilingM', label: 'ALT_CEIL', value: formatValue(aircraft, 'serviceCeilingM', units) },
+                { key: 'thrustKn', label: 'THRUST_TOTAL', value: formatValue(aircraft, 'thrustKn', units) },
+                { key: 'climbRateMs', label: 'CLIMB_RATE', value: formatValue(aircraft, 'climbRateMs', units) },
+                { key: 'payloadKg', label: 'PAYLOAD_MAX', value: formatValue(aircraft, 'payloadKg', units) },
+                { key: 'hardpoints', label: 'HARDPOINTS', value: aircraft.hardpoints ?? 'UNKNOWN' },
+                { key: 'radarRangeKm', label: 'RADAR_RANGE', value: formatValue(aircraft, 'radarRangeKm', units) },
+                { key: 'stealthScore', label: 'STEALTH_IDX', value: formatValue(aircraft, 'stealthScore', units) },
+                { key: 'gLimit', label: 'G_LIMIT', value: formatValue(aircraft, 'gLimit', units) },
+                { key: 'unitCostMUsd', label: 'UNIT_COST', value: formatValue(aircraft, 'unitCostMUsd', units) },
+                { key: 'maxTakeoffWeightKg', label: 'MTOW', value: formatValue(aircraft, 'maxTakeoffWeightKg', units) },
+                { key: 'emptyWeightKg', label: 'EMPTY_WEIGHT', value: formatValue(aircraft, 'emptyWeightKg', units) },
+                { key: 'lengthM', label: 'LENGTH', value: formatValue(aircraft, 'lengthM', units) },
+                { key: 'wingspanM', label: 'WINGSPAN', value: formatValue(aircraft, 'wingspanM', units) },
+                { key: 'firstFlight', label: 'INIT_FLIGHT', value: aircraft.firstFlight },
+                { key: 'introduced', label: 'INTRODUCED', value: aircraft.introduced },
+                { key: 'manufacturer', label: 'MANUFAC', value: aircraft.manufacturer },
+                { key: 'role', label: 'FUNC_ROLE', value: aircraft.role },
+                { key: 'generation', label: 'TECH_GEN', value: aircraft.generation }
+              ].map((spec, i) => {
+                const provenance = fieldProvenance(aircraft, spec.key)
+                const level = provenance ? CONFIDENCE_BY_ID[provenance.confidence] : null
+                return (
+                  <div
+                    key={i}
+                    tabIndex={0}
+                    className="group relative flex flex-col border border-dashed border-[#0f0] p-3 hover:bg-[#002200] focus:bg-[#002200] outline-none transition-colors cursor-crosshair"
+                  >
+                    <dt className="text-xs text-[#0f0]/60 uppercase tracking-wider mb-1">
+                      {spec.label}:
+                      {inheritedFields.includes(spec.key) && (
+                        <span className="ml-2 text-[10px] text-[#0f0]/40" title={`Inherited from ${parent?.name ?? 'parent'}`}>
+                          [INH]
+                        </span>
+                      )}
+                    </dt>
+                    <dd className="font-bold text-[#0f0]">
+                      {spec.value}
+                      {level && (
+                        <span className="ml-2 text-xs" style={{ color: level.color }} aria-label={level.label}>
+                          {level.symbol}
+                        </span>
+                      )}
+                    </dd>
+                    <ProvenanceCard entry={provenance} />
+                  </div>
+                )
+              })}
             </dl>
           </div>
 
+          {/* Variant diff against the parent record */}
+          {parent && (
+            <div>
+              <h3 className="font-pixel text-lg text-[#0f0] mb-4 border-b-2 border-[#0f0] pb-2 uppercase">
+                &gt;&gt; _VARIANT_DIFF
+              </h3>
+              <p className="text-xs text-[#0f0]/60 mb-3">
+                &gt; {diff.length} FIELD{diff.length === 1 ? '' : 'S'} CHANGED FROM{' '}
+                <Link to={linkTo(`/aircraft/${parent.id}`)} className="underline hover:text-[#00ffff]">
+                  {parent.name}
+                </Link>
+                ; {inheritedFields.length} INHERITED
+              </p>
+              {diff.length > 0 && (
+                <div className="overflow-x-auto border border-[#0f0] bg-[#001100]">
+                  <table className="w-full text-xs">
+                    <thead>
+                      <tr className="border-b border-[#0f0] text-left uppercase">
+                        <th className="p-2">FIELD</th>
+                        <th className="p-2">{parent.name}</th>
+                        <th className="p-2">{aircraft.name}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {diff.map((change) => (
+                        <tr key={change.key} className="border-b border-dashed border-[#0f0]/30 last:border-0">
+                          <td className="p-2 text-[#0f0]/60 whitespace-nowrap">{DIFF_LABELS[change.key] ?? change.key}</td>
+                          <td className="p-2 text-[#0f0]/60 line-through decoration-[#ff003c]">
+                            {formatDiffValue(change.key, change.from, units)}
+                          </td>
+                          <td className="p-2 font-bold">{formatDiffValue(change.key, change.to, units)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Family tree */}
+          {family && familyMembers.length > 1 && (
+            <div>
+              <h3 className="font-pixel text-lg text-[#0f0] mb-4 border-b-2 border-[#0f0] pb-2 uppercase">
+                &gt;&gt; _FAMILY_TREE
+              </h3>
+              <ul className="font-mono text-sm space-y-1">
+                {familyMembers.map((member) => (
+                  <li key={member.aircraft.id} style={{ paddingLeft: `${member.depth * 1.5}rem` }}>
+                    {member.depth > 0 && <span className="text-[#0f0]/50">└─ </span>}
+                    {member.aircraft.id === aircraft.id ? (
+                      <span className="bg-[#0f0] text-black px-1 font-bold">{member.aircraft.name}</span>
+                    ) : (
+                      <Link to={linkTo(`/aircraft/${member.aircraft.id}`)} className="underline hover:text-[#00ffff]">
+                        {member.aircraft.name}
+                      </Link>
+                    )}
+                    <span className="ml-2 text-xs text-[#0f0]/50">{member.aircraft.firstFlight}</span>
+                  </li>
+                ))}
+              </ul>
+              <Link to={linkTo(`/family/${family.id}`)} className="inline-block mt-3 text-xs border border-[#0f0] px-2 py-1 uppercase glitch-hover">
+                [ OPEN_FAMILY_RECORD ]
+              </Link>
+            </div>
+          )}
+
           {/* Decrypted Intel */}
           <div>
-            <h3 className="font-pixel text-lg text-[#0f0] mb-4 border-b-2 border-[#0f0] pb-2 uppercase">&gt;&gt; _DECRYPTED_INTEL</h3>
+            <div className="flex items-end justify-between gap-4 mb-4 border-b-2 border-[#0f0] pb-2">
+              <h3 className="font-pixel text-lg text-[#0f0] uppercase">&gt;&gt; _DECRYPTED_INTEL</h3>
+              {onRefreshSummary && (
+                <button
+                  type="button"
+                  onClick={onRefreshSummary}
+                  title="Refetch the Wikipedia summary, ignoring the local cache"
+                  className="text-xs border border-[#0f0] px-2 py-1 uppercase glitch-hover"
+                >
+                  [ RESYNC ]
+                </button>
+              )}
+            </div>
             <div className="font-mono text-sm leading-relaxed p-4 border border-[#0f0] bg-[#001100] shadow-[inset_0_0_10px_#0f0]">
               <p className="mb-4 text-[#0f0]">{summaryText}</p>
               {summary?.extract && <p className="text-[#0f0]/80 italic">/* LOCAL DB FALLBACK */<br/>{aircraft.description}</p>}
@@ -177,20 +437,53 @@ export default function AircraftProfile({ aircraft, model, summary }) {
               {tab === 'systems' && (
                 <ul className="space-y-4">
                   {[
-                    { label: 'CREW_CNT', value: aircraft.crew },
-                    { label: 'THRUSTERS', value: aircraft.engines },
-                    { label: 'RADAR_SYS', value: aircraft.radar },
-                    { label: 'AVIONICS', value: aircraft.avionics },
-                    { label: 'AIRFRAME_LEN', value: formatValue(aircraft.lengthM, 'm') },
-                    { label: 'WINGSPAN', value: formatValue(aircraft.wingspanM, 'm') },
-                    { label: 'WEIGHT_EMPTY', value: formatValue(aircraft.emptyWeightKg, 'kg') },
-                    { label: 'WEIGHT_MTOW', value: formatValue(aircraft.maxTakeoffWeightKg, 'kg') }
-                  ].map((sys, i) => (
-                    <li key={i} className="flex flex-col sm:flex-row sm:items-baseline gap-1 sm:gap-4 border-b border-dashed border-[#0f0]/50 pb-4 last:border-0 last:pb-0">
-                      <strong className="text-xs uppercase tracking-wider w-28 shrink-0">{sys.label} =</strong>
-                      <span className="text-[#0f0]">{sys.value}</span>
-                    </li>
-                  ))}
+                    { system: 'crew', label: 'CREW_CNT', value: aircraft.crew },
+                    { system: 'engines', label: 'THRUSTERS', value: aircraft.engines },
+                    { system: 'radar', label: 'RADAR_SYS', value: aircraft.radar },
+                    { system: 'avionics', label: 'AVIONICS', value: aircraft.avionics },
+                    {
+                      system: 'stores',
+                      label: 'STORES',
+                      value: `${aircraft.hardpoints ?? 'UNKNOWN'} HARDPOINTS // ${formatValue(aircraft, 'payloadKg', units)}`
+                    },
+                    { label: 'AIRFRAME_LEN', value: formatValue(aircraft, 'lengthM', units) },
+                    { label: 'WINGSPAN', value: formatValue(aircraft, 'wingspanM', units) },
+                    { label: 'WEIGHT_EMPTY', value: formatValue(aircraft, 'emptyWeightKg', units) },
+                    { label: 'WEIGHT_MTOW', value: formatValue(aircraft, 'maxTakeoffWeightKg', units) }
+                  ].map((sys, i) => {
+                    const anchors = sys.system ? hotspots.filter((hotspot) => hotspot.system === sys.system) : []
+                    const focused = sys.system && sys.system === focusedSystem
+                    return (
+                      <li
+                        key={i}
+                        id={sys.system ? `system-${sys.system}` : undefined}
+                        className={`flex flex-col sm:flex-row sm:items-baseline gap-1 sm:gap-4 border-b border-dashed border-[#0f0]/50 pb-4 last:border-0 last:pb-0 ${
+                          focused ? 'outline outline-1 outline-[#ffd400] bg-[#ffd400]/10 -mx-2 px-2 pt-2' : ''
+                        }`}
+                      >
+                        <strong className={`text-xs uppercase tracking-wider w-28 shrink-0 ${focused ? 'text-[#ffd400]' : ''}`}>{sys.label} =</strong>
+                        <span className="text-[#0f0]">{sys.value}</span>
+                        {anchors.length > 0 && (
+                          <span className="flex flex-wrap gap-1 sm:ml-auto">
+                            {anchors.map((hotspot) => (
+                              <button
+                                key={hotspot.id}
+                                type="button"
+                                onClick={() => focusHotspot(hotspot.id)}
+                                aria-pressed={hotspot.id === hotspotFocus?.id}
+                                title={`Fly the 3D view to ${hotspot.label}`}
+                                className={`text-[10px] border px-1 uppercase whitespace-nowrap ${
+                                  hotspot.id === hotspotFocus?.id ? 'bg-[#ffd400] text-black border-[#ffd400]' : 'border-[#00ffff] text-[#00ffff] glitch-hover'
+                                }`}
+                              >
+                                ◎ {hotspot.label}
+                              </button>
+                            ))}
+                          </span>
+                        )}
+                      </li>
+                    )
+                  })}
                 </ul>
               )}
 
@@ -205,6 +498,54 @@ export default function AircraftProfile({ aircraft, model, summary }) {
                 </div>
               )}
 
+              {tab === 'history' &&
+                (history.length === 0 ? (
+                  <p className="text-sm text-[#0f0]/70">&gt; NO_REVISIONS_ON_RECORD // VALUES SHOWN ARE CURRENT</p>
+                ) : (
+                  <div className="border-l-2 border-dashed border-[#0f0] ml-3 space-y-6">
+                    {history.map((revision) => {
+                      const level = CONFIDENCE_BY_ID[revision.confidence]
+                      const reference = aircraft.references?.find((item) => item.url === revision.source)
+                      return (
+                        <div key={`${revision.date}-${revision.summary}`} className="relative pl-6">
+                          <span className="absolute -left-[7px] top-1.5 w-3 h-3 bg-[#0f0] shadow-[0_0_10px_#0f0]"></span>
+                          <p className="text-xs text-[#0f0]/60">
+                            [{revision.date}]
+                            {level && (
+                              <span className="ml-2 font-bold" style={{ color: level.color }} title={level.label}>
+                                {level.symbol}
+                              </span>
+                            )}
+                            {revision.source && (
+                              <a href={revision.source} target="_blank" rel="noreferrer" className="ml-2 underline hover:text-[#00ffff]">
+                                {reference?.label ?? 'SOURCE'}
+                              </a>
+                            )}
+                          </p>
+                          <p className="text-sm mb-2">{revision.summary}</p>
+                          <table className="w-full text-xs">
+                            <tbody>
+                              {revision.changes.map((change) => (
+                                <tr key={change.key} className="border-b border-dashed border-[#0f0]/30 last:border-0 align-top">
+                                  <td className="py-1 pr-2 text-[#0f0]/60 whitespace-nowrap">{DIFF_LABELS[change.key] ?? change.key}</td>
+                                  <td className="py-1 pr-2 text-[#0f0]/60">
+                                    {change.from === undefined ? (
+                                      'INITIAL'
+                                    ) : (
+                                      <span className="line-through decoration-[#ff003c]">{formatDiffValue(change.key, change.from, units)}</span>
+                                    )}
+                                  </td>
+                                  <td className="py-1 font-bold">{formatDiffValue(change.key, change.to, units)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      )
+                    })}
+                  </div>
+                ))}
+
               {tab === 'operators' && (
                 <div className="flex flex-wrap gap-2">
                   {aircraft.operators.map((operator, i) => (
@@ -0,0 +1,163 @@
+import { valueStatus } from '../lib/analyzeExport'
+import { CONFIDENCE_BY_ID, describeProvenance, fieldProvenance, isLowConfidence } from '../lib/provenance'
+import { formatSpec, specUnitLabel } from '../lib/units'
+
+function briefValue(aircraft, key, units) {
+  const status = valueStatus(aircraft, key)
+  if (status === 'excluded') return 'EXCLUDED'
+  const text = formatSpec(key, aircraft[key], units)
+  if (status === 'imputed') return `≈${text}`
+  return isLowConfidence(aircraft, key) ? `${text} ${CONFIDENCE_BY_ID[fieldProvenance(aircraft, key).confidence].symbol}` : text
+}
+
+// More aircraft than this don't fit across a page, so the ranking prints one aircraft per row.
+const COLUMN_LIMIT = 6
+
+function metricHeading(metric, units) {
+  const unit = specUnitLabel(metric.key, units)
+  return `${metric.label}${unit ? ` [${unit}]` : ''}${metric.weight === 0 ? ' (OFF)' : ''}`
+}
+
+/*
+ * Print-only comparison brief. Hidden on screen; the Analyze page prints it
+ * (and nothing else) so "Save as PDF" produces a self-contained document.
+ */
+export default function AnalyzeBrief({ scoreboard, leaders, metrics, units, settings, radar }) {
+  return (
+    <article className="hidden print:block bg-white text-black font-mono text-[11px] [text-shadow:none]">
+      <header className="border-b-2 border-black pb-2 mb-4">
+        <h1 className="text-xl font-bold">JET ATLAS — COMPARISON BRIEF</h1>
+        <p>GENERATED: {new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC</p>
+        <p>
+          UNITS: {settings.units} | SCORING: {settings.scoringProfile} | LOW_CONFIDENCE: {settings.lowConfidence.toUpperCase()} |
+          UNKNOWN_VALUES: {settings.unknownValues.toUpperCase()} | SCOPE: {settings.scope.toUpperCase()}
+        </p>
+      </header>
+
+      <section className="mb-4 break-inside-avoid">
+        <h2 className="font-bold mb-1">1. RANKING</h2>
+        {scoreboard.length > COLUMN_LIMIT ? (
+          <table className="w-full border-collapse text-[9px]">
+            <thead>
+              <tr className="border-b border-black text-left align-bottom">
+                <th className="py-1 pr-2">#</th>
+                <th className="py-1 pr-2">AIRCRAFT</th>
+                <th className="py-1 pr-2">SCORE</th>
+                {metrics.map((metric) => (
+                  <th key={metric.key} className="py-1 pr-2">
+                    {metricHeading(metric, units)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {scoreboard.map((aircraft, index) => (
+                <tr key={aircraft.id} className="border-b border-dotted border-black/40">
+                  <td className="py-0.5 pr-2">{index + 1}</td>
+                  <td className="py-0.5 pr-2">{aircraft.name}</td>
+                  <td className="py-0.5 pr-2 font-bold">{aircraft.score}</td>
+                  {metrics.map((metric) => (
+                    <td key={metric.key} className="py-0.5 pr-2">
+                      {briefValue(aircraft, metric.key, units)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <table className="w-full border-collapse">
+            <thead>
+              <tr className="border-b border-black text-left">
+                <th className="py-1 pr-2">METRIC</th>
+                {scoreboard.map((aircraft, index) => (
+                  <th key={aircraft.id} className="py-1 pr-2">
+                    #{index + 1} {aircraft.name}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              <tr className="border-b border-black font-bold">
+                <td className="py-1 pr-2">SCORE /100</td>
+                {scoreboard.map((aircraft) => (
+                  <td key={aircraft.id} className="py-1 pr-2">
+                    {aircraft.score}
+                  </td>
+                ))}
+              </tr>
+              {metrics.map((metric) => (
+                <tr key={metric.key} className="border-b border-dotted border-black/40">
+                  <td className="py-1 pr-2 whitespace-nowrap">{metricHeading(metric, units)}</td>
+                  {scoreboard.map((aircraft) => (
+                    <td key={aircraft.id} className="py-1 pr-2">
+                      {briefValue(aircraft, metric.key, units)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <p className="mt-1 text-[10px]">~ ESTIMATED · ? DISPUTED · ≈ IMPUTED MEDIAN · UNKNOWN = NO VALUE ON RECORD</p>
+      </section>
+
+      <section className="mb-4 break-inside-avoid">
+        <h2 className="font-bold mb-1">2. LEADERS</h2>
+        <ul>
+          {leaders.map((entry) => (
+            <li key={entry.label}>
+              {entry.label}: {entry.leader?.name || 'N/A'} ({entry.value})
+            </li>
+          ))}
+        </ul>
+      </section>
+
+      <section className="mb-4 break-inside-avoid">
+        <h2 className="font-bold mb-1">3. SCORING WEIGHTS</h2>
+        <p>
+          {metrics
+            .map((metric) => `${metric.label} ×${metric.weight} ${metric.higherBetter ? '▲' : '▼'}`)
+            .join(' · ')}
+        </p>
+      </section>
+
+      {radar && (
+        <section className="mb-4 break-inside-avoid">
+          <h2 className="font-bold mb-1">4. SIGNATURE RADAR</h2>
+          <div className="max-w-[360px]">{radar}</div>
+        </section>
+      )}
+
+      <section className="break-before-page">
+        <h2 className="font-bold mb-1">{radar ? 5 : 4}. SOURCES</h2>
+        {scoreboard.map((aircraft) => {
+          const citations = metrics
+            .map((metric) => ({ metric, entry: fieldProvenance(aircraft, metric.key) }))
+            .filter((citation) => citation.entry)
+          return (
+            <div key={aircraft.id} className="mb-3 break-inside-avoid">
+              <h3 className="font-bold">{aircraft.name}</h3>
+              <ul>
+                {(aircraft.references || []).map((reference) => (
+                  <li key={reference.url}>
+                    {reference.label} — {reference.url}
+                  </li>
+                ))}
+              </ul>
+              {citations.length > 0 && (
+                <ul className="mt-1 text-[10px]">
+                  {citations.map(({ metric, entry }) => (
+                    <li key={metric.key}>
+                      {metric.label}: {describeProvenance(entry)}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )
+        })}
+      </section>
+    </article>
+  )
+}
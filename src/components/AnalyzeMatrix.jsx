@@ -0,0 +1,85 @@
+import { hasMetricValue, normalizedMetric } from '../lib/analyze'
+import { specUnitLabel } from '../lib/units'
+
+function compareRows(sort) {
+  const flip = sort.dir === 'asc' ? 1 : -1
+  if (sort.key === 'score') return (a, b) => flip * (a.score - b.score) || a.rank - b.rank
+  if (sort.key === 'name') return (a, b) => flip * a.name.localeCompare(b.name)
+  // Unknown values sort last in either direction.
+  return (a, b) => {
+    const known = Number(hasMetricValue(b, sort.key)) - Number(hasMetricValue(a, sort.key))
+    if (known !== 0 || !hasMetricValue(a, sort.key)) return known || a.rank - b.rank
+    return flip * (a[sort.key] - b[sort.key]) || a.rank - b.rank
+  }
+}
+
+/*
+ * Aircraft-per-row matrix for large comparisons: composite rank and score plus
+ * every scoring metric, sortable by any column. Cell shading follows the
+ * normalized value so strong and weak spots stand out down a long column.
+ */
+export default function AnalyzeMatrix({ scoreboard, metrics, metricStats, colors, sort, onSort, renderValue, onRemove, units }) {
+  const rows = scoreboard.map((aircraft, index) => ({ ...aircraft, rank: index + 1 })).sort(compareRows(sort))
+
+  const header = (key, label, title) => (
+    <th key={key} className="text-left py-2 pr-3 whitespace-nowrap" aria-sort={sort.key === key ? `${sort.dir}ending` : 'none'}>
+      <button type="button" onClick={() => onSort(key)} title={title} className="uppercase hover:text-[#0f0] glitch-hover">
+        {label}
+        {sort.key === key && (sort.dir === 'asc' ? ' ▲' : ' ▼')}
+      </button>
+    </th>
+  )
+
+  return (
+    <table className="w-full text-[11px]">
+      <thead className="text-[#0f0]/70 border-b border-[#0f0] sticky top-0 bg-black">
+        <tr>
+          <th className="text-left py-2 pr-3">#</th>
+          {header('name', 'AIRCRAFT')}
+          {header('score', 'SCORE')}
+          {metrics.map((metric) => {
+            const unit = specUnitLabel(metric.key, units)
+            return header(metric.key, metric.label, unit ? `${metric.label} [${unit}]` : metric.label)
+          })}
+          {onRemove && <th className="text-left py-2">REMOVE</th>}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((aircraft) => (
+          <tr key={aircraft.id} className="border-b border-dashed border-[#0f0]/30 last:border-0">
+            <td className="py-1 pr-3">#{aircraft.rank}</td>
+            <td className="py-1 pr-3 whitespace-nowrap">
+              <span className="inline-block w-2 h-2 mr-2" style={{ backgroundColor: colors.get(aircraft.id) }} aria-hidden="true" />
+              {aircraft.name}
+            </td>
+            <td className="py-1 pr-3 text-[#0f0] font-bold">{aircraft.score}</td>
+            {metrics.map((metric) => {
+              const normalized = normalizedMetric(aircraft, metric, metricStats)
+              return (
+                <td
+                  key={metric.key}
+                  className={`py-1 px-1 whitespace-nowrap ${metric.weight === 0 ? 'opacity-50' : ''}`}
+                  style={normalized === null ? undefined : { backgroundColor: `rgba(0, 255, 0, ${(0.04 + normalized * 0.26).toFixed(2)})` }}
+                >
+                  {renderValue(aircraft, metric.key)}
+                </td>
+              )
+            })}
+            {onRemove && (
+              <td className="py-1">
+                <button
+                  type="button"
+                  onClick={() => onRemove(aircraft.id)}
+                  aria-label={`Remove ${aircraft.name}`}
+                  className="border border-[#ff003c] text-[#ff003c] px-2 hover:bg-[#ff003c] hover:text-black transition-all"
+                >
+                  X
+                </button>
+              </td>
+            )}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
@@ -0,0 +1,132 @@
+import { ANALYZE_METRICS, METRIC_BY_KEY, analyzeColor, hasMetricValue } from '../lib/analyze'
+import { extent, formatTick, linearScale, padDomain, tickValues } from '../lib/chartScale'
+import { convertSpec, formatSpec, specUnitLabel } from '../lib/units'
+
+const WIDTH = 560
+const HEIGHT = 360
+const MARGIN = { top: 16, right: 24, bottom: 44, left: 64 }
+// Beyond this many points the name labels pile up; hover titles still identify each dot.
+const LABEL_LIMIT = 8
+
+function axisTitle(key, units) {
+  const unit = specUnitLabel(key, units)
+  return unit ? `${METRIC_BY_KEY[key].label} [${unit}]` : METRIC_BY_KEY[key].label
+}
+
+/*
+ * Scatter of the compared aircraft on two user-picked metrics, optionally
+ * sized by a third. Aircraft missing X or Y are listed instead of plotted.
+ */
+export default function AnalyzeScatter({ aircraft, xKey, yKey, sizeKey, onChange, units }) {
+  const plotted = aircraft.filter((item) => hasMetricValue(item, xKey) && hasMetricValue(item, yKey))
+  const skipped = aircraft.filter((item) => !plotted.includes(item))
+
+  const xDomain = padDomain(extent(plotted.map((item) => item[xKey])) ?? [0, 1])
+  const yDomain = padDomain(extent(plotted.map((item) => item[yKey])) ?? [0, 1])
+  const x = linearScale(xDomain, [MARGIN.left, WIDTH - MARGIN.right])
+  const y = linearScale(yDomain, [HEIGHT - MARGIN.bottom, MARGIN.top])
+
+  const sizeExtent = sizeKey ? extent(aircraft.map((item) => item[sizeKey])) : null
+  // Area, not radius, tracks the size metric; unknown sizes get the smallest dot.
+  const radiusFor = (item) => {
+    if (!sizeExtent || !hasMetricValue(item, sizeKey)) return 5
+    const [min, max] = sizeExtent
+    const fraction = max === min ? 1 : (item[sizeKey] - min) / (max - min)
+    return Math.sqrt(25 + fraction * (324 - 25))
+  }
+
+  const select = (label, value, key, allowNone) => (
+    <label className="flex items-center gap-1">
+      <span className="text-[#0f0]/60">{label}:</span>
+      <select
+        value={value ?? ''}
+        onChange={(event) => onChange({ x: xKey, y: yKey, size: sizeKey, [key]: event.target.value || null })}
+        className="bg-black border border-[#0f0] px-2 py-1 text-[#0f0] outline-none uppercase focus:bg-[#002200]"
+      >
+        {allowNone && <option value="">NONE</option>}
+        {ANALYZE_METRICS.map((metric) => (
+          <option key={metric.key} value={metric.key}>
+            {metric.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  )
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-3 mb-3 text-xs">
+        {select('X', xKey, 'x')}
+        {select('Y', yKey, 'y')}
+        {select('SIZE', sizeKey, 'size', true)}
+      </div>
+
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto max-w-[720px]" role="img" aria-label="Analyze scatter plot">
+        {tickValues(xDomain).map((tick) => (
+          <g key={`x-${tick}`}>
+            <line x1={x(tick)} y1={MARGIN.top} x2={x(tick)} y2={HEIGHT - MARGIN.bottom} stroke="rgba(0,255,0,0.15)" />
+            <text x={x(tick)} y={HEIGHT - MARGIN.bottom + 14} fill="#00ff00" fontSize="10" textAnchor="middle">
+              {formatTick(convertSpec(xKey, tick, units))}
+            </text>
+          </g>
+        ))}
+        {tickValues(yDomain).map((tick) => (
+          <g key={`y-${tick}`}>
+            <line x1={MARGIN.left} y1={y(tick)} x2={WIDTH - MARGIN.right} y2={y(tick)} stroke="rgba(0,255,0,0.15)" />
+            <text x={MARGIN.left - 6} y={y(tick)} fill="#00ff00" fontSize="10" textAnchor="end" dominantBaseline="middle">
+              {formatTick(convertSpec(yKey, tick, units))}
+            </text>
+          </g>
+        ))}
+        <rect
+          x={MARGIN.left}
+          y={MARGIN.top}
+          width={WIDTH - MARGIN.left - MARGIN.right}
+          height={HEIGHT - MARGIN.top - MARGIN.bottom}
+          fill="none"
+          stroke="rgba(0,255,0,0.5)"
+        />
+        <text x={(MARGIN.left + WIDTH - MARGIN.right) / 2} y={HEIGHT - 6} fill="#00ff00" fontSize="11" textAnchor="middle">
+          {axisTitle(xKey, units)}
+        </text>
+        <text
+          x={14}
+          y={(MARGIN.top + HEIGHT - MARGIN.bottom) / 2}
+          fill="#00ff00"
+          fontSize="11"
+          textAnchor="middle"
+          transform={`rotate(-90 14 ${(MARGIN.top + HEIGHT - MARGIN.bottom) / 2})`}
+        >
+          {axisTitle(yKey, units)}
+        </text>
+
+        {plotted.map((item) => {
+          const color = analyzeColor(aircraft.indexOf(item))
+          const radius = radiusFor(item)
+          return (
+            <g key={item.id}>
+              <circle cx={x(item[xKey])} cy={y(item[yKey])} r={radius} fill={`${color}55`} stroke={color} strokeWidth="1.5">
+                <title>
+                  {[item.name, formatSpec(xKey, item[xKey], units), formatSpec(yKey, item[yKey], units)]
+                    .concat(sizeKey ? [formatSpec(sizeKey, item[sizeKey], units)] : [])
+                    .join(' · ')}
+                </title>
+              </circle>
+              {plotted.length <= LABEL_LIMIT && (
+                <text x={x(item[xKey]) + radius + 3} y={y(item[yKey])} fill={color} fontSize="10" dominantBaseline="middle">
+                  {item.name}
+                </text>
+              )}
+            </g>
+          )
+        })}
+      </svg>
+
+      {skipped.length > 0 && (
+        <p className="mt-2 text-[10px] text-[#ff003c]">
+          NOT PLOTTED (UNKNOWN {METRIC_BY_KEY[xKey].label} OR {METRIC_BY_KEY[yKey].label}): {skipped.map((item) => item.name).join(', ')}
+        </p>
+      )}
+    </div>
+  )
+}
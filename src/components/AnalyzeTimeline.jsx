@@ -0,0 +1,102 @@
+import { analyzeColor } from '../lib/analyze'
+import { linearScale } from '../lib/chartScale'
+import { sortedRevisions } from '../lib/history'
+
+const WIDTH = 720
+const ROW = 30
+const MARGIN = { top: 12, right: 20, bottom: 28, left: 170 }
+const CURRENT_YEAR = new Date().getFullYear()
+
+function isYear(value) {
+  return Number.isInteger(value)
+}
+
+/*
+ * One row per compared aircraft: development from first flight to service
+ * entry (dashed), service since then (solid), revision ticks, and the
+ * Analyze "as of" year when one is set.
+ */
+export default function AnalyzeTimeline({ aircraft }) {
+  const years = aircraft.flatMap((item) => [item.firstFlight, item.introduced, item.asOfYear]).filter(isYear)
+  const start = Math.floor((Math.min(...years, CURRENT_YEAR) - 2) / 5) * 5
+  const end = CURRENT_YEAR + 1
+  const height = MARGIN.top + aircraft.length * ROW + MARGIN.bottom
+  const x = linearScale([start, end], [MARGIN.left, WIDTH - MARGIN.right])
+
+  const ticks = []
+  for (let year = Math.ceil(start / 10) * 10; year <= end; year += 10) ticks.push(year)
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full h-auto" role="img" aria-label="Service timeline">
+        {ticks.map((year) => (
+          <g key={year}>
+            <line x1={x(year)} y1={MARGIN.top} x2={x(year)} y2={height - MARGIN.bottom} stroke="rgba(0,255,0,0.15)" />
+            <text x={x(year)} y={height - MARGIN.bottom + 14} fill="#00ff00" fontSize="10" textAnchor="middle">
+              {year}
+            </text>
+          </g>
+        ))}
+        <line x1={x(CURRENT_YEAR)} y1={MARGIN.top} x2={x(CURRENT_YEAR)} y2={height - MARGIN.bottom} stroke="#00ffff" strokeDasharray="3 3" />
+
+        {aircraft.map((item, index) => {
+          const color = analyzeColor(index)
+          const y = MARGIN.top + index * ROW + ROW / 2
+          const flown = isYear(item.firstFlight)
+          const inService = isYear(item.introduced)
+          return (
+            <g key={item.id}>
+              <text x={MARGIN.left - 8} y={y} fill={color} fontSize="10" textAnchor="end" dominantBaseline="middle">
+                {item.name.length > 26 ? `${item.name.slice(0, 25)}…` : item.name}
+              </text>
+              {flown && inService && (
+                <line x1={x(item.firstFlight)} y1={y} x2={x(item.introduced)} y2={y} stroke={color} strokeWidth="2" strokeDasharray="4 3" />
+              )}
+              {inService && <line x1={x(item.introduced)} y1={y} x2={x(CURRENT_YEAR)} y2={y} stroke={color} strokeWidth="4" />}
+              {flown && (
+                <circle cx={x(item.firstFlight)} cy={y} r="5" fill="#000" stroke={color} strokeWidth="2">
+                  <title>{`${item.name}: first flight ${item.firstFlight}`}</title>
+                </circle>
+              )}
+              {inService && (
+                <circle cx={x(item.introduced)} cy={y} r="5" fill={color}>
+                  <title>{`${item.name}: introduced ${item.introduced}`}</title>
+                </circle>
+              )}
+              {sortedRevisions(item).map((revision) => {
+                const year = Number.parseInt(revision.date, 10)
+                return (
+                  <rect
+                    key={`${revision.date}-${revision.summary}`}
+                    x={x(year) - 3}
+                    y={y - 11}
+                    width="6"
+                    height="6"
+                    fill={color}
+                    transform={`rotate(45 ${x(year)} ${y - 8})`}
+                  >
+                    <title>{`${revision.date}: ${revision.summary}`}</title>
+                  </rect>
+                )
+              })}
+              {isYear(item.asOfYear) && (
+                <line x1={x(item.asOfYear)} y1={y - 12} x2={x(item.asOfYear)} y2={y + 12} stroke="#ff003c" strokeWidth="2">
+                  <title>{`Compared as of ${item.asOfYear}`}</title>
+                </line>
+              )}
+              {!flown && !inService && (
+                <text x={MARGIN.left + 4} y={y} fill="#ff003c" fontSize="10" dominantBaseline="middle">
+                  DATES UNKNOWN
+                </text>
+              )}
+            </g>
+          )
+        })}
+      </svg>
+      <p className="mt-2 text-[10px] text-[#0f0]/60">
+        ○ FIRST FLIGHT · ● INTRODUCED · ◆ SPEC REVISION · <span className="text-[#ff003c]">|</span> AS-OF YEAR ·{' '}
+        <span className="text-[#00ffff]">¦</span> TODAY
+      </p>
+    </div>
+  )
+}
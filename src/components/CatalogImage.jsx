@@ -0,0 +1,38 @@
+import { useState } from 'react'
+import { catalogImageSources } from '../lib/models'
+
+// The green wireframe keeps its colour; photos and studio renders get the duotone treatment.
+const IMAGE_STYLES = {
+  wireframe: 'opacity-80',
+  default: 'opacity-60 grayscale contrast-150 mix-blend-screen'
+}
+
+/*
+ * A catalog card's image: the Wikipedia `photo` and the manifest model's
+ * rendered thumbnails, in the order `mode` prefers (see catalogImageSources).
+ * A source that fails to load hands over to the next, and IMG_NULL shows once
+ * none is left. Key it on the photo and mode so a change starts over.
+ */
+export default function CatalogImage({ photo, model, mode, alt }) {
+  const [failed, setFailed] = useState(0)
+  const sources = catalogImageSources(photo, model, mode)
+  const source = sources[failed]
+
+  if (!source) {
+    return (
+      <div className="w-full h-full flex items-center justify-center text-[#ff003c] font-pixel text-sm uppercase glitch-text" data-text="IMG_NULL">
+        IMG_NULL
+      </div>
+    )
+  }
+
+  return (
+    <img
+      src={source.src}
+      alt={alt}
+      loading="lazy"
+      onError={() => setFailed((count) => count + 1)}
+      className={`w-full h-full object-cover ${IMAGE_STYLES[source.kind] ?? IMAGE_STYLES.default} group-hover:scale-110 transition-transform duration-200`}
+    />
+  )
+}
@@ -0,0 +1,88 @@
+import { Link } from 'react-router-dom'
+import { formatSpec } from '../lib/units'
+
+const FAMILY_COLUMNS = [
+  { key: 'topSpeedKmh', label: 'V_MAX' },
+  { key: 'combatRadiusKm', label: 'R_COMBAT' },
+  { key: 'radarRangeKm', label: 'RDR' },
+  { key: 'thrustKn', label: 'THRUST' },
+  { key: 'unitCostMUsd', label: 'COST' }
+]
+
+/* Lists every variant of one family as a tree, with a few headline specs side by side. */
+export default function FamilyPage({ family, members, summaries, units, linkTo }) {
+  const lead = members[0]?.aircraft
+  const leadImage = lead ? summaries[lead.wikiTitle]?.image : null
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 font-mono text-[#0f0]">
+      <Link
+        to={linkTo('/')}
+        className="inline-flex items-center gap-2 text-sm font-bold bg-black text-[#0f0] border border-[#0f0] px-4 py-2 glitch-hover uppercase shadow-[0_0_10px_#0f0]"
+      >
+        &lt; RETURN_TO_DB
+      </Link>
+
+      <header className="mt-6 mb-10 terminal-panel p-6 border-2 border-[#0f0] shadow-[0_0_15px_#0f0] flex flex-col md:flex-row gap-6">
+        {leadImage && (
+          <img
+            src={leadImage}
+            alt={lead.name}
+            className="w-full md:w-64 h-40 object-cover opacity-60 grayscale contrast-150 mix-blend-screen border border-[#0f0]"
+          />
+        )}
+        <div>
+          <p className="text-xs text-[#0f0]/60 uppercase mb-2">AIRFRAME_FAMILY // {family.manufacturer}</p>
+          <h1 className="font-pixel text-3xl md:text-4xl font-bold uppercase glitch-text" data-text={family.name}>
+            {family.name}
+          </h1>
+          <p className="mt-4 text-sm text-[#0f0]/80 max-w-3xl">{family.description}</p>
+          <p className="mt-2 text-xs text-[#0f0]/60">
+            {members.length} VARIANT{members.length === 1 ? '' : 'S'} ON RECORD
+          </p>
+        </div>
+      </header>
+
+      <div className="overflow-x-auto border border-[#0f0] bg-[#001100]">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="border-b-2 border-[#0f0] text-left uppercase">
+              <th className="p-3">VARIANT</th>
+              <th className="p-3">FIRST_FLIGHT</th>
+              <th className="p-3">ROLE</th>
+              {FAMILY_COLUMNS.map((column) => (
+                <th key={column.key} className="p-3 text-right">
+                  {column.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {members.map(({ aircraft, depth }) => (
+              <tr key={aircraft.id} className="border-b border-dashed border-[#0f0]/40 hover:bg-[#002200]">
+                <td className="p-3" style={{ paddingLeft: `${0.75 + depth * 1.5}rem` }}>
+                  {depth > 0 && <span className="text-[#0f0]/50">└─ </span>}
+                  <Link to={linkTo(`/aircraft/${aircraft.id}`)} className="font-bold underline hover:text-[#00ffff]">
+                    {aircraft.name}
+                  </Link>
+                  {aircraft.variantOf && (
+                    <span className="block text-[10px] text-[#0f0]/50 mt-0.5">
+                      {aircraft.inheritedFields.length} FIELDS INHERITED
+                    </span>
+                  )}
+                </td>
+                <td className="p-3">{aircraft.firstFlight}</td>
+                <td className="p-3 uppercase">{aircraft.role}</td>
+                {FAMILY_COLUMNS.map((column) => (
+                  <td key={column.key} className="p-3 text-right">
+                    {formatSpec(column.key, aircraft[column.key], units)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
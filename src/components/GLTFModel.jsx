@@ -1,19 +1,109 @@
 import { useEffect, useMemo, useRef } from 'react'
+import { useFrame } from '@react-three/fiber'
 import { useGLTF } from '@react-three/drei'
 import * as THREE from 'three'
+import { calibrateModel } from '../lib/modelScale'
+import { createRenderModeKit } from '../lib/renderModes'
 
-const hackerMaterial = new THREE.MeshBasicMaterial({
-  color: 0x00ff00,
-  wireframe: true,
-  transparent: true,
-  opacity: 0.9,
-})
+const AXIS_INDEX = { x: 0, y: 1, z: 2 }
 
-function GLTFModel({ path, scale = 1, position = [0, 0, 0], rotation = [0, 0, 0], wireframe = true, onSceneReady }) {
+/*
+ * With `aircraft` set the model is measured after the manifest transform,
+ * scaled to metres against the record (see calibrateModel) and centred on the
+ * origin; `alignLength` also turns the fuselage onto the Z axis. The
+ * calibration is reported through onCalibrated. `mode` is one of RENDER_MODES;
+ * `tint` overrides it and draws every mesh in one flat translucent colour.
+ * `section` ({ axis: length|span|height, offset: -1..1, flip }) cuts the model
+ * with a plane across that axis, `offset` half-extents from its centre, keeping
+ * the part on the axis' negative side (the other one with `flip`); the Canvas needs
+ * `localClippingEnabled`. `children` share the model's frame (after the
+ * manifest transform), so anchors placed in it follow any calibration.
+ */
+function GLTFModel({
+  path,
+  scale = 1,
+  position = [0, 0, 0],
+  rotation = [0, 0, 0],
+  mode = 'wireframe',
+  tint,
+  section = null,
+  aircraft,
+  alignLength = false,
+  onSceneReady,
+  onCalibrated,
+  children
+}) {
   const gltf = useGLTF(path)
-  const scene = useMemo(() => gltf.scene.clone(true), [gltf.scene])
   const originalMaterials = useRef(new Map())
 
+  // Serialized so a fresh default array doesn't re-clone the scene every render.
+  const transformKey = JSON.stringify([scale, position, rotation])
+  const scene = useMemo(() => {
+    const [cloneScale, clonePosition, cloneRotation] = JSON.parse(transformKey)
+    const clone = gltf.scene.clone(true)
+    if (Array.isArray(cloneScale)) clone.scale.fromArray(cloneScale)
+    else clone.scale.setScalar(cloneScale)
+    clone.position.fromArray(clonePosition)
+    clone.rotation.fromArray(cloneRotation)
+    clone.updateMatrixWorld(true)
+    return clone
+  }, [gltf.scene, transformKey])
+
+  // Measured before the clone is mounted, so only the manifest transform is in its bounds.
+  const bounds = useMemo(() => {
+    const box = new THREE.Box3().setFromObject(scene)
+    return { size: box.getSize(new THREE.Vector3()), center: box.getCenter(new THREE.Vector3()).negate().toArray() }
+  }, [scene])
+
+  const lengthM = aircraft?.lengthM
+  const wingspanM = aircraft?.wingspanM
+  const calibration = useMemo(
+    () => (aircraft ? calibrateModel(bounds.size, { lengthM, wingspanM }) : null),
+    [aircraft, bounds, lengthM, wingspanM]
+  )
+
+  const tintMaterial = useMemo(
+    () =>
+      tint
+        ? new THREE.MeshBasicMaterial({ color: tint, transparent: true, opacity: 0.35, depthWrite: false, side: THREE.DoubleSide })
+        : null,
+    [tint]
+  )
+
+  useEffect(() => () => tintMaterial?.dispose(), [tintMaterial])
+
+  // Mode materials belong to this instance, never to the cached glTF other clones share.
+  const kit = useMemo(() => createRenderModeKit(), [])
+  useEffect(() => () => kit.dispose(), [kit])
+
+  // The section plane in the clone's parent frame, i.e. before calibration and centring.
+  const sectionAxis = section?.axis
+  const sectionOffset = section?.offset ?? 0
+  const sectionFlip = Boolean(section?.flip)
+  const localPlane = useMemo(() => {
+    if (!sectionAxis) return null
+    const lengthAxis = calibration?.lengthAxis ?? (bounds.size.x >= bounds.size.z ? 'x' : 'z')
+    const axis = { length: lengthAxis, span: lengthAxis === 'x' ? 'z' : 'x', height: 'y' }[sectionAxis]
+    const index = AXIS_INDEX[axis]
+    const cut = -bounds.center[index] + (sectionOffset * bounds.size.getComponent(index)) / 2
+    // Clipping keeps what is on the positive side of the plane.
+    const normal = new THREE.Vector3().setComponent(index, sectionFlip ? 1 : -1)
+    return new THREE.Plane(normal, sectionFlip ? -cut : cut)
+  }, [sectionAxis, sectionOffset, sectionFlip, calibration, bounds])
+  const clippingPlane = useMemo(() => new THREE.Plane(), [])
+
+  // Keyed on the section being on, not on the plane, so dragging the cut doesn't recompile shaders.
+  const sectioned = Boolean(sectionAxis)
+  useEffect(() => {
+    kit.setClipping(sectioned ? [clippingPlane] : null)
+  }, [kit, sectioned, clippingPlane])
+
+  // Clipping planes are in world space, so the cut follows the model's frame every frame.
+  useFrame(() => {
+    if (!localPlane || !scene.parent) return
+    clippingPlane.copy(localPlane).applyMatrix4(scene.parent.matrixWorld)
+  })
+
   // Store original materials on first render and report stats
   useEffect(() => {
     const stored = originalMaterials.current
@@ -23,33 +113,50 @@ function GLTFModel({ path, scale = 1, position = [0, 0, 0], rotation = [0, 0, 0]
       }
     })
     if (onSceneReady) {
-      onSceneReady(scene)
+      onSceneReady(scene, path)
     }
-  }, [scene, onSceneReady])
+  }, [scene, path, onSceneReady])
 
-  // Switch between wireframe and original materials
+  useEffect(() => {
+    if (calibration && onCalibrated) onCalibrated(calibration)
+  }, [calibration, onCalibrated])
+
+  // Switch between tint, mode and original materials
   useEffect(() => {
     const stored = originalMaterials.current
+    const outlines = []
 
     scene.traverse((object) => {
       if (object.isMesh) {
-        if (wireframe) {
-          object.material = hackerMaterial
-          object.castShadow = false
-          object.receiveShadow = false
-        } else {
-          const original = stored.get(object.uuid)
-          if (original) {
-            object.material = original
-          }
-          object.castShadow = true
-          object.receiveShadow = true
-        }
+        const lit = !tintMaterial && mode === 'textured'
+        object.material = tintMaterial || kit.material(mode, stored.get(object.uuid) ?? object.material)
+        object.castShadow = lit
+        object.receiveShadow = lit
+        if (!tintMaterial && mode === 'edges') outlines.push([object, kit.edges(object.geometry)])
       }
     })
-  }, [scene, wireframe])
+    outlines.forEach(([object, lines]) => object.add(lines))
+
+    return () => outlines.forEach(([object, lines]) => object.remove(lines))
+  }, [scene, tintMaterial, mode, kit, sectioned])
+
+  if (!calibration) {
+    return (
+      <>
+        <primitive object={scene} />
+        {children}
+      </>
+    )
+  }
 
-  return <primitive object={scene} scale={scale} position={position} rotation={rotation} />
+  return (
+    <group rotation={[0, alignLength && calibration.lengthAxis === 'x' ? Math.PI / 2 : 0, 0]} scale={calibration.factor}>
+      <group position={bounds.center}>
+        <primitive object={scene} />
+        {children}
+      </group>
+    </group>
+  )
 }
 
 export default GLTFModel
@@ -0,0 +1,14 @@
+import { highlightSegments } from '../lib/search'
+
+/* Renders text with search hits wrapped in <mark>. */
+export default function Highlight({ text, tokens }) {
+  return highlightSegments(text, tokens).map((segment, index) =>
+    segment.match ? (
+      <mark key={index} className="bg-[#0f0] text-black px-0.5">
+        {segment.text}
+      </mark>
+    ) : (
+      segment.text
+    )
+  )
+}
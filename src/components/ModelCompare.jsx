@@ -0,0 +1,278 @@
+import { Suspense, useEffect, useMemo, useRef, useState } from 'react'
+import { Canvas, useFrame, useThree } from '@react-three/fiber'
+import { Bounds, Html, OrbitControls, useGLTF } from '@react-three/drei'
+import GLTFModel from './GLTFModel'
+import ModelErrorBoundary from './ModelErrorBoundary'
+import { isFallbackPath, modelCredit, resolveModelPath } from '../lib/models'
+import { formatSpec } from '../lib/units'
+
+if (typeof useGLTF.setDecoderPath === 'function') {
+  useGLTF.setDecoderPath('/draco/')
+}
+
+// Reference grid under every view, in metres, so relative size reads at a glance.
+const GRID_CELL_M = 5
+// Used for spacing and camera distance when a record has no dimensions.
+const FALLBACK_SPAN_M = 15
+const FALLBACK_LENGTH_M = 20
+const SHARED_GAP_M = 4
+
+function dimension(value, fallback) {
+  return typeof value === 'number' && value > 0 ? value : fallback
+}
+
+function Loading() {
+  return (
+    <Html center>
+      <p className="font-mono text-xs text-[#0f0] whitespace-nowrap animate-pulse bg-black/80 border border-[#0f0] px-2 py-1">
+        &gt; LOADING_GEOMETRY
+      </p>
+    </Html>
+  )
+}
+
+function LoadFailed() {
+  return (
+    <div className="w-full h-full flex items-center justify-center text-[#ff003c] text-xs border border-[#ff003c] bg-black" role="alert">
+      &gt; ASSET_LOAD_FAILED
+    </div>
+  )
+}
+
+/*
+ * Orbit controls that share one camera pose between viewports. Only the
+ * viewport being dragged publishes; the others copy the pose on their next frame.
+ */
+function SyncedOrbit({ id, syncRef, minDistance, maxDistance }) {
+  const { camera } = useThree()
+  const controls = useRef(null)
+  const dragging = useRef(false)
+  const seenVersion = useRef(0)
+
+  useFrame(() => {
+    const shared = syncRef.current
+    if (shared.version === seenVersion.current) return
+    seenVersion.current = shared.version
+    if (shared.source === id || !controls.current) return
+    camera.position.copy(shared.position)
+    controls.current.update()
+  })
+
+  const publish = () => {
+    if (!dragging.current) return
+    syncRef.current = { position: camera.position.clone(), version: syncRef.current.version + 1, source: id }
+  }
+
+  return (
+    <OrbitControls
+      ref={controls}
+      enablePan={false}
+      rotateSpeed={0.8}
+      minDistance={minDistance}
+      maxDistance={maxDistance}
+      onStart={() => {
+        dragging.current = true
+      }}
+      onEnd={() => {
+        dragging.current = false
+      }}
+      onChange={publish}
+    />
+  )
+}
+
+function Lights() {
+  return (
+    <>
+      <color attach="background" args={['#050805']} />
+      <ambientLight intensity={0.6} />
+      <directionalLight position={[5, 5, 5]} intensity={1.2} />
+      <directionalLight position={[-5, 3, -5]} intensity={0.4} />
+    </>
+  )
+}
+
+function Grid({ size, y = -3 }) {
+  const cells = Math.ceil(size / GRID_CELL_M)
+  return <gridHelper args={[cells * GRID_CELL_M, cells, '#00aa00', '#003300']} position={[0, y, 0]} />
+}
+
+/*
+ * Two to four manifest models at true relative scale, in one of three layouts:
+ * linked viewports with a shared orbit, one shared scene side by side, or a
+ * top-down silhouette overlay of the planforms.
+ */
+export default function ModelCompare({ entries, mode, units }) {
+  const [paths, setPaths] = useState({})
+  const [calibrations, setCalibrations] = useState({})
+  const syncRef = useRef({ position: null, version: 0, source: null })
+
+  // Serialized so path checks only re-run when the set of models changes.
+  const pathsKey = JSON.stringify(entries.map((entry) => [entry.aircraft.id, entry.model.path]))
+
+  useEffect(() => {
+    let alive = true
+    Promise.all(JSON.parse(pathsKey).map(async ([id, path]) => [id, await resolveModelPath(path)])).then((results) => {
+      if (alive) setPaths(Object.fromEntries(results))
+    })
+    return () => {
+      alive = false
+    }
+  }, [pathsKey])
+
+  // One stable reporter per aircraft, so GLTFModel only reports when its calibration changes.
+  const reporters = useMemo(
+    () =>
+      Object.fromEntries(
+        JSON.parse(pathsKey).map(([id]) => [
+          id,
+          (calibration) => setCalibrations((current) => (current[id] === calibration ? current : { ...current, [id]: calibration }))
+        ])
+      ),
+    [pathsKey]
+  )
+
+  const checked = entries.every((entry) => entry.aircraft.id in paths)
+  const loadable = entries.filter((entry) => paths[entry.aircraft.id])
+  const longest = Math.max(...entries.map((entry) => dimension(entry.aircraft.lengthM, FALLBACK_LENGTH_M)))
+  const spans = loadable.map((entry) => dimension(entry.aircraft.wingspanM, FALLBACK_SPAN_M))
+  const sharedWidth = spans.reduce((sum, span) => sum + span, 0) + SHARED_GAP_M * Math.max(spans.length - 1, 0)
+  // Left-to-right placement for the shared scene, centred on the origin.
+  const sharedOffsets = spans.map((span, index) => {
+    const before = spans.slice(0, index).reduce((sum, value) => sum + value + SHARED_GAP_M, 0)
+    return [before + span / 2 - sharedWidth / 2, 0, 0]
+  })
+  const viewDistance = longest * 1.6
+
+  if (!checked) {
+    return (
+      <div className="h-64 flex items-center justify-center border border-[#0f0] text-xs animate-pulse" role="status">
+        &gt; VERIFYING_MODEL_PATHS
+      </div>
+    )
+  }
+
+  // Every model is scaled to metres with its fuselage on Z; `offset` places it in a shared scene.
+  const model = (entry, { offset = [0, 0, 0], tint } = {}) => (
+    <group key={entry.aircraft.id} position={offset}>
+      <GLTFModel
+        path={paths[entry.aircraft.id]}
+        scale={entry.model.scale}
+        position={entry.model.position}
+        rotation={entry.model.rotation}
+        mode="textured"
+        tint={tint}
+        aircraft={entry.aircraft}
+        alignLength
+        onCalibrated={reporters[entry.aircraft.id]}
+      />
+    </group>
+  )
+
+  return (
+    <div>
+      {mode === 'split' && (
+        <div className={`grid gap-2 ${loadable.length > 2 ? 'grid-cols-2' : 'grid-cols-1 sm:grid-cols-2'}`}>
+          {loadable.map((entry) => (
+            <div key={entry.aircraft.id} className="relative h-64 md:h-80 border" style={{ borderColor: entry.color }}>
+              <span className="absolute top-1 left-1 z-10 bg-black/80 px-1 text-[10px]" style={{ color: entry.color }}>
+                {entry.aircraft.name}
+              </span>
+              <ModelErrorBoundary resetKey={paths[entry.aircraft.id]} fallback={<LoadFailed />}>
+                <Canvas
+                  className="cursor-grab"
+                  camera={{ position: [viewDistance * 0.7, viewDistance * 0.35, viewDistance * 0.7], fov: 36, near: 0.1, far: 2000 }}
+                  dpr={[1, 1]}
+                >
+                  <Lights />
+                  <Suspense fallback={<Loading />}>{model(entry)}</Suspense>
+                  <Grid size={longest * 2} />
+                  <SyncedOrbit id={entry.aircraft.id} syncRef={syncRef} minDistance={longest * 0.6} maxDistance={longest * 5} />
+                </Canvas>
+              </ModelErrorBoundary>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {mode !== 'split' && (
+        <div className="relative h-80 md:h-[28rem] border border-[#0f0]">
+          <ModelErrorBoundary resetKey={`${mode}-${pathsKey}`} fallback={<LoadFailed />}>
+            <Canvas
+              className="cursor-grab"
+              orthographic={mode === 'silhouette'}
+              camera={
+                mode === 'silhouette'
+                  ? { position: [0, 200, 0], up: [0, 0, -1], zoom: 8, near: 0.1, far: 1000 }
+                  : { position: [sharedWidth * 0.5, sharedWidth * 0.45, sharedWidth], fov: 36, near: 0.1, far: 2000 }
+              }
+              dpr={[1, 1]}
+            >
+              <Lights />
+              <Suspense fallback={<Loading />}>
+                <Bounds fit observe margin={1.15}>
+                  {loadable.map((entry, index) =>
+                    mode === 'silhouette' ? model(entry, { tint: entry.color }) : model(entry, { offset: sharedOffsets[index] })
+                  )}
+                </Bounds>
+              </Suspense>
+              <Grid size={Math.max(sharedWidth, longest) * 1.5} y={mode === 'silhouette' ? -10 : -3} />
+              <OrbitControls makeDefault enablePan={false} enableRotate={mode !== 'silhouette'} rotateSpeed={0.8} />
+            </Canvas>
+          </ModelErrorBoundary>
+        </div>
+      )}
+
+      <p className="mt-2 text-[10px] text-[#0f0]/60">
+        GRID CELL = {formatSpec('lengthM', GRID_CELL_M, units)} ·{' '}
+        {mode === 'split'
+          ? 'DRAG ANY VIEWPORT — THE OTHERS FOLLOW AT THE SAME DISTANCE'
+          : mode === 'silhouette'
+            ? 'TOP-DOWN PLANFORMS, NOSES ALIGNED, CENTRED ON EACH AIRFRAME'
+            : 'ONE SCENE, WINGTIP TO WINGTIP'}
+      </p>
+
+      <ul className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-2 text-[11px]">
+        {entries.map((entry) => {
+          const calibration = calibrations[entry.aircraft.id]
+          const missing = !paths[entry.aircraft.id]
+          return (
+            <li key={entry.aircraft.id} className="border border-[#0f0]/30 bg-black/40 px-2 py-1">
+              <div className="flex items-center gap-2">
+                <span className="w-3 h-3 shrink-0" style={{ backgroundColor: entry.color }} aria-hidden="true" />
+                <span className="truncate">{entry.aircraft.name}</span>
+              </div>
+              {missing && <p className="text-[#ff003c]">ASSET_NOT_FOUND: {entry.model.path}</p>}
+              {isFallbackPath(paths[entry.aircraft.id]) && <p className="text-[#ff003c]">[ UNVERIFIED ] ARCHIVED PLACEHOLDER</p>}
+              {!missing && (
+                <p className="text-[#0f0]/50 truncate" title={entry.model.provenance?.source}>
+                  {modelCredit(entry.model.provenance)}
+                </p>
+              )}
+              {!missing && !calibration && <p className="text-[#0f0]/50 animate-pulse">MEASURING_BOUNDS</p>}
+              {calibration && (
+                <>
+                  <p className="text-[#0f0]/70">
+                    LEN {formatSpec('lengthM', calibration.lengthM, units)} · SPAN {formatSpec('wingspanM', calibration.wingspanM, units)}
+                    {calibration.basis && ` · SCALED BY RECORD ${calibration.basis === 'lengthM' ? 'LENGTH' : 'WINGSPAN'}`}
+                  </p>
+                  {!calibration.basis && (
+                    <p className="text-[#ff003c]">NO LENGTH OR WINGSPAN ON RECORD — SHOWN IN RAW MODEL UNITS, NOT TO SCALE</p>
+                  )}
+                  {calibration.mismatch && (
+                    <p className="text-[#ffd400]">
+                      BOUNDS_MISMATCH: scaled {calibration.check.key === 'wingspanM' ? 'span' : 'length'}{' '}
+                      {formatSpec(calibration.check.key, calibration.check.actual, units)} vs record{' '}
+                      {formatSpec(calibration.check.key, calibration.check.expected, units)} (
+                      {Math.round(calibration.deviation * 100)}% off)
+                    </p>
+                  )}
+                </>
+              )}
+            </li>
+          )
+        })}
+      </ul>
+    </div>
+  )
+}
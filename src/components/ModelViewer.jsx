@@ -1,7 +1,24 @@
-import { Component, Suspense, useCallback, useEffect, useRef, useState } from 'react'
+import { Suspense, useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import { Canvas, useFrame, useThree } from '@react-three/fiber'
-import { Bounds, Html, OrbitControls, useBounds, useGLTF, useProgress } from '@react-three/drei'
+import { Bounds, Html, Line, OrbitControls, useBounds, useGLTF, useProgress } from '@react-three/drei'
+import * as THREE from 'three'
 import GLTFModel from './GLTFModel'
+import ModelErrorBoundary from './ModelErrorBoundary'
+import { HOTSPOT_SYSTEMS, normalizeHotspots, saveHotspots } from '../lib/hotspots'
+import { modelLevels, prefersLightModels, resolveModelPath, unverifiedReason } from '../lib/models'
+import { RENDER_MODES, RENDER_MODE_BY_ID, SECTION_AXES } from '../lib/renderModes'
+import { formatSpec } from '../lib/units'
+
+const DEFAULT_CAMERA_POSITION = [3.1, 1.7, 4]
+// TRUE scale frames this many metres whatever the model, so a J-20 fills more of it than a Gripen.
+const TRUE_SCALE_FRAME_M = 26
+const GRID_CELL_M = 5
+const FLIGHT_SECONDS = 0.8
+// Camera distance, in model radii, beyond which each successive LOD proxy takes over.
+const LOD_DISTANCE_RATIOS = [5, 10, 20]
+const LOD_CHECK_FRAMES = 15
+// Authoring writes through the dev server, so production builds never show it.
+const CAN_AUTHOR_HOTSPOTS = Boolean(import.meta.env.DEV)
 
 if (typeof useGLTF.setDecoderPath === 'function') {
   useGLTF.setDecoderPath('/draco/')
@@ -30,24 +47,117 @@ function FallbackMessage() {
   )
 }
 
-function modelPathCandidates(path) {
-  if (typeof path !== 'string' || path.length === 0) return []
-  if (!path.startsWith('/models/verified/')) return [path]
+function FitCamera({ resetToken, extent }) {
+  const bounds = useBounds()
 
-  const fallbackPath = path.replace('/models/verified/', '/models/unverified/')
-  return fallbackPath === path ? [path] : [path, fallbackPath]
+  // Re-fits once the calibrated extent is known, since the orbit limits follow it.
+  useEffect(() => {
+    bounds.refresh().clip().fit()
+  }, [bounds, resetToken, extent])
+
+  return null
 }
 
-function FitCamera({ resetToken }) {
-  const bounds = useBounds()
+/* Places the camera at the distance that frames TRUE_SCALE_FRAME_M, looking at the model's centre. */
+function TrueScaleCamera({ resetToken }) {
+  const getState = useThree((state) => state.get)
+  const controls = useThree((state) => state.controls)
 
   useEffect(() => {
-    bounds.refresh().clip().fit()
-  }, [bounds, resetToken])
+    const { camera } = getState()
+    const distance = TRUE_SCALE_FRAME_M / 2 / Math.tan(THREE.MathUtils.degToRad(camera.fov / 2))
+    camera.position.fromArray(DEFAULT_CAMERA_POSITION).setLength(distance)
+    camera.near = 0.1
+    camera.far = distance * 10
+    camera.updateProjectionMatrix()
+    if (controls) {
+      controls.target.set(0, 0, 0)
+      controls.update()
+    }
+  }, [getState, controls, resetToken])
 
   return null
 }
 
+/* Two picked points, the segment between them and its length. */
+function Measurement({ points, calibrated, markerSize, units }) {
+  if (points.length === 0) return null
+  const [from, to] = points.map((point) => new THREE.Vector3(...point))
+  const distance = to ? from.distanceTo(to) : null
+
+  return (
+    <group>
+      {points.map((point, index) => (
+        <mesh key={index} position={point} renderOrder={10}>
+          <sphereGeometry args={[markerSize, 12, 12]} />
+          <meshBasicMaterial color="#ffd400" depthTest={false} />
+        </mesh>
+      ))}
+      {to && (
+        <>
+          <Line points={[from, to]} color="#ffd400" lineWidth={2} depthTest={false} renderOrder={10} />
+          <Html position={from.clone().lerp(to, 0.5).toArray()} center>
+            <p className="font-mono text-[10px] text-black bg-[#ffd400] px-1 whitespace-nowrap pointer-events-none">
+              {calibrated ? formatSpec('lengthM', distance, units) : `${distance.toFixed(3)} MODEL UNITS`}
+            </p>
+          </Html>
+        </>
+      )}
+    </group>
+  )
+}
+
+function DimensionLine({ from, to, label }) {
+  const middle = new THREE.Vector3(...from).lerp(new THREE.Vector3(...to), 0.5).toArray()
+  return (
+    <>
+      <Line points={[from, to]} color="#00ffff" lineWidth={1.5} dashed dashSize={0.4} gapSize={0.2} />
+      <Html position={middle} center>
+        <p className="font-mono text-[10px] text-[#00ffff] bg-black/80 border border-[#00ffff] px-1 whitespace-nowrap pointer-events-none">
+          {label}
+        </p>
+      </Html>
+    </>
+  )
+}
+
+/*
+ * Length, wingspan and height of the calibrated bounding box, drawn just
+ * outside it, each labelled with the record value when one exists.
+ */
+function DimensionAnnotations({ calibration, aircraft, units }) {
+  const halfLength = calibration.lengthM / 2
+  const halfSpan = calibration.wingspanM / 2
+  const halfHeight = calibration.heightM / 2
+  const gap = Math.max(calibration.lengthM, calibration.wingspanM) * 0.06
+  // World position from (along fuselage, up, across wings), whichever horizontal axis the fuselage lies on.
+  const at = (along, up, across) => (calibration.lengthAxis === 'x' ? [along, up, across] : [across, up, along])
+  const label = (name, key, value) => {
+    const record = aircraft?.[key]
+    return `${name} ${formatSpec(key, value, units)}${typeof record === 'number' ? ` · REC ${formatSpec(key, record, units)}` : ''}`
+  }
+
+  return (
+    <group>
+      <DimensionLine
+        from={at(-halfLength, -halfHeight, halfSpan + gap)}
+        to={at(halfLength, -halfHeight, halfSpan + gap)}
+        label={label('LENGTH', 'lengthM', calibration.lengthM)}
+      />
+      <DimensionLine
+        from={at(-halfLength - gap, -halfHeight, -halfSpan)}
+        to={at(-halfLength - gap, -halfHeight, halfSpan)}
+        label={label('SPAN', 'wingspanM', calibration.wingspanM)}
+      />
+      <DimensionLine
+        from={at(halfLength + gap, -halfHeight, halfSpan + gap)}
+        to={at(halfLength + gap, halfHeight, halfSpan + gap)}
+        label={`HEIGHT ${formatSpec('lengthM', calibration.heightM, units)}`}
+      />
+    </group>
+  )
+}
+
 function pad(n) {
   return Math.abs(n).toFixed(3).padStart(7, '0')
 }
@@ -57,7 +167,7 @@ function sign(n) {
 }
 
 /* Writes camera data directly to a DOM element via ref -- no React re-renders */
-function CameraTracker({ domRef, wireframe }) {
+function CameraTracker({ domRef, modeLabel }) {
   const { camera } = useThree()
   const frameCount = useRef(0)
 
@@ -77,19 +187,186 @@ function CameraTracker({ domRef, wireframe }) {
       `CAM_Y: ${sign(y)}${pad(y)}\n` +
       `CAM_Z: ${sign(z)}${pad(z)}\n` +
       `DIST:  ${dist.toFixed(2)}\n` +
-      `MODE:  ${wireframe ? 'WIREFRAME' : 'TEXTURED'}\n` +
+      `MODE:  ${modeLabel}\n` +
       `STATUS: ONLINE`
   })
 
   return null
 }
 
-function Scene({ model, modelPath, resetToken, autoRotate, wireframe, camHudRef, onSceneReady }) {
+/*
+ * Labelled hotspot markers. The wrapping group is the model's frame (it sits
+ * inside GLTFModel), so `frameRef` also converts picks and fly-to targets.
+ */
+function HotspotMarkers({ hotspots, activeId, onSelect, frameRef }) {
+  return (
+    <group ref={frameRef}>
+      {hotspots.map((hotspot, index) => {
+        const active = hotspot.id === activeId
+        return (
+          <Html key={hotspot.id} position={hotspot.position} center zIndexRange={[20, 10]}>
+            <button
+              type="button"
+              onClick={() => onSelect(active ? null : hotspot.id)}
+              aria-pressed={active}
+              title={`${hotspot.label}: ${HOTSPOT_SYSTEMS.find((system) => system.id === hotspot.system)?.label ?? hotspot.system}`}
+              className={`relative block w-3 h-3 border-2 rounded-full cursor-pointer ${active ? 'bg-[#ffd400] border-[#ffd400] shadow-[0_0_10px_#ffd400]' : 'bg-black border-[#00ffff]'}`}
+            >
+              <span
+                className={`absolute left-4 top-1/2 -translate-y-1/2 whitespace-nowrap font-mono text-[10px] px-1 border ${active ? 'bg-[#ffd400] text-black border-[#ffd400]' : 'bg-black/80 text-[#00ffff] border-[#00ffff]'}`}
+              >
+                [{String(index + 1).padStart(2, '0')}] {hotspot.label}
+              </span>
+            </button>
+          </Html>
+        )
+      })}
+    </group>
+  )
+}
+
+/* Eases the camera and orbit target onto a hotspot whenever `hotspot` or `token` changes. */
+function HotspotFlight({ hotspot, token, frameRef }) {
+  const flight = useRef(null)
+
+  useEffect(() => {
+    flight.current = hotspot ? { hotspot, progress: 0, from: null, to: null } : null
+  }, [hotspot, token])
+
+  useFrame((state, delta) => {
+    const current = flight.current
+    const controls = state.controls
+    if (!current || !frameRef.current || !controls) return
+
+    if (!current.from) {
+      const target = frameRef.current.localToWorld(new THREE.Vector3(...current.hotspot.position))
+      const view = state.camera.position.clone().sub(controls.target)
+      const outward = target.clone().sub(controls.target)
+      // Come in from the hotspot's side of the airframe, biased toward the current view.
+      const direction = view.clone().normalize()
+      if (outward.lengthSq() > 1e-8) direction.add(outward.normalize()).normalize()
+      const distance = Math.max(view.length() * 0.5, controls.minDistance * 1.1)
+      current.from = { camera: state.camera.position.clone(), target: controls.target.clone() }
+      current.to = { camera: target.clone().addScaledVector(direction, distance), target }
+    }
+
+    current.progress = Math.min(current.progress + delta / FLIGHT_SECONDS, 1)
+    const eased = 1 - (1 - current.progress) ** 3
+    state.camera.position.lerpVectors(current.from.camera, current.to.camera, eased)
+    controls.target.lerpVectors(current.from.target, current.to.target, eased)
+    controls.update()
+    if (current.progress === 1) flight.current = null
+  })
+
+  return null
+}
+
+function levelForDistance(ratio, current, count) {
+  let level = 0
+  LOD_DISTANCE_RATIOS.forEach((limit, index) => {
+    // Coming back toward the model needs a 10% closer camera, so a level doesn't flicker at the edge.
+    const edge = index < current ? limit * 0.9 : limit
+    if (ratio > edge) level = index + 1
+  })
+  return Math.min(level, count - 1)
+}
+
+/*
+ * Renders one of `paths` (full resolution first, lightest proxy last) through
+ * `children(path)`. The lightest proxy shows while a heavier level streams in,
+ * and the level follows the camera distance, never finer than `minLevel`.
+ */
+function LevelOfDetail({ paths, minLevel, children: renderLevel }) {
+  const groupRef = useRef(null)
+  const frameCount = useRef(0)
+  const [distanceLevel, setDistanceLevel] = useState(0)
+  const lightest = paths.length - 1
+  const level = Math.min(Math.max(distanceLevel, minLevel), lightest)
+
+  useFrame((state) => {
+    frameCount.current += 1
+    if (lightest === 0 || frameCount.current % LOD_CHECK_FRAMES !== 0 || !groupRef.current) return
+    const sphere = new THREE.Box3().setFromObject(groupRef.current).getBoundingSphere(new THREE.Sphere())
+    if (sphere.radius <= 0) return
+    const next = levelForDistance(state.camera.position.distanceTo(sphere.center) / sphere.radius, distanceLevel, paths.length)
+    if (next !== distanceLevel) setDistanceLevel(next)
+  })
+
+  return (
+    <group ref={groupRef}>
+      {level === lightest ? renderLevel(paths[lightest]) : <Suspense fallback={renderLevel(paths[lightest])}>{renderLevel(paths[level])}</Suspense>}
+    </group>
+  )
+}
+
+function clippedAway(hit) {
+  const materials = Array.isArray(hit.object.material) ? hit.object.material : [hit.object.material]
+  return materials.some((material) => material?.clippingPlanes?.some((plane) => plane.distanceToPoint(hit.point) < 0))
+}
+
+/*
+ * The nearest picked point a section plane hasn't cut away, or null. r3f keeps
+ * one hit per mesh, so when that one is clipped the group is cast again to
+ * reach the visible surface behind it.
+ */
+function visiblePoint(event) {
+  if (!clippedAway(event)) return event.point
+  const raycaster = new THREE.Raycaster()
+  raycaster.ray.copy(event.ray)
+  raycaster.camera = event.camera
+  return raycaster.intersectObject(event.eventObject, true).find((hit) => !clippedAway(hit))?.point ?? null
+}
+
+function Scene({
+  model,
+  levelPaths,
+  minLevel,
+  aircraft,
+  resetToken,
+  autoRotate,
+  renderMode,
+  section,
+  camHudRef,
+  onSceneReady,
+  calibration,
+  onCalibrated,
+  scaleMode,
+  measuring,
+  measurePoints,
+  onMeasurePoint,
+  showDimensions,
+  units,
+  hotspots,
+  activeHotspot,
+  focusToken,
+  onHotspotSelect,
+  onAuthorPoint
+}) {
+  const frameRef = useRef(null)
+  // In metres once calibrated; orbit limits, markers and the grid follow it.
+  const calibrated = Boolean(calibration?.basis)
+  const extent = calibrated ? Math.max(calibration.lengthM, calibration.wingspanM) : null
+  const trueScale = scaleMode === 'true' && calibrated
+  const look = RENDER_MODE_BY_ID[renderMode]
+
+  // A click that ends a drag is an orbit, not a pick.
+  const pick = (event) => {
+    if ((!measuring && !onAuthorPoint) || event.delta > 4) return
+    event.stopPropagation()
+    const point = visiblePoint(event)
+    if (!point) return
+    if (onAuthorPoint) {
+      if (frameRef.current) onAuthorPoint(frameRef.current.worldToLocal(point.clone()).toArray())
+    } else {
+      onMeasurePoint(point.toArray())
+    }
+  }
+
   return (
     <>
-      <color attach="background" args={[wireframe ? '#000300' : '#1a1a1a']} />
+      <color attach="background" args={[look.dark ? '#000300' : '#1a1a1a']} />
 
-      {!wireframe && (
+      {look.lit && (
         <>
           <ambientLight intensity={0.6} />
           <directionalLight position={[5, 5, 5]} intensity={1.2} />
@@ -97,20 +374,42 @@ function Scene({ model, modelPath, resetToken, autoRotate, wireframe, camHudRef,
         </>
       )}
 
-      <CameraTracker domRef={camHudRef} wireframe={wireframe} />
-
-      <Bounds fit clip observe margin={1.2}>
-        <FitCamera resetToken={resetToken} />
-        <GLTFModel
-          path={modelPath}
-          scale={model.scale}
-          position={model.position}
-          rotation={model.rotation}
-          wireframe={wireframe}
-          onSceneReady={onSceneReady}
-        />
+      <CameraTracker domRef={camHudRef} modeLabel={section ? `${look.label} + SECTION` : look.label} />
+
+      <Bounds fit={!trueScale} clip observe={!trueScale} margin={1.2}>
+        {trueScale ? <TrueScaleCamera resetToken={resetToken} /> : <FitCamera resetToken={resetToken} extent={extent} />}
+        <group onClick={pick}>
+          <LevelOfDetail paths={levelPaths} minLevel={minLevel}>
+            {(path) => (
+              <GLTFModel
+                key={path}
+                path={path}
+                scale={model.scale}
+                position={model.position}
+                rotation={model.rotation}
+                mode={renderMode}
+                section={section}
+                aircraft={aircraft}
+                onSceneReady={onSceneReady}
+                onCalibrated={onCalibrated}
+              >
+                <HotspotMarkers hotspots={hotspots} activeId={activeHotspot?.id} onSelect={onHotspotSelect} frameRef={frameRef} />
+              </GLTFModel>
+            )}
+          </LevelOfDetail>
+        </group>
       </Bounds>
 
+      {calibrated && (trueScale || showDimensions) && (
+        <gridHelper
+          args={[Math.ceil((extent * 2) / GRID_CELL_M) * GRID_CELL_M, Math.ceil((extent * 2) / GRID_CELL_M), '#00aa00', '#003300']}
+          position={[0, -calibration.heightM / 2, 0]}
+        />
+      )}
+      {calibrated && showDimensions && <DimensionAnnotations calibration={calibration} aircraft={aircraft} units={units} />}
+      <HotspotFlight hotspot={activeHotspot} token={focusToken} frameRef={frameRef} />
+      <Measurement points={measurePoints} calibrated={calibrated} markerSize={(extent ?? 4) * 0.008} units={units} />
+
       <OrbitControls
         makeDefault
         enablePan={false}
@@ -119,47 +418,18 @@ function Scene({ model, modelPath, resetToken, autoRotate, wireframe, camHudRef,
         rotateSpeed={0.8}
         autoRotate={autoRotate}
         autoRotateSpeed={2.5}
-        minDistance={1.8}
-        maxDistance={12}
+        minDistance={extent ? extent * 0.35 : 1.8}
+        maxDistance={extent ? Math.max(extent, TRUE_SCALE_FRAME_M) * 3 : 12}
       />
     </>
   )
 }
 
-class ModelErrorBoundary extends Component {
-  constructor(props) {
-    super(props)
-    this.state = { hasError: false }
-  }
-
-  static getDerivedStateFromError() {
-    return { hasError: true }
-  }
-
-  componentDidUpdate(prevProps) {
-    if (prevProps.resetKey !== this.props.resetKey && this.state.hasError) {
-      this.setState({ hasError: false })
-    }
-  }
-
-  render() {
-    if (this.state.hasError) {
-      return this.props.fallback
-    }
-
-    return this.props.children
-  }
-}
-
-/* Counts geometry stats from loaded model */
+/* Counts geometry stats from loaded model; stats from a previous path are dropped. */
 function useModelStats(modelPath) {
   const [stats, setStats] = useState(null)
 
-  useEffect(() => {
-    setStats(null)
-  }, [modelPath])
-
-  const onSceneReady = useCallback((scene) => {
+  const onSceneReady = useCallback((scene, shownPath) => {
     let triangles = 0
     let vertices = 0
     let meshes = 0
@@ -181,20 +451,260 @@ function useModelStats(modelPath) {
       }
     })
 
-    setStats({ triangles: Math.round(triangles), vertices, meshes })
-  }, [])
+    setStats({ path: modelPath, shownPath, triangles: Math.round(triangles), vertices, meshes })
+  }, [modelPath])
+
+  return { stats: stats?.path === modelPath ? stats : null, onSceneReady }
+}
+
+/* Cross-section plane: the axis it cuts across, where along it (in half-extents from the centre) and which side stays. */
+function SectionControls({ section, onChange }) {
+  return (
+    <div className="bg-black/95 border border-[#00ffff] text-[#00ffff] text-[10px] p-2 flex flex-col gap-1">
+      <div className="flex gap-1" role="group" aria-label="Section axis">
+        {SECTION_AXES.map((axis) => (
+          <button
+            key={axis.id}
+            type="button"
+            aria-pressed={section.axis === axis.id}
+            onClick={() => onChange({ axis: axis.id })}
+            className={`border border-[#00ffff] px-1 ${section.axis === axis.id ? 'bg-[#00ffff] text-black' : 'hover:bg-[#00ffff]/20'}`}
+          >
+            {axis.label}
+          </button>
+        ))}
+      </div>
+      <label className="flex items-center gap-1">
+        CUT
+        <input
+          type="range"
+          min={-1}
+          max={1}
+          step={0.01}
+          value={section.offset}
+          onChange={(event) => onChange({ offset: Number(event.target.value) })}
+          className="w-24 accent-[#00ffff]"
+        />
+        <span className="w-10 text-right">{`${section.offset >= 0 ? '+' : ''}${section.offset.toFixed(2)}`}</span>
+      </label>
+      <button
+        type="button"
+        aria-pressed={section.flip}
+        onClick={() => onChange({ flip: !section.flip })}
+        className="border border-[#00ffff] px-1 hover:bg-[#00ffff]/20 text-left"
+      >
+        [ FLIP_SIDE ]
+      </button>
+    </div>
+  )
+}
+
+/* Draft list for hotspot authoring: label and system per anchor, then one write to the manifest. */
+function HotspotEditor({ drafts, status, onEdit, onRemove, onSave, onCancel }) {
+  return (
+    <div className="bg-black/95 border border-[#00ffff] text-[#00ffff] text-[10px] p-2 max-h-72 overflow-y-auto">
+      <p className="font-bold mb-1">[ HOTSPOT_AUTHORING ] {drafts.length} ANCHOR{drafts.length === 1 ? '' : 'S'}</p>
+      {drafts.length === 0 && <p className="text-[#00ffff]/60">NO HOTSPOTS YET</p>}
+      <ol className="space-y-1">
+        {drafts.map((draft, index) => (
+          <li key={draft.id} className="flex items-center gap-1">
+            <span className="w-6 shrink-0">{String(index + 1).padStart(2, '0')}</span>
+            <input
+              value={draft.label}
+              onChange={(event) => onEdit(draft.id, { label: event.target.value })}
+              placeholder="LABEL"
+              aria-label={`Hotspot ${index + 1} label`}
+              className="w-24 bg-black border border-[#00ffff]/60 px-1 text-[#00ffff]"
+            />
+            <select
+              value={draft.system}
+              onChange={(event) => onEdit(draft.id, { system: event.target.value })}
+              aria-label={`Hotspot ${index + 1} system`}
+              className="bg-black border border-[#00ffff]/60 text-[#00ffff]"
+            >
+              {HOTSPOT_SYSTEMS.map((system) => (
+                <option key={system.id} value={system.id}>
+                  {system.label}
+                </option>
+              ))}
+            </select>
+            <span className="text-[#00ffff]/50 whitespace-nowrap" title={draft.position.join(', ')}>
+              {draft.position.map((value) => value.toFixed(2)).join(' ')}
+            </span>
+            <button
+              type="button"
+              onClick={() => onRemove(draft.id)}
+              aria-label={`Remove hotspot ${index + 1}`}
+              className="border border-[#ff003c] text-[#ff003c] px-1 hover:bg-[#ff003c] hover:text-black"
+            >
+              X
+            </button>
+          </li>
+        ))}
+      </ol>
+      {status?.kind === 'error' && <p className="mt-1 text-[#ff003c]">WRITE_FAILED: {status.message}</p>}
+      <div className="mt-2 flex gap-1">
+        <button
+          type="button"
+          onClick={onSave}
+          disabled={status?.kind === 'saving'}
+          className="border border-[#00ffff] px-2 py-0.5 hover:bg-[#00ffff] hover:text-black disabled:opacity-50"
+        >
+          {status?.kind === 'saving' ? 'WRITING...' : '[ WRITE_MANIFEST ]'}
+        </button>
+        <button type="button" onClick={onCancel} className="border border-[#0f0] text-[#0f0] px-2 py-0.5 glitch-hover">
+          [ CANCEL ]
+        </button>
+      </div>
+    </div>
+  )
+}
+
+function CreditLink({ href, children }) {
+  if (!href) return <span>{children}</span>
+  return (
+    <a href={href} target="_blank" rel="noreferrer" className="underline hover:text-[#00ffff]">
+      {children}
+    </a>
+  )
+}
 
-  return { stats, onSceneReady }
+/*
+ * Credit line from the manifest's `provenance`, under an UNVERIFIED badge
+ * when an archived placeholder stands in for the model or nobody has
+ * reviewed it (see unverifiedReason).
+ */
+function ModelAttribution({ provenance, reason }) {
+  const verification = provenance?.verification
+  return (
+    <div className="text-[10px] leading-tight bg-black/90 border border-[#0f0]/60 text-[#0f0]/80 px-2 py-1">
+      {reason === 'fallback' && (
+        <p className="font-bold text-[#ff003c]" role="status">
+          [ UNVERIFIED ] ARCHIVED PLACEHOLDER FROM /models/unverified/
+        </p>
+      )}
+      {reason === 'unreviewed' && <p className="font-bold text-[#ffd400]">[ UNVERIFIED ] NO REVIEW ON RECORD</p>}
+      {provenance ? (
+        <p>
+          MODEL: <CreditLink href={provenance.source}>{provenance.title ?? 'SOURCE'}</CreditLink>
+          {provenance.author && (
+            <>
+              {' '}
+              BY <CreditLink href={provenance.authorUrl}>{provenance.author}</CreditLink>
+            </>
+          )}
+          {' · '}
+          {provenance.license ? (
+            <CreditLink href={provenance.licenseUrl}>{provenance.license}</CreditLink>
+          ) : (
+            <span className="text-[#ff003c]">LICENSE UNKNOWN</span>
+          )}
+        </p>
+      ) : (
+        <p className="text-[#ff003c]">NO ATTRIBUTION ON RECORD</p>
+      )}
+      {verification?.status === 'verified' && (
+        <p>
+          VERIFIED BY {verification.reviewer} · {verification.date}
+        </p>
+      )}
+      {provenance?.note && <p className="text-[#0f0]/60">{provenance.note}</p>}
+    </div>
+  )
 }
 
-export default function ModelViewer({ model }) {
+/* Calibration and measured points for the loaded path; both drop when the path changes. */
+function useModelCalibration(modelPath) {
+  const [calibration, setCalibration] = useState(null)
+  const [measure, setMeasure] = useState(null)
+
+  const onCalibrated = useCallback((value) => setCalibration({ path: modelPath, value }), [modelPath])
+
+  // A third pick starts a new measurement.
+  const addMeasurePoint = useCallback(
+    (point) =>
+      setMeasure((current) => {
+        const points = current?.path === modelPath && current.points.length < 2 ? current.points : []
+        return { path: modelPath, points: [...points, point] }
+      }),
+    [modelPath]
+  )
+
+  return {
+    calibration: calibration?.path === modelPath ? calibration.value : null,
+    onCalibrated,
+    measurePoints: measure?.path === modelPath ? measure.points : [],
+    addMeasurePoint,
+    clearMeasure: () => setMeasure(null)
+  }
+}
+
+/*
+ * Hotspot drafts for one manifest model. Picks on the model append a draft;
+ * `save` normalizes the drafts and writes them through the dev server.
+ */
+function useHotspotAuthoring(model) {
+  const [session, setSession] = useState(null)
+  const active = session?.modelId === model?.id ? session : null
+
+  const update = (change) => setSession((current) => ({ ...current, ...change(current), status: null }))
+
+  return {
+    active,
+    start: () =>
+      setSession({
+        modelId: model.id,
+        drafts: (model.hotspots ?? []).map((hotspot) => ({ ...hotspot })),
+        nextKey: model.hotspots?.length ?? 0,
+        status: null
+      }),
+    stop: () => setSession(null),
+    addPoint: (position) =>
+      update((current) => ({
+        drafts: [...current.drafts, { id: `draft-${current.nextKey}`, label: '', system: 'engines', position }],
+        nextKey: current.nextKey + 1
+      })),
+    edit: (id, change) =>
+      update((current) => ({ drafts: current.drafts.map((draft) => (draft.id === id ? { ...draft, ...change } : draft)) })),
+    remove: (id) => update((current) => ({ drafts: current.drafts.filter((draft) => draft.id !== id) })),
+    save: async () => {
+      try {
+        const hotspots = normalizeHotspots(active.drafts)
+        setSession((current) => ({ ...current, status: { kind: 'saving' } }))
+        await saveHotspots(model.id, hotspots)
+        // The manifest import hot-reloads with the new hotspots.
+        setSession(null)
+      } catch (error) {
+        setSession((current) => current && { ...current, status: { kind: 'error', message: error.message } })
+      }
+    }
+  }
+}
+
+export default function ModelViewer({ model, aircraft, units, hotspotFocus = null, onHotspotSelect }) {
   const [resetToken, setResetToken] = useState(0)
   const [autoRotate, setAutoRotate] = useState(true)
-  const [wireframe, setWireframe] = useState(true)
+  const [renderMode, setRenderMode] = useState('wireframe')
+  const [section, setSection] = useState(null)
+  const [scaleMode, setScaleMode] = useState('fit')
+  const [measuring, setMeasuring] = useState(false)
+  const [showDimensions, setShowDimensions] = useState(false)
   const [availability, setAvailability] = useState(model ? 'checking' : 'missing')
   const [resolvedPath, setResolvedPath] = useState(model?.path || null)
+  const [proxyPaths, setProxyPaths] = useState([])
+  const [fullDetail, setFullDetail] = useState(false)
   const camHudRef = useRef(null)
   const { stats, onSceneReady } = useModelStats(resolvedPath)
+  const { calibration, onCalibrated, measurePoints, addMeasurePoint, clearMeasure } = useModelCalibration(resolvedPath)
+  const calibrated = Boolean(calibration?.basis)
+  const authoring = useHotspotAuthoring(model)
+  const hotspots = authoring.active ? authoring.active.drafts : (model?.hotspots ?? [])
+  const activeHotspot = authoring.active ? null : (hotspots.find((hotspot) => hotspot.id === hotspotFocus?.id) ?? null)
+  const levelPaths = useMemo(() => [resolvedPath, ...proxyPaths], [resolvedPath, proxyPaths])
+  // Light devices stop at the heaviest proxy until the full model is asked for.
+  const lightDevice = useMemo(() => prefersLightModels(), [])
+  const minLevel = lightDevice && proxyPaths.length > 0 && !fullDetail ? 1 : 0
+  const shownLevel = stats ? levelPaths.indexOf(stats.shownPath) : -1
 
   useEffect(() => {
     let active = true
@@ -203,30 +713,18 @@ export default function ModelViewer({ model }) {
       if (!model?.path) {
         setAvailability('missing')
         setResolvedPath(null)
+        setProxyPaths([])
         return
       }
 
       setAvailability('checking')
 
-      const candidates = modelPathCandidates(model.path)
-      for (const candidate of candidates) {
-        try {
-          const response = await fetch(candidate, { method: 'HEAD' })
-          if (!active) return
-
-          if (response.ok || response.status === 405) {
-            setResolvedPath(candidate)
-            setAvailability('ready')
-            return
-          }
-        } catch {
-          if (!active) return
-        }
-      }
-
+      // A proxy that isn't deployed is skipped; the full model is still required.
+      const [path, ...proxies] = await Promise.all(modelLevels(model).map((level) => resolveModelPath(level.path)))
       if (!active) return
-      setResolvedPath(model.path)
-      setAvailability('missing')
+      setResolvedPath(path || model.path)
+      setProxyPaths(proxies.filter(Boolean))
+      setAvailability(path ? 'ready' : 'missing')
     }
 
     verify()
@@ -255,7 +753,7 @@ export default function ModelViewer({ model }) {
   return (
     <div className="w-full h-full relative group font-mono border-2 border-[#0f0] terminal-border">
       {/* SCANLINE OVERLAY */}
-      {wireframe && (
+      {renderMode === 'wireframe' && (
         <div className="absolute inset-0 pointer-events-none bg-[linear-gradient(rgba(0,255,0,0.1)_1px,transparent_1px),linear-gradient(90deg,rgba(0,255,0,0.1)_1px,transparent_1px)] bg-[size:10px_10px] z-[5] opacity-30 mix-blend-screen"></div>
       )}
 
@@ -268,13 +766,27 @@ export default function ModelViewer({ model }) {
         >
           {autoRotate ? '[ STOP_ROTATION ]' : '[ INIT_ROTATION ]'}
         </button>
+        <select
+          aria-label="Render mode"
+          className="bg-black text-[#0f0] border border-[#0f0] text-xs px-2 py-1 uppercase cursor-pointer"
+          value={renderMode}
+          onChange={(event) => setRenderMode(event.target.value)}
+        >
+          {RENDER_MODES.map((mode) => (
+            <option key={mode.id} value={mode.id}>
+              RENDER: {mode.label}
+            </option>
+          ))}
+        </select>
         <button
           type="button"
-          className="bg-black text-[#0f0] border border-[#0f0] text-xs px-2 py-1 glitch-hover uppercase text-left cursor-pointer"
-          onClick={() => setWireframe((v) => !v)}
+          aria-pressed={Boolean(section)}
+          className={`border text-xs px-2 py-1 glitch-hover uppercase text-left cursor-pointer ${section ? 'bg-[#00ffff] text-black border-[#00ffff]' : 'bg-black text-[#0f0] border-[#0f0]'}`}
+          onClick={() => setSection((current) => (current ? null : { axis: 'length', offset: 0, flip: false }))}
         >
-          {wireframe ? '[ RENDER_TEXTURED ]' : '[ RENDER_WIREFRAME ]'}
+          [ SECTION ]
         </button>
+        {section && <SectionControls section={section} onChange={(change) => setSection((current) => ({ ...current, ...change }))} />}
         <button
           type="button"
           className="bg-black text-[#0f0] border border-[#0f0] text-xs px-2 py-1 glitch-hover uppercase text-left cursor-pointer"
@@ -282,7 +794,98 @@ export default function ModelViewer({ model }) {
         >
           [ RECALIBRATE_VIEW ]
         </button>
+        <button
+          type="button"
+          className="bg-black text-[#0f0] border border-[#0f0] text-xs px-2 py-1 glitch-hover uppercase text-left cursor-pointer disabled:opacity-40 disabled:cursor-not-allowed"
+          onClick={() => setScaleMode((mode) => (mode === 'fit' ? 'true' : 'fit'))}
+          disabled={!calibrated}
+          title={calibrated ? 'FIT fills the view; TRUE keeps a fixed frame in metres' : 'No length or wingspan on record'}
+        >
+          {scaleMode === 'true' && calibrated ? '[ SCALE: TRUE ]' : '[ SCALE: FIT ]'}
+        </button>
+        <button
+          type="button"
+          aria-pressed={measuring}
+          className={`border text-xs px-2 py-1 glitch-hover uppercase text-left cursor-pointer ${measuring ? 'bg-[#ffd400] text-black border-[#ffd400]' : 'bg-black text-[#0f0] border-[#0f0]'}`}
+          onClick={() => {
+            if (measuring) clearMeasure()
+            authoring.stop()
+            setMeasuring((v) => !v)
+          }}
+        >
+          [ MEASURE ]
+        </button>
+        <button
+          type="button"
+          aria-pressed={showDimensions && calibrated}
+          className={`border text-xs px-2 py-1 glitch-hover uppercase text-left cursor-pointer disabled:opacity-40 disabled:cursor-not-allowed ${showDimensions && calibrated ? 'bg-[#0f0] text-black border-[#0f0]' : 'bg-black text-[#0f0] border-[#0f0]'}`}
+          onClick={() => setShowDimensions((v) => !v)}
+          disabled={!calibrated}
+        >
+          [ DIMENSIONS ]
+        </button>
+        {CAN_AUTHOR_HOTSPOTS && (
+          <button
+            type="button"
+            aria-pressed={Boolean(authoring.active)}
+            className={`border text-xs px-2 py-1 glitch-hover uppercase text-left cursor-pointer ${authoring.active ? 'bg-[#00ffff] text-black border-[#00ffff]' : 'bg-black text-[#0f0] border-[#0f0]'}`}
+            onClick={() => {
+              if (authoring.active) {
+                authoring.stop()
+              } else {
+                clearMeasure()
+                setMeasuring(false)
+                authoring.start()
+              }
+            }}
+          >
+            [ AUTHOR_HOTSPOTS ]
+          </button>
+        )}
+        {lightDevice && proxyPaths.length > 0 && (
+          <button
+            type="button"
+            aria-pressed={fullDetail}
+            title="This device prefers light models; the full-resolution GLB is only fetched on request"
+            className={`border text-xs px-2 py-1 glitch-hover uppercase text-left cursor-pointer ${fullDetail ? 'bg-[#0f0] text-black border-[#0f0]' : 'bg-black text-[#0f0] border-[#0f0]'}`}
+            onClick={() => setFullDetail((v) => !v)}
+          >
+            [ LOAD_FULL_DETAIL ]
+          </button>
+        )}
+      </div>
+
+      {/* Scale warnings, attribution and the hotspot authoring panel */}
+      <div className="absolute top-2 left-2 z-[30] max-w-[60%] flex flex-col gap-1">
+        {calibration && (calibration.mismatch || !calibration.basis) && (
+          <p className="text-[10px] leading-tight bg-black/90 border border-[#ff003c] text-[#ff003c] px-2 py-1" role="status">
+            {calibration.mismatch
+              ? `SCALE_WARNING: scaled ${calibration.check.key === 'wingspanM' ? 'span' : 'length'} ${formatSpec(calibration.check.key, calibration.check.actual, units)} vs record ${formatSpec(calibration.check.key, calibration.check.expected, units)} (${Math.round(calibration.deviation * 100)}% off) — check the asset or the record`
+              : 'NO LENGTH OR WINGSPAN ON RECORD — SHOWN IN MODEL UNITS'}
+          </p>
+        )}
+        <ModelAttribution provenance={model.provenance} reason={unverifiedReason(model, resolvedPath)} />
+        {authoring.active && (
+          <HotspotEditor
+            drafts={authoring.active.drafts}
+            status={authoring.active.status}
+            onEdit={authoring.edit}
+            onRemove={authoring.remove}
+            onSave={authoring.save}
+            onCancel={authoring.stop}
+          />
+        )}
       </div>
+      {measuring && (
+        <p className="absolute top-2 left-1/2 -translate-x-1/2 z-[30] pointer-events-none text-[10px] bg-black/90 border border-[#ffd400] text-[#ffd400] px-2 py-1 whitespace-nowrap">
+          {measurePoints.length === 1 ? 'PICK SECOND POINT' : 'CLICK THE MODEL TO PICK A POINT'}
+        </p>
+      )}
+      {authoring.active && (
+        <p className="absolute top-2 left-1/2 -translate-x-1/2 z-[30] pointer-events-none text-[10px] bg-black/90 border border-[#00ffff] text-[#00ffff] px-2 py-1 whitespace-nowrap">
+          CLICK THE MODEL TO PLACE A HOTSPOT
+        </p>
+      )}
 
       {/* Live Camera Coordinates HUD - written to directly by CameraTracker, no re-renders */}
       <pre
@@ -293,7 +896,7 @@ export default function ModelViewer({ model }) {
 CAM_Y: +000.000
 CAM_Z: +000.000
 DIST:  0.00
-MODE:  WIREFRAME
+MODE:  ${RENDER_MODE_BY_ID[renderMode].label}
 STATUS: ONLINE`}
       </pre>
 
@@ -304,6 +907,12 @@ STATUS: ONLINE`}
             TRIS:    {stats.triangles.toLocaleString()}{'\n'}
             VERTS:   {stats.vertices.toLocaleString()}{'\n'}
             MESHES:  {stats.meshes}{'\n'}
+            SCALE:   {calibrated ? `${calibration.factor.toPrecision(3)} (${calibration.basis === 'lengthM' ? 'LENGTH' : 'SPAN'})` : 'RAW'}{'\n'}
+            {levelPaths.length > 1 && (
+              <>
+                LOD:     {shownLevel}/{levelPaths.length - 1} {shownLevel === 0 ? 'FULL' : 'PROXY'}{'\n'}
+              </>
+            )}
             GEO: <span className="text-[#0f0]">LOADED</span>
           </>
         ) : (
@@ -311,6 +920,7 @@ STATUS: ONLINE`}
             TRIS:    ---{'\n'}
             VERTS:   ---{'\n'}
             MESHES:  ---{'\n'}
+            SCALE:   ---{'\n'}
             GEO: <span className="animate-pulse">PARSING</span>
           </>
         )}
@@ -321,18 +931,35 @@ STATUS: ONLINE`}
         <Canvas
           className="w-full h-full cursor-crosshair"
           style={{ position: 'absolute', inset: 0, zIndex: 1 }}
-          camera={{ position: [3.1, 1.7, 4], fov: 36 }}
+          camera={{ position: DEFAULT_CAMERA_POSITION, fov: 36 }}
           dpr={[1, 1]}
+          gl={{ localClippingEnabled: true }}
         >
           <Suspense fallback={<LoadingSpinner />}>
             <Scene
               model={model}
-              modelPath={resolvedPath}
+              levelPaths={levelPaths}
+              minLevel={minLevel}
+              aircraft={aircraft}
               resetToken={resetToken}
-              autoRotate={autoRotate}
-              wireframe={wireframe}
+              autoRotate={autoRotate && !measuring && !authoring.active && !activeHotspot}
+              renderMode={renderMode}
+              section={section}
               camHudRef={camHudRef}
               onSceneReady={onSceneReady}
+              calibration={calibration}
+              onCalibrated={onCalibrated}
+              scaleMode={scaleMode}
+              measuring={measuring}
+              measurePoints={measurePoints}
+              onMeasurePoint={addMeasurePoint}
+              showDimensions={showDimensions}
+              units={units}
+              hotspots={hotspots}
+              activeHotspot={activeHotspot}
+              focusToken={hotspotFocus?.token}
+              onHotspotSelect={(id) => onHotspotSelect?.(id)}
+              onAuthorPoint={authoring.active ? authoring.addPoint : null}
             />
           </Suspense>
         </Canvas>
@@ -0,0 +1,169 @@
+import { useRef, useState } from 'react'
+import { ANALYZE_METRICS, METRIC_BY_KEY, analyzeColor, hasMetricValue } from '../lib/analyze'
+import { extent, formatTick, linearScale } from '../lib/chartScale'
+import { convertSpec, formatSpec, specUnitLabel } from '../lib/units'
+
+const WIDTH = 760
+const HEIGHT = 340
+const MARGIN = { top: 40, right: 30, bottom: 24, left: 30 }
+
+/*
+ * One vertical axis per ANALYZE_METRICS entry, scaled to the catalog-wide
+ * range plus the compared values (max at the top). Dragging along an axis
+ * brushes a value range; aircraft outside any brush, or unknown on a
+ * brushed axis, are dimmed.
+ */
+export default function ParallelCoordinates({ aircraft, dataset, units }) {
+  const svgRef = useRef(null)
+  const [brushes, setBrushes] = useState({})
+  const [drag, setDrag] = useState(null)
+
+  const step = (WIDTH - MARGIN.left - MARGIN.right) / (ANALYZE_METRICS.length - 1)
+  const axes = ANALYZE_METRICS.map((metric, index) => {
+    const domain = extent([...dataset, ...aircraft].map((item) => item[metric.key])) ?? [0, 1]
+    return { metric, x: MARGIN.left + index * step, domain, y: linearScale(domain, [HEIGHT - MARGIN.bottom, MARGIN.top]) }
+  })
+
+  const matches = (item) =>
+    Object.entries(brushes).every(
+      ([key, [low, high]]) => hasMetricValue(item, key) && item[key] >= low && item[key] <= high
+    )
+  const matching = aircraft.filter(matches)
+
+  // Unknown values break the line rather than dropping it to the bottom of the axis.
+  const pathFor = (item) => {
+    let open = false
+    return axes
+      .map((axis) => {
+        if (!hasMetricValue(item, axis.metric.key)) {
+          open = false
+          return ''
+        }
+        const command = open ? 'L' : 'M'
+        open = true
+        return `${command}${axis.x},${axis.y(item[axis.metric.key])}`
+      })
+      .join(' ')
+  }
+
+  const svgY = (event) => {
+    const svg = svgRef.current
+    const point = svg.createSVGPoint()
+    point.x = event.clientX
+    point.y = event.clientY
+    return point.matrixTransform(svg.getScreenCTM().inverse()).y
+  }
+
+  const clampY = (value) => Math.min(Math.max(value, MARGIN.top), HEIGHT - MARGIN.bottom)
+
+  const startBrush = (key, event) => {
+    event.currentTarget.setPointerCapture(event.pointerId)
+    const y = clampY(svgY(event))
+    setDrag({ key, from: y, to: y })
+  }
+
+  const moveBrush = (key, event) => {
+    if (drag?.key !== key) return
+    setDrag({ ...drag, to: clampY(svgY(event)) })
+  }
+
+  // A click without a drag clears that axis' brush.
+  const endBrush = (axis) => {
+    if (drag?.key !== axis.metric.key) return
+    const next = { ...brushes }
+    if (Math.abs(drag.to - drag.from) < 3) {
+      delete next[axis.metric.key]
+    } else {
+      const values = [axis.y.invert(drag.from), axis.y.invert(drag.to)]
+      next[axis.metric.key] = [Math.min(...values), Math.max(...values)]
+    }
+    setBrushes(next)
+    setDrag(null)
+  }
+
+  const brushBand = (axis) => {
+    if (drag?.key === axis.metric.key) return [Math.min(drag.from, drag.to), Math.max(drag.from, drag.to)]
+    const brush = brushes[axis.metric.key]
+    return brush ? [axis.y(brush[1]), axis.y(brush[0])] : null
+  }
+
+  return (
+    <div>
+      <svg ref={svgRef} viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto touch-none" role="img" aria-label="Parallel coordinates">
+        {aircraft.map((item, index) => {
+          const active = matches(item)
+          return (
+            <path
+              key={item.id}
+              d={pathFor(item)}
+              fill="none"
+              stroke={analyzeColor(index)}
+              strokeWidth={active ? 2 : 1}
+              strokeOpacity={active ? 1 : 0.15}
+            >
+              <title>{item.name}</title>
+            </path>
+          )
+        })}
+
+        {axes.map((axis, index) => {
+          const band = brushBand(axis)
+          const unit = specUnitLabel(axis.metric.key, units)
+          return (
+            <g key={axis.metric.key}>
+              <line x1={axis.x} y1={MARGIN.top} x2={axis.x} y2={HEIGHT - MARGIN.bottom} stroke="rgba(0,255,0,0.6)" />
+              {/* Alternate rows keep neighbouring labels from overlapping. */}
+              <text x={axis.x} y={index % 2 ? 24 : 12} fill="#00ff00" fontSize="9" textAnchor="middle">
+                {axis.metric.label}
+                {unit && ` [${unit}]`}
+              </text>
+              <text x={axis.x + 3} y={MARGIN.top - 3} fill="#00ff00" fillOpacity="0.6" fontSize="8">
+                {formatTick(convertSpec(axis.metric.key, axis.domain[1], units))}
+              </text>
+              <text x={axis.x + 3} y={HEIGHT - MARGIN.bottom + 12} fill="#00ff00" fillOpacity="0.6" fontSize="8">
+                {formatTick(convertSpec(axis.metric.key, axis.domain[0], units))}
+              </text>
+              {band && (
+                <rect x={axis.x - 7} y={band[0]} width="14" height={Math.max(band[1] - band[0], 1)} fill="rgba(0,255,255,0.2)" stroke="#00ffff" />
+              )}
+              <rect
+                x={axis.x - 10}
+                y={MARGIN.top}
+                width="20"
+                height={HEIGHT - MARGIN.top - MARGIN.bottom}
+                fill="transparent"
+                className="cursor-ns-resize"
+                onPointerDown={(event) => startBrush(axis.metric.key, event)}
+                onPointerMove={(event) => moveBrush(axis.metric.key, event)}
+                onPointerUp={() => endBrush(axis)}
+              >
+                <title>{`Drag to filter ${axis.metric.label}; click to clear`}</title>
+              </rect>
+            </g>
+          )
+        })}
+      </svg>
+
+      <div className="mt-2 flex flex-wrap items-center gap-2 text-[11px]">
+        <span className="text-[#0f0]/60">
+          MATCHING {matching.length}/{aircraft.length}:
+        </span>
+        <span>{matching.map((item) => item.name).join(', ') || 'NONE'}</span>
+        {Object.keys(brushes).length > 0 && (
+          <button type="button" onClick={() => setBrushes({})} className="border border-[#0f0] px-2 py-0.5 uppercase glitch-hover">
+            [ CLEAR_BRUSHES ]
+          </button>
+        )}
+      </div>
+      {Object.keys(brushes).length > 0 && (
+        <ul className="mt-1 text-[10px] text-[#00ffff]">
+          {Object.entries(brushes).map(([key, [low, high]]) => (
+            <li key={key}>
+              {METRIC_BY_KEY[key].label}: {formatSpec(key, low, units)} – {formatSpec(key, high, units)}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,25 @@
+import { CONFIDENCE_BY_ID, describeProvenance } from '../lib/provenance'
+
+/*
+ * Compact confidence marker for a spec value. `excluded` marks a value that
+ * Analyze dropped as low-confidence; the tooltip carries the full citation.
+ */
+export default function ProvenanceBadge({ entry, excluded = false }) {
+  const level = entry ? CONFIDENCE_BY_ID[entry.confidence] : null
+
+  if (excluded) {
+    return (
+      <span className="ml-1 text-[10px] text-[#ff003c]" title={`Excluded from scoring: ${describeProvenance(entry)}`}>
+        [EXCL]
+      </span>
+    )
+  }
+
+  if (!level) return null
+
+  return (
+    <span className="ml-1 text-[10px] font-bold" style={{ color: level.color }} title={describeProvenance(entry)}>
+      {level.symbol}
+    </span>
+  )
+}
@@ -0,0 +1,117 @@
+import { useState } from 'react'
+import { MAX_METRIC_WEIGHT } from '../lib/analyze'
+
+export default function ScoringWeightsEditor({ scoring }) {
+  const { metrics, profiles, profileId, setMetricWeight, toggleMetricDirection, loadProfile, saveProfile, deleteProfile } = scoring
+  const [open, setOpen] = useState(false)
+  const [profileName, setProfileName] = useState('')
+
+  const activeProfile = profiles.find((profile) => profile.id === profileId)
+
+  const handleSave = (event) => {
+    event.preventDefault()
+    if (!profileName.trim()) return
+    saveProfile(profileName)
+    setProfileName('')
+  }
+
+  return (
+    <section className="mb-6 border border-[#0f0] bg-[#001100] p-4">
+      <header className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="font-pixel text-base text-[#0f0]">SCORING_MATRIX</h2>
+          <p className="text-xs text-[#0f0]/60 mt-1">
+            PROFILE: {activeProfile ? activeProfile.name : 'CUSTOM (UNSAVED)'}
+          </p>
+        </div>
+
+        <div className="flex flex-wrap gap-2 text-xs">
+          <select
+            value={activeProfile ? activeProfile.id : ''}
+            onChange={(event) => loadProfile(event.target.value)}
+            aria-label="Scoring profile"
+            className="bg-black border border-[#0f0] px-3 py-2 text-[#0f0] outline-none appearance-none uppercase focus:bg-[#002200]"
+          >
+            {!activeProfile && <option value="">* CUSTOM *</option>}
+            {profiles.map((profile) => (
+              <option key={profile.id} value={profile.id}>
+                {profile.builtIn ? `[ ${profile.name} ]` : `[ ${profile.name} ] (USER)`}
+              </option>
+            ))}
+          </select>
+          {activeProfile && !activeProfile.builtIn && (
+            <button
+              type="button"
+              onClick={() => deleteProfile(activeProfile.id)}
+              className="border border-[#ff003c] text-[#ff003c] px-3 py-2 uppercase hover:bg-[#ff003c] hover:text-black"
+            >
+              [ DELETE_PROFILE ]
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={() => setOpen((value) => !value)}
+            aria-expanded={open}
+            className="border border-[#0f0] px-3 py-2 uppercase glitch-hover"
+          >
+            {open ? '[ CLOSE_WEIGHTS ]' : '[ EDIT_WEIGHTS ]'}
+          </button>
+        </div>
+      </header>
+
+      {open && (
+        <div className="mt-4 border-t border-dashed border-[#0f0]/50 pt-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-3 text-xs">
+            {metrics.map((metric) => {
+              const disabled = metric.weight === 0
+              return (
+                <div key={metric.key} className={`flex items-center gap-3 ${disabled ? 'opacity-50' : ''}`}>
+                  <label htmlFor={`weight-${metric.key}`} className="w-32 shrink-0 truncate text-[#0f0]/80">
+                    {metric.label}
+                  </label>
+                  <input
+                    id={`weight-${metric.key}`}
+                    type="range"
+                    min="0"
+                    max={MAX_METRIC_WEIGHT}
+                    step="0.1"
+                    value={metric.weight}
+                    onChange={(event) => setMetricWeight(metric.key, Number(event.target.value))}
+                    className="flex-grow accent-[#00ff00]"
+                  />
+                  <span className="w-10 text-right">{disabled ? 'OFF' : `x${metric.weight.toFixed(1)}`}</span>
+                  <button
+                    type="button"
+                    onClick={() => toggleMetricDirection(metric.key)}
+                    title={metric.higherBetter ? 'Higher values score better' : 'Lower values score better'}
+                    className="w-16 border border-[#0f0] px-1 py-0.5 uppercase glitch-hover"
+                  >
+                    {metric.higherBetter ? 'HI_WIN' : 'LO_WIN'}
+                  </button>
+                </div>
+              )
+            })}
+          </div>
+
+          <form onSubmit={handleSave} className="mt-4 flex flex-wrap gap-2 text-xs">
+            <input
+              type="text"
+              value={profileName}
+              onChange={(event) => setProfileName(event.target.value)}
+              placeholder="PROFILE_NAME_"
+              aria-label="Profile name"
+              className="flex-grow bg-black border border-[#0f0] px-3 py-2 text-[#0f0] outline-none placeholder:text-[#0f0]/40 uppercase focus:bg-[#002200]"
+            />
+            <button
+              type="submit"
+              disabled={!profileName.trim()}
+              className="border border-[#0f0] px-3 py-2 uppercase glitch-hover disabled:opacity-30 disabled:cursor-not-allowed"
+            >
+              [ SAVE_PROFILE ]
+            </button>
+          </form>
+        </div>
+      )}
+    </section>
+  )
+}
@@ -0,0 +1,86 @@
+import { ANALYZE_METRICS } from '../lib/analyze'
+import { rangeStep } from '../lib/specQuery'
+import { formatSpec } from '../lib/units'
+
+/* Min/max sliders for every Analyze metric. Values are in data units; labels follow the unit preference. */
+export default function SpecRangeFilters({ bounds, ranges, onChange, units }) {
+  const setEdge = (key, edge, rawValue) => {
+    const limits = bounds[key]
+    const current = ranges[key] || {}
+    const value = Number(rawValue)
+    const next = { ...current, [edge]: value }
+
+    // Keep min <= max by dragging the other handle along.
+    if (edge === 'min' && next.max !== undefined && value > next.max) next.max = value
+    if (edge === 'max' && next.min !== undefined && value < next.min) next.min = value
+    // A handle at its bound is "no limit" so the range stays open-ended.
+    if (next.min !== undefined && next.min <= limits.min) delete next.min
+    if (next.max !== undefined && next.max >= limits.max) delete next.max
+
+    const nextRanges = { ...ranges }
+    if (next.min === undefined && next.max === undefined) delete nextRanges[key]
+    else nextRanges[key] = next
+    onChange(nextRanges)
+  }
+
+  const clearRange = (key) => {
+    const nextRanges = { ...ranges }
+    delete nextRanges[key]
+    onChange(nextRanges)
+  }
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3 mt-3">
+      {ANALYZE_METRICS.filter((metric) => bounds[metric.key]).map((metric) => {
+        const limits = bounds[metric.key]
+        const range = ranges[metric.key] || {}
+        const low = range.min ?? limits.min
+        const high = range.max ?? limits.max
+        const step = rangeStep(limits)
+        const active = Boolean(ranges[metric.key])
+
+        return (
+          <div key={metric.key} className={`border p-2 text-[10px] ${active ? 'border-[#00ffff]' : 'border-[#0f0]/40'}`}>
+            <div className="flex justify-between gap-2 mb-1">
+              <span className={active ? 'text-[#00ffff]' : 'text-[#0f0]/70'}>{metric.label}</span>
+              <span className="text-[#0f0]">
+                {formatSpec(metric.key, low, units)} – {formatSpec(metric.key, high, units)}
+              </span>
+            </div>
+            <label className="flex items-center gap-2">
+              <span className="w-8 text-[#0f0]/60">MIN</span>
+              <input
+                type="range"
+                min={limits.min}
+                max={limits.max}
+                step={step}
+                value={low}
+                onChange={(event) => setEdge(metric.key, 'min', event.target.value)}
+                className="flex-1 accent-[#0f0]"
+                aria-label={`${metric.label} minimum`}
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              <span className="w-8 text-[#0f0]/60">MAX</span>
+              <input
+                type="range"
+                min={limits.min}
+                max={limits.max}
+                step={step}
+                value={high}
+                onChange={(event) => setEdge(metric.key, 'max', event.target.value)}
+                className="flex-1 accent-[#0f0]"
+                aria-label={`${metric.label} maximum`}
+              />
+            </label>
+            {active && (
+              <button type="button" onClick={() => clearRange(metric.key)} className="mt-1 text-[#ff003c] uppercase cursor-pointer">
+                [ CLEAR ]
+              </button>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
@@ -0,0 +1,33 @@
+import { useEffect, useState } from 'react'
+import { offlineStatus, onOfflineChange } from '../lib/offline'
+
+/*
+ * Maps each entry ({ id, modelPath, imageUrl }) to its offline status and
+ * re-checks whenever something is saved or removed. Returns {} until the first check.
+ */
+export function useOfflineAvailability(entries) {
+  const [statusById, setStatusById] = useState({})
+  const [version, setVersion] = useState(0)
+
+  useEffect(() => onOfflineChange(() => setVersion((current) => current + 1)), [])
+
+  // Serialized so the effect only re-runs when the paths themselves change.
+  const entriesKey = JSON.stringify(entries.map((entry) => [entry.id, entry.modelPath || '', entry.imageUrl || '']))
+
+  useEffect(() => {
+    let alive = true
+    const parsed = JSON.parse(entriesKey)
+
+    Promise.all(
+      parsed.map(async ([id, modelPath, imageUrl]) => [id, await offlineStatus({ modelPath, imageUrl })])
+    ).then((results) => {
+      if (alive) setStatusById(Object.fromEntries(results))
+    })
+
+    return () => {
+      alive = false
+    }
+  }, [entriesKey, version])
+
+  return statusById
+}
@@ -0,0 +1,124 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { SCORING_PRESETS, defaultScoringWeights, scoringMetrics } from '../lib/analyze'
+
+const STORAGE_KEY = 'jetatlas.scoring'
+
+const INITIAL_STATE = { weights: defaultScoringWeights(), profileId: 'default', profiles: [] }
+
+function profileIdFor(name) {
+  return `user:${name.trim().toLowerCase().replace(/\s+/g, '-')}`
+}
+
+/* The effective { weight, higherBetter } for one metric, defaults included. */
+function scoringMetricEntry(weights, key) {
+  const metric = scoringMetrics(weights).find((item) => item.key === key)
+  return { weight: metric.weight, higherBetter: metric.higherBetter }
+}
+
+function readStoredState() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || 'null')
+    if (!stored || typeof stored !== 'object') return INITIAL_STATE
+    return {
+      weights: stored.weights && typeof stored.weights === 'object' ? stored.weights : INITIAL_STATE.weights,
+      profileId: typeof stored.profileId === 'string' ? stored.profileId : null,
+      profiles: Array.isArray(stored.profiles)
+        ? stored.profiles.filter((profile) => typeof profile?.id === 'string' && typeof profile?.name === 'string')
+        : []
+    }
+  } catch {
+    return INITIAL_STATE
+  }
+}
+
+/*
+ * Analyze scoring weights plus named profiles, persisted in localStorage.
+ * `profileId` is null once the weights have been edited away from the loaded profile.
+ */
+export function useScoringProfiles() {
+  const [state, setState] = useState(readStoredState)
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(state))
+    } catch {
+      // Storage unavailable: weights still apply for this session.
+    }
+  }, [state])
+
+  const update = useCallback((change) => {
+    setState((current) => ({ ...current, ...change(current) }))
+  }, [])
+
+  const metrics = useMemo(() => scoringMetrics(state.weights), [state.weights])
+  const profiles = useMemo(
+    () => [...SCORING_PRESETS.map((profile) => ({ ...profile, builtIn: true })), ...state.profiles],
+    [state.profiles]
+  )
+
+  const setMetricWeight = useCallback(
+    (key, weight) => {
+      update((current) => ({
+        weights: { ...current.weights, [key]: { ...scoringMetricEntry(current.weights, key), weight } },
+        profileId: null
+      }))
+    },
+    [update]
+  )
+
+  const toggleMetricDirection = useCallback(
+    (key) => {
+      update((current) => {
+        const entry = scoringMetricEntry(current.weights, key)
+        return {
+          weights: { ...current.weights, [key]: { ...entry, higherBetter: !entry.higherBetter } },
+          profileId: null
+        }
+      })
+    },
+    [update]
+  )
+
+  const loadProfile = useCallback(
+    (id) => {
+      const profile = profiles.find((item) => item.id === id)
+      if (!profile) return
+      update(() => ({ weights: profile.weights, profileId: profile.id }))
+    },
+    [profiles, update]
+  )
+
+  const saveProfile = useCallback(
+    (name) => {
+      const trimmed = name.trim()
+      if (!trimmed) return
+      const id = profileIdFor(trimmed)
+      update((current) => ({
+        profiles: [...current.profiles.filter((profile) => profile.id !== id), { id, name: trimmed, weights: current.weights }],
+        profileId: id
+      }))
+    },
+    [update]
+  )
+
+  const deleteProfile = useCallback(
+    (id) => {
+      update((current) => ({
+        profiles: current.profiles.filter((profile) => profile.id !== id),
+        profileId: current.profileId === id ? null : current.profileId
+      }))
+    },
+    [update]
+  )
+
+  return {
+    metrics,
+    profiles,
+    profileId: state.profileId,
+    setMetricWeight,
+    toggleMetricDirection,
+    loadProfile,
+    saveProfile,
+    deleteProfile
+  }
+}
@@ -0,0 +1,31 @@
+import { useCallback, useEffect, useState } from 'react'
+import { DEFAULT_UNIT_PREFERENCE, normalizeUnitPreference } from '../lib/units'
+
+const STORAGE_KEY = 'jetatlas.units'
+
+function readStoredPreference() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY)
+    return raw ? normalizeUnitPreference(JSON.parse(raw)) : DEFAULT_UNIT_PREFERENCE
+  } catch {
+    return DEFAULT_UNIT_PREFERENCE
+  }
+}
+
+export function useUnitPreference() {
+  const [units, setUnitsState] = useState(readStoredPreference)
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(units))
+    } catch {
+      // Private mode or full storage: keep the preference for this session only.
+    }
+  }, [units])
+
+  const setUnits = useCallback((update) => {
+    setUnitsState((current) => normalizeUnitPreference({ ...current, ...update }))
+  }, [])
+
+  return [units, setUnits]
+}
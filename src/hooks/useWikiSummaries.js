@@ -1,32 +1,34 @@
-import { useEffect, useMemo, useRef, useState } from 'react'
-
-const API_ROOT = 'https://en.wikipedia.org/api/rest_v1/page/summary/'
-
-async function fetchSummary(title, signal) {
-  const response = await fetch(`${API_ROOT}${encodeURIComponent(title)}`, {
-    method: 'GET',
-    headers: {
-      'api-user-agent': 'JetAtlas/1.0 (educational aircraft reference)'
-    },
-    signal
-  })
-
-  if (!response.ok) {
-    return null
-  }
-
-  const payload = await response.json()
-
-  return {
-    extract: payload.extract || '',
-    image: payload.originalimage?.source || payload.thumbnail?.source || null,
-    pageUrl: payload.content_urls?.desktop?.page || null
-  }
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import wikiSnapshot from '../data/wiki.snapshot.json'
+import { DEFAULT_WIKI_API_ROOT, fetchSummary } from '../lib/wikiApi'
+import { cacheImage, readCachedSummaries, resolveCachedImage, writeCachedSummary } from '../lib/wikiCache'
+
+// Point VITE_WIKI_API_ROOT at a local stand-in (scripts/wiki-stub-server.js) to test without Wikipedia.
+const API_ROOT = import.meta.env.VITE_WIKI_API_ROOT || DEFAULT_WIKI_API_ROOT
+
+// Cached summaries are served immediately; entries older than this are revalidated in the background.
+const SUMMARY_TTL_MS = 7 * 24 * 60 * 60 * 1000
+
+function isOffline() {
+  return typeof navigator !== 'undefined' && navigator.onLine === false
 }
 
+async function withCachedImage(summary) {
+  if (!summary?.image) return summary
+  return { ...summary, image: await resolveCachedImage(summary.image) }
+}
+
+/*
+ * Layers, lowest first: the build-time snapshot (src/data/wiki.snapshot.json),
+ * the IndexedDB cache, then live fetches for missing or stale titles.
+ * A failed fetch never replaces a value we already have.
+ *
+ * Returns { summaries, refresh }. `refresh(title?)` refetches one title, or
+ * every title, ignoring the TTL.
+ */
 export function useWikiSummaries(titles) {
-  const cacheRef = useRef({})
-  const [items, setItems] = useState({})
+  const [items, setItems] = useState(() => ({ ...wikiSnapshot.summaries }))
+  const [refreshRequest, setRefreshRequest] = useState({ token: 0, title: null })
 
   const uniqueTitles = useMemo(() => {
     return [...new Set(titles.filter(Boolean))]
@@ -43,31 +45,48 @@ export function useWikiSummaries(titles) {
     const controller = new AbortController()
     let alive = true
 
+    const merge = (entries) => {
+      if (alive && entries.length > 0) {
+        setItems((current) => ({ ...current, ...Object.fromEntries(entries) }))
+      }
+    }
+
     const load = async () => {
-      const results = await Promise.all(
-        currentTitles.map(async (title) => {
-          if (Object.hasOwn(cacheRef.current, title)) {
-            return [title, cacheRef.current[title]]
-          }
+      const cached = await readCachedSummaries(currentTitles)
+      merge(
+        await Promise.all(
+          Object.values(cached)
+            .filter((entry) => entry.summary)
+            .map(async (entry) => [entry.title, await withCachedImage(entry.summary)])
+        )
+      )
+
+      if (isOffline()) return
 
+      const forced = refreshRequest.token > 0 ? refreshRequest.title : undefined
+      const now = Date.now()
+      const pending = currentTitles.filter((title) => {
+        if (forced === null || forced === title) return true
+        const entry = cached[title]
+        return !entry || now - entry.fetchedAt > SUMMARY_TTL_MS
+      })
+
+      const fetched = await Promise.all(
+        pending.map(async (title) => {
           try {
-            const summary = await fetchSummary(title, controller.signal)
-            cacheRef.current[title] = summary
-            return [title, summary]
-          } catch (error) {
-            // Don't cache abort errors — they happen during cleanup
-            // and would permanently lose data for that title.
-            if (error?.name !== 'AbortError') {
-              cacheRef.current[title] = null
-            }
-            return [title, null]
+            const summary = await fetchSummary(title, { apiRoot: API_ROOT, signal: controller.signal })
+            await writeCachedSummary(title, summary)
+            if (summary?.image) await cacheImage(summary.image)
+            // Pages that no longer exist are cached as null but keep any older value on screen.
+            return summary ? [title, summary] : null
+          } catch {
+            // Aborts happen during cleanup; other failures keep the cached or snapshot value.
+            return null
           }
         })
       )
 
-      if (alive) {
-        setItems(Object.fromEntries(results))
-      }
+      merge(fetched.filter(Boolean))
     }
 
     load()
@@ -76,7 +95,11 @@ export function useWikiSummaries(titles) {
       alive = false
       controller.abort()
     }
-  }, [titlesKey])
+  }, [titlesKey, refreshRequest])
+
+  const refresh = useCallback((title = null) => {
+    setRefreshRequest((current) => ({ token: current.token + 1, title }))
+  }, [])
 
-  return items
+  return { summaries: items, refresh }
 }
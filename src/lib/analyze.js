@@ -0,0 +1,348 @@
+export const ANALYZE_METRICS = [
+  { key: 'topSpeedKmh', label: 'TOP_SPEED', color: '#00ff00', higherBetter: true, weight: 1.2 },
+  { key: 'rangeKm', label: 'FERRY_RANGE', color: '#00ffff', higherBetter: true, weight: 1.1 },
+  { key: 'combatRadiusKm', label: 'COMBAT_RADIUS', color: '#66ffcc', higherBetter: true, weight: 1.1 },
+  { key: 'serviceCeilingM', label: 'SERVICE_CEILING', color: '#ff003c', higherBetter: true, weight: 0.9 },
+  { key: 'thrustKn', label: 'TOTAL_THRUST', color: '#33ffaa', higherBetter: true, weight: 1.1 },
+  { key: 'climbRateMs', label: 'CLIMB_RATE', color: '#aaff00', higherBetter: true, weight: 1 },
+  { key: 'payloadKg', label: 'PAYLOAD', color: '#00ff88', higherBetter: true, weight: 1 },
+  { key: 'hardpoints', label: 'HARDPOINTS', color: '#44ffaa', higherBetter: true, weight: 0.6 },
+  {
+    key: 'radarRangeKm',
+    label: 'RADAR_RANGE',
+    color: '#00ccff',
+    higherBetter: true,
+    weight: 1,
+    caveat: 'Open-source detection range; depends heavily on target RCS'
+  },
+  {
+    key: 'stealthScore',
+    label: 'STEALTH_SCORE',
+    color: '#88ff88',
+    higherBetter: true,
+    weight: 1.2,
+    caveat: 'Editorial 0-10 low-observability index, not a published figure'
+  },
+  { key: 'maxTakeoffWeightKg', label: 'MTOW', color: '#ffaa00', higherBetter: true, weight: 0.7 },
+  { key: 'unitCostMUsd', label: 'UNIT_COST', color: '#ff6680', higherBetter: false, weight: 0.9 }
+]
+
+/* Series colors for the compared aircraft, by position in the compare set. */
+export const ANALYZE_COLORS = [
+  '#00ff00',
+  '#00ffff',
+  '#ff003c',
+  '#ffd400',
+  '#ff8800',
+  '#7dff7d',
+  '#ff66cc',
+  '#66aaff',
+  '#ccff00',
+  '#b388ff',
+  '#ff9966',
+  '#00cc88'
+]
+
+export function analyzeColor(index) {
+  return ANALYZE_COLORS[index % ANALYZE_COLORS.length]
+}
+
+export const METRIC_BY_KEY = ANALYZE_METRICS.reduce((table, metric) => {
+  table[metric.key] = metric
+  return table
+}, {})
+
+export function hasMetricValue(aircraft, key) {
+  const value = aircraft[key]
+  return typeof value === 'number' && Number.isFinite(value)
+}
+
+/*
+ * How a metric without a value is treated in scores and charts:
+ * exclude leaves it out and renormalizes the remaining weights, impute fills
+ * in the family (else generation) median and marks it, penalty scores it as
+ * the worst value in the field.
+ */
+export const UNKNOWN_MODES = [
+  { id: 'exclude', label: 'EXCLUDE' },
+  { id: 'impute', label: 'IMPUTE_MEDIAN' },
+  { id: 'penalty', label: 'PENALTY' }
+]
+
+// A real reading, as opposed to nothing at all or a median filled in by imputeUnknownMetrics.
+export function hasKnownValue(aircraft, key) {
+  return hasMetricValue(aircraft, key) && !aircraft.imputedFields?.[key]
+}
+
+export function median(values) {
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+/*
+ * Fills each missing metric with the median of the same family in `reference`,
+ * falling back to the same generation. Filled keys are recorded in
+ * `imputedFields` as { basis, sampleSize } so the UI can mark them.
+ */
+export function imputeUnknownMetrics(aircraftList, reference, keys = ANALYZE_METRICS.map((metric) => metric.key)) {
+  return aircraftList.map((aircraft) => {
+    const imputedFields = {}
+    const filled = {}
+
+    keys.forEach((key) => {
+      if (hasMetricValue(aircraft, key)) return
+      const peersBy = (field) =>
+        aircraft[field]
+          ? reference.filter((peer) => peer.id !== aircraft.id && peer[field] === aircraft[field] && hasKnownValue(peer, key))
+          : []
+      const familyPeers = peersBy('family')
+      const basis = familyPeers.length > 0 ? 'family' : 'generation'
+      const peers = familyPeers.length > 0 ? familyPeers : peersBy('generation')
+      if (peers.length === 0) return
+
+      filled[key] = median(peers.map((peer) => peer[key]))
+      imputedFields[key] = { basis, sampleSize: peers.length }
+    })
+
+    return Object.keys(filled).length > 0 ? { ...aircraft, ...filled, imputedFields } : aircraft
+  })
+}
+
+/*
+ * Cohorts (?cohort=) put a whole slice of the catalog on Analyze instead of the
+ * hand-picked compare set: every aircraft, or those sharing one value of a field.
+ */
+export const COHORT_FIELDS = [
+  { key: 'generation', label: 'GENERATION' },
+  { key: 'role', label: 'ROLE' },
+  { key: 'country', label: 'ORIGIN' },
+  { key: 'operators', label: 'OPERATOR' }
+]
+
+function fieldValues(aircraft, key) {
+  const value = aircraft[key]
+  return (Array.isArray(value) ? value : [value]).filter((item) => typeof item === 'string' && item)
+}
+
+/* Every cohort with at least two members, as { id: 'field:value', field, value, label, size }. */
+export function cohortOptions(aircraftList) {
+  const options = [{ id: 'all', field: null, value: null, label: 'ALL_AIRCRAFT', size: aircraftList.length }]
+  COHORT_FIELDS.forEach((field) => {
+    const counts = new Map()
+    aircraftList.forEach((aircraft) =>
+      fieldValues(aircraft, field.key).forEach((value) => counts.set(value, (counts.get(value) || 0) + 1))
+    )
+    const shared = [...counts.entries()].filter(([, size]) => size >= 2).sort(([a], [b]) => a.localeCompare(b))
+    shared.forEach(([value, size]) => options.push({ id: `${field.key}:${value}`, field, value, label: value, size }))
+  })
+  return options
+}
+
+export function cohortMembers(aircraftList, cohort) {
+  if (!cohort?.field) return aircraftList
+  return aircraftList.filter((aircraft) => fieldValues(aircraft, cohort.field.key).includes(cohort.value))
+}
+
+export function buildMetricStats(aircraftList) {
+  return ANALYZE_METRICS.reduce((stats, metric) => {
+    // Values excluded as low-confidence (or absent) must not drag the minimum to zero.
+    const values = aircraftList.filter((aircraft) => hasMetricValue(aircraft, metric.key)).map((aircraft) => aircraft[metric.key])
+    const min = values.length ? Math.min(...values) : 0
+    const max = values.length ? Math.max(...values) : 1
+    stats[metric.key] = {
+      min,
+      max,
+      span: Math.max(max - min, 1)
+    }
+    return stats
+  }, {})
+}
+
+// Returns null for an unknown value so callers decide how to show or score it.
+export function normalizedMetric(aircraft, metric, metricStats) {
+  if (!hasMetricValue(aircraft, metric.key)) return null
+  const stats = metricStats[metric.key]
+  if (!stats) return 0
+
+  const value = aircraft[metric.key]
+  if (stats.max === stats.min) {
+    return 1
+  }
+
+  const baseline = (value - stats.min) / stats.span
+  const normalized = metric.higherBetter ? baseline : 1 - baseline
+  return Math.max(0, Math.min(1, normalized))
+}
+
+/* How radar vertices are scaled (?norm=). */
+export const RADAR_NORMALIZATIONS = [
+  { id: 'dataset', label: 'DATASET', description: 'Min/max over the whole catalog' },
+  { id: 'compare', label: 'COMPARE_SET', description: 'Min/max over the aircraft being compared' },
+  { id: 'percentile', label: 'PERCENTILE', description: 'Percentile rank within the catalog' },
+  { id: 'log', label: 'LOG', description: 'Log-scaled min/max over the catalog, for skewed metrics such as MTOW' }
+]
+
+function oriented(metric, fraction) {
+  const value = metric.higherBetter ? fraction : 1 - fraction
+  return Math.max(0, Math.min(1, value))
+}
+
+/*
+ * Returns (aircraft, metric) => 0..1, where 1 is always the best end of the
+ * scale, or null for an unknown value. `dataset` is the reference population
+ * for the catalog-wide modes; `compareSet` the aircraft on screen.
+ */
+export function radarNormalizer(mode, dataset, compareSet) {
+  if (mode === 'compare') {
+    const stats = buildMetricStats(compareSet)
+    return (aircraft, metric) => normalizedMetric(aircraft, metric, stats)
+  }
+
+  const known = (key) => dataset.filter((aircraft) => hasMetricValue(aircraft, key)).map((aircraft) => aircraft[key])
+
+  if (mode === 'percentile') {
+    const valuesByKey = new Map()
+    return (aircraft, metric) => {
+      if (!hasMetricValue(aircraft, metric.key)) return null
+      if (!valuesByKey.has(metric.key)) valuesByKey.set(metric.key, known(metric.key))
+      const values = valuesByKey.get(metric.key)
+      if (values.length < 2) return 1
+      const value = aircraft[metric.key]
+      // Ties share the middle of their rank span.
+      const below = values.filter((other) => other < value).length
+      const equal = values.filter((other) => other === value).length
+      return oriented(metric, (below + Math.max(equal - 1, 0) / 2) / (values.length - 1))
+    }
+  }
+
+  if (mode === 'log') {
+    const boundsByKey = new Map()
+    return (aircraft, metric) => {
+      if (!hasMetricValue(aircraft, metric.key)) return null
+      if (!boundsByKey.has(metric.key)) {
+        const logs = known(metric.key).map((value) => Math.log1p(Math.max(value, 0)))
+        boundsByKey.set(metric.key, logs.length ? { min: Math.min(...logs), max: Math.max(...logs) } : null)
+      }
+      const bounds = boundsByKey.get(metric.key)
+      if (!bounds || bounds.max === bounds.min) return 1
+      return oriented(metric, (Math.log1p(Math.max(aircraft[metric.key], 0)) - bounds.min) / (bounds.max - bounds.min))
+    }
+  }
+
+  const stats = buildMetricStats(dataset)
+  return (aircraft, metric) => normalizedMetric(aircraft, metric, stats)
+}
+
+export const MAX_METRIC_WEIGHT = 3
+
+/* { [metricKey]: { weight, higherBetter } } as shipped in ANALYZE_METRICS. */
+export function defaultScoringWeights() {
+  return ANALYZE_METRICS.reduce((weights, metric) => {
+    weights[metric.key] = { weight: metric.weight, higherBetter: metric.higherBetter }
+    return weights
+  }, {})
+}
+
+/* Built-in, read-only scoring profiles. User profiles are saved alongside these. */
+export const SCORING_PRESETS = [
+  { id: 'default', name: 'DEFAULT', weights: defaultScoringWeights() },
+  {
+    id: 'interceptor',
+    name: 'INTERCEPTOR',
+    weights: {
+      ...defaultScoringWeights(),
+      topSpeedKmh: { weight: 2.5, higherBetter: true },
+      serviceCeilingM: { weight: 2, higherBetter: true },
+      climbRateMs: { weight: 2, higherBetter: true },
+      radarRangeKm: { weight: 1.8, higherBetter: true },
+      payloadKg: { weight: 0.3, higherBetter: true },
+      hardpoints: { weight: 0.2, higherBetter: true },
+      unitCostMUsd: { weight: 0.4, higherBetter: false }
+    }
+  },
+  {
+    id: 'budget-strike',
+    name: 'BUDGET_STRIKE',
+    weights: {
+      ...defaultScoringWeights(),
+      topSpeedKmh: { weight: 0.4, higherBetter: true },
+      serviceCeilingM: { weight: 0.3, higherBetter: true },
+      combatRadiusKm: { weight: 1.8, higherBetter: true },
+      payloadKg: { weight: 2, higherBetter: true },
+      hardpoints: { weight: 1.2, higherBetter: true },
+      unitCostMUsd: { weight: 3, higherBetter: false }
+    }
+  },
+  {
+    id: 'carrier-ops',
+    name: 'CARRIER_OPS',
+    weights: {
+      ...defaultScoringWeights(),
+      combatRadiusKm: { weight: 2, higherBetter: true },
+      rangeKm: { weight: 1.5, higherBetter: true },
+      payloadKg: { weight: 1.5, higherBetter: true },
+      maxTakeoffWeightKg: { weight: 1, higherBetter: false },
+      serviceCeilingM: { weight: 0.4, higherBetter: true }
+    }
+  }
+]
+
+function clampWeight(value) {
+  return Number.isFinite(value) ? Math.min(MAX_METRIC_WEIGHT, Math.max(0, value)) : 0
+}
+
+/*
+ * Merges user weights over ANALYZE_METRICS. Unknown keys are ignored and
+ * missing or malformed entries fall back to the shipped values.
+ */
+export function scoringMetrics(weights) {
+  return ANALYZE_METRICS.map((metric) => {
+    const override = weights?.[metric.key]
+    if (!override || typeof override !== 'object') return metric
+    return {
+      ...metric,
+      weight: typeof override.weight === 'number' ? clampWeight(override.weight) : metric.weight,
+      higherBetter: typeof override.higherBetter === 'boolean' ? override.higherBetter : metric.higherBetter
+    }
+  })
+}
+
+export function computeAnalyzeScore(aircraft, metricStats, metrics = ANALYZE_METRICS, unknownMode = 'exclude') {
+  // Unknown metrics are either left out (remaining weights renormalized) or kept at zero as a penalty.
+  const scored = unknownMode === 'penalty' ? metrics : metrics.filter((metric) => hasMetricValue(aircraft, metric.key))
+  const totalWeight = scored.reduce((sum, metric) => sum + metric.weight, 0)
+  if (totalWeight <= 0) return 0
+
+  const weighted = scored.reduce((sum, metric) => {
+    return sum + (normalizedMetric(aircraft, metric, metricStats) ?? 0) * metric.weight
+  }, 0)
+
+  return Math.round((weighted / totalWeight) * 100)
+}
+
+/*
+ * Leader label for `metric` in its current direction: `labels[0]` names the
+ * extreme its ANALYZE_METRICS direction favours, `labels[1]` the other one,
+ * for when the weights editor has flipped higherBetter.
+ */
+export function leaderLabel(metric, [defaultLabel, flippedLabel]) {
+  return metric.higherBetter === METRIC_BY_KEY[metric.key]?.higherBetter ? defaultLabel : flippedLabel
+}
+
+export function metricLeader(aircraftList, metric, metricStats) {
+  // An imputed median never crowns a leader.
+  const candidates = metric ? aircraftList.filter((aircraft) => hasKnownValue(aircraft, metric.key)) : []
+  if (candidates.length === 0) return null
+  return candidates.sort((a, b) => {
+    const delta = normalizedMetric(b, metric, metricStats) - normalizedMetric(a, metric, metricStats)
+    if (delta !== 0) return delta
+    return a.name.localeCompare(b.name)
+  })[0]
+}
+
+export function scoreboardFor(aircraftList, metricStats, metrics = ANALYZE_METRICS, unknownMode = 'exclude') {
+  return aircraftList
+    .map((aircraft) => ({ ...aircraft, score: computeAnalyzeScore(aircraft, metricStats, metrics, unknownMode) }))
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+}
@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { buildMetricStats, imputeUnknownMetrics, leaderLabel, metricLeader, radarNormalizer, scoreboardFor } from './analyze.js'
+
+const SPEED = { key: 'topSpeedKmh', higherBetter: true, weight: 1 }
+const RANGE = { key: 'rangeKm', higherBetter: true, weight: 1 }
+
+test('imputation takes the family median before the generation median', () => {
+  const reference = [
+    { id: 'a', family: 'eagle', generation: '4', rangeKm: 1000 },
+    { id: 'b', family: 'eagle', generation: '4', rangeKm: 3000 },
+    { id: 'c', family: 'hornet', generation: '4', rangeKm: 9000 },
+    { id: 'd', family: 'hornet', generation: '4', rangeKm: 9000 }
+  ]
+  const [eagle, orphan] = imputeUnknownMetrics(
+    [
+      { id: 'e', family: 'eagle', generation: '4' },
+      { id: 'f', family: 'viper', generation: '4' }
+    ],
+    reference,
+    ['rangeKm']
+  )
+
+  assert.equal(eagle.rangeKm, 2000)
+  assert.deepEqual(eagle.imputedFields.rangeKm, { basis: 'family', sampleSize: 2 })
+  assert.equal(orphan.rangeKm, 6000)
+  assert.deepEqual(orphan.imputedFields.rangeKm, { basis: 'generation', sampleSize: 4 })
+})
+
+test('an imputed value never wins metricLeader', () => {
+  const aircraft = [
+    { id: 'real', name: 'Real', topSpeedKmh: 1500 },
+    { id: 'filled', name: 'Filled', topSpeedKmh: 2500, imputedFields: { topSpeedKmh: { basis: 'family', sampleSize: 1 } } }
+  ]
+
+  assert.equal(metricLeader(aircraft, SPEED, buildMetricStats(aircraft)).id, 'real')
+  assert.equal(metricLeader(aircraft.slice(1), SPEED, buildMetricStats(aircraft)), null)
+})
+
+test('penalty scores a missing metric as the worst value, exclude leaves it out', () => {
+  const aircraft = [
+    { id: 'fast', name: 'Fast', topSpeedKmh: 2000 },
+    { id: 'even', name: 'Even', topSpeedKmh: 1500, rangeKm: 3000 },
+    { id: 'slow', name: 'Slow', topSpeedKmh: 1000, rangeKm: 2000 }
+  ]
+  const stats = buildMetricStats(aircraft)
+  const ranking = (mode) => scoreboardFor(aircraft, stats, [SPEED, RANGE], mode).map((entry) => [entry.id, entry.score])
+
+  assert.deepEqual(ranking('exclude'), [['fast', 100], ['even', 75], ['slow', 0]])
+  assert.deepEqual(ranking('penalty'), [['even', 75], ['fast', 50], ['slow', 0]])
+})
+
+test('percentile and log normalizing put a lone aircraft at the top of the scale', () => {
+  const only = [{ id: 'solo', name: 'Solo', topSpeedKmh: 2000 }]
+
+  for (const mode of ['percentile', 'log']) {
+    const normalize = radarNormalizer(mode, only, only)
+    assert.equal(normalize(only[0], SPEED), 1, mode)
+    assert.equal(normalize(only[0], RANGE), null, mode)
+  }
+})
+
+test('leader labels follow a flipped higherBetter', () => {
+  const labels = ['FASTEST', 'SLOWEST']
+
+  assert.equal(leaderLabel(SPEED, labels), 'FASTEST')
+  assert.equal(leaderLabel({ ...SPEED, higherBetter: false }, labels), 'SLOWEST')
+  assert.equal(leaderLabel({ key: 'unitCostMUsd', higherBetter: true }, ['CHEAPEST', 'PRICIEST']), 'PRICIEST')
+})
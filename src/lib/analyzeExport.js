@@ -0,0 +1,202 @@
+/*
+ * Client-side exports for the Analyze page: scoreboard and raw specs as CSV,
+ * the whole comparison as JSON, and the radar chart as SVG or PNG.
+ */
+import { VARIANT_DIFF_FIELDS } from './families'
+import { fieldProvenance } from './provenance'
+import { convertSpec, specUnitLabel } from './units'
+
+function csvCell(value) {
+  if (value === null || value === undefined) return ''
+  const text = Array.isArray(value) ? value.join('; ') : String(value)
+  return /[",\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text
+}
+
+export function toCsv(rows) {
+  return rows.map((row) => row.map(csvCell).join(',')).join('\n') + '\n'
+}
+
+// Converted values keep two decimals at most; CSV consumers do their own formatting.
+function exportValue(key, value, units) {
+  const converted = convertSpec(key, value, units)
+  return typeof converted === 'number' && Number.isFinite(converted) ? Math.round(converted * 100) / 100 : null
+}
+
+/* How a metric value reached the export: known, imputed, excluded or unknown. */
+export function valueStatus(aircraft, key) {
+  if (aircraft.imputedFields?.[key]) return 'imputed'
+  if (aircraft.excludedFields?.includes(key)) return 'excluded'
+  return typeof aircraft[key] === 'number' && Number.isFinite(aircraft[key]) ? 'known' : 'unknown'
+}
+
+function metricHeader(metric, units) {
+  const unit = specUnitLabel(metric.key, units)
+  return unit ? `${metric.label} (${unit})` : metric.label
+}
+
+/* One row per ranked aircraft, metric values in the display units; unknown values are left blank. */
+export function scoreboardCsv(scoreboard, metrics, units) {
+  const header = ['rank', 'id', 'name', 'as_of', 'score', ...metrics.map((metric) => metricHeader(metric, units)), 'unknown', 'imputed', 'excluded']
+  const rows = scoreboard.map((aircraft, index) => {
+    const withStatus = (status) => metrics.filter((metric) => valueStatus(aircraft, metric.key) === status).map((metric) => metric.key)
+    return [
+      index + 1,
+      aircraft.id,
+      aircraft.name,
+      aircraft.asOfYear ?? '',
+      aircraft.score,
+      ...metrics.map((metric) => exportValue(metric.key, aircraft[metric.key], units)),
+      withStatus('unknown'),
+      withStatus('imputed'),
+      withStatus('excluded')
+    ]
+  })
+  return toCsv([header, ...rows])
+}
+
+/* Stored values in their canonical units, as they appear in aircraft.json. */
+export function specsCsv(aircraftList) {
+  const fields = [...VARIANT_DIFF_FIELDS, 'operators']
+  const header = ['id', 'name', ...fields, 'references']
+  const rows = aircraftList.map((aircraft) => [
+    aircraft.id,
+    aircraft.name,
+    ...fields.map((key) => aircraft[key]),
+    (aircraft.references || []).map((reference) => reference.url)
+  ])
+  return toCsv([header, ...rows])
+}
+
+/*
+ * The full comparison: settings, metric weights, every ranked aircraft with
+ * each metric's display value, stored value, status and citation, and the leaders.
+ */
+export function analyzeJson({ scoreboard, leaders, metrics, units, settings }) {
+  return {
+    generatedAt: new Date().toISOString(),
+    units,
+    settings,
+    metrics: metrics.map((metric) => ({
+      key: metric.key,
+      label: metric.label,
+      unit: specUnitLabel(metric.key, units) || null,
+      weight: metric.weight,
+      higherBetter: metric.higherBetter
+    })),
+    scoreboard: scoreboard.map((aircraft, index) => ({
+      rank: index + 1,
+      id: aircraft.id,
+      name: aircraft.name,
+      asOfYear: aircraft.asOfYear ?? null,
+      score: aircraft.score,
+      values: Object.fromEntries(
+        metrics.map((metric) => {
+          const provenance = fieldProvenance(aircraft, metric.key)
+          return [
+            metric.key,
+            {
+              value: exportValue(metric.key, aircraft[metric.key], units),
+              stored: aircraft[metric.key] ?? null,
+              status: valueStatus(aircraft, metric.key),
+              imputed: aircraft.imputedFields?.[metric.key] ?? null,
+              provenance: provenance ? { source: provenance.source, date: provenance.date ?? null, confidence: provenance.confidence } : null
+            }
+          ]
+        })
+      ),
+      references: aircraft.references || []
+    })),
+    leaders: leaders.map((entry) => ({
+      label: entry.label,
+      metric: entry.metric.key,
+      aircraftId: entry.leader?.id ?? null,
+      value: entry.leader ? exportValue(entry.metric.key, entry.leader[entry.metric.key], units) : null
+    }))
+  }
+}
+
+export function exportFileName(extension, suffix = 'analyze') {
+  return `jetatlas-${suffix}-${new Date().toISOString().slice(0, 10)}.${extension}`
+}
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  // Give the download a moment to start before the URL goes away.
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+export function downloadText(text, fileName, type) {
+  downloadBlob(new Blob([text], { type }), fileName)
+}
+
+const SVG_NS = 'http://www.w3.org/2000/svg'
+
+/*
+ * Standalone markup for an on-screen chart: explicit size, a solid background
+ * (the page behind it doesn't come along) and the legend drawn underneath.
+ */
+export function svgMarkup(svg, { background = '#001100', legend = [] } = {}) {
+  const [, , width, height] = svg.getAttribute('viewBox').split(' ').map(Number)
+  const legendHeight = legend.length > 0 ? legend.length * 16 + 12 : 0
+  const clone = svg.cloneNode(true)
+  clone.setAttribute('xmlns', SVG_NS)
+  clone.setAttribute('width', width)
+  clone.setAttribute('height', height + legendHeight)
+  clone.setAttribute('viewBox', `0 0 ${width} ${height + legendHeight}`)
+  clone.setAttribute('font-family', 'monospace')
+  clone.removeAttribute('class')
+
+  const backdrop = document.createElementNS(SVG_NS, 'rect')
+  backdrop.setAttribute('width', '100%')
+  backdrop.setAttribute('height', '100%')
+  backdrop.setAttribute('fill', background)
+  clone.insertBefore(backdrop, clone.firstChild)
+
+  legend.forEach((entry, index) => {
+    const y = height + 8 + index * 16
+    const swatch = document.createElementNS(SVG_NS, 'rect')
+    swatch.setAttribute('x', 16)
+    swatch.setAttribute('y', y)
+    swatch.setAttribute('width', 10)
+    swatch.setAttribute('height', 10)
+    swatch.setAttribute('fill', entry.color)
+    const label = document.createElementNS(SVG_NS, 'text')
+    label.setAttribute('x', 32)
+    label.setAttribute('y', y + 9)
+    label.setAttribute('font-size', 11)
+    label.setAttribute('fill', '#00ff00')
+    label.textContent = entry.label
+    clone.append(swatch, label)
+  })
+
+  return new XMLSerializer().serializeToString(clone)
+}
+
+/* Rasterizes SVG markup at `scale`x its own size. */
+export function svgToPngBlob(markup, scale = 2) {
+  return new Promise((resolve, reject) => {
+    const image = new Image()
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }))
+    image.onload = () => {
+      const canvas = document.createElement('canvas')
+      canvas.width = image.width * scale
+      canvas.height = image.height * scale
+      const context = canvas.getContext('2d')
+      context.scale(scale, scale)
+      context.drawImage(image, 0, 0)
+      URL.revokeObjectURL(url)
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png')
+    }
+    image.onerror = () => {
+      URL.revokeObjectURL(url)
+      reject(new Error('SVG could not be rasterized'))
+    }
+    image.src = url
+  })
+}
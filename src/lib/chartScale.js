@@ -0,0 +1,35 @@
+/*
+ * Small helpers shared by the Analyze SVG charts: linear scales, padded
+ * extents and readable tick labels.
+ */
+
+/* [min, max] of the finite numbers in `values`, or null when there are none. */
+export function extent(values) {
+  const finite = values.filter((value) => typeof value === 'number' && Number.isFinite(value))
+  if (finite.length === 0) return null
+  return [Math.min(...finite), Math.max(...finite)]
+}
+
+/* Widens a domain by `fraction` of its span on both ends; a single value gets a span of its own. */
+export function padDomain([min, max], fraction = 0.08) {
+  const span = max - min || Math.abs(max) || 1
+  return [min - span * fraction, max + span * fraction]
+}
+
+export function linearScale([domainMin, domainMax], [rangeMin, rangeMax]) {
+  const span = domainMax - domainMin || 1
+  const scale = (value) => rangeMin + ((value - domainMin) / span) * (rangeMax - rangeMin)
+  scale.invert = (position) => domainMin + ((position - rangeMin) / (rangeMax - rangeMin)) * span
+  return scale
+}
+
+/* `count` evenly spaced values across the domain, ends included. */
+export function tickValues([min, max], count = 5) {
+  return Array.from({ length: count }, (_, index) => min + ((max - min) * index) / (count - 1))
+}
+
+const compact = new Intl.NumberFormat('en-US', { notation: 'compact', maximumFractionDigits: 1 })
+
+export function formatTick(value) {
+  return Math.abs(value) < 10 ? value.toFixed(1) : compact.format(value)
+}
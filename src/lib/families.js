@@ -0,0 +1,159 @@
+/*
+ * Aircraft families and variants. A record with `variantOf` stores only what
+ * differs from its parent; everything else is inherited when the dataset is
+ * resolved. Shared by the app and the data scripts, so no bundler-only imports.
+ */
+
+/* Fields a variant always declares itself and never takes from its parent. */
+export const VARIANT_OWN_FIELDS = ['id', 'name', 'variantOf', 'description', 'videoQuery', 'featured', 'modelId']
+
+// Resolution bookkeeping, provenance which is merged per field rather than copied whole,
+// and revisions which describe the parent's own service history.
+const NON_INHERITED_KEYS = ['inheritedFields', 'provenance', 'revisions']
+
+/* Fields shown in a variant diff, in display order. */
+export const VARIANT_DIFF_FIELDS = [
+  'manufacturer',
+  'country',
+  'role',
+  'generation',
+  'firstFlight',
+  'introduced',
+  'topSpeedKmh',
+  'rangeKm',
+  'combatRadiusKm',
+  'serviceCeilingM',
+  'crew',
+  'engines',
+  'thrustKn',
+  'radar',
+  'radarRangeKm',
+  'avionics',
+  'lengthM',
+  'wingspanM',
+  'emptyWeightKg',
+  'maxTakeoffWeightKg',
+  'payloadKg',
+  'hardpoints',
+  'climbRateMs',
+  'gLimit',
+  'unitCostMUsd',
+  'stealthScore'
+]
+
+/*
+ * Returns the id chain from `id` up to its root (["su-35s", "su-27"]), or
+ * throws when a parent is missing or the chain loops back on itself.
+ */
+export function ancestryOf(recordsById, id) {
+  const chain = [id]
+  let current = recordsById.get(id)
+  while (current?.variantOf) {
+    if (chain.includes(current.variantOf)) {
+      throw new Error(`variant cycle: ${[...chain, current.variantOf].join(' -> ')}`)
+    }
+    if (!recordsById.has(current.variantOf)) {
+      throw new Error(`"${current.id}" is a variant of unknown aircraft "${current.variantOf}"`)
+    }
+    chain.push(current.variantOf)
+    current = recordsById.get(current.variantOf)
+  }
+  return chain
+}
+
+/*
+ * A variant's provenance: the parent's entries (explicit or "*") for every
+ * field it inherits, overlaid with the variant's own entries.
+ */
+function inheritedProvenance(parent, inheritedKeys, ownProvenance) {
+  const merged = {}
+  if (parent.provenance) {
+    inheritedKeys.forEach((key) => {
+      const entry = parent.provenance[key] ?? (parent.inheritedFields?.includes(key) ? null : parent.provenance['*'])
+      if (entry) merged[key] = entry
+    })
+  }
+  Object.assign(merged, ownProvenance)
+  return Object.keys(merged).length > 0 ? merged : null
+}
+
+/*
+ * Fills in inherited fields on every variant. Resolved variants also carry
+ * `inheritedFields`, the keys that came from the parent chain.
+ */
+export function resolveAircraft(records) {
+  const rawById = new Map(records.map((record) => [record.id, record]))
+  const resolvedById = new Map()
+
+  const resolve = (id) => {
+    if (resolvedById.has(id)) return resolvedById.get(id)
+    const record = rawById.get(id)
+    if (!record.variantOf) {
+      resolvedById.set(id, record)
+      return record
+    }
+
+    ancestryOf(rawById, id)
+    const parent = resolve(record.variantOf)
+    const inherited = {}
+    Object.keys(parent).forEach((key) => {
+      if (NON_INHERITED_KEYS.includes(key) || VARIANT_OWN_FIELDS.includes(key) || Object.hasOwn(record, key)) return
+      inherited[key] = parent[key]
+    })
+
+    const resolved = { ...inherited, ...record, inheritedFields: Object.keys(inherited) }
+    const provenance = inheritedProvenance(parent, resolved.inheritedFields, record.provenance)
+    if (provenance) resolved.provenance = provenance
+    resolvedById.set(id, resolved)
+    return resolved
+  }
+
+  return records.map((record) => resolve(record.id))
+}
+
+/* [{ key, from, to }] for every diff field whose value differs from the parent. */
+export function variantDiff(parent, variant) {
+  return VARIANT_DIFF_FIELDS.filter((key) => JSON.stringify(parent[key]) !== JSON.stringify(variant[key])).map((key) => ({
+    key,
+    from: parent[key],
+    to: variant[key]
+  }))
+}
+
+/*
+ * Members of one family ordered as a tree: each parent followed by its
+ * variants (by first flight), with `depth` for indentation.
+ */
+export function familyMembers(aircraft, familyId) {
+  const members = aircraft.filter((item) => item.family === familyId)
+  const memberIds = new Set(members.map((item) => item.id))
+  const byFirstFlight = (a, b) => (a.firstFlight ?? 0) - (b.firstFlight ?? 0) || a.name.localeCompare(b.name)
+
+  const ordered = []
+  const visit = (item, depth) => {
+    ordered.push({ aircraft: item, depth })
+    members
+      .filter((child) => child.variantOf === item.id)
+      .sort(byFirstFlight)
+      .forEach((child) => visit(child, depth + 1))
+  }
+  // Roots are members whose parent is outside the family (or who have none).
+  members
+    .filter((item) => !item.variantOf || !memberIds.has(item.variantOf))
+    .sort(byFirstFlight)
+    .forEach((item) => visit(item, 0))
+  return ordered
+}
+
+/*
+ * Splits a list into [{ family, items }] groups following `families` order;
+ * aircraft without a family end up in one trailing group with family null.
+ */
+export function groupByFamily(aircraft, families) {
+  const groups = families
+    .map((family) => ({ family, items: aircraft.filter((item) => item.family === family.id) }))
+    .filter((group) => group.items.length > 0)
+  const loose = aircraft.filter((item) => !item.family || !families.some((family) => family.id === item.family))
+  if (loose.length > 0) groups.push({ family: null, items: loose })
+  return groups
+}
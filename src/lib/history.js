@@ -0,0 +1,75 @@
+/*
+ * Dated spec revisions. A record's optional `revisions` lists
+ * { date, summary, changes: { field: value }, source?, confidence? }, where
+ * each change is the value in effect from that date on. Top-level fields
+ * always hold the latest values. Shared by the app and the data scripts, so
+ * no bundler-only imports.
+ */
+import { VARIANT_DIFF_FIELDS } from './families.js'
+
+/* Fields a revision may change. */
+export const REVISION_FIELDS = [...VARIANT_DIFF_FIELDS, 'operators']
+
+export function revisionYear(revision) {
+  return Number.parseInt(revision.date, 10)
+}
+
+/* Oldest first; dates are YYYY[-MM[-DD]] so they sort as strings. */
+export function sortedRevisions(aircraft) {
+  return [...(aircraft?.revisions || [])].sort((a, b) => a.date.localeCompare(b.date))
+}
+
+/* Distinct years in which the record changed, oldest first. */
+export function revisionYears(aircraft) {
+  return [...new Set(sortedRevisions(aircraft).map(revisionYear))]
+}
+
+/*
+ * Newest-first changelog. Each entry lists its changes as { key, from, to };
+ * `from` is undefined for the first tracked value of a field.
+ */
+export function revisionLog(aircraft) {
+  const previous = {}
+  return sortedRevisions(aircraft)
+    .map((revision) => {
+      const changes = Object.entries(revision.changes).map(([key, to]) => {
+        const change = { key, from: previous[key], to }
+        previous[key] = to
+        return change
+      })
+      return { ...revision, changes }
+    })
+    .reverse()
+}
+
+/*
+ * Copy of `aircraft` with its values as they stood at the end of `year`.
+ * A tracked field with no revision by then is unknown (null). Fields taken
+ * from an older revision are listed in `historicFields` and cite that
+ * revision as their provenance.
+ */
+export function specsAsOf(aircraft, year) {
+  const revisions = sortedRevisions(aircraft)
+  const next = { ...aircraft, asOfYear: year, historicFields: [], notYetFlown: year < aircraft.firstFlight }
+  if (revisions.length === 0) return next
+
+  const provenance = { ...aircraft.provenance }
+  const tracked = new Set(revisions.flatMap((revision) => Object.keys(revision.changes)))
+
+  tracked.forEach((key) => {
+    const setting = revisions.filter((revision) => key in revision.changes)
+    const current = setting[setting.length - 1]
+    const inEffect = setting.filter((revision) => revisionYear(revision) <= year).pop()
+    if (inEffect === current) return
+
+    next[key] = inEffect ? inEffect.changes[key] : null
+    next.historicFields.push(key)
+    provenance[key] =
+      inEffect?.source && inEffect.confidence
+        ? { source: inEffect.source, date: inEffect.date, confidence: inEffect.confidence, note: inEffect.summary }
+        : null
+  })
+
+  next.provenance = provenance
+  return next
+}
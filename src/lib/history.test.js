@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { specsAsOf } from './history.js'
+
+const aircraft = {
+  id: 'f-15ex',
+  firstFlight: 2021,
+  thrustKn: 260,
+  radar: 'APG-82',
+  provenance: { thrustKn: { source: 'https://example.com/current', confidence: 'high' } },
+  revisions: [
+    { date: '2021-02', summary: 'First flight', changes: { thrustKn: 230, radar: 'APG-63(V)3' }, source: 'https://example.com/2021', confidence: 'medium' },
+    { date: '2024-06', summary: 'Engine upgrade', changes: { thrustKn: 260 } },
+    { date: '2025-01', summary: 'Radar swap', changes: { radar: 'APG-82' } }
+  ]
+}
+
+test('a year before the first revision leaves tracked fields unknown', () => {
+  const specs = specsAsOf(aircraft, 2019)
+
+  assert.equal(specs.notYetFlown, true)
+  assert.equal(specs.thrustKn, null)
+  assert.equal(specs.radar, null)
+  assert.deepEqual(specs.historicFields.sort(), ['radar', 'thrustKn'])
+  assert.equal(specs.provenance.thrustKn, null)
+})
+
+test('a revision counts from its own year', () => {
+  const specs = specsAsOf(aircraft, 2021)
+
+  assert.equal(specs.notYetFlown, false)
+  assert.equal(specs.thrustKn, 230)
+  assert.equal(specs.radar, 'APG-63(V)3')
+  assert.deepEqual(specs.provenance.thrustKn, {
+    source: 'https://example.com/2021',
+    date: '2021-02',
+    confidence: 'medium',
+    note: 'First flight'
+  })
+
+  const upgraded = specsAsOf(aircraft, 2024)
+  assert.equal(upgraded.thrustKn, 260)
+  assert.deepEqual(upgraded.historicFields, ['radar'])
+})
+
+test('a year after the last revision gives the current record', () => {
+  const specs = specsAsOf(aircraft, 2030)
+
+  assert.equal(specs.thrustKn, 260)
+  assert.equal(specs.radar, 'APG-82')
+  assert.deepEqual(specs.historicFields, [])
+  assert.deepEqual(specs.provenance, aircraft.provenance)
+})
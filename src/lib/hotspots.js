@@ -0,0 +1,60 @@
+/*
+ * Model hotspots. A manifest entry's optional `hotspots` lists
+ * { id, label, system, position } anchors, with `position` in the model's
+ * own frame after the manifest transform (before any calibration), so they
+ * stay on the airframe whatever scale the viewer draws it at.
+ */
+
+// Each hotspot points at one row of the profile's systems tab.
+export const HOTSPOT_SYSTEMS = [
+  { id: 'crew', label: 'CREW_CNT' },
+  { id: 'engines', label: 'THRUSTERS' },
+  { id: 'radar', label: 'RADAR_SYS' },
+  { id: 'avionics', label: 'AVIONICS' },
+  { id: 'stores', label: 'STORES' }
+]
+
+export const HOTSPOT_SYSTEM_IDS = HOTSPOT_SYSTEMS.map((system) => system.id)
+
+// Served only by the dev server (scripts/vite-plugin-hotspot-authoring.js).
+export const HOTSPOT_ENDPOINT = '/__jetatlas/hotspots'
+
+export function slugify(label) {
+  return String(label)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+}
+
+/*
+ * Authoring drafts -> manifest hotspots: ids from the labels (suffixed when
+ * two labels collide) and positions rounded to 4 decimals. Throws when a
+ * label is blank or the system is unknown.
+ */
+export function normalizeHotspots(drafts) {
+  const used = new Set()
+  return drafts.map((draft, index) => {
+    const label = String(draft.label ?? '').trim()
+    if (!label) throw new Error(`Hotspot #${index + 1} needs a label`)
+    if (!HOTSPOT_SYSTEM_IDS.includes(draft.system)) throw new Error(`Hotspot "${label}" has an unknown system "${draft.system}"`)
+
+    const base = slugify(label) || 'hotspot'
+    let id = base
+    for (let suffix = 2; used.has(id); suffix += 1) id = `${base}-${suffix}`
+    used.add(id)
+
+    return { id, label, system: draft.system, position: draft.position.map((value) => Math.round(value * 1e4) / 1e4) }
+  })
+}
+
+/* Writes a model's hotspots back to the manifest through the dev server; resolves to the saved list. */
+export async function saveHotspots(modelId, hotspots) {
+  const response = await fetch(HOTSPOT_ENDPOINT, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ modelId, hotspots })
+  })
+  const result = await response.json().catch(() => ({}))
+  if (!response.ok) throw new Error(result.error || `HTTP ${response.status}`)
+  return result.hotspots
+}
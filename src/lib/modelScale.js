@@ -0,0 +1,60 @@
+/*
+ * Real-world scale for a GLB from its bounding box. glTF is Y-up, so the two
+ * horizontal extents are fuselage length and wingspan; the recorded lengthM
+ * sets the scale (wingspanM when length is unknown) and the other dimension
+ * cross-checks it.
+ */
+
+// Relative gap between the scaled GLB and the recorded dimension before it is flagged.
+export const SCALE_TOLERANCE = 0.1
+
+function isDimension(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0
+}
+
+// The horizontal axis whose extent ratio best matches length / wingspan is taken as the fuselage.
+function fuselageAxis(size, lengthM, wingspanM) {
+  if (!isDimension(lengthM) || !isDimension(wingspanM) || !isDimension(size.x) || !isDimension(size.z)) {
+    return size.x >= size.z ? 'x' : 'z'
+  }
+  const target = Math.log(lengthM / wingspanM)
+  return Math.abs(Math.log(size.x / size.z) - target) <= Math.abs(Math.log(size.z / size.x) - target) ? 'x' : 'z'
+}
+
+/*
+ * `size` is the model's bounding-box size ({ x, y, z }) in GLB units after the
+ * manifest transform. Returns the factor to metres, which record dimension it
+ * came from (null when neither is known) and the scaled extents, plus the
+ * cross-check and whether it is off by more than SCALE_TOLERANCE.
+ */
+export function calibrateModel(size, { lengthM, wingspanM } = {}) {
+  const lengthAxis = fuselageAxis(size, lengthM, wingspanM)
+  const measuredLength = lengthAxis === 'x' ? size.x : size.z
+  const measuredSpan = lengthAxis === 'x' ? size.z : size.x
+
+  let basis = null
+  let factor = 1
+  if (isDimension(lengthM) && isDimension(measuredLength)) {
+    basis = 'lengthM'
+    factor = lengthM / measuredLength
+  } else if (isDimension(wingspanM) && isDimension(measuredSpan)) {
+    basis = 'wingspanM'
+    factor = wingspanM / measuredSpan
+  }
+
+  const scaled = { lengthM: measuredLength * factor, wingspanM: measuredSpan * factor, heightM: size.y * factor }
+  const checkKey = basis === 'lengthM' ? 'wingspanM' : basis === 'wingspanM' ? 'lengthM' : null
+  const expected = checkKey === 'wingspanM' ? wingspanM : checkKey === 'lengthM' ? lengthM : null
+  const check = isDimension(expected) ? { key: checkKey, expected, actual: scaled[checkKey] } : null
+  const deviation = check ? Math.abs(check.actual - check.expected) / check.expected : null
+
+  return {
+    factor,
+    basis,
+    lengthAxis,
+    ...scaled,
+    check,
+    deviation,
+    mismatch: deviation !== null && deviation > SCALE_TOLERANCE
+  }
+}
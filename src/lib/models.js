@@ -0,0 +1,96 @@
+/*
+ * Model path helpers shared by the viewer and the offline cache.
+ */
+
+const VERIFIED_DIR = '/models/verified/'
+const UNVERIFIED_DIR = '/models/unverified/'
+
+/* Active models live in /models/verified/; archived placeholders in /models/unverified/ are tried next. */
+export function modelPathCandidates(path) {
+  if (typeof path !== 'string' || path.length === 0) return []
+  if (!path.startsWith(VERIFIED_DIR)) return [path]
+
+  const fallbackPath = path.replace(VERIFIED_DIR, UNVERIFIED_DIR)
+  return fallbackPath === path ? [path] : [path, fallbackPath]
+}
+
+/* Whether a resolved path is an archived placeholder rather than the file the manifest names. */
+export function isFallbackPath(path) {
+  return typeof path === 'string' && path.startsWith(UNVERIFIED_DIR)
+}
+
+/* One-line credit, "F-15C Eagle by FathanFadhlurrahman · CC-BY-4.0", from a manifest `provenance`. */
+export function modelCredit(provenance) {
+  if (!provenance) return 'NO ATTRIBUTION ON RECORD'
+  const work = [provenance.title ?? new URL(provenance.source).hostname, provenance.author && `by ${provenance.author}`].filter(Boolean).join(' ')
+  return `${work} · ${provenance.license ?? 'LICENSE UNKNOWN'}`
+}
+
+/*
+ * Why a model shown from `path` is not verified: 'fallback' when an archived
+ * placeholder stands in for it, 'unreviewed' when its manifest provenance has
+ * no verified review; null when it is verified.
+ */
+export function unverifiedReason(model, path) {
+  if (isFallbackPath(path)) return 'fallback'
+  return model?.provenance?.verification?.status === 'verified' ? null : 'unreviewed'
+}
+
+/* First candidate path that answers a HEAD request, or null when none does. */
+export async function resolveModelPath(path) {
+  for (const candidate of modelPathCandidates(path)) {
+    try {
+      const response = await fetch(candidate, { method: 'HEAD' })
+      if (response.ok || response.status === 405) return candidate
+    } catch {
+      // Offline or blocked; try the next candidate.
+    }
+  }
+  return null
+}
+
+/*
+ * Detail levels for a manifest entry: the full-resolution `path` first, then
+ * its `lods` proxies from heaviest to lightest.
+ */
+export function modelLevels(model) {
+  if (!model?.path) return []
+  return [{ path: model.path, triangles: null }, ...(model.lods ?? []).map((lod) => ({ path: lod.path, triangles: lod.triangles ?? null }))]
+}
+
+/* The lightest proxy, for previews that must never fetch the full model; null when the entry has none. */
+export function previewModelPath(model) {
+  return model?.lods?.length ? model.lods[model.lods.length - 1].path : null
+}
+
+/*
+ * Whether this device should skip the full-resolution model unless asked:
+ * data saver on, or a low memory / low core count device where the browser
+ * reports it.
+ */
+export function prefersLightModels() {
+  if (typeof navigator === 'undefined') return false
+  if (navigator.connection?.saveData) return true
+  if (typeof navigator.deviceMemory === 'number' && navigator.deviceMemory <= 2) return true
+  return typeof navigator.hardwareConcurrency === 'number' && navigator.hardwareConcurrency <= 2
+}
+
+// Catalog card image preference: the Wikipedia photo or a rendered thumbnail first.
+export const CATALOG_IMAGE_MODES = [
+  { id: 'photo', label: 'PHOTO, 3D RENDER FALLBACK' },
+  { id: 'render', label: '3D RENDER FIRST' },
+  { id: 'wireframe', label: 'WIREFRAME FIRST' }
+]
+
+/*
+ * Card images as { src, kind } in the order to try them: the preferred kind
+ * first, the others as fallbacks when missing or failing to load (offline,
+ * say). `model` is the aircraft's manifest entry, whose `thumbnails` come
+ * from `npm run model:thumbnails`.
+ */
+export function catalogImageSources(photo, model, mode = 'photo') {
+  const { studio, wireframe } = model?.thumbnails ?? {}
+  const renders = mode === 'wireframe' ? [['wireframe', wireframe], ['studio', studio]] : [['studio', studio], ['wireframe', wireframe]]
+  const ordered = mode === 'photo' ? [['photo', photo], ...renders] : [...renders, ['photo', photo]]
+  return ordered.filter(([, src]) => src).map(([kind, src]) => ({ src, kind }))
+}
@@ -0,0 +1,93 @@
+/*
+ * "Save for offline" bookkeeping. Cache names are shared with src/sw.js, which
+ * serves these caches when the network is gone (including the HEAD checks
+ * ModelViewer runs before loading a GLB).
+ */
+import { modelPathCandidates } from './models'
+import { WIKI_IMAGE_CACHE, cacheImage } from './wikiCache'
+
+export const MODEL_CACHE = 'jetatlas-models'
+
+const CHANGE_EVENT = 'jetatlas:offline-change'
+
+function cacheStorageAvailable() {
+  return typeof caches !== 'undefined'
+}
+
+function notifyChange() {
+  window.dispatchEvent(new Event(CHANGE_EVENT))
+}
+
+export function onOfflineChange(listener) {
+  window.addEventListener(CHANGE_EVENT, listener)
+  return () => window.removeEventListener(CHANGE_EVENT, listener)
+}
+
+async function cachedModelPath(modelPath) {
+  if (!cacheStorageAvailable()) return null
+  const cache = await caches.open(MODEL_CACHE)
+  for (const candidate of modelPathCandidates(modelPath)) {
+    if (await cache.match(candidate)) return candidate
+  }
+  return null
+}
+
+async function isImageCached(url) {
+  if (!url || !/^https?:/.test(url)) return true
+  if (!cacheStorageAvailable()) return false
+  const cache = await caches.open(WIKI_IMAGE_CACHE)
+  return Boolean(await cache.match(url))
+}
+
+/* The app shell (and the bundled aircraft data) is only cached once the service worker controls the page. */
+function shellCached() {
+  return typeof navigator !== 'undefined' && Boolean(navigator.serviceWorker?.controller)
+}
+
+/*
+ * -> { shell, model, image, complete }. `model` / `image` are null when the
+ * aircraft has nothing to cache for that part; `complete` means every part is local.
+ */
+export async function offlineStatus({ modelPath, imageUrl }) {
+  const shell = shellCached()
+  const model = modelPath ? Boolean(await cachedModelPath(modelPath)) : null
+  const image = imageUrl && /^https?:/.test(imageUrl) ? await isImageCached(imageUrl) : null
+  return { shell, model, image, complete: shell && model !== false && image !== false }
+}
+
+/* Downloads the aircraft's GLB (first candidate path that exists) and summary image into the caches. */
+export async function saveForOffline({ modelPath, imageUrl }) {
+  if (!cacheStorageAvailable()) throw new Error('Cache Storage is not available in this browser')
+
+  if (modelPath && !(await cachedModelPath(modelPath))) {
+    const cache = await caches.open(MODEL_CACHE)
+    let saved = false
+    for (const candidate of modelPathCandidates(modelPath)) {
+      try {
+        await cache.add(candidate)
+        saved = true
+        break
+      } catch {
+        // Try the next candidate path.
+      }
+    }
+    if (!saved) throw new Error(`Could not download ${modelPath}`)
+  }
+
+  await cacheImage(imageUrl)
+  notifyChange()
+}
+
+/* Drops what saveForOffline stored: the GLB under every candidate path and the summary image. */
+export async function removeFromOffline({ modelPath, imageUrl }) {
+  if (!cacheStorageAvailable()) return
+  if (modelPath) {
+    const cache = await caches.open(MODEL_CACHE)
+    await Promise.all(modelPathCandidates(modelPath).map((candidate) => cache.delete(candidate)))
+  }
+  if (imageUrl && /^https?:/.test(imageUrl)) {
+    const cache = await caches.open(WIKI_IMAGE_CACHE)
+    await cache.delete(imageUrl)
+  }
+  notifyChange()
+}
@@ -0,0 +1,80 @@
+/*
+ * Per-field provenance. A record's optional `provenance` maps a field name
+ * (or "*" for every field without its own entry) to
+ * { source: <reference url>, date?, confidence, note? }. `date` is only set
+ * when the source dates the value; the rest were read in CITATIONS_RETRIEVED.
+ */
+import { METRIC_BY_KEY } from './analyze'
+
+export const CITATIONS_RETRIEVED = '2026-10'
+
+export const CONFIDENCE_LEVELS = [
+  { id: 'official', label: 'OFFICIAL', symbol: '✓', color: '#00ff00' },
+  { id: 'estimated', label: 'ESTIMATED', symbol: '~', color: '#ffd400' },
+  { id: 'disputed', label: 'DISPUTED', symbol: '?', color: '#ff003c' }
+]
+
+export const CONFIDENCE_BY_ID = Object.fromEntries(CONFIDENCE_LEVELS.map((level) => [level.id, level]))
+
+export const LOW_CONFIDENCE = ['estimated', 'disputed']
+
+/*
+ * The provenance entry that applies to `key`, with the matching reference
+ * attached as `reference` ({ label, url }) when the source is one of the
+ * record's references, and the metric's own `caveat` when it has one.
+ * Returns null for unsourced fields.
+ */
+export function fieldProvenance(aircraft, key) {
+  const provenance = aircraft?.provenance
+  if (!provenance) return null
+
+  // A variant's "*" only covers the fields it declares itself; inherited ones carry the parent's entries.
+  const inherited = aircraft.inheritedFields?.includes(key)
+  const entry = provenance[key] ?? (inherited ? null : provenance['*'])
+  if (!entry) return null
+
+  const reference = aircraft.references?.find((item) => item.url === entry.source) ?? null
+  return { ...entry, reference, caveat: METRIC_BY_KEY[key]?.caveat ?? null }
+}
+
+export function isLowConfidence(aircraft, key) {
+  const entry = fieldProvenance(aircraft, key)
+  return Boolean(entry && LOW_CONFIDENCE.includes(entry.confidence))
+}
+
+/* "AS OF 2024-05", or "RETRIEVED 2026-10" for a citation whose source isn't dated. */
+export function provenanceDate(entry) {
+  return entry.date ? `AS OF ${entry.date}` : `RETRIEVED ${CITATIONS_RETRIEVED}`
+}
+
+/* One-line description for tooltips: "ESTIMATED · RETRIEVED 2026-10 · Wikipedia — note; caveat". */
+export function describeProvenance(entry) {
+  if (!entry) return 'UNSOURCED: no per-field citation on record'
+  const level = CONFIDENCE_BY_ID[entry.confidence]
+  const source = entry.reference?.label ?? sourceHost(entry.source)
+  const remarks = [entry.note, entry.caveat].filter(Boolean).join('; ')
+  return [level?.label ?? entry.confidence, provenanceDate(entry), source].join(' · ') + (remarks ? ` — ${remarks}` : '')
+}
+
+function sourceHost(url) {
+  try {
+    return new URL(url).hostname
+  } catch {
+    return url
+  }
+}
+
+/*
+ * Copy of `aircraft` with every low-confidence value among `keys` removed.
+ * The removed keys are listed in `excludedFields`.
+ */
+export function withoutLowConfidence(aircraft, keys) {
+  const excluded = keys.filter((key) => isLowConfidence(aircraft, key))
+  if (excluded.length === 0) return aircraft
+
+  const next = { ...aircraft, excludedFields: excluded }
+  excluded.forEach((key) => {
+    next[key] = null
+  })
+  return next
+}
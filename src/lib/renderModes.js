@@ -0,0 +1,166 @@
+/*
+ * Inspection render modes for GLTFModel. Every model instance gets its own
+ * kit of mode materials, so nothing is shared with the cached glTF or with
+ * other clones of it, and the kit is disposed with the instance.
+ */
+import * as THREE from 'three'
+
+// `dark` modes draw on the black wireframe backdrop; only `lit` ones need the scene lights.
+export const RENDER_MODES = [
+  { id: 'wireframe', label: 'WIREFRAME', dark: true, lit: false },
+  { id: 'textured', label: 'TEXTURED', dark: false, lit: true },
+  { id: 'xray', label: 'X-RAY', dark: true, lit: false },
+  { id: 'clay', label: 'CLAY', dark: false, lit: false },
+  { id: 'normals', label: 'NORMALS', dark: false, lit: false },
+  { id: 'uv', label: 'UV_CHECKER', dark: false, lit: false },
+  { id: 'edges', label: 'EDGES', dark: true, lit: false }
+]
+
+export const RENDER_MODE_BY_ID = Object.fromEntries(RENDER_MODES.map((mode) => [mode.id, mode]))
+
+// Cross-section axes, in the airframe's terms; GLTFModel maps them onto the model's own axes.
+export const SECTION_AXES = [
+  { id: 'length', label: 'LENGTH' },
+  { id: 'span', label: 'SPAN' },
+  { id: 'height', label: 'HEIGHT' }
+]
+
+// Creases sharper than this become edges in the EDGES mode; smooth curvature stays blank.
+const EDGE_THRESHOLD_DEG = 30
+const CHECKER_SIZE = 256
+const CHECKER_CELLS = 8
+const MATCAP_SIZE = 128
+const CLAY_COLOR = [0.8, 0.76, 0.7]
+
+function dataTexture(size, pixel) {
+  const data = new Uint8Array(size * size * 4)
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      const [red, green, blue] = pixel(x, y)
+      const offset = (y * size + x) * 4
+      data[offset] = red
+      data[offset + 1] = green
+      data[offset + 2] = blue
+      data[offset + 3] = 255
+    }
+  }
+  const texture = new THREE.DataTexture(data, size, size)
+  texture.colorSpace = THREE.SRGBColorSpace
+  texture.needsUpdate = true
+  return texture
+}
+
+/* UV checker: alternating cells tinted red along U and green along V, so stretching and flips show. */
+function checkerTexture() {
+  const cell = CHECKER_SIZE / CHECKER_CELLS
+  const texture = dataTexture(CHECKER_SIZE, (x, y) => {
+    const light = (Math.floor(x / cell) + Math.floor(y / cell)) % 2 === 0
+    const base = light ? 200 : 40
+    return [base + Math.round((x / CHECKER_SIZE) * 55), base + Math.round((y / CHECKER_SIZE) * 55), base]
+  })
+  texture.wrapS = THREE.RepeatWrapping
+  texture.wrapT = THREE.RepeatWrapping
+  texture.magFilter = THREE.NearestFilter
+  return texture
+}
+
+/* Matcap of a clay sphere lit from the top left, so the clay mode needs no scene lights. */
+function clayMatcap() {
+  const light = new THREE.Vector3(-0.5, 0.6, 0.62).normalize()
+  const half = light.clone().add(new THREE.Vector3(0, 0, 1)).normalize()
+  const normal = new THREE.Vector3()
+  return dataTexture(MATCAP_SIZE, (x, y) => {
+    const u = ((x + 0.5) / MATCAP_SIZE) * 2 - 1
+    // Texture rows run bottom-up, so +v is the top of the sphere.
+    const v = ((y + 0.5) / MATCAP_SIZE) * 2 - 1
+    const rim = Math.min(1, u * u + v * v)
+    normal.set(u, v, Math.sqrt(1 - rim))
+    const shade = 0.22 + 0.7 * Math.max(0, normal.dot(light)) + 0.15 * Math.max(0, normal.dot(half)) ** 24
+    return CLAY_COLOR.map((channel) => Math.round(Math.min(1, channel * shade) * 255))
+  })
+}
+
+/*
+ * A per-instance set of mode materials. `material(mode, original)` gives the
+ * material for a mesh whose own material is `original`; `edges(geometry)` a
+ * fresh outline object for the EDGES mode; `setClipping(planes)` clips every
+ * material the kit hands out (originals are cloned for that, never mutated).
+ */
+export function createRenderModeKit() {
+  const owned = []
+  const own = (resource) => {
+    owned.push(resource)
+    return resource
+  }
+
+  const materials = {
+    wireframe: own(new THREE.MeshBasicMaterial({ color: 0x00ff00, wireframe: true, transparent: true, opacity: 0.9 })),
+    xray: own(
+      new THREE.MeshBasicMaterial({
+        color: 0x00ffff,
+        transparent: true,
+        opacity: 0.12,
+        side: THREE.DoubleSide,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+      })
+    ),
+    clay: own(new THREE.MeshMatcapMaterial({ matcap: own(clayMatcap()) })),
+    normals: own(new THREE.MeshNormalMaterial()),
+    uv: own(new THREE.MeshBasicMaterial({ map: own(checkerTexture()) })),
+    // Depth only: hides the edges behind the surface without drawing it.
+    edges: own(new THREE.MeshBasicMaterial({ colorWrite: false, polygonOffset: true, polygonOffsetFactor: 1, polygonOffsetUnits: 1 }))
+  }
+  const lineMaterial = own(new THREE.LineBasicMaterial({ color: 0x00ff00 }))
+  const edgeGeometries = new Map()
+  const clippedOriginals = new Map()
+  let clippingPlanes = null
+
+  const clip = (material) => {
+    material.clippingPlanes = clippingPlanes
+    // Clipped surfaces show their inside, which is what a cross-section is for.
+    material.side = clippingPlanes || material === materials.xray ? THREE.DoubleSide : THREE.FrontSide
+    material.needsUpdate = true
+  }
+
+  const clippedOriginal = (original) => {
+    if (!clippedOriginals.has(original)) {
+      const copy = own(original.clone())
+      copy.clippingPlanes = clippingPlanes
+      copy.side = THREE.DoubleSide
+      clippedOriginals.set(original, copy)
+    }
+    return clippedOriginals.get(original)
+  }
+
+  return {
+    material(mode, original) {
+      if (mode === 'textured') {
+        if (!original || !clippingPlanes) return original
+        return Array.isArray(original) ? original.map(clippedOriginal) : clippedOriginal(original)
+      }
+      return materials[mode] ?? materials.wireframe
+    },
+
+    edges(geometry) {
+      if (!edgeGeometries.has(geometry)) edgeGeometries.set(geometry, own(new THREE.EdgesGeometry(geometry, EDGE_THRESHOLD_DEG)))
+      const lines = new THREE.LineSegments(edgeGeometries.get(geometry), lineMaterial)
+      // Picks (measuring, hotspot authoring) should land on the surface, not the outline.
+      lines.raycast = () => {}
+      return lines
+    },
+
+    setClipping(planes) {
+      clippingPlanes = planes
+      ;[...Object.values(materials), lineMaterial].forEach(clip)
+      clippedOriginals.forEach((copy) => {
+        copy.clippingPlanes = planes
+        copy.needsUpdate = true
+      })
+    },
+
+    dispose() {
+      owned.forEach((resource) => resource.dispose())
+    }
+  }
+}
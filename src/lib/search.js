@@ -0,0 +1,293 @@
+/*
+ * Catalog search: an inverted index over the text fields of each aircraft with
+ * prefix and typo-tolerant matching, field-scoped terms and ranked results.
+ *
+ * Query syntax:
+ *   f119 phoenix            every term must match somewhere (AND)
+ *   radar:aesa              term restricted to one field (see FIELD_ALIASES)
+ *   operator:"Indian Air Force"   quoted phrase, words in order
+ *   "us navy"               phrase across any field
+ *   apg-77                  hyphenated designator, every part in one field
+ */
+
+const FIELDS = [
+  { key: 'name', weight: 5 },
+  { key: 'id', weight: 4 },
+  { key: 'manufacturer', weight: 2, acronyms: true },
+  { key: 'country', weight: 2, acronyms: true },
+  { key: 'role', weight: 2 },
+  { key: 'generation', weight: 2 },
+  { key: 'engines', weight: 2 },
+  { key: 'radar', weight: 2 },
+  { key: 'avionics', weight: 1.5 },
+  { key: 'operators', weight: 1.5, acronyms: true },
+  { key: 'facts', weight: 1 },
+  { key: 'programMilestones', weight: 1 },
+  { key: 'description', weight: 0.8 }
+]
+
+export const SEARCH_FIELD_LABELS = {
+  name: 'NAME',
+  id: 'ID',
+  manufacturer: 'MAKER',
+  country: 'ORIGIN',
+  role: 'ROLE',
+  generation: 'GEN',
+  engines: 'ENGINE',
+  radar: 'RADAR',
+  avionics: 'AVIONICS',
+  operators: 'OPERATOR',
+  facts: 'FACT',
+  programMilestones: 'MILESTONE',
+  description: 'INTEL'
+}
+
+const FIELD_ALIASES = {
+  name: 'name',
+  id: 'id',
+  maker: 'manufacturer',
+  manufacturer: 'manufacturer',
+  country: 'country',
+  origin: 'country',
+  role: 'role',
+  gen: 'generation',
+  generation: 'generation',
+  engine: 'engines',
+  engines: 'engines',
+  radar: 'radar',
+  avionics: 'avionics',
+  operator: 'operators',
+  operators: 'operators',
+  user: 'operators',
+  fact: 'facts',
+  facts: 'facts',
+  milestone: 'programMilestones',
+  milestones: 'programMilestones',
+  desc: 'description',
+  description: 'description'
+}
+
+const MATCH_QUALITY = { exact: 1, prefix: 0.7, fuzzy: 0.45 }
+
+/* "U.S. Navy" -> "US Navy", so dotted abbreviations index as one token. */
+function collapseInitialisms(text) {
+  return text.replace(/\b([A-Za-z])\.(?=[A-Za-z]\.?)/g, '$1').replace(/\b([A-Za-z]{2,3})\.(?=\s|$)/g, '$1')
+}
+
+export function tokenize(text) {
+  return collapseInitialisms(String(text))
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+}
+
+/* "Indian Air Force" -> ["iaf", "ia", "af"]: initials of every run of 2+ capitalized words. */
+function acronymTokens(text) {
+  const words = collapseInitialisms(String(text)).split(/[^A-Za-z0-9]+/).filter((word) => /^[A-Z]/.test(word))
+  const acronyms = []
+  for (let start = 0; start < words.length; start += 1) {
+    for (let end = start + 2; end <= words.length; end += 1) {
+      acronyms.push(
+        words
+          .slice(start, end)
+          .map((word) => word[0])
+          .join('')
+          .toLowerCase()
+      )
+    }
+  }
+  return acronyms
+}
+
+function fieldText(record, key) {
+  const value = record[key]
+  if (Array.isArray(value)) return value.join(' \n ')
+  return value === undefined || value === null ? '' : String(value)
+}
+
+export function buildSearchIndex(records) {
+  const postings = new Map()
+
+  const docs = records.map((record, docIndex) => {
+    const fields = {}
+    FIELDS.forEach((field) => {
+      const text = fieldText(record, field.key)
+      const values = Array.isArray(record[field.key]) ? record[field.key].map(String) : [text]
+      const tokens = new Set(tokenize(text))
+      if (field.acronyms) values.forEach((value) => acronymTokens(value).forEach((token) => tokens.add(token)))
+
+      fields[field.key] = { text: tokenize(text).join(' '), tokens }
+      tokens.forEach((token) => {
+        if (!postings.has(token)) postings.set(token, new Set())
+        postings.get(token).add(docIndex)
+      })
+    })
+    return { id: record.id, fields }
+  })
+
+  return { docs, postings, vocabulary: [...postings.keys()] }
+}
+
+function editDistanceWithin(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return false
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index)
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i]
+    let rowMin = i
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost)
+      rowMin = Math.min(rowMin, current[j])
+    }
+    if (rowMin > limit) return false
+    previous = current
+  }
+  return previous[b.length] <= limit
+}
+
+function typoBudget(token) {
+  if (token.length >= 8) return 2
+  if (token.length >= 4) return 1
+  return 0
+}
+
+/* Vocabulary tokens a query token can stand for, with how well each matches. */
+function expandToken(index, token) {
+  const expansions = new Map()
+  const budget = typoBudget(token)
+  index.vocabulary.forEach((candidate) => {
+    if (candidate === token) {
+      expansions.set(candidate, MATCH_QUALITY.exact)
+    } else if (token.length >= 2 && candidate.startsWith(token)) {
+      expansions.set(candidate, MATCH_QUALITY.prefix)
+    } else if (budget > 0 && editDistanceWithin(token, candidate, budget)) {
+      expansions.set(candidate, MATCH_QUALITY.fuzzy)
+    }
+  })
+  return expansions
+}
+
+export function parseSearchQuery(query) {
+  const terms = []
+  const pattern = /(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi
+  let match
+  while ((match = pattern.exec(query)) !== null) {
+    const [raw, fieldName, phrase, word] = match
+    const field = fieldName ? FIELD_ALIASES[fieldName.toLowerCase()] : null
+    // "foo:bar" with an unknown field is searched as plain text.
+    const text = fieldName && !field ? raw : phrase ?? word
+    const tokens = tokenize(text)
+    if (tokens.length === 0) continue
+    // A hyphenated designator ("f-22", "apg-77") is one name, so it can't be pieced together across fields.
+    terms.push({ field, tokens, phrase: phrase !== undefined, designator: word !== undefined && /\w-\w/.test(text) })
+  }
+  return terms
+}
+
+/* Best (weighted quality, matched tokens) for one query token within one document field. */
+function scoreToken(expansions, fieldEntry, weight) {
+  let best = 0
+  const matched = []
+  expansions.forEach((quality, token) => {
+    if (!fieldEntry.tokens.has(token)) return
+    matched.push(token)
+    best = Math.max(best, quality * weight)
+  })
+  return { score: best, matched }
+}
+
+/*
+ * Runs a query. Returns null for an empty query, otherwise a Map of
+ * id -> { score, matches: { [field]: Set<token> } } for matching records only.
+ */
+export function searchIndex(index, query) {
+  const terms = parseSearchQuery(query)
+  if (terms.length === 0) return null
+
+  const expansionCache = new Map()
+  const expansionsFor = (token) => {
+    if (!expansionCache.has(token)) expansionCache.set(token, expandToken(index, token))
+    return expansionCache.get(token)
+  }
+
+  const results = new Map()
+  index.docs.forEach((doc) => {
+    let total = 0
+    const matches = {}
+
+    const allTermsMatch = terms.every((term) => {
+      const fields = term.field ? FIELDS.filter((field) => field.key === term.field) : FIELDS
+      let termScore = 0
+      const termMatches = []
+      // Every token of the term has to match somewhere, so "apg-77" needs the 77 as well as the apg.
+      const tokenMatched = term.tokens.map(() => false)
+
+      fields.forEach((field) => {
+        const entry = doc.fields[field.key]
+        if (term.phrase && !` ${entry.text} `.includes(` ${term.tokens.join(' ')} `)) return
+
+        let fieldScore = 0
+        const fieldMatches = []
+        let everyToken = true
+        term.tokens.forEach((token, position) => {
+          const result = term.phrase
+            ? { score: entry.tokens.has(token) ? field.weight : 0, matched: [token] }
+            : scoreToken(expansionsFor(token), entry, field.weight)
+          if (result.score === 0) {
+            everyToken = false
+            return
+          }
+          fieldScore += result.score
+          fieldMatches.push(...result.matched)
+          tokenMatched[position] = true
+        })
+
+        // A multi-word term may be split across fields ("us navy" vs operators + facts) unless it is a phrase or designator.
+        if ((term.phrase || term.designator) && !everyToken) return
+        if (fieldScore > 0) {
+          termScore = Math.max(termScore, fieldScore)
+          termMatches.push([field.key, fieldMatches])
+        }
+      })
+
+      if (termScore === 0 || !tokenMatched.every(Boolean)) return false
+      total += termScore
+      termMatches.forEach(([key, tokens]) => {
+        if (!matches[key]) matches[key] = new Set()
+        tokens.forEach((token) => matches[key].add(token))
+      })
+      return true
+    })
+
+    if (allTermsMatch) results.set(doc.id, { score: total, matches })
+  })
+
+  return results
+}
+
+/* Whether a single value (e.g. one operator) contains any of the matched tokens, acronyms included. */
+export function textMatchesTokens(text, tokens) {
+  return [...tokenize(text), ...acronymTokens(text)].some((token) => tokens.has(token))
+}
+
+/*
+ * Splits `text` into [{ text, match }] segments, marking words whose token
+ * is in `tokens`. Used to highlight search hits in the UI.
+ */
+export function highlightSegments(text, tokens) {
+  const source = String(text ?? '')
+  if (!tokens || tokens.size === 0) return [{ text: source, match: false }]
+
+  const segments = []
+  let cursor = 0
+  const wordPattern = /[A-Za-z0-9]+/g
+  let match
+  while ((match = wordPattern.exec(source)) !== null) {
+    if (!tokens.has(match[0].toLowerCase())) continue
+    if (match.index > cursor) segments.push({ text: source.slice(cursor, match.index), match: false })
+    segments.push({ text: match[0], match: true })
+    cursor = match.index + match[0].length
+  }
+  if (cursor < source.length) segments.push({ text: source.slice(cursor), match: false })
+  return segments
+}
@@ -0,0 +1,17 @@
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import { test } from 'node:test'
+import { buildSearchIndex, searchIndex } from './search.js'
+
+const records = JSON.parse(readFileSync(new URL('../data/aircraft.json', import.meta.url), 'utf8'))
+const index = buildSearchIndex(records)
+const ids = (query) => [...searchIndex(index, query).keys()]
+
+test('a designator needs every part, not just the shared prefix', () => {
+  assert.deepEqual(ids('APG-77'), ['f-22'])
+  assert.deepEqual(ids('f-22'), ['f-22'])
+})
+
+test('an unquoted multi-word term may still span fields', () => {
+  assert.ok(ids('us navy').includes('fa-18e'))
+})
@@ -0,0 +1,151 @@
+/*
+ * Numeric spec filtering for the catalog: typed expressions such as
+ * `stealthScore>=8 AND combatRadiusKm>1000` and per-metric min/max ranges.
+ * Values are always in the units stored in aircraft.json (km/h, km, m, kg, kN, M USD).
+ */
+import { ANALYZE_METRICS } from './analyze.js'
+
+export const NUMERIC_SPEC_KEYS = [
+  ...ANALYZE_METRICS.map((metric) => metric.key),
+  'firstFlight',
+  'introduced',
+  'crew',
+  'lengthM',
+  'wingspanM',
+  'emptyWeightKg',
+  'gLimit'
+]
+
+const KEY_BY_LOWERCASE = new Map(NUMERIC_SPEC_KEYS.map((key) => [key.toLowerCase(), key]))
+
+const COMPARATORS = {
+  '>': (value, target) => value > target,
+  '>=': (value, target) => value >= target,
+  '<': (value, target) => value < target,
+  '<=': (value, target) => value <= target,
+  '=': (value, target) => value === target,
+  '==': (value, target) => value === target,
+  '!=': (value, target) => value !== target
+}
+
+const TOKEN_PATTERN = /\s*(?:(>=|<=|!=|==|>|<|=|&&)|(-?\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(\S))/y
+
+function lexExpression(text) {
+  const tokens = []
+  TOKEN_PATTERN.lastIndex = 0
+  let match
+  while (TOKEN_PATTERN.lastIndex < text.length && (match = TOKEN_PATTERN.exec(text)) !== null) {
+    const [raw, operator, number, word, other] = match
+    const position = match.index + raw.length - raw.trimStart().length
+    if (operator === '&&' || word?.toUpperCase() === 'AND') tokens.push({ type: 'and', position })
+    else if (word?.toUpperCase() === 'BETWEEN') tokens.push({ type: 'between', position })
+    else if (operator) tokens.push({ type: 'op', value: operator, position })
+    else if (number) tokens.push({ type: 'number', value: Number(number), position })
+    else if (word) tokens.push({ type: 'word', value: word, position })
+    else if (other) tokens.push({ type: 'invalid', value: other, position })
+  }
+  return tokens
+}
+
+/*
+ * Parses `key op number [AND ...]`, also accepting `key BETWEEN a AND b`.
+ * Returns { clauses: [{ key, op, value }], error } where error is a
+ * human-readable message (and clauses is empty) when the text is malformed.
+ */
+export function parseSpecQuery(text) {
+  const tokens = lexExpression(String(text ?? ''))
+  const clauses = []
+  let index = 0
+
+  const fail = (message, token) => ({
+    clauses: [],
+    error: token ? `${message} at column ${token.position + 1}` : `${message} at end of expression`
+  })
+  const expect = (type) => (tokens[index]?.type === type ? tokens[index++] : null)
+
+  while (index < tokens.length) {
+    if (clauses.length > 0 && !expect('and')) return fail('Expected AND', tokens[index])
+
+    const keyToken = expect('word')
+    if (!keyToken) return fail('Expected a spec name', tokens[index])
+    const key = KEY_BY_LOWERCASE.get(keyToken.value.toLowerCase())
+    if (!key) return fail(`Unknown spec "${keyToken.value}"`, keyToken)
+
+    if (expect('between')) {
+      const low = expect('number')
+      if (!low) return fail('Expected a number', tokens[index])
+      if (!expect('and')) return fail('Expected AND', tokens[index])
+      const high = expect('number')
+      if (!high) return fail('Expected a number', tokens[index])
+      clauses.push({ key, op: '>=', value: Math.min(low.value, high.value) })
+      clauses.push({ key, op: '<=', value: Math.max(low.value, high.value) })
+      continue
+    }
+
+    const opToken = expect('op')
+    if (!opToken) return fail('Expected a comparison (> >= < <= = !=)', tokens[index])
+    const valueToken = expect('number')
+    if (!valueToken) return fail('Expected a number', tokens[index])
+    clauses.push({ key, op: opToken.value, value: valueToken.value })
+  }
+
+  return { clauses, error: null }
+}
+
+/* Records with a missing or non-numeric value never satisfy a clause. */
+export function matchesSpecClauses(record, clauses) {
+  return clauses.every(({ key, op, value }) => {
+    const actual = record[key]
+    return typeof actual === 'number' && Number.isFinite(actual) && COMPARATORS[op](actual, value)
+  })
+}
+
+/* { [key]: { min, max, integer } } over the numeric values present in `records`. */
+export function specBounds(records, keys = NUMERIC_SPEC_KEYS) {
+  return keys.reduce((bounds, key) => {
+    const values = records.map((record) => record[key]).filter((value) => typeof value === 'number' && Number.isFinite(value))
+    if (values.length > 0) {
+      bounds[key] = { min: Math.min(...values), max: Math.max(...values), integer: values.every(Number.isInteger) }
+    }
+    return bounds
+  }, {})
+}
+
+/* A slider step of roughly 1/50th of the span, snapped to a power of ten. */
+export function rangeStep(bounds) {
+  const span = bounds.max - bounds.min
+  if (span <= 0) return 1
+  const step = 10 ** Math.floor(Math.log10(span / 50))
+  return bounds.integer ? Math.max(step, 1) : step
+}
+
+/* Open-ended ranges ({ min } or { max } only) are allowed; missing values never match. */
+export function matchesSpecRanges(record, ranges) {
+  return Object.entries(ranges).every(([key, range]) => {
+    const actual = record[key]
+    if (typeof actual !== 'number' || !Number.isFinite(actual)) return false
+    if (range.min !== undefined && actual < range.min) return false
+    if (range.max !== undefined && actual > range.max) return false
+    return true
+  })
+}
+
+/* Compares two records by a list of [{ key, dir }] using `valueFor(record, key)`. */
+export function multiKeyComparator(sorts, valueFor) {
+  return (a, b) => {
+    for (const { key, dir } of sorts) {
+      const left = valueFor(a, key)
+      const right = valueFor(b, key)
+      const missingLeft = left === undefined || left === null
+      const missingRight = right === undefined || right === null
+      // Unknown values sort last regardless of direction.
+      if (missingLeft || missingRight) {
+        if (missingLeft !== missingRight) return missingLeft ? 1 : -1
+        continue
+      }
+      const order = typeof left === 'string' ? left.localeCompare(right) : left - right
+      if (order !== 0) return dir === 'desc' ? -order : order
+    }
+    return 0
+  }
+}
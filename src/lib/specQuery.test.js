@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { multiKeyComparator, parseSpecQuery } from './specQuery.js'
+
+test('clauses join with AND or &&, and spec names ignore case', () => {
+  assert.deepEqual(parseSpecQuery('stealthScore>=8 AND combatradiuskm > 1000 && crew=1'), {
+    clauses: [
+      { key: 'stealthScore', op: '>=', value: 8 },
+      { key: 'combatRadiusKm', op: '>', value: 1000 },
+      { key: 'crew', op: '=', value: 1 }
+    ],
+    error: null
+  })
+})
+
+test('BETWEEN becomes an inclusive range in either order', () => {
+  assert.deepEqual(parseSpecQuery('firstFlight between 2000 and 1990').clauses, [
+    { key: 'firstFlight', op: '>=', value: 1990 },
+    { key: 'firstFlight', op: '<=', value: 2000 }
+  ])
+})
+
+test('malformed expressions report what was expected and where', () => {
+  assert.deepEqual(parseSpecQuery('wingArea > 40'), { clauses: [], error: 'Unknown spec "wingArea" at column 1' })
+  assert.equal(parseSpecQuery('crew=1 crew=2').error, 'Expected AND at column 8')
+  assert.equal(parseSpecQuery('crew 2').error, 'Expected a comparison (> >= < <= = !=) at column 6')
+  assert.equal(parseSpecQuery('crew BETWEEN 1 2').error, 'Expected AND at column 16')
+  assert.equal(parseSpecQuery('crew >').error, 'Expected a number at end of expression')
+  assert.equal(parseSpecQuery('crew > 1 AND').error, 'Expected a spec name at end of expression')
+})
+
+test('unknown values sort last in both directions', () => {
+  const records = [
+    { id: 'a', cost: null, name: 'Alpha' },
+    { id: 'b', cost: 90, name: 'Bravo' },
+    { id: 'c', cost: 80, name: 'Charlie' },
+    { id: 'd', name: 'Delta' }
+  ]
+  const sorted = (sorts) => [...records].sort(multiKeyComparator(sorts, (record, key) => record[key])).map((record) => record.id)
+
+  assert.deepEqual(sorted([{ key: 'cost', dir: 'asc' }]), ['c', 'b', 'a', 'd'])
+  assert.deepEqual(sorted([{ key: 'cost', dir: 'desc' }]), ['b', 'c', 'a', 'd'])
+  assert.deepEqual(sorted([{ key: 'cost', dir: 'desc' }, { key: 'name', dir: 'desc' }]), ['b', 'c', 'd', 'a'])
+})
@@ -0,0 +1,145 @@
+/*
+ * Display unit conversion. aircraft.json always stores metric values; everything
+ * here converts at render time only, so sorting and scoring stay unit-agnostic.
+ */
+
+// Speed of sound at the 11,000 m tropopause, where fighter top speeds are quoted.
+const MACH_KMH = 1062.2
+
+export const UNIT_SYSTEMS = [
+  { id: 'metric', label: 'METRIC' },
+  { id: 'imperial', label: 'IMPERIAL' },
+  { id: 'aviation', label: 'AVIATION' }
+]
+
+/* Every unit a quantity can be shown in, with a factor from the stored metric base unit. */
+const UNITS = {
+  speed: {
+    kmh: { label: 'km/h', factor: 1 },
+    mph: { label: 'mph', factor: 0.621371 },
+    kt: { label: 'kt', factor: 0.539957 },
+    mach: { label: 'Mach', factor: 1 / MACH_KMH, digits: 2, prefix: true }
+  },
+  distance: {
+    km: { label: 'km', factor: 1 },
+    mi: { label: 'mi', factor: 0.621371 },
+    nmi: { label: 'nmi', factor: 0.539957 }
+  },
+  altitude: {
+    m: { label: 'm', factor: 1 },
+    ft: { label: 'ft', factor: 3.28084 }
+  },
+  length: {
+    m: { label: 'm', factor: 1 },
+    ft: { label: 'ft', factor: 3.28084 }
+  },
+  thrust: {
+    kN: { label: 'kN', factor: 1 },
+    lbf: { label: 'lbf', factor: 224.809 }
+  },
+  mass: {
+    kg: { label: 'kg', factor: 1 },
+    lb: { label: 'lb', factor: 2.20462 }
+  },
+  climb: {
+    ms: { label: 'm/s', factor: 1 },
+    fpm: { label: 'ft/min', factor: 196.85 }
+  }
+}
+
+const SYSTEM_DEFAULTS = {
+  metric: { speed: 'kmh', distance: 'km', altitude: 'm', length: 'm', thrust: 'kN', mass: 'kg', climb: 'ms' },
+  imperial: { speed: 'mph', distance: 'mi', altitude: 'ft', length: 'ft', thrust: 'lbf', mass: 'lb', climb: 'fpm' },
+  aviation: { speed: 'kt', distance: 'nmi', altitude: 'ft', length: 'ft', thrust: 'lbf', mass: 'lb', climb: 'fpm' }
+}
+
+export const SPEED_UNIT_OPTIONS = [
+  { id: 'system', label: 'SYSTEM' },
+  { id: 'kmh', label: 'km/h' },
+  { id: 'mph', label: 'mph' },
+  { id: 'kt', label: 'KNOTS' },
+  { id: 'mach', label: 'MACH' }
+]
+
+/* Spec keys that carry a physical quantity. Anything else is shown with its own fixed unit. */
+const SPEC_QUANTITIES = {
+  topSpeedKmh: 'speed',
+  rangeKm: 'distance',
+  combatRadiusKm: 'distance',
+  radarRangeKm: 'distance',
+  serviceCeilingM: 'altitude',
+  lengthM: 'length',
+  wingspanM: 'length',
+  thrustKn: 'thrust',
+  payloadKg: 'mass',
+  maxTakeoffWeightKg: 'mass',
+  emptyWeightKg: 'mass',
+  climbRateMs: 'climb'
+}
+
+const FIXED_UNITS = {
+  hardpoints: '',
+  stealthScore: '/10',
+  unitCostMUsd: 'M USD',
+  gLimit: 'g'
+}
+
+export const DEFAULT_UNIT_PREFERENCE = { system: 'metric', speed: 'system' }
+
+export function normalizeUnitPreference(value) {
+  const system = UNIT_SYSTEMS.some((item) => item.id === value?.system) ? value.system : DEFAULT_UNIT_PREFERENCE.system
+  const speed = SPEED_UNIT_OPTIONS.some((item) => item.id === value?.speed) ? value.speed : DEFAULT_UNIT_PREFERENCE.speed
+  return { system, speed }
+}
+
+function unitFor(key, preference) {
+  const quantity = SPEC_QUANTITIES[key]
+  if (!quantity) return null
+
+  const { system, speed } = normalizeUnitPreference(preference)
+  const unitId = quantity === 'speed' && speed !== 'system' ? speed : SYSTEM_DEFAULTS[system][quantity]
+  return UNITS[quantity][unitId]
+}
+
+export function specUnitLabel(key, preference) {
+  const unit = unitFor(key, preference)
+  return unit ? unit.label : FIXED_UNITS[key] ?? ''
+}
+
+export function convertSpec(key, value, preference) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return value
+  const unit = unitFor(key, preference)
+  return unit ? value * unit.factor : value
+}
+
+function numberFormat(value, unit, exact) {
+  if (unit?.digits !== undefined) {
+    return { minimumFractionDigits: unit.digits, maximumFractionDigits: unit.digits }
+  }
+  if (!unit || unit.factor === 1) {
+    if (exact) return {}
+    const digits = Number.isInteger(value) ? 0 : 1
+    return { minimumFractionDigits: digits, maximumFractionDigits: digits }
+  }
+  const digits = Math.abs(value) >= 100 ? 0 : 1
+  return { minimumFractionDigits: digits, maximumFractionDigits: digits }
+}
+
+/*
+ * Formats a stored spec value in the preferred units. Unconverted values keep
+ * one decimal at most, or their full stored precision with `exact`; converted
+ * values are rounded to what the unit can meaningfully show.
+ * Returns `fallback` for anything that is not a finite number, so a missing
+ * spec reads as unknown rather than as zero.
+ */
+export function formatSpec(key, value, preference, { fallback = 'UNKNOWN', exact = false } = {}) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return fallback
+
+  const unit = unitFor(key, preference)
+  const converted = unit ? value * unit.factor : value
+  const amount = new Intl.NumberFormat('en-US', numberFormat(converted, unit, exact)).format(converted)
+
+  const label = unit ? unit.label : FIXED_UNITS[key] ?? ''
+  if (!label) return amount
+  return unit?.prefix ? `${label} ${amount}` : `${amount} ${label}`
+}
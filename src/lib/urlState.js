@@ -0,0 +1,126 @@
+/*
+ * Helpers for state that lives in the URL query string (compare set, catalog
+ * filters) so it survives refreshes, can be shared and follows back/forward.
+ */
+
+export const COMPARE_PARAM = 'ids'
+
+/*
+ * Parses a comma-separated id list, dropping unknown ids and duplicates and
+ * keeping at most `limit` entries in their original order.
+ */
+export function parseIdList(raw, knownIds, limit = Infinity) {
+  if (!raw) return []
+  const ids = []
+  raw.split(',').forEach((part) => {
+    const id = part.trim().toLowerCase()
+    if (!id || ids.includes(id) || !knownIds.has(id)) return
+    if (ids.length < limit) ids.push(id)
+  })
+  return ids
+}
+
+export function serializeIdList(ids) {
+  return ids.join(',')
+}
+
+/*
+ * Parses "topSpeedKmh:2000..2500,unitCostMUsd:..80" into
+ * { topSpeedKmh: { min: 2000, max: 2500 }, unitCostMUsd: { max: 80 } },
+ * ignoring keys not in `knownKeys` and malformed entries.
+ */
+export function parseRangeList(raw, knownKeys) {
+  const ranges = {}
+  if (!raw) return ranges
+  raw.split(',').forEach((part) => {
+    const match = /^([A-Za-z]+):(-?[\d.]*)\.\.(-?[\d.]*)$/.exec(part.trim())
+    if (!match || !knownKeys.includes(match[1])) return
+    const [, key, low, high] = match
+    const range = {}
+    if (low !== '' && Number.isFinite(Number(low))) range.min = Number(low)
+    if (high !== '' && Number.isFinite(Number(high))) range.max = Number(high)
+    if (range.min !== undefined || range.max !== undefined) ranges[key] = range
+  })
+  return ranges
+}
+
+export function serializeRangeList(ranges) {
+  return Object.entries(ranges)
+    .map(([key, range]) => `${key}:${range.min ?? ''}..${range.max ?? ''}`)
+    .join(',')
+}
+
+/*
+ * Parses "speed:desc,cost" into [{ key: 'speed', dir: 'desc' }, { key: 'cost', dir }],
+ * where a missing direction comes from `defaultDirs[key]`. Unknown and repeated keys are dropped.
+ */
+export function parseSortList(raw, defaultDirs) {
+  if (!raw) return []
+  const sorts = []
+  raw.split(',').forEach((part) => {
+    const [key, dir] = part.trim().split(':')
+    if (!(key in defaultDirs) || sorts.some((sort) => sort.key === key)) return
+    sorts.push({ key, dir: dir === 'asc' || dir === 'desc' ? dir : defaultDirs[key] })
+  })
+  return sorts
+}
+
+export function serializeSortList(sorts) {
+  return sorts.map((sort) => `${sort.key}:${sort.dir}`).join(',')
+}
+
+/* Returns `value` if it is one of `options`, otherwise `fallback`. */
+export function pickOption(value, options, fallback) {
+  return value !== null && options.includes(value) ? value : fallback
+}
+
+/* Copies `params` with `key` set to `value`, or removed when it equals the default. */
+export function withParam(params, key, value, defaultValue = '') {
+  const next = new URLSearchParams(params)
+  if (value === undefined || value === null || value === '' || value === defaultValue) {
+    next.delete(key)
+  } else {
+    next.set(key, value)
+  }
+  return next
+}
+
+/* "?a=1&ids=f-22,su-57", or "" when there are no params. */
+export function toSearch(params) {
+  const text = params.toString()
+  // Commas are safe in a query string; keep them readable in shared links.
+  return text ? `?${text.replaceAll('%2C', ',')}` : ''
+}
+
+/* Builds an in-app link that carries the compare set along, plus any `extra` params. */
+export function withCompareIds(pathname, ids, extra = {}) {
+  const params = new URLSearchParams(ids && ids.length > 0 ? { [COMPARE_PARAM]: serializeIdList(ids) } : {})
+  Object.entries(extra).forEach(([key, value]) => params.set(key, value))
+  return `${pathname}${toSearch(params)}`
+}
+
+/*
+ * Parses "f-15c:1990,su-27:1986" into { 'f-15c': 1990, 'su-27': 1986 },
+ * ignoring ids not in `knownIds` and anything that isn't a whole year.
+ */
+export function parseYearMap(raw, knownIds) {
+  const years = {}
+  if (!raw) return years
+  raw.split(',').forEach((part) => {
+    const match = /^([a-z0-9-]+):(\d{4})$/.exec(part.trim().toLowerCase())
+    if (match && knownIds.includes(match[1])) years[match[1]] = Number(match[2])
+  })
+  return years
+}
+
+export function serializeYearMap(years) {
+  return Object.entries(years)
+    .map(([id, year]) => `${id}:${year}`)
+    .join(',')
+}
+
+/* Parses "topSpeedKmh,rangeKm" keeping only keys in `knownKeys`, once each, in their given order. */
+export function parseKeyList(raw, knownKeys) {
+  if (!raw) return []
+  return [...new Set(raw.split(',').map((part) => part.trim()))].filter((key) => knownKeys.includes(key))
+}
@@ -0,0 +1,39 @@
+/*
+ * Wikipedia REST summary client shared by the app and scripts/snapshot-wiki.js.
+ * `apiRoot` can point at any server that mirrors /page/summary/{title}, e.g.
+ * scripts/wiki-stub-server.js during local testing.
+ */
+
+export const DEFAULT_WIKI_API_ROOT = 'https://en.wikipedia.org/api/rest_v1/page/summary/'
+
+const USER_AGENT = 'JetAtlas/1.0 (educational aircraft reference)'
+
+export function normalizeSummary(payload) {
+  return {
+    extract: payload.extract || '',
+    image: payload.originalimage?.source || payload.thumbnail?.source || null,
+    thumbnail: payload.thumbnail?.source || null,
+    pageUrl: payload.content_urls?.desktop?.page || null
+  }
+}
+
+/* Resolves to a normalized summary, or null when the page does not exist. Network errors reject. */
+export async function fetchSummary(title, { apiRoot = DEFAULT_WIKI_API_ROOT, signal, fetchImpl = fetch } = {}) {
+  const root = apiRoot.endsWith('/') ? apiRoot : `${apiRoot}/`
+  const response = await fetchImpl(`${root}${encodeURIComponent(title)}`, {
+    method: 'GET',
+    headers: {
+      'api-user-agent': USER_AGENT
+    },
+    signal
+  })
+
+  if (response.status === 404) {
+    return null
+  }
+  if (!response.ok) {
+    throw new Error(`Wikipedia summary request for "${title}" failed with ${response.status}`)
+  }
+
+  return normalizeSummary(await response.json())
+}
@@ -0,0 +1,87 @@
+/*
+ * Persistent Wikipedia cache: summaries in IndexedDB, images in Cache Storage.
+ * Every function degrades to a no-op when the browser API is missing or blocked
+ * (private mode, old browsers), so callers never need their own guards.
+ */
+
+const DB_NAME = 'jetatlas-wiki'
+const DB_VERSION = 1
+const STORE = 'summaries'
+export const WIKI_IMAGE_CACHE = 'jetatlas-wiki-images'
+
+let dbPromise = null
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null)
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'title' })
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => resolve(null)
+      request.onblocked = () => resolve(null)
+    })
+  }
+  return dbPromise
+}
+
+function runRequest(mode, operate) {
+  return openDatabase().then(
+    (db) =>
+      new Promise((resolve) => {
+        if (!db) {
+          resolve(null)
+          return
+        }
+        const request = operate(db.transaction(STORE, mode).objectStore(STORE))
+        request.onsuccess = () => resolve(request.result ?? null)
+        request.onerror = () => resolve(null)
+      })
+  )
+}
+
+/* -> { [title]: { title, summary, fetchedAt } } for the titles that are cached */
+export async function readCachedSummaries(titles) {
+  const entries = await Promise.all(titles.map((title) => runRequest('readonly', (store) => store.get(title))))
+  return Object.fromEntries(entries.filter(Boolean).map((entry) => [entry.title, entry]))
+}
+
+export function writeCachedSummary(title, summary, fetchedAt = Date.now()) {
+  return runRequest('readwrite', (store) => store.put({ title, summary, fetchedAt }))
+}
+
+function imageCacheAvailable() {
+  return typeof caches !== 'undefined'
+}
+
+export async function cacheImage(url) {
+  if (!url || !imageCacheAvailable() || !/^https?:/.test(url)) return
+  try {
+    const cache = await caches.open(WIKI_IMAGE_CACHE)
+    if (!(await cache.match(url))) {
+      await cache.add(new Request(url, { mode: 'cors' }))
+    }
+  } catch {
+    // Opaque or failed image responses are simply not cached.
+  }
+}
+
+const objectUrls = new Map()
+
+/* Returns a blob: URL for a cached image so it renders offline, or the original URL. */
+export async function resolveCachedImage(url) {
+  if (!url || !imageCacheAvailable()) return url
+  if (objectUrls.has(url)) return objectUrls.get(url)
+  try {
+    const cache = await caches.open(WIKI_IMAGE_CACHE)
+    const response = await cache.match(url)
+    if (!response) return url
+    const objectUrl = URL.createObjectURL(await response.blob())
+    objectUrls.set(url, objectUrl)
+    return objectUrl
+  } catch {
+    return url
+  }
+}
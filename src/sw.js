@@ -0,0 +1,93 @@
+/* global BUILD_ID, PRECACHE_URLS */
+/*
+ * Service worker, emitted as /sw.js by scripts/vite-plugin-service-worker.js,
+ * which prepends BUILD_ID and PRECACHE_URLS (the built app shell; aircraft.json
+ * and models.manifest.json are bundled into its JS). Only registered in production builds.
+ *
+ * - app shell: precached, cache-first; navigations fall back to index.html
+ * - GLB models: cached on first load or via "save for offline", cache-first;
+ *   HEAD requests are answered from the cache so availability checks pass offline
+ * - Wikipedia images: cache-first in the same cache the page writes to
+ */
+
+const SHELL_CACHE = `jetatlas-shell-${BUILD_ID}`
+const MODEL_CACHE = 'jetatlas-models'
+const WIKI_IMAGE_CACHE = 'jetatlas-wiki-images'
+const WIKI_IMAGE_HOST = 'upload.wikimedia.org'
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(keys.filter((key) => key.startsWith('jetatlas-shell-') && key !== SHELL_CACHE).map((key) => caches.delete(key)))
+      )
+      .then(() => self.clients.claim())
+  )
+})
+
+async function cacheFirst(cacheName, request, { store = true } = {}) {
+  const cache = await caches.open(cacheName)
+  const cached = await cache.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  if (store && response.ok) {
+    await cache.put(request, response.clone())
+  }
+  return response
+}
+
+async function modelResponse(request) {
+  if (request.method === 'HEAD') {
+    const cache = await caches.open(MODEL_CACHE)
+    const cached = await cache.match(request.url)
+    if (cached) {
+      return new Response(null, { status: 200, headers: cached.headers })
+    }
+    return fetch(request)
+  }
+
+  return cacheFirst(MODEL_CACHE, request)
+}
+
+async function navigationResponse(request) {
+  try {
+    return await fetch(request)
+  } catch (error) {
+    const cache = await caches.open(SHELL_CACHE)
+    const shell = await cache.match('/index.html')
+    if (shell) return shell
+    throw error
+  }
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+  const sameOrigin = url.origin === self.location.origin
+
+  if (sameOrigin && url.pathname.endsWith('.glb')) {
+    event.respondWith(modelResponse(request))
+    return
+  }
+
+  if (request.method !== 'GET') return
+
+  if (request.mode === 'navigate') {
+    event.respondWith(navigationResponse(request))
+  } else if (sameOrigin && PRECACHE_URLS.includes(url.pathname)) {
+    event.respondWith(cacheFirst(SHELL_CACHE, request, { store: false }))
+  } else if (url.hostname === WIKI_IMAGE_HOST) {
+    event.respondWith(cacheFirst(WIKI_IMAGE_CACHE, request))
+  }
+})
@@ -1,8 +1,10 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import serviceWorker from './scripts/vite-plugin-service-worker.js'
+import hotspotAuthoring from './scripts/vite-plugin-hotspot-authoring.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), serviceWorker(), hotspotAuthoring()],
 })